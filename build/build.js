@@ -29,7 +29,18 @@ class BuildScript {
             
             // Leer y procesar JavaScript files
             const jsFiles = [
+                'settings.js',
+                'plate-validator.js',
+                'plate-matcher.js',
+                'member-extractor.js',
                 'csv-parser.js',
+                'file-loader.js',
+                'spreadsheet-reader.js',
+                'analysis-session.js',
+                'export-diff.js',
+                'pass-tiers.js',
+                'season-calendar.js',
+                'abuse-scorer.js',
                 'data-analyzer.js',
                 'ui-components.js',
                 'app.js'
@@ -104,9 +115,9 @@ class BuildScript {
             `<style>\n${minifiedCSS}\n    </style>`
         );
         
-        // Reemplazar scripts con JavaScript embebido
+        // Reemplazar el bloque de scripts con JavaScript embebido
         finalHtml = finalHtml.replace(
-            /    <!-- Scripts -->\s*\n    <script src="js\/csv-parser\.js"><\/script>\s*\n    <script src="js\/data-analyzer\.js"><\/script>\s*\n    <script src="js\/ui-components\.js"><\/script>\s*\n    <script src="js\/app\.js"><\/script>/,
+            /    <!-- Scripts -->(?:\s*\n    <script src="js\/[\w-]+\.js"><\/script>)+/,
             `    <!-- Scripts embebidos -->\n    <script>\n${processedJS}\n    </script>`
         );
         
@@ -164,7 +175,18 @@ Para usar: Abrir este archivo en cualquier navegador web moderno
     processJavaScript(js) {
         // Añadir separadores entre archivos para mejor legibilidad
         const sections = [
+            { pattern: /class SettingsStore/, title: '=== PREFERENCIAS ===' },
+            { pattern: /class PlateValidator/, title: '=== VALIDACIÓN DE MATRÍCULAS ===' },
+            { pattern: /class PlateMatcher/, title: '=== MATRÍCULAS PARECIDAS ===' },
+            { pattern: /class MemberExtractor/, title: '=== EXTRACCIÓN DEL SOCIO ===' },
             { pattern: /class CSVParser/, title: '=== PARSER CSV ===' },
+            { pattern: /class FileLoader/, title: '=== CARGA EN SEGUNDO PLANO ===' },
+            { pattern: /class SpreadsheetReader/, title: '=== HOJAS DE CÁLCULO ===' },
+            { pattern: /class AnalysisSession/, title: '=== SESIÓN DE ANÁLISIS ===' },
+            { pattern: /class ExportDiff/, title: '=== COMPARACIÓN DE EXPORTACIONES ===' },
+            { pattern: /class PassTiers/, title: '=== TRAMOS DE PERMISOS ===' },
+            { pattern: /class SeasonCalendar/, title: '=== CALENDARIO DE TEMPORADAS ===' },
+            { pattern: /class AbuseScorer/, title: '=== PUNTUACIÓN DE SOSPECHA ===' },
             { pattern: /class DataAnalyzer/, title: '=== ANALIZADOR DE DATOS ===' },
             { pattern: /class UIComponents/, title: '=== COMPONENTES UI ===' },
             { pattern: /class SalionsApp/, title: '=== APLICACIÓN PRINCIPAL ===' }
@@ -0,0 +1,171 @@
+/**
+ * Clase para puntuar a los socios según reglas ponderadas de posible abuso
+ * (permisos cortos, solapamientos, pico simultáneo...). Cada regla compara una
+ * métrica de la fila del socio (ver DataAnalyzer.buildSocioRow) con su umbral y,
+ * si lo alcanza, suma su peso multiplicado por las veces que lo supera (hasta 3).
+ */
+class AbuseScorer {
+    /**
+     * @param {Object} config - Configuración ({ rules }); por defecto la de getDefaultConfig
+     */
+    constructor(config = null) {
+        const { rules } = config || AbuseScorer.getDefaultConfig();
+        // Completar con las reglas por defecto las que falten (p. ej. reglas nuevas)
+        this.rules = AbuseScorer.getDefaultConfig().rules.map(defaultRule => ({
+            ...defaultRule,
+            ...(rules.find(rule => rule.id === defaultRule.id) || {})
+        }));
+    }
+
+    /**
+     * Reglas disponibles: métrica de la fila del socio y texto de la explicación
+     * @returns {Array} Reglas ({ id, nombre, descripcion, valor, explicar })
+     */
+    static getRuleDefinitions() {
+        return [
+            {
+                id: 'permisosCortos',
+                nombre: 'Permisos cortos',
+                descripcion: 'Permisos de 7 días o menos',
+                valor: row => row.permisosCortos || 0,
+                explicar: row => `${row.permisosCortos} permisos de 7 días o menos`
+            },
+            {
+                id: 'solapamientos',
+                nombre: 'Solapamientos',
+                descripcion: 'Veces que se solapan permisos de matrículas distintas',
+                valor: row => row.solapamientos || 0,
+                explicar: row => `${row.solapamientos} solapamientos entre matrículas activas`
+            },
+            {
+                id: 'picoSimultaneo',
+                nombre: 'Pico simultáneo',
+                descripcion: 'Máximo de matrículas temporales activas a la vez',
+                valor: row => row.picoSimultaneo || 0,
+                explicar: row => `${row.picoSimultaneo} matrículas temporales activas a la vez` +
+                    (row.picoDetalle && row.picoDetalle.fecha ? ` el ${new Date(row.picoDetalle.fecha).toLocaleDateString('es-ES')}` : '')
+            },
+            {
+                id: 'matriculasPorTemporada',
+                nombre: 'Matrículas por temporada',
+                descripcion: 'Matrículas distintas dadas de alta en una misma temporada',
+                valor: row => row.matriculasPorTemporada ? row.matriculasPorTemporada.matriculas : 0,
+                explicar: row => `${row.matriculasPorTemporada.matriculas} matrículas distintas en ${row.matriculasPorTemporada.temporada}`
+            },
+            {
+                id: 'matriculasCompartidas',
+                nombre: 'Matrículas reutilizadas',
+                descripcion: 'Matrículas que también ha dado de alta otro socio',
+                valor: row => row.matriculasCompartidas ? row.matriculasCompartidas.length : 0,
+                explicar: row => `${row.matriculasCompartidas.length} matrícula(s) también registradas por otros socios: ${row.matriculasCompartidas.slice(0, 5).join(', ')}${row.matriculasCompartidas.length > 5 ? '…' : ''}`
+            }
+        ];
+    }
+
+    /**
+     * Pesos y umbrales por defecto (los umbrales son los avisos que mostraba la tabla)
+     * @returns {Object} Configuración ({ rules: [{ id, activa, umbral, peso }] })
+     */
+    static getDefaultConfig() {
+        return {
+            rules: [
+                { id: 'permisosCortos', activa: true, umbral: 6, peso: 2 },
+                { id: 'solapamientos', activa: true, umbral: 4, peso: 3 },
+                { id: 'picoSimultaneo', activa: true, umbral: 5, peso: 3 },
+                { id: 'matriculasPorTemporada', activa: true, umbral: 10, peso: 2 },
+                { id: 'matriculasCompartidas', activa: true, umbral: 1, peso: 4 }
+            ]
+        };
+    }
+
+    /**
+     * Comprueba las reglas antes de guardarlas
+     * @param {Object} config - Configuración ({ rules })
+     * @returns {Array} Mensajes de error (vacío si es válida)
+     */
+    static validate(config) {
+        const problems = [];
+        const definitions = AbuseScorer.getRuleDefinitions();
+
+        config.rules.forEach(rule => {
+            const definition = definitions.find(d => d.id === rule.id);
+            const label = definition ? definition.nombre : rule.id;
+            if (!Number.isInteger(rule.umbral) || rule.umbral < 1) {
+                problems.push(`${label}: el umbral debe ser un número entero mayor que 0`);
+            }
+            if (typeof rule.peso !== 'number' || Number.isNaN(rule.peso) || rule.peso < 0) {
+                problems.push(`${label}: el peso debe ser un número (0 o más)`);
+            }
+        });
+
+        if (!config.rules.some(rule => rule.activa)) {
+            problems.push('Activa al menos una regla');
+        }
+        return problems;
+    }
+
+    /**
+     * Puntúa la fila de un socio
+     * @param {Object} row - Fila del socio (ver DataAnalyzer.buildSocioRow)
+     * @returns {Object} Puntuación ({ puntuacion, nivel, desglose }); el desglose tiene
+     *          una entrada por regla activa ({ id, nombre, valor, umbral, peso, puntos, activada, explicacion })
+     */
+    score(row) {
+        const definitions = AbuseScorer.getRuleDefinitions();
+        const desglose = this.rules
+            .filter(rule => rule.activa)
+            .map(rule => {
+                const definition = definitions.find(d => d.id === rule.id);
+                const valor = definition.valor(row);
+                const activada = valor >= rule.umbral;
+                const puntos = activada
+                    ? Math.round(rule.peso * Math.min(valor / rule.umbral, 3) * 10) / 10
+                    : 0;
+                return {
+                    id: rule.id,
+                    nombre: definition.nombre,
+                    valor: valor,
+                    umbral: rule.umbral,
+                    peso: rule.peso,
+                    puntos: puntos,
+                    activada: activada,
+                    explicacion: activada ? definition.explicar(row) : ''
+                };
+            });
+
+        const puntuacion = Math.round(desglose.reduce((sum, regla) => sum + regla.puntos, 0) * 10) / 10;
+        return { puntuacion, nivel: AbuseScorer.getLevel(puntuacion), desglose };
+    }
+
+    /**
+     * Puntúa las filas de los socios
+     * @param {Array} rows - Filas de DataAnalyzer.query (se modifican)
+     */
+    apply(rows) {
+        for (const row of rows) {
+            Object.assign(row, this.score(row));
+        }
+    }
+
+    /**
+     * Nivel de sospecha según la puntuación
+     * @param {number} puntuacion - Puntuación
+     * @returns {string} 'alta', 'media', 'baja' o 'ninguna'
+     */
+    static getLevel(puntuacion) {
+        if (puntuacion >= 10) return 'alta';
+        if (puntuacion >= 5) return 'media';
+        if (puntuacion > 0) return 'baja';
+        return 'ninguna';
+    }
+
+    /**
+     * Indica si una regla ha saltado en una fila ya puntuada
+     * @param {Object} row - Fila puntuada
+     * @param {string} id - Identificador de la regla
+     * @returns {boolean} True si la regla está activa y se alcanza su umbral
+     */
+    static isTriggered(row, id) {
+        return !!(row.desglose && row.desglose.some(regla => regla.id === id && regla.activada));
+    }
+}
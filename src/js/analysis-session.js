@@ -0,0 +1,192 @@
+/**
+ * Clase para combinar varios archivos de exportación en una misma sesión de análisis.
+ * Cada registro guarda su archivo de origen (sourceFile) y los registros repetidos
+ * entre archivos (misma matrícula, socio y fechas) solo se cuentan una vez.
+ */
+class AnalysisSession {
+    constructor() {
+        this.files = [];
+        this.records = [];
+        this.recordKeys = new Map();
+    }
+
+    /**
+     * Añade los registros de un archivo a la sesión
+     * @param {string} name - Nombre del archivo
+     * @param {Array} records - Registros obtenidos por CSVParser
+     * @param {Object} meta - Datos del parsing a conservar ({ errors, totalLines, origin })
+     * @param {Object} meta.origin - Cómo se leyó el archivo, para revisar sus errores
+     *                               ({ file, sheet, encoding, delimiter, mapping, memberRules })
+     * @returns {Object} Resumen del archivo ({ name, total, added, duplicates, errors, totalLines })
+     */
+    addFile(name, records, { errors = [], totalLines = records.length, origin = null } = {}) {
+        const fileName = this.getUniqueName(name);
+        const summary = {
+            name: fileName,
+            total: records.length,
+            added: 0,
+            duplicates: 0,
+            errors: errors.length,
+            totalLines: totalLines,
+            errorList: errors,
+            origin: origin,
+            repairs: new Map()
+        };
+
+        for (const record of records) {
+            if (this.addRecord(record, fileName)) {
+                summary.added++;
+            } else {
+                summary.duplicates++;
+            }
+        }
+
+        this.files.push(summary);
+        return summary;
+    }
+
+    /**
+     * Añade un registro de un archivo, salvo que ya esté en otro archivo de la sesión
+     * @param {Object} record - Registro
+     * @param {string} fileName - Nombre del archivo en la sesión
+     * @returns {boolean} True si se ha añadido
+     */
+    addRecord(record, fileName) {
+        const key = this.getRecordKey(record);
+        const existing = this.recordKeys.get(key);
+
+        // Repetido en otro archivo de la sesión: conservar solo el primero
+        if (existing && existing.sourceFile !== fileName) {
+            return false;
+        }
+
+        record.sourceFile = fileName;
+        if (!existing) this.recordKeys.set(key, record);
+        this.records.push(record);
+        return true;
+    }
+
+    /**
+     * Aplica la corrección de una línea con error: sustituye el error por los que
+     * queden tras revalidarla y, si ya es válida, añade su registro (o reemplaza
+     * el que se había aceptado con aviso)
+     * @param {string} name - Nombre del archivo en la sesión
+     * @param {Object} error - Error corregido (de errorList)
+     * @param {Array} fields - Campos corregidos de la línea
+     * @param {Object} result - Resultado de CSVParser.validateRow ({ record, errors })
+     * @returns {boolean} True si el registro se ha añadido al análisis
+     */
+    repairLine(name, error, fields, result) {
+        const summary = this.getFile(name);
+        if (!summary) return false;
+
+        const index = summary.errorList.indexOf(error);
+        if (index === -1) return false;
+
+        summary.repairs.set(error.line, fields);
+        summary.errorList.splice(index, 1, ...result.errors);
+        summary.errors = summary.errorList.length;
+
+        if (!result.record) return false;
+
+        // La línea ya estaba en el análisis (p. ej. matrícula no válida): reemplazarla
+        const previous = this.records.findIndex(r => r.sourceFile === name && r.lineNumber === error.line);
+        if (previous !== -1) {
+            this.records.splice(previous, 1);
+            summary.added--;
+            this.rebuildKeys();
+        }
+
+        if (this.addRecord(result.record, name)) {
+            summary.added++;
+            return true;
+        }
+        summary.duplicates++;
+        return false;
+    }
+
+    /**
+     * Obtiene el resumen de un archivo de la sesión
+     * @param {string} name - Nombre del archivo en la sesión
+     * @returns {Object|undefined} Resumen del archivo
+     */
+    getFile(name) {
+        return this.files.find(file => file.name === name);
+    }
+
+    /**
+     * Quita de la sesión los registros de un archivo
+     * @param {string} name - Nombre del archivo en la sesión
+     */
+    removeFile(name) {
+        this.files = this.files.filter(file => file.name !== name);
+        this.records = this.records.filter(record => record.sourceFile !== name);
+        this.rebuildKeys();
+    }
+
+    /**
+     * Vuelve a indexar las claves de los registros tras quitar alguno
+     */
+    rebuildKeys() {
+        this.recordKeys.clear();
+        for (const record of this.records) {
+            const key = this.getRecordKey(record);
+            if (!this.recordKeys.has(key)) this.recordKeys.set(key, record);
+        }
+    }
+
+    /**
+     * Vacía la sesión
+     */
+    clear() {
+        this.files = [];
+        this.records = [];
+        this.recordKeys.clear();
+    }
+
+    /**
+     * Obtiene todos los registros de la sesión
+     * @returns {Array} Registros combinados
+     */
+    getRecords() {
+        return this.records;
+    }
+
+    /**
+     * Obtiene el resumen de los archivos cargados
+     * @returns {Array} Archivos ({ name, total, added, duplicates, errors, totalLines })
+     */
+    getFiles() {
+        return this.files;
+    }
+
+    /**
+     * Clave que identifica un registro repetido: matrícula (tal como venía, aunque se
+     * haya unificado con PlateMatcher), socio y fechas
+     * @param {Object} record - Registro
+     * @returns {string} Clave del registro
+     */
+    getRecordKey(record) {
+        const time = date => date ? date.getTime() : '';
+        return [
+            (record.matriculaOriginal || record.matricula).toUpperCase(),
+            record.socio.toLowerCase().trim(),
+            time(record.fechaInicio),
+            time(record.fechaFin)
+        ].join('|');
+    }
+
+    /**
+     * Distingue archivos distintos con el mismo nombre (p. ej. "export.csv (2)")
+     * @param {string} name - Nombre del archivo
+     * @returns {string} Nombre único en la sesión
+     */
+    getUniqueName(name) {
+        const names = new Set(this.files.map(file => file.name));
+        if (!names.has(name)) return name;
+
+        let index = 2;
+        while (names.has(`${name} (${index})`)) index++;
+        return `${name} (${index})`;
+    }
+}
@@ -3,10 +3,35 @@
  */
 class SalionsApp {
     constructor() {
-        this.csvParser = new CSVParser();
+        this.settings = new SettingsStore();
+        this.csvParser = new CSVParser({
+            memberRules: this.getMemberRules(),
+            missingDatePolicy: this.getMissingDatePolicy()
+        });
+        this.fileLoader = new FileLoader();
+        this.spreadsheetReader = new SpreadsheetReader();
+        this.passTiers = new PassTiers(this.settings.get('passTiers', null));
+        this.seasonCalendar = new SeasonCalendar(this.settings.get('seasonCalendar', null));
+        this.abuseScorer = new AbuseScorer(this.settings.get('abuseRules', null));
+        this.plateMatcher = new PlateMatcher();
+        this.plateGroups = [];
         this.dataAnalyzer = new DataAnalyzer();
+        this.session = new AnalysisSession();
         this.ui = new UIComponents();
+        this.ui.passTiers = this.passTiers;
+        this.ui.seasonCalendar = this.seasonCalendar;
         this.currentData = null;
+        this.fileQueue = [];
+        this.batchOptions = null;
+        this.isProcessing = false;
+        this.pendingFile = null;
+        this.pendingMapping = null;
+        this.pendingWorkbook = null;
+        this.lastPreview = null;
+        this.resultsView = 'socios';
+        this.clusterFilter = null;
+        this.currentClusters = [];
+        this.currentOccupancy = null;
         
         this.init();
     }
@@ -18,6 +43,8 @@ class SalionsApp {
         this.setupEventListeners();
         this.ui.setupTableSorting();
         this.ui.setupPagination();
+        this.ui.renderTierFilter(this.passTiers);
+        this.ui.renderSeasonFilter(this.seasonCalendar);
         
         // Mostrar mensaje de bienvenida
         console.log('🏘️ Salions Matrículas - Aplicación inicializada');
@@ -33,6 +60,12 @@ class SalionsApp {
         // Filtros
         this.setupFilters();
         
+        // Vistas de resultados
+        this.setupResultsViews();
+
+        // Gráficos del resumen
+        this.setupCharts();
+
         // Exportación
         this.setupExport();
     }
@@ -67,16 +100,116 @@ class SalionsApp {
             
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFileSelection(files[0]);
+                this.handleFiles(Array.from(files));
             }
         });
 
-        // Selección de archivo
+        // Selección de archivos
         fileInput?.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFileSelection(e.target.files[0]);
+                this.handleFiles(Array.from(e.target.files));
             }
+            // Permitir volver a seleccionar el mismo archivo
+            e.target.value = '';
+        });
+
+        // Cancelar la carga en curso
+        const cancelButton = document.getElementById('cancelUpload');
+        cancelButton?.addEventListener('click', () => {
+            this.fileLoader.cancel();
+        });
+
+        // Vista previa: cambio de codificación o separador, confirmar o descartar
+        const encodingSelect = document.getElementById('encodingSelect');
+        encodingSelect?.addEventListener('change', () => {
+            this.updateFilePreview();
+        });
+
+        const delimiterSelect = document.getElementById('delimiterSelect');
+        delimiterSelect?.addEventListener('change', () => {
+            this.updateFilePreview();
+        });
+
+        // Política para las filas sin fecha de inicio: se guarda para los próximos archivos
+        const missingDateSelect = document.getElementById('missingDateSelect');
+        if (missingDateSelect) missingDateSelect.value = this.getMissingDatePolicy();
+        missingDateSelect?.addEventListener('change', () => {
+            this.settings.set('missingDatePolicy', missingDateSelect.value);
+            this.csvParser.setMissingDatePolicy(missingDateSelect.value);
+            this.updateFilePreview();
+        });
+
+        // Otra hoja puede tener otras columnas: volver a decidir el mapeo
+        const sheetSelect = document.getElementById('sheetSelect');
+        sheetSelect?.addEventListener('change', () => {
+            this.pendingMapping = null;
+            this.updateFilePreview();
+        });
+
+        document.getElementById('confirmPreview')?.addEventListener('click', () => {
+            this.confirmFilePreview();
         });
+
+        document.getElementById('confirmAllPreview')?.addEventListener('click', () => {
+            this.confirmAllPreviews();
+        });
+
+        document.getElementById('cancelPreview')?.addEventListener('click', () => {
+            this.discardFilePreview();
+        });
+
+        // Sesión: añadir archivos al análisis actual o empezar de nuevo
+        document.getElementById('addFiles')?.addEventListener('click', () => {
+            fileInput?.click();
+        });
+
+        document.getElementById('newSession')?.addEventListener('click', () => {
+            if (window.confirm('¿Descartar todos los archivos cargados y empezar una nueva sesión?')) {
+                this.startNewSession();
+            }
+        });
+
+        document.getElementById('editMapping')?.addEventListener('click', () => {
+            this.openColumnMappingDialog();
+        });
+
+        document.getElementById('editMemberRules')?.addEventListener('click', () => {
+            this.openMemberRulesDialog();
+        });
+    }
+
+    /**
+     * Encola uno o varios archivos para añadirlos a la sesión. Cada archivo pasa
+     * por la vista previa, salvo que se elija analizar todos con la misma configuración.
+     * @param {Array} files - Archivos seleccionados
+     */
+    handleFiles(files) {
+        this.fileQueue.push(...files);
+
+        if (this.pendingFile || this.isProcessing) {
+            this.ui.updateQueueInfo(this.fileQueue.length);
+            return;
+        }
+        this.processNextQueuedFile();
+    }
+
+    /**
+     * Muestra la vista previa del siguiente archivo en cola, si lo hay
+     */
+    processNextQueuedFile() {
+        const next = this.fileQueue.shift();
+
+        if (!next) {
+            this.batchOptions = null;
+            // Sin más archivos: volver a ocultar la zona de carga
+            if (this.session.getRecords().length > 0) {
+                this.activateCompactMode();
+            }
+        } else if (this.batchOptions) {
+            this.processQueuedFile(next, this.batchOptions);
+        } else {
+            this.handleFileSelection(next);
+        }
     }
 
     /**
@@ -85,49 +218,613 @@ class SalionsApp {
      */
     async handleFileSelection(file) {
         // Validar tipo de archivo
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            this.ui.showNotification('Por favor, selecciona un archivo CSV válido', 'error');
+        const isSpreadsheet = SpreadsheetReader.isSpreadsheet(file);
+        if (!isSpreadsheet && !file.name.toLowerCase().endsWith('.csv')) {
+            this.ui.showNotification(`"${file.name}" no es un archivo CSV, Excel (.xlsx) u OpenDocument (.ods)`, 'error');
+            this.processNextQueuedFile();
             return;
         }
 
-        // Validar tamaño (máximo 10MB)
-        const maxSize = 10 * 1024 * 1024; // 10MB
-        if (file.size > maxSize) {
-            this.ui.showNotification('El archivo es demasiado grande. Máximo 10MB', 'error');
-            return;
-        }
+        // La vista previa está en la zona de carga, oculta tras el primer análisis
+        this.showUploadSection();
+        this.ui.updateQueueInfo(this.fileQueue.length);
 
-        // Mostrar información del archivo
+        // Mostrar información del archivo y la vista previa antes de analizar
         this.showFileInfo(file);
-        
+        this.pendingFile = file;
+        this.pendingMapping = null;
+        this.pendingWorkbook = null;
+
+        if (isSpreadsheet) {
+            try {
+                this.pendingWorkbook = await this.spreadsheetReader.read(file);
+            } catch (error) {
+                console.error('Error leyendo hoja de cálculo:', error);
+                this.ui.showNotification(`Error leyendo la hoja de cálculo: ${error.message}`, 'error');
+                this.discardFilePreview();
+                return;
+            }
+
+            if (this.pendingWorkbook.sheets.length === 0) {
+                this.ui.showNotification('La hoja de cálculo no contiene ninguna hoja', 'error');
+                this.discardFilePreview();
+                return;
+            }
+        }
+        this.ui.renderSheetSelector(this.pendingWorkbook);
+
+        const encodingSelect = document.getElementById('encodingSelect');
+        if (encodingSelect) encodingSelect.value = 'auto';
+        const delimiterSelect = document.getElementById('delimiterSelect');
+        if (delimiterSelect) delimiterSelect.value = 'auto';
+
+        await this.updateFilePreview();
+    }
+
+    /**
+     * Obtiene la codificación y el separador elegidos en la vista previa
+     * @returns {Object} Opciones de lectura ({ encoding, delimiter })
+     */
+    getReadOptions() {
+        const encodingSelect = document.getElementById('encodingSelect');
+        const delimiterSelect = document.getElementById('delimiterSelect');
+
+        return {
+            encoding: encodingSelect ? encodingSelect.value : 'auto',
+            delimiter: delimiterSelect ? delimiterSelect.value : 'auto'
+        };
+    }
+
+    /**
+     * Obtiene la hoja elegida del libro pendiente
+     * @returns {Object|null} Hoja ({ name, rows }) o null si el archivo no es una hoja de cálculo
+     */
+    getSelectedSheet() {
+        if (!this.pendingWorkbook) return null;
+
+        const sheetSelect = document.getElementById('sheetSelect');
+        const index = sheetSelect ? parseInt(sheetSelect.value, 10) : 0;
+        return this.pendingWorkbook.sheets[index] || this.pendingWorkbook.sheets[0];
+    }
+
+    /**
+     * Lee la vista previa del archivo pendiente: la hoja elegida o el principio del CSV
+     * @param {Object} mapping - Mapeo de columnas a aplicar
+     * @returns {Promise<Object>} Resultado de la vista previa
+     */
+    readPreview(mapping) {
+        const sheet = this.getSelectedSheet();
+        if (sheet) {
+            return Promise.resolve(this.csvParser.previewRows(sheet.rows, { mapping }));
+        }
+
+        const { encoding, delimiter } = this.getReadOptions();
+        return this.csvParser.previewFile(this.pendingFile, { encoding, delimiter, mapping });
+    }
+
+    /**
+     * Genera la vista previa del archivo pendiente con la codificación y el separador
+     * seleccionados (o la hoja elegida, si es una hoja de cálculo)
+     */
+    async updateFilePreview() {
+        const file = this.pendingFile;
+        if (!file) return;
+
         try {
-            this.ui.showNotification('Procesando archivo CSV...', 'info');
-            
-            // Procesar archivo
-            const parseResult = await this.csvParser.parseFile(file);
-            
-            // Mostrar estadísticas de parsing
-            if (parseResult.errors.length > 0) {
-                const errorMsg = `Archivo procesado con ${parseResult.errors.length} errores. ${parseResult.validRecords} registros válidos de ${parseResult.totalLines} líneas.`;
-                this.ui.showNotification(errorMsg, 'warning', 8000);
-                
-                // Mostrar detalles de errores si hay muchos
-                if (parseResult.errors.length > 5) {
-                    this.showErrorDetails(parseResult.errors);
+            let preview = await this.readPreview(this.pendingMapping || CSVParser.getDefaultMapping());
+
+            // Primera vista previa del archivo: decidir el mapeo según sus cabeceras
+            let reviewMapping = false;
+            if (!this.pendingMapping) {
+                const resolved = this.resolveMapping(preview.header);
+                this.pendingMapping = resolved.mapping;
+                reviewMapping = resolved.needsReview;
+                preview = await this.readPreview(this.pendingMapping);
+            }
+
+            this.lastPreview = preview;
+            this.ui.renderFilePreview(preview);
+
+            if (reviewMapping) {
+                this.openColumnMappingDialog();
+            }
+        } catch (error) {
+            console.error('Error generando vista previa:', error);
+            this.ui.showNotification(`Error leyendo el archivo: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Confirma la vista previa, procesa el archivo completo y pasa al siguiente en cola
+     * @param {Object} options - Opciones de confirmación
+     * @param {boolean} options.applyToQueue - Procesar también los archivos en cola con la misma configuración, sin vista previa
+     */
+    async confirmFilePreview({ applyToQueue = false } = {}) {
+        const file = this.pendingFile;
+        if (!file) return;
+
+        // Usar el separador de la vista previa, ya detectado o elegido
+        const sheet = this.getSelectedSheet();
+        const options = {
+            encoding: this.getReadOptions().encoding,
+            delimiter: this.lastPreview ? this.lastPreview.delimiter : 'auto',
+            mapping: this.pendingMapping
+        };
+        if (applyToQueue) {
+            this.batchOptions = options;
+        }
+
+        this.pendingFile = null;
+        this.pendingWorkbook = null;
+        this.ui.hideFilePreview();
+
+        this.isProcessing = true;
+        if (sheet) {
+            this.processSheet(file.name, sheet, options.mapping);
+        } else {
+            await this.processFile(file, options);
+        }
+        this.isProcessing = false;
+        this.processNextQueuedFile();
+    }
+
+    /**
+     * Analiza el archivo de la vista previa y todos los de la cola con la misma configuración
+     */
+    confirmAllPreviews() {
+        this.confirmFilePreview({ applyToQueue: true });
+    }
+
+    /**
+     * Procesa un archivo de la cola sin vista previa, con la configuración del primero
+     * @param {File} file - Archivo a procesar
+     * @param {Object} options - Opciones de lectura ({ encoding, delimiter, mapping })
+     */
+    async processQueuedFile(file, options) {
+        this.showFileInfo(file);
+        this.isProcessing = true;
+
+        if (SpreadsheetReader.isSpreadsheet(file)) {
+            await this.processSpreadsheetFile(file, options.mapping);
+        } else if (file.name.toLowerCase().endsWith('.csv')) {
+            await this.processFile(file, options);
+        } else {
+            this.ui.showNotification(`"${file.name}" no es un archivo CSV, Excel (.xlsx) u OpenDocument (.ods)`, 'error');
+        }
+
+        this.isProcessing = false;
+        this.processNextQueuedFile();
+    }
+
+    /**
+     * Elige el mapeo de columnas para un archivo: el formato por defecto si no tiene
+     * cabeceras, un mapeo guardado con las mismas cabeceras o una propuesta a revisar
+     * @param {Object} header - Detección de cabeceras de la vista previa
+     * @returns {Object} Mapeo y si el usuario debe revisarlo ({ mapping, needsReview })
+     */
+    resolveMapping(header) {
+        if (!header.detected) {
+            return { mapping: CSVParser.getDefaultMapping(), needsReview: false };
+        }
+
+        const saved = this.getSavedMappings().find(m => m.signature === header.signature);
+        if (saved) {
+            this.ui.showNotification(`Aplicado el mapeo de columnas guardado "${saved.name}"`, 'info', 3000);
+            return { mapping: saved.mapping, needsReview: false };
+        }
+
+        return { mapping: this.csvParser.suggestMapping(header.fields), needsReview: true };
+    }
+
+    /**
+     * Abre el asistente de columnas para el archivo pendiente
+     */
+    openColumnMappingDialog() {
+        const preview = this.lastPreview;
+        if (!this.pendingFile || !preview) return;
+
+        const firstDataLine = preview.lines[this.pendingMapping.hasHeader ? 1 : 0];
+
+        this.ui.showColumnMappingDialog({
+            header: preview.header,
+            mapping: this.pendingMapping,
+            sampleRow: firstDataLine ? firstDataLine.fields : [],
+            savedMappings: this.getSavedMappings(),
+            validate: (mapping) => this.csvParser.validateMapping(mapping),
+            onApply: (mapping, saveName) => {
+                this.pendingMapping = mapping;
+                if (saveName) {
+                    this.saveMapping(saveName, preview.header.signature, mapping);
+                }
+                this.updateFilePreview();
+            },
+            onDelete: (name) => this.deleteSavedMapping(name)
+        });
+    }
+
+    /**
+     * Obtiene los mapeos de columnas guardados
+     * @returns {Array} Mapeos ({ name, signature, mapping })
+     */
+    getSavedMappings() {
+        return this.settings.get('columnMappings', []);
+    }
+
+    /**
+     * Guarda un mapeo de columnas para reutilizarlo con archivos con las mismas cabeceras
+     * @param {string} name - Nombre del mapeo
+     * @param {string} signature - Firma de las cabeceras del archivo
+     * @param {Object} mapping - Mapeo de columnas
+     */
+    saveMapping(name, signature, mapping) {
+        const mappings = this.getSavedMappings().filter(m => m.name !== name);
+        mappings.push({ name, signature: mapping.hasHeader ? signature : null, mapping });
+        this.settings.set('columnMappings', mappings);
+        this.ui.showNotification(`Mapeo "${name}" guardado`, 'success', 2000);
+    }
+
+    /**
+     * Borra un mapeo de columnas guardado
+     * @param {string} name - Nombre del mapeo
+     */
+    deleteSavedMapping(name) {
+        this.settings.set('columnMappings', this.getSavedMappings().filter(m => m.name !== name));
+        this.ui.showNotification(`Mapeo "${name}" eliminado`, 'info', 2000);
+    }
+
+    /**
+     * Obtiene las reglas de extracción del socio guardadas
+     * @returns {Object|null} Configuración de MemberExtractor, o null para la de por defecto
+     */
+    getMemberRules() {
+        return this.settings.get('memberRules', null);
+    }
+
+    /**
+     * Obtiene la política guardada para los registros sin fecha de inicio
+     * @returns {string} 'rechazar', 'marcar' o 'inferir'
+     */
+    getMissingDatePolicy() {
+        return this.settings.get('missingDatePolicy', 'marcar');
+    }
+
+    /**
+     * Abre el editor de reglas de extracción del socio, con las notas de la vista
+     * previa como muestras de prueba
+     */
+    openMemberRulesDialog() {
+        // Muestras: la columna de nota (o de socio) de las filas de la vista previa
+        const preview = this.lastPreview;
+        const samples = [];
+        if (preview) {
+            const columns = preview.mapping.columns;
+            const column = Number.isInteger(columns.nota) ? columns.nota : columns.socio;
+            preview.lines.slice(preview.mapping.hasHeader ? 1 : 0).forEach(({ fields }) => {
+                if (Number.isInteger(column) && fields[column]) samples.push(fields[column]);
+            });
+        }
+
+        this.ui.showMemberRulesDialog({
+            config: this.getMemberRules() || MemberExtractor.getDefaultConfig(),
+            defaultConfig: MemberExtractor.getDefaultConfig(),
+            samples: samples,
+            onApply: (config) => {
+                this.settings.set('memberRules', config);
+                this.csvParser.setMemberRules(config);
+                this.ui.showNotification('Reglas de socio guardadas', 'success', 2000);
+                if (this.pendingFile) {
+                    this.updateFilePreview();
+                }
+            }
+        });
+    }
+
+    /**
+     * Abre el editor de tramos de permisos; al guardarlos se reclasifica la sesión
+     */
+    openPassTiersDialog() {
+        this.ui.showPassTiersDialog({
+            config: { tiers: this.passTiers.tiers },
+            defaultConfig: PassTiers.getDefaultConfig(),
+            onApply: (config) => {
+                this.settings.set('passTiers', config);
+                this.passTiers = new PassTiers(config);
+                this.ui.passTiers = this.passTiers;
+                this.ui.renderTierFilter(this.passTiers);
+                this.ui.showNotification('Tramos de permisos guardados', 'success', 2000);
+                if (this.currentData) {
+                    this.refreshSession();
+                }
+            }
+        });
+    }
+
+    /**
+     * Abre el editor del calendario de temporadas; al guardarlo se reclasifica la sesión
+     */
+    openSeasonCalendarDialog() {
+        this.ui.showSeasonCalendarDialog({
+            config: { seasons: this.seasonCalendar.seasons },
+            defaultConfig: SeasonCalendar.getDefaultConfig(),
+            onApply: (config) => {
+                this.settings.set('seasonCalendar', config);
+                this.seasonCalendar = new SeasonCalendar(config);
+                this.ui.seasonCalendar = this.seasonCalendar;
+                this.ui.renderSeasonFilter(this.seasonCalendar);
+                this.ui.showNotification('Calendario de temporadas guardado', 'success', 2000);
+                if (this.currentData) {
+                    this.refreshSession();
                 }
-            } else {
-                this.ui.showNotification(`Archivo procesado exitosamente: ${parseResult.validRecords} registros`, 'success');
             }
+        });
+    }
 
-            // Analizar datos con la nueva estructura
-            this.analyzeData(parseResult.data);
+    /**
+     * Abre el editor de reglas de puntuación y vuelve a puntuar la tabla al guardarlas
+     */
+    openAbuseRulesDialog() {
+        this.ui.showAbuseRulesDialog({
+            config: { rules: this.abuseScorer.rules },
+            defaultConfig: AbuseScorer.getDefaultConfig(),
+            onApply: (config) => {
+                this.settings.set('abuseRules', config);
+                this.abuseScorer = new AbuseScorer(config);
+                this.ui.showNotification('Reglas de puntuación guardadas', 'success', 2000);
+                this.applyCurrentFilters();
+            }
+        });
+    }
+
+    /**
+     * Muestra las matrículas parecidas y vuelve a analizar si se cambia la unificación
+     */
+    openPlateVariantsDialog() {
+        this.ui.showPlateVariantsDialog({
+            groups: this.plateGroups,
+            merged: this.settings.get('mergePlateVariants', false),
+            onToggleMerge: (merged) => {
+                this.settings.set('mergePlateVariants', merged);
+                this.ui.showNotification(merged
+                    ? 'Matrículas parecidas unificadas en el análisis'
+                    : 'Matrículas parecidas separadas de nuevo', 'success', 2000);
+                if (this.currentData) {
+                    this.refreshSession();
+                }
+            }
+        });
+    }
+
+    /**
+     * Descarta el archivo pendiente de confirmar
+     */
+    discardFilePreview() {
+        this.pendingFile = null;
+        this.pendingMapping = null;
+        this.pendingWorkbook = null;
+        this.ui.hideFilePreview();
+
+        const fileInfo = document.getElementById('fileInfo');
+        if (fileInfo) fileInfo.style.display = 'none';
+
+        this.processNextQueuedFile();
+    }
+
+    /**
+     * Procesa un archivo completo y lanza el análisis
+     * @param {File} file - Archivo a procesar
+     * @param {Object} options - Opciones de lectura
+     * @param {string} options.encoding - Codificación del archivo o 'auto'
+     * @param {string} options.delimiter - Separador de campos o 'auto'
+     * @param {Object} options.mapping - Mapeo de columnas del archivo
+     */
+    async processFile(file, { encoding = 'auto', delimiter = 'auto', mapping = null } = {}) {
+        try {
+            this.ui.showNotification('Procesando archivo CSV...', 'info');
+            this.ui.showUploadProgress(0, file.size);
             
+            // Procesar archivo por trozos en segundo plano (sin límite de tamaño)
+            const parseResult = await this.fileLoader.load(file, {
+                encoding: encoding,
+                delimiter: delimiter,
+                mapping: mapping,
+                memberRules: this.getMemberRules(),
+                missingDatePolicy: this.getMissingDatePolicy(),
+                onProgress: (loaded, total) => this.ui.showUploadProgress(loaded, total)
+            });
+            this.ui.hideUploadProgress();
+            this.handleParseResult(parseResult, parseResult.encoding, file.name, {
+                file: file,
+                encoding: parseResult.encoding,
+                delimiter: parseResult.delimiter,
+                mapping: mapping,
+                memberRules: this.getMemberRules(),
+                missingDatePolicy: this.getMissingDatePolicy()
+            });
         } catch (error) {
+            this.ui.hideUploadProgress();
+
+            if (error.cancelled) {
+                // Cancelar también los archivos que esperaban en cola
+                const discarded = this.fileQueue.length;
+                this.fileQueue = [];
+                this.batchOptions = null;
+                this.ui.showNotification(discarded > 0
+                    ? `Carga cancelada (${discarded} archivo(s) en cola descartados)`
+                    : 'Carga del archivo cancelada', 'info', 3000);
+                return;
+            }
+
             console.error('Error procesando archivo:', error);
             this.ui.showNotification(`Error procesando archivo: ${error.message}`, 'error');
         }
     }
 
+    /**
+     * Lee una hoja de cálculo de la cola y procesa su primera hoja con datos
+     * @param {File} file - Archivo .xlsx u .ods
+     * @param {Object} mapping - Mapeo de columnas a aplicar
+     */
+    async processSpreadsheetFile(file, mapping) {
+        try {
+            const workbook = await this.spreadsheetReader.read(file);
+            const sheet = workbook.sheets.find(s => s.rows.some(row => row.some(cell => cell !== '')));
+            if (!sheet) {
+                throw new Error('no contiene ninguna hoja con datos');
+            }
+            this.processSheet(file.name, sheet, mapping);
+        } catch (error) {
+            console.error('Error leyendo hoja de cálculo:', error);
+            this.ui.showNotification(`Error leyendo "${file.name}": ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Procesa una hoja de cálculo completa y lanza el análisis
+     * @param {string} fileName - Nombre del archivo de origen
+     * @param {Object} sheet - Hoja ({ name, rows })
+     * @param {Object} mapping - Mapeo de columnas de la hoja
+     */
+    processSheet(fileName, sheet, mapping) {
+        try {
+            const memberRules = this.getMemberRules();
+            const missingDatePolicy = this.getMissingDatePolicy();
+            const parser = new CSVParser({ mapping, memberRules, missingDatePolicy });
+            this.handleParseResult(parser.parseRows(sheet.rows), `hoja "${sheet.name}"`, fileName, {
+                sheet: sheet,
+                delimiter: ';',
+                mapping: mapping,
+                memberRules: memberRules,
+                missingDatePolicy: missingDatePolicy
+            });
+        } catch (error) {
+            console.error('Error procesando hoja de cálculo:', error);
+            this.ui.showNotification(`Error procesando la hoja "${sheet.name}": ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Muestra el resumen del parsing, añade los registros a la sesión y la vuelve a analizar
+     * @param {Object} parseResult - Resultado de CSVParser (data, errors, totalLines, validRecords)
+     * @param {string} source - Descripción del origen para el aviso (codificación u hoja)
+     * @param {string} fileName - Nombre del archivo de origen
+     * @param {Object} origin - Cómo se ha leído el archivo, para revisar sus errores
+     */
+    handleParseResult(parseResult, source, fileName, origin) {
+        // Mostrar estadísticas de parsing
+        if (parseResult.errors.length > 0) {
+            const errorMsg = `Archivo procesado con ${parseResult.errors.length} errores. ${parseResult.validRecords} registros válidos de ${parseResult.totalLines} líneas.`;
+            this.ui.showNotification(errorMsg, 'warning', 8000);
+        } else {
+            this.ui.showNotification(`Archivo procesado exitosamente: ${parseResult.validRecords} registros (${source})`, 'success');
+        }
+
+        const summary = this.session.addFile(fileName, parseResult.data, { ...parseResult, origin });
+        if (summary.duplicates > 0) {
+            this.ui.showNotification(
+                `${summary.duplicates} registro(s) de "${summary.name}" ya estaban en otro archivo de la sesión y no se han vuelto a contar`,
+                'warning', 8000
+            );
+        }
+
+        const sinFecha = parseResult.data.filter(record => record.estadoFecha === 'desconocida').length;
+        const estimadas = parseResult.data.filter(record => record.estadoFecha === 'estimada').length;
+        if (sinFecha > 0 || estimadas > 0) {
+            const partes = [];
+            if (sinFecha > 0) partes.push(`${sinFecha} con fecha de inicio desconocida`);
+            if (estimadas > 0) partes.push(`${estimadas} con fecha de inicio estimada`);
+            this.ui.showNotification(`"${summary.name}": ${partes.join(' y ')} (filtro "Fecha de inicio")`, 'warning', 8000);
+        }
+
+        this.refreshSession();
+
+        // Abrir la revisión de errores si hay muchos (salvo al analizar varios archivos seguidos)
+        if (parseResult.errors.length > 5 && !this.batchOptions) {
+            this.openErrorWorkbench(summary.name);
+        }
+    }
+
+    /**
+     * Actualiza la lista de archivos y el filtro de origen, y vuelve a analizar
+     * todos los registros de la sesión
+     */
+    refreshSession() {
+        const files = this.session.getFiles();
+        this.ui.renderSessionFiles(files, this.getSessionFileActions());
+        this.ui.renderSourceFileFilter(files);
+
+        if (this.session.getRecords().length > 0) {
+            this.analyzeData(this.session.getRecords());
+            return;
+        }
+
+        // Sesión vacía: volver a la pantalla de carga
+        this.currentData = null;
+        this.dataAnalyzer = new DataAnalyzer();
+        this.ui.toggleSection('summarySection', false);
+        this.ui.toggleSection('filtersSection', false);
+        this.ui.toggleSection('resultsSection', false);
+        this.showUploadSection();
+
+        const fileInfo = document.getElementById('fileInfo');
+        if (fileInfo) fileInfo.style.display = 'none';
+    }
+
+    /**
+     * Quita un archivo de la sesión
+     * @param {string} name - Nombre del archivo en la sesión
+     */
+    removeSessionFile(name) {
+        this.session.removeFile(name);
+        this.ui.showNotification(`Archivo "${name}" quitado del análisis`, 'info', 3000);
+        this.refreshSession();
+    }
+
+    /**
+     * Descarta todos los archivos cargados y vuelve a la pantalla de carga
+     */
+    startNewSession() {
+        this.session.clear();
+        this.fileQueue = [];
+        this.batchOptions = null;
+        this.clusterFilter = null;
+        this.refreshSession();
+    }
+
+    /**
+     * Vuelve a mostrar la zona de carga, oculta tras el primer análisis
+     */
+    showUploadSection() {
+        const uploadSection = document.querySelector('.upload-section');
+        if (uploadSection) {
+            uploadSection.style.display = '';
+            uploadSection.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Traduce los filtros de la UI a predicados de DataAnalyzer.query; 'all' no filtra
+     * @param {Object} filters - Filtros actuales (ver getCurrentFilters)
+     * @returns {Array} Predicados
+     */
+    buildFilterPredicates(filters) {
+        const predicates = [];
+        const active = value => value && value !== 'all';
+
+        if (filters.dateFrom || filters.dateTo) {
+            predicates.push(DataAnalyzer.byDateRange(filters.dateFrom, filters.dateTo));
+        }
+        if (active(filters.season)) predicates.push(DataAnalyzer.bySeason(filters.season));
+        if (active(filters.sourceFile)) predicates.push(DataAnalyzer.bySourceFile(filters.sourceFile));
+        if (active(filters.plateCategory)) predicates.push(DataAnalyzer.byPlateCategory(filters.plateCategory));
+        if (active(filters.dateStatus)) predicates.push(DataAnalyzer.byDateStatus(filters.dateStatus));
+        if (active(filters.tier)) predicates.push(DataAnalyzer.byTier(filters.tier));
+        if (active(filters.user)) predicates.push(DataAnalyzer.byUser(filters.user));
+        if (filters.nameSearch) predicates.push(DataAnalyzer.byText(filters.nameSearch));
+        if (filters.cluster) predicates.push(DataAnalyzer.bySocios(filters.cluster.keys));
+
+        return predicates;
+    }
+
     /**
      * Muestra información del archivo seleccionado
      * @param {File} file - Archivo
@@ -161,41 +858,226 @@ class SalionsApp {
     }
 
     /**
-     * Muestra detalles de errores en un modal
-     * @param {Array} errors - Lista de errores
-     */
-    showErrorDetails(errors) {
-        const errorList = errors.slice(0, 20).map(error => 
-            `<div class="error-item">
-                <strong>Línea ${error.line}:</strong> ${error.error}
-                <br><small>${error.data}</small>
-            </div>`
-        ).join('');
-
-        const moreErrors = errors.length > 20 ? `<p><em>... y ${errors.length - 20} errores más</em></p>` : '';
-
-        const content = `
-            <div style="max-height: 400px; overflow-y: auto;">
-                <p>Se encontraron ${errors.length} errores durante el procesamiento:</p>
-                ${errorList}
-                ${moreErrors}
-            </div>
-            <style>
-                .error-item {
-                    padding: 0.5rem;
-                    margin: 0.5rem 0;
-                    background: #fef2f2;
-                    border-left: 3px solid #dc2626;
-                    border-radius: 0.25rem;
+     * Abre la revisión de errores de un archivo de la sesión: permite filtrarlos por
+     * tipo, corregir cada línea, revalidarla y descargar el archivo corregido
+     * @param {string} name - Nombre del archivo en la sesión
+     */
+    openErrorWorkbench(name) {
+        const summary = this.session.getFile(name);
+        if (!summary || summary.errorList.length === 0) return;
+
+        let changed = false;
+        this.ui.showErrorWorkbench({
+            file: summary,
+            columnLabels: this.getColumnLabels(summary.origin.mapping, summary.errorList),
+            onRepair: (error, fields) => {
+                const result = this.createOriginParser(summary.origin).validateRow(fields, error.line);
+                this.session.repairLine(name, error, fields, result);
+                changed = changed || !!result.record;
+                return result;
+            },
+            onDownload: () => this.downloadCorrectedFile(name),
+            onClose: () => {
+                // Volver a analizar una sola vez, al cerrar, con las líneas reparadas
+                if (changed) this.refreshSession();
+                else this.ui.renderSessionFiles(this.session.getFiles(), this.getSessionFileActions());
+            }
+        });
+    }
+
+    /**
+     * Crea un parser con la misma configuración con la que se leyó un archivo
+     * @param {Object} origin - Origen del archivo ({ delimiter, mapping, memberRules, missingDatePolicy })
+     * @returns {CSVParser} Parser configurado
+     */
+    createOriginParser(origin) {
+        const parser = new CSVParser({
+            mapping: origin.mapping,
+            delimiter: origin.delimiter,
+            memberRules: origin.memberRules,
+            missingDatePolicy: origin.missingDatePolicy
+        });
+        parser.delimiter = origin.delimiter;
+        return parser;
+    }
+
+    /**
+     * Nombres de las columnas para editar las líneas con error
+     * @param {Object} mapping - Mapeo de columnas del archivo
+     * @param {Array} errors - Errores con los campos de cada línea
+     * @returns {Array} Nombre de cada columna
+     */
+    getColumnLabels(mapping, errors) {
+        const mapped = mapping || CSVParser.getDefaultMapping();
+        const count = Math.max(
+            ...Object.values(mapped.columns).map(index => index + 1),
+            ...errors.map(error => (error.fields || []).length)
+        );
+
+        return Array.from({ length: count }, (_, i) => {
+            const field = CSVParser.getMappingFields().find(f => mapped.columns[f.key] === i);
+            return field ? field.label : `Columna ${i + 1}`;
+        });
+    }
+
+    /**
+     * Descarga el archivo original con las líneas corregidas
+     * @param {string} name - Nombre del archivo en la sesión
+     */
+    async downloadCorrectedFile(name) {
+        const summary = this.session.getFile(name);
+        if (!summary) return;
+
+        try {
+            const { origin } = summary;
+            const content = origin.sheet
+                ? CSVParser.rewriteRows(origin.sheet.rows, summary.repairs, origin.delimiter)
+                : await this.createOriginParser(origin).rewriteFile(origin.file, {
+                    encoding: origin.encoding,
+                    delimiter: origin.delimiter,
+                    replacements: summary.repairs
+                });
+
+            const filename = `${name.replace(/\.(csv|xlsx|ods)$/i, '')}-corregido.csv`;
+            this.ui.downloadFile(content, filename);
+            this.ui.showNotification(`Archivo corregido descargado: ${filename}`, 'success');
+        } catch (error) {
+            console.error('Error generando el archivo corregido:', error);
+            this.ui.showNotification(`Error generando el archivo corregido: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Acciones de la lista de archivos de la sesión
+     * @returns {Object} Callbacks ({ onRemove, onReviewErrors, onCompare })
+     */
+    getSessionFileActions() {
+        return {
+            onRemove: (name) => this.removeSessionFile(name),
+            onReviewErrors: (name) => this.openErrorWorkbench(name),
+            onCompare: (name) => this.selectPreviousExport(name)
+        };
+    }
+
+    /**
+     * Pide la exportación anterior de un archivo de la sesión para ver qué ha cambiado
+     * @param {string} name - Nombre del archivo (la exportación nueva) en la sesión
+     */
+    selectPreviousExport(name) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.xlsx,.ods';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.compareWithPreviousExport(name, input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    /**
+     * Lee la exportación anterior con la misma configuración que el archivo de la sesión
+     * (columnas, reglas de socio y política sin fecha), sin añadirla al análisis, y
+     * muestra los cambios respecto a él. Los CSV se leen en segundo plano con FileLoader,
+     * con la barra de progreso y el botón de cancelar de la zona de carga
+     * @param {string} name - Nombre del archivo (la exportación nueva) en la sesión
+     * @param {File} file - Exportación anterior
+     */
+    async compareWithPreviousExport(name, file) {
+        const summary = this.session.getFile(name);
+        if (!summary) return;
+
+        if (!SpreadsheetReader.isSpreadsheet(file) && !file.name.toLowerCase().endsWith('.csv')) {
+            this.ui.showNotification(`"${file.name}" no es un archivo CSV, Excel (.xlsx) u OpenDocument (.ods)`, 'error');
+            return;
+        }
+
+        // FileLoader solo lee un archivo a la vez: no interrumpir una carga en curso
+        if (this.pendingFile || this.isProcessing) {
+            this.ui.showNotification('Termina la carga de archivos en curso antes de comparar exportaciones', 'warning');
+            return;
+        }
+
+        const origin = {
+            mapping: null,
+            memberRules: this.getMemberRules(),
+            missingDatePolicy: this.getMissingDatePolicy(),
+            ...summary.origin,
+            delimiter: 'auto'
+        };
+
+        try {
+            this.ui.showNotification(`Leyendo "${file.name}"...`, 'info', 2000);
+
+            let parseResult;
+            if (SpreadsheetReader.isSpreadsheet(file)) {
+                const workbook = await this.spreadsheetReader.read(file);
+                const sheet = workbook.sheets.find(s => s.rows.some(row => row.some(cell => cell !== '')));
+                if (!sheet) {
+                    throw new Error('no contiene ninguna hoja con datos');
                 }
-                .error-item small {
-                    color: #6b7280;
-                    font-family: monospace;
+                parseResult = this.createOriginParser(origin).parseRows(sheet.rows);
+            } else {
+                // La barra de progreso está en la zona de carga, oculta tras el primer análisis
+                this.isProcessing = true;
+                this.showUploadSection();
+                this.ui.showUploadProgress(0, file.size);
+                try {
+                    parseResult = await this.fileLoader.load(file, {
+                        delimiter: 'auto',
+                        mapping: origin.mapping,
+                        memberRules: origin.memberRules,
+                        missingDatePolicy: origin.missingDatePolicy,
+                        onProgress: (loaded, total) => this.ui.showUploadProgress(loaded, total)
+                    });
+                } finally {
+                    this.ui.hideUploadProgress();
+                    this.isProcessing = false;
+                    // Analizar los archivos que se hayan soltado mientras tanto, o volver a ocultar la zona de carga
+                    this.processNextQueuedFile();
                 }
-            </style>
-        `;
+            }
 
-        this.ui.showModal('Errores de procesamiento', content);
+            // Las matrículas con formato no válido se señalan como error pero sí se comparan
+            const rechazadas = parseResult.totalLines - parseResult.validRecords;
+            if (rechazadas > 0) {
+                this.ui.showNotification(`"${file.name}": ${rechazadas} línea(s) con error no entran en la comparación`, 'warning', 6000);
+            }
+            if (summary.duplicates > 0) {
+                this.ui.showNotification(
+                    `${summary.duplicates} registro(s) de "${name}" repetidos en otro archivo de la sesión no entran en la comparación`,
+                    'warning', 6000
+                );
+            }
+
+            const actuales = this.session.getRecords().filter(record => record.sourceFile === name);
+            const informe = ExportDiff.compare(parseResult.data, actuales);
+            this.ui.showExportDiffDialog({
+                informe: informe,
+                anterior: file.name,
+                actual: name,
+                onExport: () => this.exportDiff(informe)
+            });
+        } catch (error) {
+            if (error.cancelled) {
+                this.ui.showNotification('Comparación cancelada', 'info', 3000);
+                return;
+            }
+
+            console.error('Error comparando exportaciones:', error);
+            this.ui.showNotification(`Error comparando con "${file.name}": ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Descarga el informe de cambios entre dos exportaciones en CSV
+     * @param {Object} informe - Informe (ver ExportDiff.compare)
+     */
+    exportDiff(informe) {
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '_');
+        const filename = `salions_cambios_${timestamp}.csv`;
+        this.ui.downloadFile(ExportDiff.toCSV(informe), filename);
+        this.ui.showNotification(`Archivo exportado: ${filename}`, 'success');
     }
 
     /**
@@ -204,7 +1086,18 @@ class SalionsApp {
      */
     analyzeData(data) {
         try {
-            // Crear analizador con los datos
+            // Agrupar matrículas casi iguales y, si se ha pedido, unificarlas
+            const mergeVariants = this.settings.get('mergePlateVariants', false);
+            PlateMatcher.restore(data);
+            this.plateGroups = this.plateMatcher.findGroups(data);
+            if (mergeVariants) {
+                PlateMatcher.merge(data, this.plateGroups);
+            }
+            this.ui.renderPlateVariantsCount(this.plateGroups.length, mergeVariants);
+
+            // Clasificar los permisos en tramos y temporadas y crear analizador con los datos
+            this.passTiers.apply(data);
+            this.seasonCalendar.apply(data);
             this.dataAnalyzer = new DataAnalyzer(data);
             this.currentData = data;
 
@@ -216,9 +1109,13 @@ class SalionsApp {
             
             // Inicializar fechas por defecto
             this.initializeDateFilters();
+            this.initializeComparison();
             
             // Actualizar UI
             this.ui.updateSummaryCards(stats);
+            this.renderPeriodCharts();
+            this.ui.renderSummaryHeatmap(data, (fecha) => this.filterByPeriod({ desde: fecha, hasta: fecha }));
+            this.ui.renderUserFilter(stats.usuariosRegistradores);
             this.showAnalysisSection();
             
             // Aplicar filtros iniciales (mostrar todos)
@@ -232,6 +1129,44 @@ class SalionsApp {
         }
     }
 
+    /**
+     * Configura el selector de periodo de los gráficos del resumen
+     */
+    setupCharts() {
+        document.getElementById('chartPeriod')?.addEventListener('change', () => {
+            this.renderPeriodCharts();
+        });
+    }
+
+    /**
+     * Dibuja los gráficos de altas con el periodo elegido
+     */
+    renderPeriodCharts() {
+        if (!this.currentData) return;
+
+        const select = document.getElementById('chartPeriod');
+        const periodo = select ? select.value : 'mes';
+        this.ui.renderPeriodCharts(this.dataAnalyzer.getStatsByPeriod(periodo, { incluirVacios: true }), periodo, {
+            onSelect: (bucket) => this.filterByPeriod(bucket)
+        });
+    }
+
+    /**
+     * Pone en los filtros de fecha las de un periodo de los gráficos o un día del calendario
+     * @param {Object} bucket - Periodo ({ desde, hasta })
+     */
+    filterByPeriod(bucket) {
+        const dateFrom = document.getElementById('dateFrom');
+        const dateTo = document.getElementById('dateTo');
+        if (!dateFrom || !dateTo) return;
+
+        dateFrom.value = this.formatDateInput(bucket.desde);
+        dateTo.value = this.formatDateInput(bucket.hasta);
+        document.querySelectorAll('.btn-date-quick').forEach(btn => btn.classList.remove('active'));
+        this.applyCurrentFilters();
+        document.getElementById('filtersSection')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
     /**
      * Muestra las secciones de análisis
      */
@@ -251,12 +1186,29 @@ class SalionsApp {
             this.resetFilters();
         });
 
+        document.getElementById('editPassTiers')?.addEventListener('click', () => {
+            this.openPassTiersDialog();
+        });
+
+        document.getElementById('editSeasonCalendar')?.addEventListener('click', () => {
+            this.openSeasonCalendarDialog();
+        });
+
+        document.getElementById('editAbuseRules')?.addEventListener('click', () => {
+            this.openAbuseRulesDialog();
+        });
+
         // Aplicar filtros en tiempo real con debounce
         const nameFilter = document.getElementById('nameFilter');
         const platesThreshold = document.getElementById('platesThreshold');
         const dateFrom = document.getElementById('dateFrom');
         const dateTo = document.getElementById('dateTo');
         const seasonFilter = document.getElementById('seasonFilter');
+        const sourceFileFilter = document.getElementById('sourceFileFilter');
+        const plateCategoryFilter = document.getElementById('plateCategoryFilter');
+        const dateStatusFilter = document.getElementById('dateStatusFilter');
+        const tierFilter = document.getElementById('tierFilter');
+        const userFilter = document.getElementById('userFilter');
 
         // Debounce para el filtro de texto
         let nameFilterTimeout;
@@ -266,7 +1218,7 @@ class SalionsApp {
         });
 
         // Eventos inmediatos para otros filtros
-        [platesThreshold, dateFrom, dateTo, seasonFilter].forEach(input => {
+        [platesThreshold, dateFrom, dateTo, seasonFilter, sourceFileFilter, plateCategoryFilter, dateStatusFilter, tierFilter, userFilter].forEach(input => {
             if (input) {
                 input.addEventListener('change', () => {
                         this.applyCurrentFilters();
@@ -276,6 +1228,39 @@ class SalionsApp {
 
         // Configurar botones de acceso rápido para fechas
         this.setupDateQuickButtons();
+
+        // Fecha de referencia: mueve el "hoy" de los rangos rápidos y del estado activo
+        const referenceDate = document.getElementById('referenceDate');
+        referenceDate?.addEventListener('change', () => {
+            this.onReferenceDateChange();
+        });
+        document.getElementById('referenceDateToday')?.addEventListener('click', () => {
+            if (referenceDate) referenceDate.value = '';
+            this.onReferenceDateChange();
+        });
+    }
+
+    /**
+     * Recalcula el rango rápido seleccionado (últimos N días, todo) a partir de la nueva
+     * fecha de referencia y vuelve a aplicar los filtros. Un rango escrito a mano se mantiene
+     */
+    onReferenceDateChange() {
+        const activeButton = document.querySelector('.btn-date-quick.active');
+        if (activeButton) {
+            this.setDateRange(activeButton.dataset.days);
+        }
+        this.applyCurrentFilters();
+    }
+
+    /**
+     * Obtiene la fecha de referencia del análisis ("a día de"): la elegida en el filtro o,
+     * si no hay ninguna, hoy
+     * @param {boolean} endOfDay - True para las 23:59:59.999 de ese día
+     * @returns {Date} Fecha de referencia en hora local
+     */
+    getReferenceDate(endOfDay = false) {
+        const referenceDate = document.getElementById('referenceDate');
+        return this.parseDateInput(referenceDate?.value || this.formatDateInput(new Date()), endOfDay);
     }
 
     /**
@@ -313,7 +1298,8 @@ class SalionsApp {
 
     /**
      * Establece el rango de fechas basado en los días especificados
-     * @param {string|number} days - Número de días hacia atrás desde hoy, o 'all' para todo el rango
+     * @param {string|number} days - Número de días hacia atrás desde la fecha de referencia,
+     *        o 'all' para todo el rango
      */
     setDateRange(days) {
         const dateFrom = document.getElementById('dateFrom');
@@ -321,10 +1307,8 @@ class SalionsApp {
         
         if (!dateFrom || !dateTo) return;
 
-        const today = new Date();
-        const todayStr = today.toISOString().split('T')[0];
-        
-        dateTo.value = todayStr;
+        const reference = this.getReferenceDate();
+        dateTo.value = this.formatDateInput(reference);
 
         if (days === 'all') {
             // Establecer la fecha mínima disponible en los datos
@@ -332,9 +1316,9 @@ class SalionsApp {
             dateFrom.value = minDate;
         } else {
             // Calcular fecha hacia atrás
-            const daysNum = parseInt(days);
-            const fromDate = new Date(today.getTime() - (daysNum * 24 * 60 * 60 * 1000));
-            dateFrom.value = fromDate.toISOString().split('T')[0];
+            const fromDate = new Date(reference);
+            fromDate.setDate(fromDate.getDate() - parseInt(days));
+            dateFrom.value = this.formatDateInput(fromDate);
         }
     }
 
@@ -348,7 +1332,7 @@ class SalionsApp {
             return '1970-01-01';
         }
 
-        let minDate = new Date();
+        let minDate = this.getReferenceDate();
         
         this.currentData.forEach(record => {
             if (record.fechaInicio && record.fechaInicio < minDate) {
@@ -356,7 +1340,7 @@ class SalionsApp {
             }
         });
 
-        return minDate.toISOString().split('T')[0];
+        return this.formatDateInput(minDate);
     }
 
     /**
@@ -367,80 +1351,61 @@ class SalionsApp {
 
         try {
             const filters = this.getCurrentFilters();
-            let filteredData;
-
-            // Obtener datos base
-            let baseData = this.dataAnalyzer.getGroupedBySocio();
-
-            // Aplicar filtros de forma acumulativa
-            if (filters.dateFrom || filters.dateTo) {
-                // Usar filtro de rango de fechas específico
-                baseData = this.dataAnalyzer.filterSociosByDateRange(
-                    filters.minPlates,
-                    filters.dateFrom,
-                    filters.dateTo
-                );
-            } else if (filters.dateRangeDays) {
-                // Usar filtro de días hacia atrás (compatibilidad)
-                baseData = this.dataAnalyzer.filterSociosByMatriculasInPeriod(
-                    filters.minPlates,
-                    filters.dateRangeDays
-                );
+            this.ui.referenceDate = filters.referenceDate;
+            const predicates = this.buildFilterPredicates(filters);
+            let filteredData = this.dataAnalyzer.query(predicates, { minMatriculas: filters.minPlates });
+            this.abuseScorer.apply(filteredData);
+
+            const sospechosos = filteredData.filter(row => row.puntuacion > 0);
+            this.ui.renderResultsViews(this.resultsView, sospechosos.length);
+            if (this.resultsView === 'sospechosos') {
+                filteredData = sospechosos;
             }
 
-            if (filters.season && filters.season !== 'all') {
-                if (filters.dateFrom || filters.dateTo || filters.dateRangeDays) {
-                    // Aplicar filtro de temporada sobre datos ya filtrados
-                    baseData = this.applySeasonFilterToData(baseData, filters.season);
+            let resultCount;
+            if (this.resultsView === 'red') {
+                this.currentClusters = this.dataAnalyzer.findPlateClusters(predicates);
+                this.ui.renderClusters(this.currentClusters, {
+                    onSelect: (cluster) => this.filterByCluster(cluster)
+                });
+                resultCount = this.currentClusters.length;
+            } else if (this.resultsView === 'ocupacion') {
+                const temporaryOnly = document.getElementById('occupancyTemporaryOnly');
+                this.currentOccupancy = this.dataAnalyzer.calculateDailyOccupancy(predicates, this.seasonCalendar);
+                this.ui.renderOccupancy(this.currentOccupancy, {
+                    temporaryOnly: !!(temporaryOnly && temporaryOnly.checked)
+                });
+                resultCount = this.currentOccupancy.dias.length;
+            } else if (this.resultsView === 'comparacion') {
+                const comparacion = this.compareCurrentPeriods(filters);
+                if (comparacion) {
+                    this.ui.renderComparison(comparacion);
+                    resultCount = comparacion.socios.length;
                 } else {
-                    // Aplicar filtro de temporada directamente
-                    baseData = this.dataAnalyzer.filterSociosBySeason(
-                        filters.season,
-                        filters.minPlates
-                    );
+                    // Sin comparación no hay resultados que contar: el panel explica por qué
+                    this.ui.renderComparisonEmpty('Elige los dos periodos que quieres comparar');
+                    resultCount = null;
                 }
-            }
-
-            // Aplicar filtro final de número mínimo de matrículas
-            filteredData = baseData.filter(group => {
-                const totalMatriculas = group.matriculas ? group.matriculas.length : 
-                                      (group.totalMatriculas || 0);
-                return totalMatriculas >= filters.minPlates;
-            }).map(group => ({
-                ...group,
-                matriculasDetalle: group.matriculas || group.matriculasDetalle || []
-            }));
-
-            // Aplicar filtro de búsqueda por nombre o matrícula
-            if (filters.nameSearch) {
-                filteredData = filteredData.filter(group => {
-                    const socioName = (group.socio || '').toLowerCase();
-                    const searchTerm = filters.nameSearch;
-                    
-                    // Buscar en el nombre del socio
-                    if (socioName.includes(searchTerm)) {
-                        return true;
-                    }
-                    
-                    // Buscar en las matrículas del socio
-                    const matriculas = group.matriculasDetalle || group.matriculas || [];
-                    return matriculas.some(matricula => {
-                        const numeroMatricula = (matricula.matricula || '').toLowerCase();
-                        return numeroMatricula.includes(searchTerm);
-                    });
+            } else if (this.resultsView === 'matriculas') {
+                const sharedOnly = document.getElementById('sharedPlatesOnly');
+                const plateRows = this.dataAnalyzer.queryPlates(predicates, {
+                    minSocios: sharedOnly && sharedOnly.checked ? 2 : 1
                 });
+                this.ui.renderPlatesTable(plateRows);
+                resultCount = plateRows.length;
+            } else {
+                this.ui.renderTable(filteredData);
+                resultCount = filteredData.length;
             }
             
-            this.ui.renderTable(filteredData);
-            
             // Actualizar descripción de filtros
             this.updateFiltersDescription(filters);
             
             // Mostrar mensaje si no hay resultados
-            if (filteredData.length === 0) {
+            if (resultCount === 0) {
                 this.ui.showNotification('No se encontraron resultados con los filtros aplicados', 'warning');
-            } else {
-                const message = `Mostrando ${filteredData.length} resultado(s) con los filtros aplicados`;
+            } else if (resultCount !== null) {
+                const message = `Mostrando ${resultCount} resultado(s) con los filtros aplicados`;
                 this.ui.showNotification(message, 'info', 3000);
             }
             
@@ -460,19 +1425,23 @@ class SalionsApp {
         const dateFrom = document.getElementById('dateFrom');
         const dateTo = document.getElementById('dateTo');
         const seasonFilter = document.getElementById('seasonFilter');
+        const sourceFileFilter = document.getElementById('sourceFileFilter');
+        const plateCategoryFilter = document.getElementById('plateCategoryFilter');
+        const dateStatusFilter = document.getElementById('dateStatusFilter');
+        const tierFilter = document.getElementById('tierFilter');
+        const userFilter = document.getElementById('userFilter');
 
         // Calcular dateRangeDays si hay fechas específicas
         let dateRangeDays = null;
         if (dateFrom?.value && dateTo?.value) {
-            const fromDate = new Date(dateFrom.value);
-            const toDate = new Date(dateTo.value);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const fromDate = this.parseDateInput(dateFrom.value);
+            const toDate = this.parseDateInput(dateTo.value);
+            const reference = this.getReferenceDate();
             
-            // Si la fecha "hasta" es hoy, calcular días desde "desde"
-            if (toDate.toDateString() === today.toDateString()) {
-                const diffTime = today.getTime() - fromDate.getTime();
-                dateRangeDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+            // Si la fecha "hasta" es la de referencia, calcular días desde "desde"
+            if (toDate.toDateString() === reference.toDateString()) {
+                const diffTime = reference.getTime() - fromDate.getTime();
+                dateRangeDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
             }
         }
 
@@ -480,12 +1449,42 @@ class SalionsApp {
             nameSearch: nameFilter ? nameFilter.value.toLowerCase().trim() : '',
             minPlates: platesThreshold ? parseInt(platesThreshold.value) || 1 : 1,
             dateRangeDays: dateRangeDays,
-            dateFrom: dateFrom?.value ? new Date(dateFrom.value) : null,
-            dateTo: dateTo?.value ? new Date(dateTo.value) : null,
-            season: seasonFilter ? seasonFilter.value : 'all'
+            dateFrom: dateFrom?.value ? this.parseDateInput(dateFrom.value) : null,
+            dateTo: dateTo?.value ? this.parseDateInput(dateTo.value, true) : null,
+            season: seasonFilter ? seasonFilter.value : 'all',
+            sourceFile: sourceFileFilter ? sourceFileFilter.value : 'all',
+            plateCategory: plateCategoryFilter ? plateCategoryFilter.value : 'all',
+            dateStatus: dateStatusFilter ? dateStatusFilter.value : 'all',
+            tier: tierFilter ? tierFilter.value : 'all',
+            user: userFilter ? userFilter.value : 'all',
+            cluster: this.clusterFilter,
+            referenceDate: this.getReferenceDate(true)
         };
     }
 
+    /**
+     * Convierte el valor de un campo de fecha (YYYY-MM-DD) al inicio o al final de
+     * ese día en hora local, para incluir las altas de cualquier hora del día
+     * @param {string} value - Valor del campo
+     * @param {boolean} endOfDay - True para las 23:59:59.999
+     * @returns {Date} Fecha local
+     */
+    parseDateInput(value, endOfDay = false) {
+        const [year, month, day] = value.split('-').map(Number);
+        return endOfDay
+            ? new Date(year, month - 1, day, 23, 59, 59, 999)
+            : new Date(year, month - 1, day);
+    }
+
+    /**
+     * Formatea una fecha para un input de tipo date (YYYY-MM-DD, en hora local)
+     * @param {Date} date - Fecha
+     * @returns {string} Valor del input
+     */
+    formatDateInput(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
     /**
      * Resetea todos los filtros
      */
@@ -495,10 +1494,21 @@ class SalionsApp {
         const dateFrom = document.getElementById('dateFrom');
         const dateTo = document.getElementById('dateTo');
         const seasonFilter = document.getElementById('seasonFilter');
+        const sourceFileFilter = document.getElementById('sourceFileFilter');
+        const plateCategoryFilter = document.getElementById('plateCategoryFilter');
+        const dateStatusFilter = document.getElementById('dateStatusFilter');
+        const tierFilter = document.getElementById('tierFilter');
+        const userFilter = document.getElementById('userFilter');
 
         if (nameFilter) nameFilter.value = '';
         if (platesThreshold) platesThreshold.value = 5;
         if (seasonFilter) seasonFilter.value = 'all';
+        if (sourceFileFilter) sourceFileFilter.value = 'all';
+        if (plateCategoryFilter) plateCategoryFilter.value = 'all';
+        if (dateStatusFilter) dateStatusFilter.value = 'all';
+        if (tierFilter) tierFilter.value = 'all';
+        if (userFilter) userFilter.value = 'all';
+        this.clusterFilter = null;
 
         // Resetear fechas a "todo el rango"
         this.setDateRange('all');
@@ -556,21 +1566,239 @@ class SalionsApp {
 
         // Filtro de temporada
         if (filters.season && filters.season !== 'all') {
-            if (filters.season === 'verano') {
-                description += " en temporada de verano";
-            } else if (filters.season === 'invierno') {
-                description += " en temporada de invierno";
-            }
+            description += ` en temporada de ${filters.season.toLowerCase()}`;
         } else {
-            description += " en temporada de invierno y verano";
+            description += " en todas las temporadas";
         }
 
+        // Filtro de archivo de origen
+        if (filters.sourceFile && filters.sourceFile !== 'all') {
+            description += `, del archivo "${filters.sourceFile}"`;
+        }
+
+        // Filtro de categoría de matrícula
+        if (filters.plateCategory && filters.plateCategory !== 'all') {
+            description += `, solo matrículas de tipo "${PlateValidator.getCategoryLabel(filters.plateCategory)}"`;
+        }
+
+        // Filtro de estado de la fecha de inicio
+        if (filters.dateStatus === 'desconocida') {
+            description += ', solo registros con fecha de inicio desconocida';
+        } else if (filters.dateStatus === 'estimada') {
+            description += ', solo registros con fecha de inicio estimada';
+        } else if (filters.dateStatus === 'conocida') {
+            description += ', solo registros con fecha de inicio conocida';
+        }
+
+        // Filtro de tramo de permiso
+        if (filters.tier && filters.tier !== 'all') {
+            description += `, solo permisos del tramo "${filters.tier}"`;
+        }
+
+        // Filtro de usuario registrador
+        if (filters.user && filters.user !== 'all') {
+            description += `, solo altas registradas por "${filters.user}"`;
+        }
+
+        // Grupo de socios que comparten matrículas
+        if (filters.cluster) {
+            description += `, solo los ${filters.cluster.keys.size} socios del grupo ${filters.cluster.id} de la red de matrículas compartidas`;
+        }
+
+        // Fecha de referencia del estado activo y de los últimos N días
+        const referenceStr = filters.referenceDate.toLocaleDateString('es-ES');
+        description += filters.referenceDate.toDateString() === new Date().toDateString()
+            ? `, a fecha de hoy (${referenceStr})`
+            : `, a fecha de ${referenceStr}`;
+
         description += ".";
 
         filtersDescription.textContent = description;
+        const clearCluster = document.getElementById('clearClusterFilter');
+        if (clearCluster) clearCluster.style.display = filters.cluster ? '' : 'none';
         filtersInfo.style.display = 'block';
     }
 
+    /**
+     * Configura las pestañas de resultados: todos los socios, solo los sospechosos
+     * (ordenados por puntuación), la vista por matrícula o la red de matrículas compartidas
+     */
+    setupResultsViews() {
+        document.getElementById('sharedPlatesOnly')?.addEventListener('change', () => {
+            this.applyCurrentFilters();
+        });
+
+        document.getElementById('plateVariantsButton')?.addEventListener('click', () => {
+            this.openPlateVariantsDialog();
+        });
+
+        document.getElementById('exportClusters')?.addEventListener('click', () => {
+            this.exportClusters();
+        });
+
+        document.getElementById('occupancyTemporaryOnly')?.addEventListener('change', () => {
+            this.applyCurrentFilters();
+        });
+
+        document.getElementById('exportOccupancy')?.addEventListener('click', () => {
+            this.exportOccupancy();
+        });
+
+        // Solo se avisa de que falta un periodo cuando se cambia la comparación, no con cada filtro
+        const runComparison = () => {
+            this.applyCurrentFilters();
+            if (this.currentData && this.resultsView === 'comparacion' && !this.ui.comparison) {
+                this.ui.showNotification('Elige los dos periodos que quieres comparar', 'warning');
+            }
+        };
+        const comparisonMode = document.getElementById('comparisonMode');
+        comparisonMode?.addEventListener('change', () => {
+            document.querySelectorAll('[data-comparison-mode]').forEach(panel => {
+                panel.style.display = panel.dataset.comparisonMode === comparisonMode.value ? '' : 'none';
+            });
+            runComparison();
+        });
+        ['comparisonSeasonA', 'comparisonSeasonB', 'comparisonFromA', 'comparisonToA', 'comparisonFromB', 'comparisonToB'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', runComparison);
+        });
+
+        document.getElementById('clearClusterFilter')?.addEventListener('click', () => {
+            this.clusterFilter = null;
+            this.applyCurrentFilters();
+        });
+
+        document.querySelectorAll('.results-view-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                if (tab.dataset.view === this.resultsView) return;
+                this.resultsView = tab.dataset.view;
+                this.ui.currentSort = this.resultsView === 'sospechosos'
+                    ? { column: 'puntuacion', direction: 'desc' }
+                    : { column: 'totalMatriculas', direction: 'desc' };
+                this.applyCurrentFilters();
+            });
+        });
+    }
+
+    /**
+     * Prepara los periodos de la comparación con los datos cargados. Por defecto compara
+     * la última temporada con la misma del año anterior (o con la anterior si no hay) y
+     * el último año hasta la fecha de referencia con el año previo. Conserva lo elegido
+     * si sigue existiendo
+     */
+    initializeComparison() {
+        const temporadas = this.dataAnalyzer.getSeasonYears();
+        const existe = value => temporadas.some(t => t.temporadaAño === value);
+        const seasonA = document.getElementById('comparisonSeasonA');
+        const seasonB = document.getElementById('comparisonSeasonB');
+
+        const ultima = temporadas[temporadas.length - 1];
+        const anteriores = temporadas.slice(0, -1).reverse();
+        const previa = ultima && (anteriores.find(t => t.temporada === ultima.temporada) || anteriores[0]);
+        this.ui.renderComparisonSeasons(
+            temporadas,
+            seasonA && existe(seasonA.value) ? seasonA.value : previa?.temporadaAño,
+            seasonB && existe(seasonB.value) ? seasonB.value : ultima?.temporadaAño
+        );
+
+        const inputs = ['comparisonFromA', 'comparisonToA', 'comparisonFromB', 'comparisonToB'].map(id => document.getElementById(id));
+        if (inputs.every(input => input && !input.value)) {
+            const reference = this.getReferenceDate();
+            const haceAños = (años, dias = 0) => {
+                const fecha = new Date(reference);
+                fecha.setFullYear(fecha.getFullYear() - años);
+                fecha.setDate(fecha.getDate() + dias);
+                return this.formatDateInput(fecha);
+            };
+            const [fromA, toA, fromB, toB] = inputs;
+            fromA.value = haceAños(2, 1);
+            toA.value = haceAños(1);
+            fromB.value = haceAños(1, 1);
+            toB.value = this.formatDateInput(reference);
+        }
+    }
+
+    /**
+     * Compara los dos periodos elegidos con los filtros actuales, sin el periodo ni la
+     * temporada de los filtros, que son los que cambian entre A y B
+     * @param {Object} filters - Filtros actuales (ver getCurrentFilters)
+     * @returns {Object|null} Comparación (ver DataAnalyzer.comparePeriods), o null si falta
+     *          algún periodo
+     */
+    compareCurrentPeriods(filters) {
+        const valor = id => document.getElementById(id)?.value || '';
+        let periodoA;
+        let periodoB;
+
+        if (valor('comparisonMode') === 'fechas') {
+            const rango = (desde, hasta) => {
+                if (!valor(desde) || !valor(hasta)) return null;
+                const fechaDesde = this.parseDateInput(valor(desde));
+                const fechaHasta = this.parseDateInput(valor(hasta), true);
+                return {
+                    etiqueta: `${fechaDesde.toLocaleDateString('es-ES')} - ${fechaHasta.toLocaleDateString('es-ES')}`,
+                    predicado: DataAnalyzer.byDateRange(fechaDesde, fechaHasta)
+                };
+            };
+            periodoA = rango('comparisonFromA', 'comparisonToA');
+            periodoB = rango('comparisonFromB', 'comparisonToB');
+        } else {
+            const temporada = id => valor(id) ? { etiqueta: valor(id), predicado: DataAnalyzer.bySeasonYear(valor(id)) } : null;
+            periodoA = temporada('comparisonSeasonA');
+            periodoB = temporada('comparisonSeasonB');
+        }
+        if (!periodoA || !periodoB) return null;
+
+        const predicates = this.buildFilterPredicates({ ...filters, dateFrom: null, dateTo: null, season: 'all' });
+        return this.dataAnalyzer.comparePeriods(predicates, periodoA, periodoB, { minMatriculas: filters.minPlates });
+    }
+
+    /**
+     * Muestra en la tabla de socios solo los de un grupo de la red de matrículas
+     * compartidas. Baja el mínimo de matrículas a 1 para no ocultar a ningún miembro
+     * @param {Object} cluster - Grupo (ver DataAnalyzer.findPlateClusters)
+     */
+    filterByCluster(cluster) {
+        this.clusterFilter = { id: cluster.id, keys: new Set(cluster.socios.map(s => s.key)) };
+        this.resultsView = 'socios';
+        this.ui.currentSort = { column: 'totalMatriculas', direction: 'desc' };
+
+        const platesThreshold = document.getElementById('platesThreshold');
+        if (platesThreshold) platesThreshold.value = 1;
+
+        this.applyCurrentFilters();
+    }
+
+    /**
+     * Descarga la ocupación diaria en CSV
+     */
+    exportOccupancy() {
+        if (!this.currentOccupancy || this.currentOccupancy.dias.length === 0) {
+            this.ui.showNotification('No hay ocupación para exportar', 'warning');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '_');
+        const filename = `salions_ocupacion_ref_${this.formatDateInput(this.getReferenceDate())}_${timestamp}.csv`;
+        const tramos = this.passTiers.getAll().map(tier => tier.name);
+        this.ui.downloadFile(this.dataAnalyzer.exportOccupancyToCSV(this.currentOccupancy, tramos), filename);
+        this.ui.showNotification(`Archivo exportado: ${filename}`, 'success');
+    }
+
+    /**
+     * Descarga los grupos de la red de matrículas compartidas en CSV
+     */
+    exportClusters() {
+        if (this.currentClusters.length === 0) {
+            this.ui.showNotification('No hay grupos para exportar', 'warning');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '_');
+        const filename = `salions_grupos_ref_${this.formatDateInput(this.getReferenceDate())}_${timestamp}.csv`;
+        this.ui.downloadFile(this.dataAnalyzer.exportClustersToCSV(this.currentClusters), filename);
+        this.ui.showNotification(`Archivo exportado: ${filename}`, 'success');
+    }
+
     /**
      * Configura la funcionalidad de exportación
      */
@@ -598,9 +1826,10 @@ class SalionsApp {
 
         try {
             const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '_');
-            const filename = `salions_analisis_${timestamp}.csv`;
+            const reference = this.getReferenceDate(true);
+            const filename = `salions_analisis_ref_${this.formatDateInput(reference)}_${timestamp}.csv`;
             
-            this.dataAnalyzer.exportToCSV(this.ui.filteredData, filename);
+            this.ui.downloadFile(this.dataAnalyzer.exportToCSV(this.ui.filteredData, reference), filename);
             this.ui.showNotification(`Archivo exportado: ${filename}`, 'success');
             
         } catch (error) {
@@ -631,6 +1860,7 @@ class SalionsApp {
                     minute: '2-digit'
                 });
                 resultsSection.setAttribute('data-print-date', printDate);
+                resultsSection.setAttribute('data-reference-date', this.getReferenceDate().toLocaleDateString('es-ES'));
             }
             
             // Notificar al usuario
@@ -689,11 +1919,13 @@ class SalionsApp {
         const uploadSection = document.querySelector('.upload-section');
         if (uploadSection) {
             setTimeout(() => {
+                // No ocultar si entretanto se ha abierto la vista previa de otro archivo
+                if (this.pendingFile) return;
                 uploadSection.classList.add('hidden');
                 
                 // Después de la transición, ocultar completamente
                 setTimeout(() => {
-                    uploadSection.style.display = 'none';
+                    if (!this.pendingFile) uploadSection.style.display = 'none';
                 }, 600); // Coincide con la duración de la transición CSS
             }, 200);
         }
@@ -706,120 +1938,6 @@ class SalionsApp {
             }, 300);
         }
     }
-
-    /**
-     * Aplica filtro de tipo de matrícula sobre datos ya filtrados
-     * @param {Array} data - Datos ya filtrados
-     * @param {string} tipo - Tipo de matrícula ('temporal' o 'permanente')
-     * @returns {Array} Datos filtrados
-     */
-    applyMatriculaTypeFilterToData(data, tipo) {
-        return data.map(group => {
-            const matriculasFiltradas = group.matriculas.filter(m => m.tipoMatricula === tipo);
-            
-            if (matriculasFiltradas.length === 0) return null;
-
-            // Recalcular todas las estadísticas para las matrículas filtradas
-            const temporalesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'temporal');
-            const permanentesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'permanente');
-            
-            // Recalcular estadísticas avanzadas
-            const diasPromedio = this.dataAnalyzer.calculateAveragePermitDays(temporalesFiltradas);
-            const frecuencia = this.dataAnalyzer.calculateSeasonalFrequency(matriculasFiltradas);
-            const permisosCortos = this.dataAnalyzer.countShortPermits(matriculasFiltradas);
-            const solapamientos = this.dataAnalyzer.countOverlappingPlates(matriculasFiltradas);
-            const peakData = this.dataAnalyzer.findPeakSimultaneous(matriculasFiltradas);
-
-            return {
-                ...group,
-                matriculas: matriculasFiltradas,
-                matriculasDetalle: matriculasFiltradas,
-                totalMatriculas: matriculasFiltradas.length,
-                temporales: temporalesFiltradas.length,
-                permanentes: permanentesFiltradas.length,
-                diasPromedioPermiso: diasPromedio,
-                frecuenciaEstacional: frecuencia,
-                permisosCortos: permisosCortos,
-                solapamientos: solapamientos,
-                picoSimultaneo: peakData.count,
-                picoDetalle: peakData.details
-            };
-        }).filter(group => group !== null);
-    }
-
-    /**
-     * Aplica filtro de temporada sobre datos ya filtrados
-     * @param {Array} data - Datos ya filtrados
-     * @param {string} season - Temporada ('verano' o 'invierno')
-     * @returns {Array} Datos filtrados
-     */
-    applySeasonFilterToData(data, season) {
-        return data.map(group => {
-            const matriculasFiltradas = group.matriculas.filter(m => {
-                if (!m.fechaInicio) return false;
-                const mes = m.fechaInicio.getMonth() + 1; // 1-12
-                return season === 'verano' ? TEMPORADAS.isVerano(mes) : TEMPORADAS.isInvierno(mes);
-            });
-            
-            if (matriculasFiltradas.length === 0) return null;
-
-            // Recalcular estadísticas básicas
-            const temporalesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'temporal');
-            const permanentesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'permanente');
-
-            // Recalcular estadísticas avanzadas
-            const diasPromedio = this.dataAnalyzer.calculateAveragePermitDays(temporalesFiltradas);
-            
-            // Para frecuencia estacional, cuando ya filtramos por temporada, 
-            // solo mostrar la temporada filtrada
-            const frecuencia = {
-                verano: season === 'verano' ? this.calculateMonthlyFrequency(matriculasFiltradas) : 0,
-                invierno: season === 'invierno' ? this.calculateMonthlyFrequency(matriculasFiltradas) : 0
-            };
-            
-            const permisosCortos = this.dataAnalyzer.countShortPermits(matriculasFiltradas);
-            const solapamientos = this.dataAnalyzer.countOverlappingPlates(matriculasFiltradas);
-            const peakData = this.dataAnalyzer.findPeakSimultaneous(matriculasFiltradas);
-
-            return {
-                ...group,
-                matriculas: matriculasFiltradas,
-                matriculasDetalle: matriculasFiltradas,
-                totalMatriculas: matriculasFiltradas.length,
-                temporales: temporalesFiltradas.length,
-                permanentes: permanentesFiltradas.length,
-                diasPromedioPermiso: diasPromedio,
-                frecuenciaEstacional: frecuencia,
-                permisosCortos: permisosCortos,
-                solapamientos: solapamientos,
-                picoSimultaneo: peakData.count,
-                picoDetalle: peakData.details
-            };
-        }).filter(group => group !== null);
-    }
-
-    /**
-     * Calcula la frecuencia mensual para un conjunto de matrículas
-     * @param {Array} matriculas - Array de matrículas
-     * @returns {number} Promedio mensual
-     */
-    calculateMonthlyFrequency(matriculas) {
-        if (matriculas.length === 0) return 0;
-
-        const registrosPorMes = new Map();
-        
-        matriculas.forEach(m => {
-            if (m.fechaInicio) {
-                const yearMonth = `${m.fechaInicio.getFullYear()}-${m.fechaInicio.getMonth()}`;
-                registrosPorMes.set(yearMonth, (registrosPorMes.get(yearMonth) || 0) + 1);
-            }
-        });
-
-        if (registrosPorMes.size === 0) return 0;
-        
-        const totalRegistros = Array.from(registrosPorMes.values()).reduce((sum, count) => sum + count, 0);
-        return Math.round((totalRegistros / registrosPorMes.size) * 10) / 10;
-    }
 }
 
 // Inicializar la aplicación cuando el DOM esté listo
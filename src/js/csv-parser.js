@@ -1,266 +1,1010 @@
 /**
- * Clase para procesar archivos CSV de matrículas (formato sin headers)
+ * Clase para procesar archivos CSV de matrículas. Por defecto usa el formato sin
+ * headers (matricula;info;fecha_inicio;fecha_fin); con un mapeo de columnas
+ * acepta también exportaciones con cabeceras de otros sistemas.
  */
 class CSVParser {
-    constructor() {
+    /**
+     * @param {Object} options - Opciones del parser
+     * @param {Object} options.mapping - Mapeo de columnas (ver getDefaultMapping)
+     * @param {string} options.delimiter - Separador de campos o 'auto' para detectarlo
+     * @param {Object} options.memberRules - Reglas de extracción del socio (ver MemberExtractor)
+     * @param {string} options.missingDatePolicy - Qué hacer sin fecha de inicio ('rechazar', 'marcar' o 'inferir')
+     */
+    constructor(options = {}) {
+        this.mapping = options.mapping || CSVParser.getDefaultMapping();
+        this.delimiterOption = options.delimiter || 'auto';
+        this.memberExtractor = new MemberExtractor(options.memberRules);
+        this.missingDatePolicy = options.missingDatePolicy || 'marcar';
+        this.lastFechaInicio = null;
+        this.delimiter = null;
+        this.tokenizer = null;
         this.data = [];
         this.errors = [];
+        this.lineNumber = 0;
+        this.totalLines = 0;
+        this.validRecords = 0;
+        this.encoding = 'utf-8';
+        this.headerFields = null;
+    }
+
+    /**
+     * Cambia las reglas de extracción del socio
+     * @param {Object} memberRules - Configuración de MemberExtractor ({ rules, fallbackToNote })
+     */
+    setMemberRules(memberRules) {
+        this.memberExtractor = new MemberExtractor(memberRules);
+    }
+
+    /**
+     * Cambia la política para los registros sin fecha de inicio (vacía o ilegible)
+     * @param {string} policy - 'rechazar' (error de fecha), 'marcar' (fecha desconocida) o 'inferir' (fecha estimada)
+     */
+    setMissingDatePolicy(policy) {
+        this.missingDatePolicy = policy;
+    }
+
+    /**
+     * Mapeo del formato original sin headers: matricula;info;fecha_inicio;fecha_fin.
+     * El campo info (JSON o texto) se asigna a la nota, de donde se extraen socio y usuario.
+     * @returns {Object} Mapeo por defecto
+     */
+    static getDefaultMapping() {
+        return {
+            hasHeader: false,
+            columns: { matricula: 0, nota: 1, fechaInicio: 2, fechaFin: 3 }
+        };
+    }
+
+    /**
+     * Separadores de campo que se prueban al detectar el formato del archivo
+     * @returns {Array} Lista de separadores ({ value, label })
+     */
+    static getDelimiters() {
+        return [
+            { value: ';', label: 'Punto y coma (;)' },
+            { value: ',', label: 'Coma (,)' },
+            { value: '\t', label: 'Tabulador' },
+            { value: '|', label: 'Barra vertical (|)' }
+        ];
+    }
+
+    /**
+     * Campos de destino del mapeo de columnas con sus nombres de cabecera aceptados
+     * @returns {Array} Lista de campos ({ key, label, required, aliases })
+     */
+    static getMappingFields() {
+        return [
+            { key: 'matricula', label: 'Matrícula', required: true,
+                aliases: ['matricula', 'placa', 'plate', 'license_plate', 'licence_plate', 'registration', 'vehiculo', 'vehicle'] },
+            { key: 'fechaInicio', label: 'Fecha inicio', required: true,
+                aliases: ['fecha_inicio', 'inicio', 'start_date', 'start', 'desde', 'valid_from', 'fecha_alta', 'alta'] },
+            { key: 'fechaFin', label: 'Fecha fin', required: false,
+                aliases: ['fecha_fin', 'fin', 'end_date', 'end', 'hasta', 'valid_to', 'fecha_baja', 'baja', 'caducidad'] },
+            { key: 'socio', label: 'Socio', required: false,
+                aliases: ['socio', 'member', 'peticionario', 'nombre', 'name', 'titular'] },
+            { key: 'usuario', label: 'Usuario', required: false,
+                aliases: ['usuario', 'user', 'registrado_por', 'operador', 'operator'] },
+            { key: 'nota', label: 'Nota', required: false,
+                aliases: ['nota', 'note', 'notes', 'info', 'observaciones', 'comentario', 'comentarios', 'descripcion'] }
+        ];
+    }
+
+    /**
+     * Normaliza un nombre de cabecera para compararlo con los alias
+     * ("Fecha Inicio" -> "fecha_inicio", "Matrícula" -> "matricula")
+     * @param {string} name - Nombre de la cabecera
+     * @returns {string} Nombre normalizado
+     */
+    static normalizeHeaderName(name) {
+        return (name || '')
+            .replace(/^"|"$/g, '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Analiza la primera fila para saber si contiene cabeceras
+     * @param {Array} fields - Campos de la primera fila
+     * @returns {Object} Resultado ({ detected, fields, signature, matches })
+     */
+    detectHeader(fields) {
+        const mappingFields = CSVParser.getMappingFields();
+        const normalized = fields.map(f => CSVParser.normalizeHeaderName(f));
+        const matches = normalized.filter(name =>
+            mappingFields.some(field => field.aliases.includes(name))
+        ).length;
+        const hasDates = fields.some(f => this.parseDate(f));
+
+        return {
+            detected: matches >= 2 || (matches >= 1 && !hasDates),
+            fields: fields,
+            signature: normalized.join('|'),
+            matches: matches
+        };
+    }
+
+    /**
+     * Propone un mapeo de columnas a partir de los nombres de cabecera
+     * @param {Array} headerFields - Campos de la fila de cabeceras
+     * @returns {Object} Mapeo sugerido
+     */
+    suggestMapping(headerFields) {
+        const normalized = headerFields.map(f => CSVParser.normalizeHeaderName(f));
+        const columns = {};
+
+        for (const field of CSVParser.getMappingFields()) {
+            const index = normalized.findIndex(name => field.aliases.includes(name));
+            if (index !== -1) {
+                columns[field.key] = index;
+            }
+        }
+
+        return { hasHeader: true, columns: columns };
+    }
+
+    /**
+     * Comprueba que un mapeo tenga los campos imprescindibles
+     * @param {Object} mapping - Mapeo de columnas
+     * @returns {Array} Lista de problemas (vacía si es válido)
+     */
+    validateMapping(mapping) {
+        const problems = [];
+        const columns = mapping.columns || {};
+        const isSet = key => Number.isInteger(columns[key]);
+
+        for (const field of CSVParser.getMappingFields()) {
+            if (field.required && !isSet(field.key)) {
+                problems.push(`Falta asignar la columna "${field.label}"`);
+            }
+        }
+        if (!isSet('socio') && !isSet('nota')) {
+            problems.push('Asigna la columna "Socio" o una "Nota" de la que extraer el socio');
+        }
+
+        return problems;
+    }
+
+    /**
+     * Número mínimo de columnas que debe tener una línea según el mapeo actual
+     * @returns {number} Columnas necesarias
+     */
+    getMinColumns() {
+        const columns = this.mapping.columns;
+        const required = ['matricula', 'fechaInicio', Number.isInteger(columns.socio) ? 'socio' : 'nota'];
+        return Math.max(...required.map(key => Number.isInteger(columns[key]) ? columns[key] : 0)) + 1;
+    }
+
+    /**
+     * Procesa un archivo CSV leyéndolo por trozos para no cargarlo entero en memoria
+     * @param {File|Blob} file - Archivo CSV a procesar
+     * @param {Object} options - Opciones de lectura
+     * @param {Function} options.onProgress - Callback (bytesLeidos, bytesTotales) tras cada trozo
+     * @param {number} options.chunkSize - Tamaño de cada trozo en bytes
+     * @param {string} options.encoding - Codificación del archivo o 'auto' para detectarla
+     * @returns {Promise<Object>} Resultado del parsing
+     */
+    async parseFile(file, { onProgress = null, chunkSize = 1024 * 1024, encoding = 'auto' } = {}) {
+        this.beginParse();
+
+        const total = file.size;
+        let offset = 0;
+        let decoder = null;
+
+        while (offset < total) {
+            const buffer = await this.readChunk(file.slice(offset, offset + chunkSize));
+            offset += buffer.byteLength;
+
+            if (!decoder) {
+                this.encoding = encoding === 'auto'
+                    ? this.detectEncoding(new Uint8Array(buffer)).encoding
+                    : encoding;
+                decoder = new TextDecoder(this.encoding);
+            }
+
+            // stream: true conserva los bytes de un carácter multibyte partido entre trozos
+            this.parseChunk(decoder.decode(buffer, { stream: offset < total }));
+
+            if (onProgress) {
+                await onProgress(offset, total);
+            }
+        }
+
+        return this.finishParse();
+    }
+
+    /**
+     * Lee el principio de un archivo y procesa sus primeros registros para mostrar
+     * una vista previa antes del análisis
+     * @param {File|Blob} file - Archivo CSV
+     * @param {Object} options - Opciones de la vista previa
+     * @param {string} options.encoding - Codificación o 'auto' para detectarla
+     * @param {string} options.delimiter - Separador o 'auto' para detectarlo
+     * @param {Object} options.mapping - Mapeo de columnas a usar (por defecto el actual)
+     * @param {number} options.maxLines - Número máximo de registros con contenido
+     * @param {number} options.sampleSize - Bytes a leer del principio del archivo
+     * @returns {Promise<Object>} Filas, registros y errores de la muestra
+     */
+    async previewFile(file, { encoding = 'auto', delimiter = 'auto', mapping = null, maxLines = 10, sampleSize = 64 * 1024 } = {}) {
+        const bytes = new Uint8Array(await this.readChunk(file.slice(0, sampleSize)));
+        const detected = this.detectEncoding(bytes);
+        const usedEncoding = encoding === 'auto' ? detected.encoding : encoding;
+        const text = new TextDecoder(usedEncoding).decode(bytes, { stream: true });
+
+        if (mapping) {
+            this.mapping = mapping;
+        }
+        this.delimiterOption = delimiter;
+
+        this.beginParse();
+        this.encoding = usedEncoding;
+        const detectedDelimiter = this.detectDelimiter(text);
+        this.delimiter = delimiter === 'auto' ? detectedDelimiter : delimiter;
+
+        // El último registro de la muestra puede estar cortado: solo se cierra si es el final del archivo
+        const rows = [];
+        this.tokenize(text, this.tokenizer, file.size <= sampleSize, (fields, line) => {
+            if (rows.length < maxLines) {
+                rows.push({ line, fields });
+            }
+        });
+
+        return {
+            ...this.buildPreview(rows),
+            encoding: usedEncoding,
+            detectedEncoding: detected.encoding,
+            bom: detected.bom,
+            delimiter: this.delimiter,
+            detectedDelimiter: detectedDelimiter,
+            hasEncodingIssues: this.hasEncodingIssues(text)
+        };
+    }
+
+    /**
+     * Vista previa de filas ya separadas en celdas (p. ej. una hoja de cálculo)
+     * @param {Array} rows - Filas de celdas de texto
+     * @param {Object} options - Opciones de la vista previa
+     * @param {Object} options.mapping - Mapeo de columnas a usar (por defecto el actual)
+     * @param {number} options.maxLines - Número máximo de filas con contenido
+     * @returns {Object} Filas, registros y errores de la muestra
+     */
+    previewRows(rows, { mapping = null, maxLines = 10 } = {}) {
+        if (mapping) {
+            this.mapping = mapping;
+        }
+
+        this.beginParse();
+        this.delimiter = ';';
+        const sample = [];
+        for (let i = 0; i < rows.length && sample.length < maxLines; i++) {
+            if (rows[i].some(cell => cell !== '')) {
+                sample.push({ line: i + 1, fields: rows[i] });
+            }
+        }
+
+        return this.buildPreview(sample);
+    }
+
+    /**
+     * Procesa las filas de la muestra y compone el resultado común de la vista previa
+     * @param {Array} rows - Filas de la muestra ({ line, fields })
+     * @returns {Object} Filas, registros, errores, mapeo y detección de cabeceras
+     */
+    buildPreview(rows) {
+        rows.forEach(row => this.processRecord(row.fields, row.line));
+
+        return {
+            lines: rows.map(row => ({ line: row.line, fields: row.fields, text: row.fields.join(this.delimiter) })),
+            records: this.data,
+            errors: this.errors,
+            mapping: this.mapping,
+            header: this.detectHeader(rows.length > 0 ? rows[0].fields : [])
+        };
+    }
+
+    /**
+     * Detecta la codificación de un archivo a partir de sus primeros bytes.
+     * Primero busca un BOM; si no lo hay, comprueba si los bytes son UTF-8 válido
+     * y, si no lo son, asume Windows-1252 (el formato del software de la barrera).
+     * @param {Uint8Array} bytes - Primeros bytes del archivo
+     * @returns {Object} Codificación detectada ({ encoding, bom })
+     */
+    detectEncoding(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'utf-8', bom: true };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'utf-16le', bom: true };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'utf-16be', bom: true };
+        }
+
+        // UTF-16 sin BOM: texto latino con un byte nulo en casi todas las posiciones pares o impares
+        const sample = bytes.subarray(0, 4096);
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++;
+                else oddZeros++;
+            }
+        }
+        const half = sample.length / 2;
+        if (half > 0 && oddZeros / half > 0.3) return { encoding: 'utf-16le', bom: false };
+        if (half > 0 && evenZeros / half > 0.3) return { encoding: 'utf-16be', bom: false };
+
+        try {
+            // stream: true tolera un carácter multibyte cortado al final de la muestra
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return { encoding: 'utf-8', bom: false };
+        } catch (e) {
+            return { encoding: 'windows-1252', bom: false };
+        }
     }
 
     /**
-     * Procesa un archivo CSV
-     * @param {File} file - Archivo CSV a procesar
-     * @returns {Promise<Array>} Datos procesados
+     * Indica si un texto decodificado tiene síntomas de codificación incorrecta
+     * (caracteres de reemplazo o secuencias típicas de UTF-8 leído como Latin-1)
+     * @param {string} text - Texto decodificado
+     * @returns {boolean} True si parece mal decodificado
      */
-    async parseFile(file) {
+    hasEncodingIssues(text) {
+        return text.includes('\uFFFD') || /Ã[^A-Za-z\s]|Â[\u00A0-\u00BF]/.test(text);
+    }
+
+    /**
+     * Lee un trozo de archivo como ArrayBuffer
+     * @param {Blob} blob - Trozo del archivo
+     * @returns {Promise<ArrayBuffer>} Contenido binario
+     */
+    readChunk(blob) {
+        if (typeof blob.arrayBuffer === 'function') {
+            return blob.arrayBuffer();
+        }
+
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const text = e.target.result;
-                    const parsed = this.parseCSVText(text);
-                    resolve(parsed);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('Error al leer el archivo'));
-            };
-            
-            reader.readAsText(file, 'UTF-8');
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Error al leer el archivo'));
+            reader.readAsArrayBuffer(blob);
         });
     }
 
     /**
-     * Procesa texto CSV sin headers (formato: matricula;info;fecha_inicio;fecha_fin)
+     * Procesa texto CSV completo
      * @param {string} csvText - Texto CSV a procesar
-     * @returns {Array} Datos procesados
+     * @returns {Object} Resultado del parsing
      */
     parseCSVText(csvText) {
+        this.beginParse();
+        this.parseChunk(csvText);
+        return this.finishParse();
+    }
+
+    /**
+     * Procesa filas ya separadas en celdas (p. ej. una hoja de cálculo) con el mismo
+     * mapeo y validaciones que un CSV. El número de línea es el de la fila en la hoja.
+     * @param {Array} rows - Filas de celdas de texto
+     * @returns {Object} Resultado del parsing
+     */
+    parseRows(rows) {
+        this.beginParse();
+        this.delimiter = ';';
+
+        rows.forEach((fields, i) => {
+            if (fields.some(cell => cell !== '')) {
+                this.processRecord(fields, i + 1);
+            }
+        });
+
+        return this.finishParse();
+    }
+
+    /**
+     * Reinicia el estado para un nuevo parsing incremental
+     */
+    beginParse() {
         this.data = [];
         this.errors = [];
+        this.lineNumber = 0;
+        this.totalLines = 0;
+        this.validRecords = 0;
+        this.encoding = 'utf-8';
+        this.delimiter = this.delimiterOption === 'auto' ? null : this.delimiterOption;
+        this.headerFields = null;
+        this.lastFechaInicio = null;
+        this.tokenizer = this.createTokenizerState();
+    }
 
-        // Dividir en líneas y limpiar
-        const lines = csvText.split('\n').filter(line => line.trim());
-        
-        if (lines.length === 0) {
-            throw new Error('El archivo CSV está vacío');
+    /**
+     * Procesa un trozo de texto. Los campos y registros incompletos (por ejemplo,
+     * un campo entre comillas con saltos de línea) continúan en el siguiente trozo.
+     * @param {string} text - Trozo de texto CSV
+     */
+    parseChunk(text) {
+        if (!this.delimiter) {
+            // Esperar a tener al menos una línea completa para detectar el separador
+            const sample = this.tokenizer.carry + text;
+            if (!sample.includes('\n') && sample.length < 64 * 1024) {
+                this.tokenizer.carry = sample;
+                return;
+            }
+            this.delimiter = this.detectDelimiter(sample);
         }
 
-        // Procesar cada línea como datos (no hay headers)
-        for (let i = 0; i < lines.length; i++) {
-            const lineData = this.parseLine(lines[i]);
-            
-            if (lineData.length >= 3) { // Al menos matrícula, info y fecha_inicio
-                const record = this.createRecord(lineData, i + 1);
-                if (record) {
-                    this.data.push(record);
-                }
-            } else if (lineData.some(cell => cell.trim())) {
-                // Solo registrar error si la línea no está completamente vacía
-                this.errors.push({
-                    line: i + 1,
-                    error: `Número insuficiente de columnas (mínimo 3, encontradas: ${lineData.length})`,
-                    data: lineData.join(';')
-                });
-            }
+        this.tokenize(text, this.tokenizer, false, (fields, line) => this.processRecord(fields, line));
+    }
+
+    /**
+     * Procesa el registro pendiente y devuelve el resultado acumulado
+     * @returns {Object} Resultado del parsing
+     */
+    finishParse() {
+        if (!this.delimiter) {
+            this.delimiter = this.detectDelimiter(this.tokenizer.carry);
         }
 
-        if (this.data.length === 0) {
+        this.tokenize('', this.tokenizer, true, (fields, line) => this.processRecord(fields, line));
+
+        if (this.totalLines === 0) {
+            throw new Error('El archivo CSV está vacío');
+        }
+
+        if (this.validRecords === 0) {
             throw new Error('No se pudieron procesar datos válidos del archivo CSV');
         }
 
         return {
             data: this.data,
             errors: this.errors,
-            totalLines: lines.length,
-            validRecords: this.data.length
+            totalLines: this.totalLines,
+            validRecords: this.validRecords,
+            encoding: this.encoding,
+            delimiter: this.delimiter
         };
     }
 
     /**
-     * Parsea una línea CSV con separador ; y manejo de JSON
-     * @param {string} line - Línea a procesar
-     * @returns {Array} Array de campos
+     * Procesa un registro ya separado en campos. Si el mapeo indica que hay cabeceras,
+     * el primer registro con contenido se guarda en headerFields y no se procesa.
+     * @param {Array} lineData - Campos del registro
+     * @param {number} lineNumber - Línea del archivo donde empieza el registro
      */
-    parseLine(line) {
-        const fields = [];
-        let current = '';
+    processRecord(lineData, lineNumber) {
+        this.lineNumber = lineNumber;
+
+        if (this.mapping.hasHeader && !this.headerFields) {
+            this.headerFields = lineData;
+            return;
+        }
+
+        this.totalLines++;
+        const minColumns = this.getMinColumns();
+
+        if (lineData.length >= minColumns) { // Al menos matrícula, socio/info y fecha_inicio
+            const record = this.createRecord(lineData, lineNumber);
+            if (record) {
+                this.data.push(record);
+                this.validRecords++;
+            }
+        } else if (lineData.some(cell => cell.trim())) {
+            // Solo registrar error si la línea no está completamente vacía
+            this.addError('columnas', lineNumber, `Número insuficiente de columnas (mínimo ${minColumns}, encontradas: ${lineData.length})`, lineData);
+        }
+    }
+
+    /**
+     * Registra un error de una línea, con sus campos para poder corregirla después
+     * @param {string} type - Tipo de error (ver getErrorTypes)
+     * @param {number} line - Número de línea
+     * @param {string} error - Descripción del error
+     * @param {Array} fields - Campos de la línea
+     */
+    addError(type, line, error, fields) {
+        this.errors.push({
+            type: type,
+            line: line,
+            error: error,
+            data: fields.join(this.delimiter),
+            fields: fields.slice()
+        });
+    }
+
+    /**
+     * Tipos de error del parsing, para filtrarlos en la revisión
+     * @returns {Array} Tipos ({ value, label })
+     */
+    static getErrorTypes() {
+        return [
+            { value: 'matricula', label: 'Matrícula vacía' },
+            { value: 'matricula-invalida', label: 'Matrícula no válida' },
+            { value: 'socio', label: 'Sin socio' },
+            { value: 'columnas', label: 'Columnas insuficientes' },
+            { value: 'fecha', label: 'Fecha no válida' },
+            { value: 'comillas', label: 'Comillas sin cerrar' },
+            { value: 'otro', label: 'Otros' }
+        ];
+    }
+
+    /**
+     * Vuelve a validar una línea corregida con las mismas reglas que el parsing
+     * @param {Array} fields - Campos de la línea
+     * @param {number} lineNumber - Número de línea original
+     * @returns {Object} Resultado ({ record, errors }): record es null si la línea sigue sin ser válida
+     */
+    validateRow(fields, lineNumber) {
+        this.errors = [];
+        const minColumns = this.getMinColumns();
+
+        if (fields.length < minColumns) {
+            this.addError('columnas', lineNumber, `Número insuficiente de columnas (mínimo ${minColumns}, encontradas: ${fields.length})`, fields);
+            return { record: null, errors: this.errors };
+        }
+
+        return { record: this.createRecord(fields, lineNumber), errors: this.errors };
+    }
+
+    /**
+     * Genera el CSV corregido: el archivo original con las líneas reparadas sustituidas.
+     * Se lee por trozos con la misma codificación y separador que en el análisis, así
+     * que los números de línea coinciden con los de los errores
+     * @param {File|Blob} file - Archivo CSV original
+     * @param {Object} options - Opciones
+     * @param {string} options.encoding - Codificación usada al analizarlo
+     * @param {string} options.delimiter - Separador usado al analizarlo
+     * @param {Map} options.replacements - Campos corregidos por número de línea
+     * @param {number} options.chunkSize - Tamaño de cada trozo en bytes
+     * @returns {Promise<string>} Contenido del CSV corregido
+     */
+    async rewriteFile(file, { encoding, delimiter, replacements, chunkSize = 1024 * 1024 }) {
+        this.beginParse();
+        this.delimiter = delimiter;
+
+        const lines = [];
+        const onRecord = (fields, line) => {
+            lines.push(CSVParser.serializeRow(replacements.get(line) || fields, delimiter));
+        };
+
+        const decoder = new TextDecoder(encoding);
+        let offset = 0;
+        while (offset < file.size) {
+            const buffer = await this.readChunk(file.slice(offset, offset + chunkSize));
+            offset += buffer.byteLength;
+            this.tokenize(decoder.decode(buffer, { stream: offset < file.size }), this.tokenizer, false, onRecord);
+        }
+        this.tokenize('', this.tokenizer, true, onRecord);
+
+        // El registro con comillas sin cerrar no llega a onRecord: conservarlo (o su corrección) al final
+        const unclosed = this.errors.find(error => error.type === 'comillas');
+        if (unclosed) {
+            lines.push(CSVParser.serializeRow(replacements.get(unclosed.line) || unclosed.fields, delimiter));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Genera el CSV corregido de una hoja de cálculo
+     * @param {Array} rows - Filas de la hoja
+     * @param {Map} replacements - Campos corregidos por número de fila
+     * @param {string} delimiter - Separador del CSV generado
+     * @returns {string} Contenido del CSV corregido
+     */
+    static rewriteRows(rows, replacements, delimiter = ';') {
+        return rows
+            .map((fields, i) => replacements.get(i + 1) || fields)
+            .filter(fields => fields.some(cell => cell !== ''))
+            .map(fields => CSVParser.serializeRow(fields, delimiter))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escribe una fila CSV según RFC 4180: entre comillas los campos con separador,
+     * comillas, saltos de línea o espacios en los extremos
+     * @param {Array} fields - Campos de la fila
+     * @param {string} delimiter - Separador
+     * @returns {string} Línea CSV
+     */
+    static serializeRow(fields, delimiter) {
+        return fields.map(field => {
+            const value = String(field ?? '');
+            return value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim()
+                ? `"${value.replace(/"/g, '""')}"`
+                : value;
+        }).join(delimiter);
+    }
+
+    /**
+     * Detecta el separador de campos a partir de las primeras líneas del texto.
+     * Elige el candidato que aparece el mismo número de veces (fuera de comillas)
+     * en más líneas; a igualdad, el que separa más columnas.
+     * @param {string} text - Principio del archivo
+     * @returns {string} Separador detectado (';' si no se puede decidir)
+     */
+    detectDelimiter(text) {
+        const candidates = CSVParser.getDelimiters().map(d => d.value);
+        const counts = candidates.map(() => []);
+        let lineCounts = candidates.map(() => 0);
         let inQuotes = false;
-        let braceCount = 0;
+        let lines = 0;
+
+        const closeLine = () => {
+            if (lineCounts.some(count => count > 0)) {
+                lineCounts.forEach((count, i) => counts[i].push(count));
+                lines++;
+            }
+            lineCounts = candidates.map(() => 0);
+        };
+
+        for (let i = 0; i < text.length && lines < 20; i++) {
+            const char = text[i];
+            if (char === '"' && !inQuotes && text[i + 1] === '{') {
+                // JSON de la barrera con comillas interiores sin escapar: saltarlo entero
+                const lineEnd = CSVParser.findLineEnd(text, i);
+                const jsonEnd = CSVParser.findGateJsonEnd(text, i + 1, lineEnd === -1 ? text.length : lineEnd);
+                if (jsonEnd !== -1) {
+                    i = jsonEnd;
+                } else {
+                    inQuotes = true;
+                }
+            } else if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (inQuotes) {
+                continue;
+            } else if (char === '\n') {
+                closeLine();
+            } else {
+                const index = candidates.indexOf(char);
+                if (index !== -1) lineCounts[index]++;
+            }
+        }
+        if (lines === 0) closeLine();
+
+        let best = { delimiter: ';', consistent: 0, columns: 0 };
+        candidates.forEach((delimiter, i) => {
+            const frequency = new Map();
+            counts[i].filter(count => count > 0).forEach(count => {
+                frequency.set(count, (frequency.get(count) || 0) + 1);
+            });
+            for (const [columns, consistent] of frequency) {
+                if (consistent > best.consistent || (consistent === best.consistent && columns > best.columns)) {
+                    best = { delimiter, consistent, columns };
+                }
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Crea el estado del tokenizador, que se conserva entre trozos de texto
+     * @returns {Object} Estado inicial
+     */
+    createTokenizerState() {
+        return {
+            fields: [],
+            field: '',
+            quoted: false,
+            quotedEnd: 0,
+            inQuotes: false,
+            carry: '',
+            line: 1,
+            recordLine: 1
+        };
+    }
+
+    /**
+     * Separa texto CSV en registros según RFC 4180: campos entre comillas con
+     * separadores, saltos de línea y comillas escapadas ("") en su interior,
+     * y finales de línea LF, CRLF o CR. Fuera de comillas, las comillas a mitad
+     * de campo se tratan como texto (p. ej. JSON sin entrecomillar). El JSON de la
+     * barrera, entre comillas pero con las comillas interiores sin escapar, se lee
+     * siguiendo sus llaves (ver findGateJsonEnd).
+     * @param {string} chunk - Trozo de texto
+     * @param {Object} state - Estado del tokenizador (ver createTokenizerState)
+     * @param {boolean} isFinal - True si no llegará más texto
+     * @param {Function} onRecord - Callback (campos, líneaDeInicio) por cada registro con contenido
+     */
+    tokenize(chunk, state, isFinal, onRecord) {
+        const delimiter = this.delimiter || ';';
+        const text = state.carry + chunk;
+        const length = text.length;
         let i = 0;
+        state.carry = '';
+
+        const endField = () => {
+            // En un campo entre comillas solo se recortan los espacios tras la comilla de cierre
+            state.fields.push(state.quoted
+                ? state.field.slice(0, state.quotedEnd) + state.field.slice(state.quotedEnd).trim()
+                : state.field.trim());
+            state.field = '';
+            state.quoted = false;
+        };
+        const endRecord = () => {
+            endField();
+            const fields = state.fields;
+            state.fields = [];
+            if (fields.length > 1 || fields[0] !== '') {
+                onRecord(fields, state.recordLine);
+            }
+            state.recordLine = state.line;
+        };
 
-        while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
+        while (i < length) {
+            if (state.inQuotes) {
+                const quote = text.indexOf('"', i);
+                const end = quote === -1 ? length : quote;
+                const content = text.slice(i, end);
+                state.field += content;
+                state.line += content.split('\n').length - 1;
 
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    // Comilla escapada
-                    current += '"';
-                    i += 2;
+                if (quote === -1) {
+                    i = length;
+                } else if (quote + 1 === length && !isFinal) {
+                    // No se sabe aún si es una comilla escapada: esperar al siguiente trozo
+                    state.carry = '"';
+                    i = length;
+                } else if (text[quote + 1] === '"') {
+                    state.field += '"';
+                    i = quote + 2;
                 } else {
-                    // Inicio o fin de comillas
-                    inQuotes = !inQuotes;
-                    current += char; // Incluir las comillas en el resultado
-                    i++;
+                    state.inQuotes = false;
+                    state.quotedEnd = state.field.length;
+                    i = quote + 1;
+                }
+                continue;
+            }
+
+            const char = text[i];
+
+            if (char === '"' && !state.quoted && !state.field.trim()) {
+                // Comilla al inicio del campo (se ignoran los espacios previos)
+                const lineEnd = CSVParser.findLineEnd(text, i);
+                if (lineEnd === -1 && !isFinal && (i + 1 === length || text[i + 1] === '{')) {
+                    // Hace falta el resto de la línea para saber si es el JSON de la barrera
+                    state.carry = text.slice(i);
+                    break;
                 }
-            } else if (char === '{' && inQuotes) {
-                braceCount++;
-                current += char;
+
+                const jsonEnd = text[i + 1] === '{'
+                    ? CSVParser.findGateJsonEnd(text, i + 1, lineEnd === -1 ? length : lineEnd)
+                    : -1;
+                const next = text[jsonEnd + 1];
+                if (jsonEnd !== -1 && (next === undefined || next === delimiter || next === '\n' || next === '\r')) {
+                    state.field = text.slice(i + 1, jsonEnd);
+                    state.quoted = true;
+                    state.quotedEnd = state.field.length;
+                    i = jsonEnd + 1;
+                    continue;
+                }
+
+                state.inQuotes = true;
+                state.quoted = true;
+                state.field = '';
                 i++;
-            } else if (char === '}' && inQuotes) {
-                braceCount--;
-                current += char;
+            } else if (char === delimiter) {
+                endField();
                 i++;
-            } else if (char === ';' && !inQuotes && braceCount === 0) {
-                // Separador de campo
-                fields.push(current.trim());
-                current = '';
+            } else if (char === '\n') {
+                state.line++;
+                endRecord();
                 i++;
+            } else if (char === '\r') {
+                if (i + 1 === length && !isFinal) {
+                    // Puede ser un CRLF partido entre trozos
+                    state.carry = '\r';
+                    i = length;
+                    continue;
+                }
+                state.line++;
+                endRecord();
+                i += text[i + 1] === '\n' ? 2 : 1;
             } else {
-                current += char;
-                i++;
+                let end = i + 1;
+                while (end < length) {
+                    const next = text[end];
+                    if (next === delimiter || next === '\n' || next === '\r' || next === '"') break;
+                    end++;
+                }
+                state.field += text.slice(i, end);
+                i = end;
+            }
+        }
+
+        if (isFinal) {
+            if (state.inQuotes) {
+                this.addError('comillas', state.recordLine,
+                    'Comillas sin cerrar: el registro continúa hasta el final del archivo',
+                    [...state.fields, state.field]);
+                Object.assign(state, this.createTokenizerState());
+            } else {
+                endRecord();
             }
         }
+    }
+
+    /**
+     * Busca el final de la línea que empieza en una posición
+     * @param {string} text - Texto
+     * @param {number} from - Posición inicial
+     * @returns {number} Posición del primer salto de línea (LF o CR), o -1 si no hay
+     */
+    static findLineEnd(text, from) {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === '\n' || text[i] === '\r') return i;
+        }
+        return -1;
+    }
 
-        // Agregar el último campo
-        fields.push(current.trim());
+    /**
+     * Busca el final del JSON que exporta la barrera en el campo de información:
+     * "{"note":"123-PUJOL, JOSÉ","user":"conserje"}", entre comillas pero con las
+     * comillas interiores sin escapar. Se siguen las llaves fuera de las cadenas del
+     * JSON hasta la de cierre, que debe ir seguida de la comilla que cierra el campo.
+     * Un JSON escapado según RFC 4180 ({""note"":...}) no se reconoce aquí.
+     * @param {string} text - Texto
+     * @param {number} start - Posición de la llave de apertura
+     * @param {number} end - Posición donde termina la línea
+     * @returns {number} Posición de la comilla de cierre del campo, o -1 si no es ese formato
+     */
+    static findGateJsonEnd(text, start, end) {
+        if (!/^\{\s*"[^"]/.test(text.slice(start, Math.min(end, start + 64)))) return -1;
 
-        return fields;
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        for (let i = start; i < end; i++) {
+            const char = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                return text[i + 1] === '"' ? i + 1 : -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parsea una línea CSV con el separador actual (';' si aún no se ha detectado)
+     * @param {string} line - Línea a procesar
+     * @returns {Array} Array de campos
+     */
+    parseLine(line) {
+        const state = this.createTokenizerState();
+        let fields = null;
+        this.tokenize(line + '\n', state, false, (recordFields) => {
+            if (!fields) fields = recordFields;
+        });
+        // Con comillas sin cerrar no se completa el registro: devolver lo leído
+        return fields || [...state.fields, state.field];
     }
 
     /**
-     * Crea un registro estructurado a partir de una línea de datos
-     * Formato esperado: matricula;info;fecha_inicio;fecha_fin
+     * Crea un registro estructurado a partir de una línea de datos según el mapeo
+     * de columnas (por defecto: matricula;info;fecha_inicio;fecha_fin)
      * @param {Array} lineData - Datos de la línea
      * @param {number} lineNumber - Número de línea para errores
      * @returns {Object|null} Registro estructurado o null si hay errores
      */
     createRecord(lineData, lineNumber) {
         try {
-            const matricula = this.cleanPlate(lineData[0] || '');
-            const infoField = lineData[1] || '';
-            const fechaInicio = this.parseDate(lineData[2] || '');
-            const fechaFin = lineData[3] ? this.parseDate(lineData[3]) : null;
+            const columns = this.mapping.columns;
+            const cell = key => Number.isInteger(columns[key]) ? (lineData[columns[key]] || '') : '';
 
-            // Extraer información del socio del campo info
+            const matricula = this.cleanPlate(cell('matricula'));
+            const plateInfo = PlateValidator.classify(matricula);
+            const infoField = cell('nota');
+            const fechaInicio = this.parseDate(cell('fechaInicio'));
+            const fechaFin = cell('fechaFin') ? this.parseDate(cell('fechaFin')) : null;
+
+            // Extraer información del socio del campo info, salvo que venga en su propia columna
+            // (en ese caso las reglas solo separan número y nombre, si los reconocen)
+            const socioColumn = cell('socio').trim();
+            const usuarioColumn = cell('usuario').trim();
             const socioInfo = this.extractSocioInfo(infoField);
+            const socioData = socioColumn
+                ? this.memberExtractor.extract(socioColumn, { fallback: true })
+                : socioInfo;
 
             const record = {
                 matricula: matricula,
                 fechaInicio: fechaInicio,
                 fechaFin: fechaFin,
-                socio: socioInfo.socio,
-                usuario: socioInfo.usuario || '',
+                socio: socioData.socio,
+                socioNumero: socioData.socioNumero,
+                socioNombre: socioData.socioNombre,
+                usuario: usuarioColumn || socioInfo.usuario || '',
                 nota: socioInfo.nota || '',
                 tipoMatricula: this.determineMatriculaType(fechaInicio, fechaFin),
+                conHora: !!fechaInicio && /\d{1,2}:\d{2}/.test(cell('fechaInicio')), // La fecha incluye la hora del alta
+                estadoFecha: fechaInicio ? 'conocida' : 'desconocida',
+                categoriaMatricula: plateInfo.categoria,
+                paisMatricula: plateInfo.pais,
                 lineNumber: lineNumber,
                 rawInfo: infoField // Mantener info original para debug
             };
 
             // Validar campos obligatorios
             if (!record.matricula) {
-                this.errors.push({
-                    line: lineNumber,
-                    error: 'Matrícula vacía',
-                    data: lineData.join(';')
-                });
+                this.addError('matricula', lineNumber, 'Matrícula vacía', lineData);
                 return null;
             }
 
             if (!record.socio) {
-                this.errors.push({
-                    line: lineNumber,
-                    error: 'No se pudo extraer información del socio',
-                    data: lineData.join(';')
-                });
+                this.addError('socio', lineNumber, 'No se pudo extraer información del socio (ninguna regla de socio reconoce la nota)', lineData);
                 return null;
             }
 
-            // Validar fechas
-            if (!record.fechaInicio) {
-                // Usar fecha por defecto si no hay fecha de inicio
-                record.fechaInicio = new Date();
+            // Una fecha de fin escrita pero ilegible no se sustituye por otra: se señala
+            if (!fechaFin && cell('fechaFin').trim()) {
+                this.addError('fecha', lineNumber, `Fecha de fin no válida: ${cell('fechaFin').trim()}`, lineData);
+                return null;
+            }
+
+            // Sin fecha de inicio (vacía o ilegible) se aplica la política configurada
+            if (!fechaInicio) {
+                const text = cell('fechaInicio').trim();
+                if (this.missingDatePolicy === 'rechazar') {
+                    this.addError('fecha', lineNumber, text ? `Fecha de inicio no válida: ${text}` : 'Fecha de inicio vacía', lineData);
+                    return null;
+                }
+                if (this.missingDatePolicy === 'inferir') {
+                    this.inferFechaInicio(record);
+                }
+            } else {
+                this.lastFechaInicio = fechaInicio;
+            }
+
+            // Las matrículas con formato no reconocido se analizan igualmente,
+            // pero se señalan en el informe de errores (posibles erratas)
+            if (!plateInfo.valida) {
+                this.addError('matricula-invalida', lineNumber, `Matrícula con formato no válido: ${record.matricula}`, lineData);
             }
 
             return record;
         } catch (error) {
-            this.errors.push({
-                line: lineNumber,
-                error: error.message,
-                data: lineData.join(';')
-            });
+            this.addError('otro', lineNumber, error.message, lineData);
             return null;
         }
     }
 
     /**
-     * Extrae información del socio del campo info (JSON o string)
-     * @param {string} infoField - Campo de información
-     * @returns {Object} Información extraída del socio
+     * Estima la fecha de inicio de un registro que no la tiene: la de la fila válida
+     * anterior (las exportaciones van en orden de alta) o, en la primera fila, la
+     * fecha de fin. Si no hay ninguna, el registro queda como fecha desconocida.
+     * @param {Object} record - Registro sin fecha de inicio
      */
-    extractSocioInfo(infoField) {
-        if (!infoField) {
-            return { socio: '', usuario: '', nota: '' };
-        }
+    inferFechaInicio(record) {
+        const fecha = this.lastFechaInicio || record.fechaFin;
+        if (!fecha) return;
 
-        // Intentar parsear como JSON primero
-        if (infoField.startsWith('"') && infoField.endsWith('"')) {
-            try {
-                const jsonStr = infoField.slice(1, -1); // Remover comillas externas
-                const jsonData = JSON.parse(jsonStr);
-                
-                if (jsonData.note) {
-                    // Extraer número de socio y nombre de la nota
-                    const socioInfo = this.extractSocioFromNote(jsonData.note);
-                    return {
-                        socio: socioInfo,
-                        usuario: jsonData.user || '',
-                        nota: jsonData.note || ''
-                    };
-                }
-            } catch (e) {
-                // Si falla el parsing JSON, tratar como string
-            }
-        }
-
-        // Tratar como string simple con formato: [numero]-APELLIDOS, NOMBRES
-        const socioInfo = this.extractSocioFromNote(infoField);
-        return {
-            socio: socioInfo,
-            usuario: '',
-            nota: infoField
-        };
+        record.fechaInicio = new Date(fecha.getTime());
+        record.estadoFecha = 'estimada';
+        record.tipoMatricula = this.determineMatriculaType(record.fechaInicio, record.fechaFin);
     }
 
     /**
-     * Extrae información del socio de una nota
-     * @param {string} note - Nota que contiene info del socio
-     * @returns {string} Información del socio
+     * Extrae información del socio del campo info (JSON o string) con las reglas configuradas
+     * @param {string} infoField - Campo de información
+     * @returns {Object} Información extraída del socio ({ socio, socioNumero, socioNombre, usuario, nota })
      */
-    extractSocioFromNote(note) {
-        if (!note) return '';
-
-        // Buscar patrón [número]-APELLIDOS, NOMBRES
-        const socioPattern = /(\d+)-([^,\[\]]+(?:,[^,\[\]]+)*)/;
-        const match = note.match(socioPattern);
-        
-        if (match) {
-            const numero = match[1];
-            const nombre = match[2].trim();
-            return `${numero}-${nombre}`;
-        }
-
-        // Si no encuentra el patrón estándar, usar la nota completa como identificador
-        return note.trim();
+    extractSocioInfo(infoField) {
+        return this.memberExtractor.extract(infoField);
     }
 
     /**
-     * Determina si la matrícula es temporal o permanente
+     * Determina si la matrícula es temporal o permanente. Es una clasificación
+     * provisional: al analizar la sesión se recalcula con los tramos configurados (PassTiers)
      * @param {Date} fechaInicio - Fecha de inicio
      * @param {Date} fechaFin - Fecha de fin
      * @returns {string} 'temporal' o 'permanente'
@@ -282,21 +1026,16 @@ class CSVParser {
     }
 
     /**
-     * Limpia y normaliza una matrícula
+     * Limpia y normaliza una matrícula (sin espacios, guiones ni puntos)
      * @param {string} plate - Matrícula a limpiar
      * @returns {string} Matrícula normalizada
      */
     cleanPlate(plate) {
-        if (!plate || typeof plate !== 'string') return '';
-        
-        return plate
-            .trim()
-            .toUpperCase()
-            .replace(/\s+/g, ''); // Eliminar espacios pero mantener caracteres especiales
+        return PlateValidator.normalize(plate);
     }
 
     /**
-     * Parsea una fecha en formato GMT
+     * Parsea una fecha en formato GMT conservando la hora (o una fecha sin hora, a medianoche local)
      * @param {string} dateStr - Cadena de fecha
      * @returns {Date|null} Fecha parseada o null si es inválida
      */
@@ -306,26 +1045,56 @@ class CSVParser {
         const cleaned = dateStr.trim();
         if (!cleaned) return null;
 
-        // Formato esperado: DD/MM/YYYY HH:MM:SSGMT
-        const gmtPattern = /^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{1,2}):(\d{1,2})GMT$/;
+        // Formato esperado: DD/MM/YYYY HH:MM:SSGMT, con desfase opcional (GMT+02:00).
+        // Se conserva la hora exacta en UTC: la hora local se deriva al mostrarla
+        const gmtPattern = /^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{1,2}):(\d{1,2})\s*(?:GMT|UTC)(?:([+-])(\d{2}):?(\d{2}))?$/i;
         const match = cleaned.match(gmtPattern);
         
         if (match) {
-            const [, day, month, year] = match;
-            // Crear fecha solo con día, mes, año (sin hora) para normalizar
+            const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+            const offset = sign
+                ? (sign === '-' ? -1 : 1) * (parseInt(offsetHours) * 60 + parseInt(offsetMinutes)) * 60000
+                : 0;
+            const utc = new Date(Date.UTC(
+                parseInt(year),
+                parseInt(month) - 1,
+                parseInt(day),
+                parseInt(hours),
+                parseInt(minutes),
+                parseInt(seconds)
+            ));
+            
+            // Validar que la fecha sea válida (sin desbordes como 31/02)
+            if (utc.getUTCFullYear() == year &&
+                utc.getUTCMonth() == month - 1 &&
+                utc.getUTCDate() == day &&
+                hours < 24 && minutes < 60 && seconds < 60) {
+                return new Date(utc.getTime() - offset);
+            }
+            return null;
+        }
+
+        // Fecha y hora sin zona (p. ej. celdas de hojas de cálculo): hora local
+        const localPattern = /^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+        const localMatch = cleaned.match(localPattern);
+        if (localMatch) {
+            const [, day, month, year, hours, minutes, seconds = '0'] = localMatch;
             const date = new Date(
-                parseInt(year), 
-                parseInt(month) - 1, 
+                parseInt(year),
+                parseInt(month) - 1,
                 parseInt(day),
-                0, 0, 0, 0  // Establecer hora a 00:00:00.000
+                parseInt(hours),
+                parseInt(minutes),
+                parseInt(seconds)
             );
-            
-            // Validar que la fecha sea válida
-            if (date.getFullYear() == year && 
-                date.getMonth() == month - 1 && 
-                date.getDate() == day) {
+
+            if (date.getFullYear() == year &&
+                date.getMonth() == month - 1 &&
+                date.getDate() == day &&
+                hours < 24 && minutes < 60 && seconds < 60) {
                 return date;
             }
+            return null;
         }
 
         // Formatos adicionales de respaldo
@@ -1,38 +1,3 @@
-/**
- * Definición de temporadas para análisis estacional
- */
-const TEMPORADAS = {
-    VERANO_INICIO: 6,  // Junio (mes 6)
-    VERANO_FIN: 9,     // Septiembre (mes 9)
-    
-    /**
-     * Determina si un mes corresponde a la temporada de verano
-     * @param {number} mes - Número del mes (1-12)
-     * @returns {boolean} True si es verano
-     */
-    isVerano: function(mes) {
-        return mes >= this.VERANO_INICIO && mes <= this.VERANO_FIN;
-    },
-    
-    /**
-     * Determina si un mes corresponde a la temporada de invierno
-     * @param {number} mes - Número del mes (1-12)
-     * @returns {boolean} True si es invierno
-     */
-    isInvierno: function(mes) {
-        return !this.isVerano(mes);
-    },
-    
-    /**
-     * Obtiene el nombre de la temporada para un mes dado
-     * @param {number} mes - Número del mes (1-12)
-     * @returns {string} 'verano' o 'invierno'
-     */
-    getTemporada: function(mes) {
-        return this.isVerano(mes) ? 'verano' : 'invierno';
-    }
-};
-
 /**
  * Clase para analizar datos de matrículas procesadas (formato actualizado)
  */
@@ -40,6 +5,7 @@ class DataAnalyzer {
     constructor(data) {
         this.data = data || [];
         this.groupedData = new Map();
+        this.sociosPorMatricula = new Map();
         this.stats = {};
         this.analyze();
     }
@@ -49,32 +15,35 @@ class DataAnalyzer {
      */
     analyze() {
         this.groupedData.clear();
+        this.sociosPorMatricula.clear();
         this.stats = {
             totalMatriculas: this.data.length,
             totalSocios: 0,
-            matriculasTemporales: 0,
-            matriculasPermanentes: 0,
+            matriculasPorTramo: {},
             fechaInicioMin: null,
             fechaInicioMax: null,
             fechaFinMin: null,
             fechaFinMax: null,
             sociosConMasMatriculas: [],
             matriculasPorMes: new Map(),
-            usuariosRegistradores: new Map()
+            usuariosRegistradores: new Map(),
+            altasPorHora: new Array(24).fill(0),
+            horaPunta: null,
+            fechasDesconocidas: 0,
+            fechasEstimadas: 0
         };
 
         if (this.data.length === 0) return;
 
         // Agrupar por socio
         for (const record of this.data) {
-            const socioKey = record.socio.toLowerCase().trim();
+            const socioKey = DataAnalyzer.getSocioKey(record);
             
             if (!this.groupedData.has(socioKey)) {
                 this.groupedData.set(socioKey, {
                     socio: record.socio,
                     matriculas: [],
-                    temporales: 0,
-                    permanentes: 0,
+                    tramos: {},
                     fechaUltimoRegistro: null
                 });
             }
@@ -82,13 +51,30 @@ class DataAnalyzer {
             const group = this.groupedData.get(socioKey);
             group.matriculas.push(record);
 
-            // Contar tipos de matrícula
-            if (record.tipoMatricula === 'temporal') {
-                group.temporales++;
-                this.stats.matriculasTemporales++;
-            } else {
-                group.permanentes++;
-                this.stats.matriculasPermanentes++;
+            // Socios que han dado de alta cada matrícula
+            const plate = record.matricula.toLowerCase();
+            if (!this.sociosPorMatricula.has(plate)) {
+                this.sociosPorMatricula.set(plate, new Set());
+            }
+            this.sociosPorMatricula.get(plate).add(socioKey);
+
+            // Contar matrículas por tramo (ver PassTiers)
+            const tramo = record.tramo || PassTiers.getUnclassified().name;
+            group.tramos[tramo] = (group.tramos[tramo] || 0) + 1;
+            this.stats.matriculasPorTramo[tramo] = (this.stats.matriculasPorTramo[tramo] || 0) + 1;
+
+            // Usuarios registradores
+            if (record.usuario) {
+                this.stats.usuariosRegistradores.set(record.usuario, (this.stats.usuariosRegistradores.get(record.usuario) || 0) + 1);
+            }
+
+            // Sin fecha de inicio el registro cuenta para el socio, pero no en las estadísticas por fecha
+            if (record.estadoFecha === 'estimada') {
+                this.stats.fechasEstimadas++;
+            }
+            if (!record.fechaInicio) {
+                this.stats.fechasDesconocidas++;
+                continue;
             }
 
             // Actualizar fecha de último registro
@@ -117,9 +103,9 @@ class DataAnalyzer {
             const monthKey = `${record.fechaInicio.getFullYear()}-${String(record.fechaInicio.getMonth() + 1).padStart(2, '0')}`;
             this.stats.matriculasPorMes.set(monthKey, (this.stats.matriculasPorMes.get(monthKey) || 0) + 1);
 
-            // Usuarios registradores
-            if (record.usuario) {
-                this.stats.usuariosRegistradores.set(record.usuario, (this.stats.usuariosRegistradores.get(record.usuario) || 0) + 1);
+            // Altas por hora local del día (solo si el archivo incluye la hora)
+            if (record.conHora) {
+                this.stats.altasPorHora[record.fechaInicio.getHours()]++;
             }
         }
 
@@ -127,6 +113,7 @@ class DataAnalyzer {
 
         // Calcular altas al día por temporadas
         this.stats.altasAlDia = this.calculateDailyRegistrations();
+        this.stats.horaPunta = this.findPeakHour(this.stats.altasPorHora);
 
         // Encontrar socios con más matrículas
         this.stats.sociosConMasMatriculas = Array.from(this.groupedData.values())
@@ -135,278 +122,189 @@ class DataAnalyzer {
             .map(group => ({
                 socio: group.socio,
                 totalMatriculas: group.matriculas.length,
-                temporales: group.temporales,
-                permanentes: group.permanentes,
+                tramos: group.tramos,
                 fechaUltimoRegistro: group.fechaUltimoRegistro
             }));
     }
 
     /**
-     * Obtiene datos agrupados por socio
-     * @returns {Array} Array de grupos por socio
+     * Consulta los socios con los registros que cumplen todos los predicados y
+     * recalcula sus métricas solo con esos registros (ver buildSocioRow), de modo que
+     * cualquier combinación de filtros da los mismos números
+     * @param {Array} predicates - Predicados ({ nivel: 'registro' | 'socio', test }),
+     *        creados con DataAnalyzer.byDateRange, bySeason, byTier, byText...
+     * @param {Object} options - Opciones
+     * @param {number} options.minMatriculas - Mínimo de matrículas filtradas por socio
+     * @returns {Array} Filas por socio, de más a menos matrículas
      */
-    getGroupedBySocio() {
-        return Array.from(this.groupedData.values())
-            .sort((a, b) => a.socio.localeCompare(b.socio, 'es', { sensitivity: 'base' }));
-    }
+    query(predicates = [], options = {}) {
+        const { minMatriculas = 1 } = options;
+        const porRegistro = predicates.filter(p => p.nivel === 'registro');
+        const porSocio = predicates.filter(p => p.nivel === 'socio');
 
-    /**
-     * Filtra socios por número de matrículas en un período
-     * @param {number} minMatriculas - Número mínimo de matrículas
-     * @param {number} diasAtras - Días hacia atrás desde hoy
-     * @returns {Array} Array de socios que cumplen el criterio
-     */
-    filterSociosByMatriculasInPeriod(minMatriculas, diasAtras = 30) {
-        const fechaLimite = new Date();
-        fechaLimite.setDate(fechaLimite.getDate() - diasAtras);
-        
         return Array.from(this.groupedData.values())
             .map(group => {
-                const matriculasEnPeriodo = group.matriculas.filter(m => m.fechaInicio >= fechaLimite);
-                
-                if (matriculasEnPeriodo.length === 0) {
-                    return null; // Filtrar después
+                const matriculas = group.matriculas.filter(record =>
+                    porRegistro.every(p => p.test(record))
+                );
+                if (matriculas.length === 0 || matriculas.length < minMatriculas) {
+                    return null;
                 }
-                
-                // Recalcular estadísticas solo para las matrículas del período
-                const temporalesEnPeriodo = matriculasEnPeriodo.filter(m => m.tipoMatricula === 'temporal');
-                const permanentesEnPeriodo = matriculasEnPeriodo.filter(m => m.tipoMatricula === 'permanente');
-                
-                // Calcular días promedio por permiso
-                const diasPromedio = this.calculateAveragePermitDays(temporalesEnPeriodo);
-                
-                // Calcular frecuencia estacional
-                const frecuencia = this.calculateSeasonalFrequency(matriculasEnPeriodo);
-                
-                // Contar permisos cortos
-                const permisosCortos = this.countShortPermits(matriculasEnPeriodo);
-                
-                // Contar solapamientos
-                const solapamientos = this.countOverlappingPlates(matriculasEnPeriodo);
-                
-                // Encontrar pico simultáneo
-                const peakData = this.findPeakSimultaneous(matriculasEnPeriodo);
-                
-                return {
-                    socio: group.socio,
-                    matriculas: matriculasEnPeriodo, // Para compatibilidad con la UI
-                    matriculasDetalle: matriculasEnPeriodo,
-                    totalMatriculas: matriculasEnPeriodo.length, // Total del período filtrado
-                    temporales: temporalesEnPeriodo.length,
-                    permanentes: permanentesEnPeriodo.length,
-                    diasPromedioPermiso: diasPromedio,
-                    frecuenciaEstacional: frecuencia,
-                    permisosCortos: permisosCortos,
-                    solapamientos: solapamientos,
-                    picoSimultaneo: (peakData.details && peakData.details.matriculas) ? peakData.details.matriculas.length : 0,
-                    picoDetalle: peakData.details,
-                    fechaUltimoRegistro: group.fechaUltimoRegistro
-                };
+                const row = this.buildSocioRow(group.socio, matriculas);
+                return porSocio.every(p => p.test(row)) ? row : null;
             })
-            .filter(item => item !== null && item.totalMatriculas >= minMatriculas)
+            .filter(row => row !== null)
             .sort((a, b) => b.totalMatriculas - a.totalMatriculas);
     }
 
     /**
-     * Filtra socios por rango de fechas específico
-     * @param {number} minMatriculas - Número mínimo de matrículas
-     * @param {Date} fechaDesde - Fecha de inicio del rango
-     * @param {Date} fechaHasta - Fecha de fin del rango
-     * @returns {Array} Array de socios que cumplen el criterio
+     * Consulta las matrículas con los registros que cumplen los predicados de registro,
+     * con el historial de permisos de cada una (ver buildPlateRow). Los predicados de
+     * socio se aplican a la fila de la matrícula, que también tiene socio y matriculas
+     * @param {Array} predicates - Predicados, como en query
+     * @param {Object} options - Opciones
+     * @param {number} options.minSocios - Mínimo de socios distintos por matrícula
+     * @returns {Array} Filas por matrícula, de más a menos socios y permisos
      */
-    filterSociosByDateRange(minMatriculas, fechaDesde = null, fechaHasta = null) {
-        return Array.from(this.groupedData.values())
-            .map(group => {
-                let matriculasEnRango = group.matriculas;
-                
-                // Aplicar filtro de fecha desde
-                if (fechaDesde) {
-                    matriculasEnRango = matriculasEnRango.filter(m => 
-                        !m.fechaInicio || m.fechaInicio >= fechaDesde
-                    );
-                }
-                
-                // Aplicar filtro de fecha hasta
-                if (fechaHasta) {
-                    matriculasEnRango = matriculasEnRango.filter(m => 
-                        !m.fechaInicio || m.fechaInicio <= fechaHasta
-                    );
-                }
-                
-                if (matriculasEnRango.length === 0) {
-                    return null; // Filtrar después
-                }
-                
-                // Recalcular estadísticas solo para las matrículas del rango
-                const temporalesEnRango = matriculasEnRango.filter(m => m.tipoMatricula === 'temporal');
-                const permanentesEnRango = matriculasEnRango.filter(m => m.tipoMatricula === 'permanente');
-                
-                // Calcular días promedio por permiso
-                const diasPromedio = this.calculateAveragePermitDays(temporalesEnRango);
-                
-                // Calcular frecuencia estacional
-                const frecuencia = this.calculateSeasonalFrequency(matriculasEnRango);
-                
-                // Contar permisos cortos
-                const permisosCortos = this.countShortPermits(matriculasEnRango);
-                
-                // Contar solapamientos
-                const solapamientos = this.countOverlappingPlates(matriculasEnRango);
-                
-                // Encontrar pico simultáneo
-                const peakData = this.findPeakSimultaneous(matriculasEnRango);
-                
-                return {
-                    socio: group.socio,
-                    matriculas: matriculasEnRango, // Para compatibilidad con la UI
-                    matriculasDetalle: matriculasEnRango,
-                    totalMatriculas: matriculasEnRango.length, // Total del rango filtrado
-                    temporales: temporalesEnRango.length,
-                    permanentes: permanentesEnRango.length,
-                    diasPromedioPermiso: diasPromedio,
-                    frecuenciaEstacional: frecuencia,
-                    permisosCortos: permisosCortos,
-                    solapamientos: solapamientos,
-                    picoSimultaneo: (peakData.details && peakData.details.matriculas) ? peakData.details.matriculas.length : 0,
-                    picoDetalle: peakData.details,
-                    fechaUltimoRegistro: group.fechaUltimoRegistro
-                };
-            })
-            .filter(item => item !== null && item.totalMatriculas >= minMatriculas)
-            .sort((a, b) => b.totalMatriculas - a.totalMatriculas);
+    queryPlates(predicates = [], options = {}) {
+        const { minSocios = 1 } = options;
+        const porRegistro = predicates.filter(p => p.nivel === 'registro');
+        const porSocio = predicates.filter(p => p.nivel === 'socio');
+        const porMatricula = new Map();
+
+        for (const record of this.data) {
+            if (!porRegistro.every(p => p.test(record))) continue;
+            const plate = record.matricula.toLowerCase();
+            if (!porMatricula.has(plate)) {
+                porMatricula.set(plate, []);
+            }
+            porMatricula.get(plate).push(record);
+        }
+
+        return Array.from(porMatricula.values())
+            .map(registros => this.buildPlateRow(registros))
+            .filter(row => row.socios.length >= minSocios && porSocio.every(p => p.test(row)))
+            .sort((a, b) => b.socios.length - a.socios.length ||
+                b.totalPermisos - a.totalPermisos ||
+                a.matricula.localeCompare(b.matricula));
     }
 
     /**
-     * Filtra socios por tipo de matrícula
-     * @param {string} tipo - 'temporal' o 'permanente'
-     * @param {number} diasAtras - Días hacia atrás desde hoy para el filtro temporal
-     * @returns {Array} Array de socios filtrados
+     * Predicado de registros con fecha de inicio dentro del rango (sin fecha de
+     * inicio no se pueden situar en él)
+     * @param {Date|null} fechaDesde - Fecha de inicio del rango
+     * @param {Date|null} fechaHasta - Fecha de fin del rango
+     * @returns {Object} Predicado de registro
      */
-    filterSociosByMatriculaType(tipo, diasAtras = 30) {
-        let fechaLimite = null;
-        if (diasAtras > 0) {
-            fechaLimite = new Date();
-            fechaLimite.setDate(fechaLimite.getDate() - diasAtras);
-        }
+    static byDateRange(fechaDesde = null, fechaHasta = null) {
+        return {
+            nivel: 'registro',
+            test: record => !!record.fechaInicio &&
+                (!fechaDesde || record.fechaInicio >= fechaDesde) &&
+                (!fechaHasta || record.fechaInicio <= fechaHasta)
+        };
+    }
 
-        return Array.from(this.groupedData.values())
-            .map(group => {
-                let matriculasFiltradas;
-                
-                if (fechaLimite) {
-                    matriculasFiltradas = group.matriculas.filter(m => 
-                        m.tipoMatricula === tipo && m.fechaInicio >= fechaLimite
-                    );
-                } else {
-                    matriculasFiltradas = group.matriculas.filter(m => m.tipoMatricula === tipo);
-                }
+    /**
+     * Predicado de registros dados de alta en una temporada
+     * @param {string} temporada - Nombre de la temporada (ver SeasonCalendar)
+     * @returns {Object} Predicado de registro
+     */
+    static bySeason(temporada) {
+        return {
+            nivel: 'registro',
+            test: record => !!record.fechaInicio && record.temporada === temporada
+        };
+    }
 
-                if (matriculasFiltradas.length === 0) {
-                    return null; // Filtrar después
-                }
-                
-                // Recalcular estadísticas solo para las matrículas filtradas
-                const temporalesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'temporal');
-                const permanentesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'permanente');
-                
-                // Calcular días promedio por permiso
-                const diasPromedio = this.calculateAveragePermitDays(temporalesFiltradas);
-                
-                // Calcular frecuencia estacional
-                const frecuencia = this.calculateSeasonalFrequency(matriculasFiltradas);
-                
-                // Contar permisos cortos
-                const permisosCortos = this.countShortPermits(matriculasFiltradas);
-                
-                // Contar solapamientos
-                const solapamientos = this.countOverlappingPlates(matriculasFiltradas);
-                
-                // Encontrar pico simultáneo
-                const peakData = this.findPeakSimultaneous(matriculasFiltradas);
-
-                return {
-                    socio: group.socio,
-                    matriculas: matriculasFiltradas, // Para compatibilidad con la UI
-                    matriculasDetalle: matriculasFiltradas,
-                    totalMatriculas: matriculasFiltradas.length, // Total filtrado
-                    temporales: temporalesFiltradas.length,
-                    permanentes: permanentesFiltradas.length,
-                    diasPromedioPermiso: diasPromedio,
-                    frecuenciaEstacional: frecuencia,
-                    permisosCortos: permisosCortos,
-                    solapamientos: solapamientos,
-                    picoSimultaneo: (peakData.details && peakData.details.matriculas) ? peakData.details.matriculas.length : 0,
-                    picoDetalle: peakData.details,
-                    fechaUltimoRegistro: group.fechaUltimoRegistro
-                };
-            })
-            .filter(item => item !== null)
-            .sort((a, b) => b.totalMatriculas - a.totalMatriculas);
+    /**
+     * Predicado de registros dados de alta en la temporada de un año concreto
+     * @param {string} temporadaAño - Temporada con su año ("Verano 2024", "Invierno 2024-25")
+     * @returns {Object} Predicado de registro
+     */
+    static bySeasonYear(temporadaAño) {
+        return {
+            nivel: 'registro',
+            test: record => !!record.fechaInicio && record.temporadaAño === temporadaAño
+        };
     }
 
     /**
-     * Filtra socios por temporada
-     * @param {string} temporada - 'verano', 'invierno' o 'all'
-     * @param {number} minMatriculas - Mínimo número de matrículas
-     * @returns {Array} Array de socios filtrados
+     * Predicado de registros de un tramo de permiso
+     * @param {string} tramo - Nombre del tramo (ver PassTiers)
+     * @returns {Object} Predicado de registro
      */
-    filterSociosBySeason(temporada, minMatriculas = 1) {
-        if (temporada === 'all') {
-            return this.getGroupedBySocio().filter(group => 
-                (group.matriculas ? group.matriculas.length : group.totalMatriculas) >= minMatriculas
-            );
-        }
+    static byTier(tramo) {
+        return {
+            nivel: 'registro',
+            test: record => (record.tramo || PassTiers.getUnclassified().name) === tramo
+        };
+    }
 
-        return Array.from(this.groupedData.values())
-            .map(group => {
-                // Filtrar matrículas por temporada basándose en la fecha de inicio
-                const matriculasFiltradas = group.matriculas.filter(m => {
-                    if (!m.fechaInicio) return false;
-                    
-                    const mes = m.fechaInicio.getMonth() + 1; // Convertir a 1-12
-                    const esVerano = TEMPORADAS.isVerano(mes);
-                    
-                    if (temporada === 'verano') {
-                        return esVerano;
-                    } else if (temporada === 'invierno') {
-                        return !esVerano;
-                    }
-                    
-                    return false;
-                });
+    /**
+     * Predicado de registros de una categoría de matrícula
+     * @param {string} categoria - Categoría (ver PlateValidator)
+     * @returns {Object} Predicado de registro
+     */
+    static byPlateCategory(categoria) {
+        return { nivel: 'registro', test: record => record.categoriaMatricula === categoria };
+    }
 
-                if (matriculasFiltradas.length < minMatriculas) {
-                    return null;
-                }
+    /**
+     * Predicado de registros dados de alta por un usuario
+     * @param {string} usuario - Usuario registrador
+     * @returns {Object} Predicado de registro
+     */
+    static byUser(usuario) {
+        return { nivel: 'registro', test: record => record.usuario === usuario };
+    }
 
-                // Recalcular estadísticas para las matrículas filtradas
-                const temporalesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'temporal');
-                const permanentesFiltradas = matriculasFiltradas.filter(m => m.tipoMatricula === 'permanente');
-                
-                const diasPromedio = this.calculateAveragePermitDays(temporalesFiltradas);
-                const frecuencia = this.calculateSeasonalFrequency(matriculasFiltradas);
-                const permisosCortos = this.countShortPermits(matriculasFiltradas);
-                const solapamientos = this.countOverlappingPlates(matriculasFiltradas);
-                const peakData = this.findPeakSimultaneous(matriculasFiltradas);
-
-                return {
-                    socio: group.socio,
-                    matriculas: matriculasFiltradas,
-                    matriculasDetalle: matriculasFiltradas,
-                    totalMatriculas: matriculasFiltradas.length,
-                    temporales: temporalesFiltradas.length,
-                    permanentes: permanentesFiltradas.length,
-                    diasPromedioPermiso: diasPromedio,
-                    frecuenciaEstacional: frecuencia,
-                    permisosCortos: permisosCortos,
-                    solapamientos: solapamientos,
-                    picoSimultaneo: (peakData.details && peakData.details.matriculas) ? peakData.details.matriculas.length : 0,
-                    picoDetalle: peakData.details,
-                    fechaUltimoRegistro: group.fechaUltimoRegistro
-                };
-            })
-            .filter(item => item !== null)
-            .sort((a, b) => b.totalMatriculas - a.totalMatriculas);
+    /**
+     * Predicado de registros de un archivo de origen de la sesión
+     * @param {string} sourceFile - Nombre del archivo
+     * @returns {Object} Predicado de registro
+     */
+    static bySourceFile(sourceFile) {
+        return { nivel: 'registro', test: record => record.sourceFile === sourceFile };
+    }
+
+    /**
+     * Predicado de registros según el estado de su fecha de inicio
+     * @param {string} estado - 'conocida', 'desconocida' o 'estimada'
+     * @returns {Object} Predicado de registro
+     */
+    static byDateStatus(estado) {
+        return { nivel: 'registro', test: record => (record.estadoFecha || 'conocida') === estado };
+    }
+
+    /**
+     * Predicado de socios cuyo nombre o alguna de cuyas matrículas contiene el texto.
+     * Selecciona socios sin quitarles matrículas, así que no cambia sus números
+     * @param {string} texto - Texto a buscar
+     * @returns {Object} Predicado de socio
+     */
+    static byText(texto) {
+        const buscado = texto.toLowerCase().trim();
+        return {
+            nivel: 'socio',
+            test: row => (row.socio || '').toLowerCase().includes(buscado) ||
+                row.matriculas.some(m => (m.matricula || '').toLowerCase().includes(buscado))
+        };
+    }
+
+    /**
+     * Predicado de un conjunto de socios (p. ej. un grupo de findPlateClusters).
+     * En la vista por matrícula, las matrículas pedidas por alguno de ellos
+     * @param {Set} socioKeys - Claves de los socios (ver DataAnalyzer.getSocioKey)
+     * @returns {Object} Predicado de socio
+     */
+    static bySocios(socioKeys) {
+        return {
+            nivel: 'socio',
+            test: row => row.socioKey !== undefined
+                ? socioKeys.has(row.socioKey)
+                : row.socios.some(s => socioKeys.has(s.key))
+        };
     }
 
     /**
@@ -431,14 +329,15 @@ class DataAnalyzer {
 
     /**
      * Filtra matrículas duplicadas (misma matrícula, diferente socio)
+     * @param {Array} records - Registros en los que buscar (por defecto, todos)
      * @returns {Array} Array de matrículas duplicadas
      */
-    findDuplicatePlates() {
+    findDuplicatePlates(records = this.data) {
         const plateMap = new Map();
         const duplicates = [];
 
         // Agrupar por matrícula
-        for (const record of this.data) {
+        for (const record of records) {
             const plate = record.matricula.toLowerCase();
             if (!plateMap.has(plate)) {
                 plateMap.set(plate, []);
@@ -450,13 +349,14 @@ class DataAnalyzer {
         for (const [plate, records] of plateMap) {
             if (records.length > 1) {
                 // Verificar si son socios diferentes
-                const socios = new Set(records.map(r => r.socio.toLowerCase()));
+                const socios = new Set(records.map(r => DataAnalyzer.getSocioKey(r)));
                 if (socios.size > 1) {
                     duplicates.push({
                         matricula: records[0].matricula,
                         registros: records,
+                        sociosClave: Array.from(socios),
                         sociosInvolucrados: Array.from(socios).map(s => 
-                            records.find(r => r.socio.toLowerCase() === s).socio
+                            records.find(r => DataAnalyzer.getSocioKey(r) === s).socio
                         )
                     });
                 }
@@ -467,55 +367,375 @@ class DataAnalyzer {
     }
 
     /**
-     * Obtiene estadísticas por período de tiempo
+     * Construye la red de socios que comparten matrículas: cada socio es un nodo y
+     * cada matrícula compartida une a todos los socios que la han dado de alta. Los
+     * grupos son las componentes conexas de la red
+     * @param {Array} predicates - Predicados; solo se usan los de registro (ver query)
+     * @returns {Array} Grupos ({ id, socios: [{ key, socio, matriculas }], matriculas,
+     *          aristas: [{ origen, destino, matriculas }] }), de más a menos socios
+     */
+    findPlateClusters(predicates = []) {
+        const porRegistro = predicates.filter(p => p.nivel === 'registro');
+        const records = porRegistro.length > 0
+            ? this.data.filter(record => porRegistro.every(p => p.test(record)))
+            : this.data;
+
+        const nodos = new Map();
+        const aristas = new Map();
+        const padre = new Map();
+        const raiz = key => {
+            while (padre.get(key) !== key) {
+                padre.set(key, padre.get(padre.get(key)));
+                key = padre.get(key);
+            }
+            return key;
+        };
+
+        for (const duplicate of this.findDuplicatePlates(records)) {
+            duplicate.sociosClave.forEach((key, index) => {
+                if (!nodos.has(key)) {
+                    nodos.set(key, { key, socio: duplicate.sociosInvolucrados[index], matriculas: [] });
+                    padre.set(key, key);
+                }
+                nodos.get(key).matriculas.push(duplicate.matricula);
+            });
+
+            const claves = [...duplicate.sociosClave].sort();
+            for (let i = 0; i < claves.length; i++) {
+                for (let j = i + 1; j < claves.length; j++) {
+                    const aristaKey = `${claves[i]}|${claves[j]}`;
+                    if (!aristas.has(aristaKey)) {
+                        aristas.set(aristaKey, { origen: claves[i], destino: claves[j], matriculas: [] });
+                    }
+                    aristas.get(aristaKey).matriculas.push(duplicate.matricula);
+                    padre.set(raiz(claves[i]), raiz(claves[j]));
+                }
+            }
+        }
+
+        // Agrupar nodos y aristas por componente conexa
+        const grupos = new Map();
+        for (const nodo of nodos.values()) {
+            const key = raiz(nodo.key);
+            if (!grupos.has(key)) {
+                grupos.set(key, { socios: [], matriculas: new Set(), aristas: [] });
+            }
+            grupos.get(key).socios.push(nodo);
+            nodo.matriculas.forEach(m => grupos.get(key).matriculas.add(m));
+        }
+        for (const arista of aristas.values()) {
+            grupos.get(raiz(arista.origen)).aristas.push(arista);
+        }
+
+        return Array.from(grupos.values())
+            .map(grupo => ({
+                socios: grupo.socios.sort((a, b) => b.matriculas.length - a.matriculas.length),
+                matriculas: Array.from(grupo.matriculas).sort(),
+                aristas: grupo.aristas
+            }))
+            .sort((a, b) => b.socios.length - a.socios.length || b.matriculas.length - a.matriculas.length)
+            .map((grupo, index) => ({ id: index + 1, ...grupo }));
+    }
+
+    /**
+     * Genera el CSV de los grupos de socios que comparten matrículas (una línea por socio)
+     * @param {Array} clusters - Grupos (ver findPlateClusters)
+     * @returns {string} Contenido CSV
+     */
+    exportClustersToCSV(clusters) {
+        const headers = ['Grupo', 'Socios del grupo', 'Matrículas del grupo', 'Socio', 'Matrículas compartidas del socio'];
+        const csvLines = [headers.join(',')];
+
+        for (const cluster of clusters) {
+            for (const socio of cluster.socios) {
+                csvLines.push([
+                    cluster.id,
+                    cluster.socios.length,
+                    `"${cluster.matriculas.join(' ')}"`,
+                    `"${socio.socio.replace(/"/g, '""')}"`,
+                    `"${socio.matriculas.join(' ')}"`
+                ].join(','));
+            }
+        }
+
+        return csvLines.join('\n');
+    }
+
+    /**
+     * Serie diaria de permisos activos en toda la urbanización: cada día, cuántos hay
+     * por tipo (temporal o permanente) y por tramo, la temporada del día y los socios
+     * con más permisos temporales activos. Un permiso está activo desde el día de
+     * inicio hasta el de fin, ambos incluidos; los que no tienen fecha de fin siguen
+     * activos hasta el último día de la serie
+     * @param {Array} predicates - Predicados (solo se aplican los de registro)
+     * @param {SeasonCalendar} seasonCalendar - Calendario para la temporada de cada día
+     * @param {Object} options - Opciones ({ topSocios: socios por día, 3 por defecto })
+     * @returns {Object} Ocupación ({ dias: [{ fecha, temporada, total, temporales, permanentes,
+     *          porTramo, socios: [{ key, socio, temporales }] }], pico, picoTotal,
+     *          porTemporada: [{ temporada, dias, promedioTemporales, promedioTotal, pico }] })
+     */
+    calculateDailyOccupancy(predicates = [], seasonCalendar = new SeasonCalendar(), options = {}) {
+        const { topSocios = 3 } = options;
+        const porRegistro = predicates.filter(p => p.nivel === 'registro');
+        const records = this.data.filter(record =>
+            record.fechaInicio && porRegistro.every(p => p.test(record))
+        );
+        const vacia = { dias: [], pico: null, picoTotal: null, porTemporada: [] };
+        if (records.length === 0) return vacia;
+
+        const toDay = fecha => new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate());
+        const inicio = toDay(records.reduce((min, r) => r.fechaInicio < min ? r.fechaInicio : min, records[0].fechaInicio));
+        const indice = fecha => Math.round((toDay(fecha) - inicio) / (1000 * 60 * 60 * 24));
+
+        // La serie acaba con el último alta o el último fin de un permiso temporal
+        let ultimo = 0;
+        for (const record of records) {
+            ultimo = Math.max(ultimo, indice(record.fechaInicio));
+            if (record.fechaFin && record.tipoMatricula === 'temporal') {
+                ultimo = Math.max(ultimo, indice(record.fechaFin));
+            }
+        }
+
+        // Altas y bajas de cada día
+        const altas = Array.from({ length: ultimo + 2 }, () => []);
+        const bajas = Array.from({ length: ultimo + 2 }, () => []);
+        for (const record of records) {
+            const desde = indice(record.fechaInicio);
+            const hasta = record.fechaFin ? Math.min(Math.max(indice(record.fechaFin), desde), ultimo) : ultimo;
+            altas[desde].push(record);
+            bajas[hasta + 1].push(record);
+        }
+
+        const dias = [];
+        const porTramo = new Map();
+        const porSocio = new Map();
+        let temporales = 0;
+        let permanentes = 0;
+
+        const actualizar = (record, delta) => {
+            const tramo = record.tramo || PassTiers.getUnclassified().name;
+            porTramo.set(tramo, (porTramo.get(tramo) || 0) + delta);
+            if (record.tipoMatricula === 'temporal') {
+                temporales += delta;
+                const key = DataAnalyzer.getSocioKey(record);
+                if (!porSocio.has(key)) porSocio.set(key, { key, socio: record.socio, temporales: 0 });
+                porSocio.get(key).temporales += delta;
+                if (porSocio.get(key).temporales === 0) porSocio.delete(key);
+            } else {
+                permanentes += delta;
+            }
+        };
+
+        for (let i = 0; i <= ultimo; i++) {
+            bajas[i].forEach(record => actualizar(record, -1));
+            altas[i].forEach(record => actualizar(record, 1));
+
+            const fecha = new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + i);
+            dias.push({
+                fecha: fecha,
+                temporada: seasonCalendar.getSeason(fecha).name,
+                total: temporales + permanentes,
+                temporales: temporales,
+                permanentes: permanentes,
+                porTramo: Object.fromEntries(Array.from(porTramo).filter(([, count]) => count > 0)),
+                socios: Array.from(porSocio.values())
+                    .sort((a, b) => b.temporales - a.temporales || a.socio.localeCompare(b.socio))
+                    .slice(0, topSocios)
+                    .map(socio => ({ ...socio }))
+            });
+        }
+
+        // Resumen por temporada
+        const temporadas = new Map();
+        for (const dia of dias) {
+            if (!temporadas.has(dia.temporada)) temporadas.set(dia.temporada, []);
+            temporadas.get(dia.temporada).push(dia);
+        }
+        const maxPor = (lista, campo) => lista.reduce((max, dia) => dia[campo] > max[campo] ? dia : max, lista[0]);
+        const promedio = (lista, campo) => Math.round(lista.reduce((sum, dia) => sum + dia[campo], 0) / lista.length * 10) / 10;
+
+        return {
+            dias: dias,
+            pico: maxPor(dias, 'temporales'),
+            picoTotal: maxPor(dias, 'total'),
+            porTemporada: Array.from(temporadas, ([temporada, lista]) => ({
+                temporada: temporada,
+                dias: lista.length,
+                promedioTemporales: promedio(lista, 'temporales'),
+                promedioTotal: promedio(lista, 'total'),
+                pico: maxPor(lista, 'temporales')
+            }))
+        };
+    }
+
+    /**
+     * Exporta la ocupación diaria a CSV
+     * @param {Object} ocupacion - Resultado de calculateDailyOccupancy
+     * @param {Array} tramos - Nombres de los tramos, en el orden de las columnas
+     * @returns {string} Contenido CSV
+     */
+    exportOccupancyToCSV(ocupacion, tramos) {
+        const headers = ['Fecha', 'Temporada', 'Temporales', 'Permanentes', 'Total', ...tramos, 'Socios con más temporales'];
+        const csvLines = [headers.join(',')];
+
+        for (const dia of ocupacion.dias) {
+            csvLines.push([
+                dia.fecha.toLocaleDateString('es-ES'),
+                `"${dia.temporada.replace(/"/g, '""')}"`,
+                dia.temporales,
+                dia.permanentes,
+                dia.total,
+                ...tramos.map(tramo => dia.porTramo[tramo] || 0),
+                `"${dia.socios.map(s => `${s.socio} (${s.temporales})`).join('; ').replace(/"/g, '""')}"`
+            ].join(','));
+        }
+
+        return csvLines.join('\n');
+    }
+
+    /**
+     * Temporadas de año concreto que aparecen en los datos, de la más antigua a la más
+     * reciente (ver SeasonCalendar.apply)
+     * @returns {Array} Temporadas ({ temporadaAño, temporada, desde }); desde es la
+     *          primera alta de esa temporada
+     */
+    getSeasonYears() {
+        const porTemporada = new Map();
+        for (const record of this.data) {
+            if (!record.fechaInicio || !record.temporadaAño) continue;
+            const actual = porTemporada.get(record.temporadaAño);
+            if (!actual || record.fechaInicio < actual.desde) {
+                porTemporada.set(record.temporadaAño, {
+                    temporadaAño: record.temporadaAño,
+                    temporada: record.temporada,
+                    desde: record.fechaInicio
+                });
+            }
+        }
+        return Array.from(porTemporada.values()).sort((a, b) => a.desde - b.desde);
+    }
+
+    /**
+     * Compara dos periodos (dos rangos de fechas o dos temporadas) con los mismos
+     * filtros: consulta los socios de cada uno con query y cruza las filas por socio.
+     * Un socio es nuevo si solo tiene matrículas en el segundo periodo y desaparece si
+     * solo las tiene en el primero
+     * @param {Array} predicates - Predicados comunes a los dos periodos (ver query)
+     * @param {Object} periodoA - Periodo de referencia ({ etiqueta, predicado })
+     * @param {Object} periodoB - Periodo comparado ({ etiqueta, predicado })
+     * @param {Object} options - Opciones
+     * @param {number} options.minMatriculas - Mínimo de matrículas del socio en alguno de los dos periodos
+     * @param {number} options.topCrecen - Número de socios en la lista de los que más crecen
+     * @returns {Object} { antes, despues, socios, nuevos, desaparecidos, crecen }; antes y
+     *          despues resumen cada periodo ({ etiqueta, socios, matriculas }) y cada socio
+     *          tiene sus filas de los dos periodos (null si no aparece) y las diferencias
+     */
+    comparePeriods(predicates, periodoA, periodoB, options = {}) {
+        const { minMatriculas = 1, topCrecen = 10 } = options;
+        const metricas = ['totalMatriculas', 'permisosCortos', 'solapamientos', 'picoSimultaneo'];
+        const filasA = this.query([...predicates, periodoA.predicado]);
+        const filasB = this.query([...predicates, periodoB.predicado]);
+        const porSocio = new Map();
+
+        for (const [lado, filas] of [['antes', filasA], ['despues', filasB]]) {
+            for (const row of filas) {
+                if (!porSocio.has(row.socioKey)) {
+                    porSocio.set(row.socioKey, { socioKey: row.socioKey, socio: row.socio, antes: null, despues: null });
+                }
+                porSocio.get(row.socioKey)[lado] = row;
+            }
+        }
+
+        const socios = Array.from(porSocio.values())
+            .filter(s => Math.max(s.antes ? s.antes.totalMatriculas : 0, s.despues ? s.despues.totalMatriculas : 0) >= minMatriculas)
+            .map(s => ({
+                ...s,
+                socio: (s.despues || s.antes).socio,
+                estado: !s.antes ? 'nuevo' : !s.despues ? 'desaparecido' : 'sigue',
+                deltas: Object.fromEntries(metricas.map(metrica => [
+                    metrica,
+                    (s.despues ? s.despues[metrica] : 0) - (s.antes ? s.antes[metrica] : 0)
+                ]))
+            }))
+            .sort((a, b) => b.deltas.totalMatriculas - a.deltas.totalMatriculas || a.socio.localeCompare(b.socio));
+
+        const resumen = (periodo, lado) => {
+            const presentes = socios.filter(s => s[lado]);
+            return {
+                etiqueta: periodo.etiqueta,
+                socios: presentes.length,
+                matriculas: presentes.reduce((total, s) => total + s[lado].totalMatriculas, 0)
+            };
+        };
+
+        return {
+            antes: resumen(periodoA, 'antes'),
+            despues: resumen(periodoB, 'despues'),
+            socios: socios,
+            nuevos: socios.filter(s => s.estado === 'nuevo'),
+            desaparecidos: socios.filter(s => s.estado === 'desaparecido')
+                .sort((a, b) => b.antes.totalMatriculas - a.antes.totalMatriculas || a.socio.localeCompare(b.socio)),
+            crecen: socios.filter(s => s.estado === 'sigue' && s.deltas.totalMatriculas > 0).slice(0, topCrecen)
+        };
+    }
+
+    /**
+     * Obtiene estadísticas por período (altas, temporales y permanentes, tramos y
+     * socios únicos). Los periodos empiezan a medianoche en hora local; las semanas,
+     * en lunes
      * @param {string} periodo - 'dia', 'semana', 'mes' o 'año'
-     * @returns {Array} Array de estadísticas por período
+     * @param {Object} options - Opciones ({ incluirVacios: añadir los periodos sin altas
+     *        entre el primero y el último, para dibujar series continuas })
+     * @returns {Array} Periodos ({ periodo, desde, hasta, total, temporales, permanentes,
+     *          tramos, sociosUnicos }) en orden; hasta es el último día del periodo
      */
-    getStatsByPeriod(periodo = 'mes') {
+    getStatsByPeriod(periodo = 'mes', options = {}) {
+        const { incluirVacios = false } = options;
         const stats = new Map();
+        const nuevo = (desde) => ({
+            periodo: DataAnalyzer.getPeriodKey(desde, periodo),
+            desde: desde,
+            hasta: new Date(DataAnalyzer.getNextPeriodStart(desde, periodo).getTime() - 1),
+            total: 0,
+            temporales: 0,
+            permanentes: 0,
+            tramos: {},
+            sociosUnicos: new Set()
+        });
 
         for (const record of this.data) {
-            let key;
             const date = record.fechaInicio;
+            if (!date) continue;
 
-            switch (periodo) {
-                case 'dia':
-                    key = date.toISOString().split('T')[0];
-                    break;
-                case 'semana':
-                    const weekStart = new Date(date);
-                    weekStart.setDate(date.getDate() - date.getDay());
-                    key = weekStart.toISOString().split('T')[0];
-                    break;
-                case 'mes':
-                    key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                    break;
-                case 'año':
-                    key = date.getFullYear().toString();
-                    break;
-                default:
-                    key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            }
-
+            const desde = DataAnalyzer.getPeriodStart(date, periodo);
+            const key = DataAnalyzer.getPeriodKey(desde, periodo);
             if (!stats.has(key)) {
-                stats.set(key, {
-                    periodo: key,
-                    total: 0,
-                    temporales: 0,
-                    permanentes: 0,
-                    sociosUnicos: new Set()
-                });
+                stats.set(key, nuevo(desde));
             }
 
             const stat = stats.get(key);
             stat.total++;
-            stat.sociosUnicos.add(record.socio.toLowerCase());
-            
             if (record.tipoMatricula === 'temporal') {
                 stat.temporales++;
             } else {
                 stat.permanentes++;
             }
+            stat.sociosUnicos.add(DataAnalyzer.getSocioKey(record));
+
+            const tramo = record.tramo || PassTiers.getUnclassified().name;
+            stat.tramos[tramo] = (stat.tramos[tramo] || 0) + 1;
+        }
+
+        // Rellenar los periodos sin altas
+        if (incluirVacios && stats.size > 0) {
+            const inicios = Array.from(stats.values()).map(stat => stat.desde);
+            const ultimo = inicios.reduce((max, fecha) => fecha > max ? fecha : max);
+            let desde = inicios.reduce((min, fecha) => fecha < min ? fecha : min);
+            while (desde <= ultimo) {
+                const key = DataAnalyzer.getPeriodKey(desde, periodo);
+                if (!stats.has(key)) stats.set(key, nuevo(desde));
+                desde = DataAnalyzer.getNextPeriodStart(desde, periodo);
+            }
         }
 
         // Convertir a array y agregar count de socios únicos
@@ -524,7 +744,61 @@ class DataAnalyzer {
                 ...stat,
                 sociosUnicos: stat.sociosUnicos.size
             }))
-            .sort((a, b) => a.periodo.localeCompare(b.periodo));
+            .sort((a, b) => a.desde - b.desde);
+    }
+
+    /**
+     * Inicio (a medianoche, hora local) del periodo que contiene una fecha
+     * @param {Date} date - Fecha
+     * @param {string} periodo - 'dia', 'semana', 'mes' o 'año'
+     * @returns {Date} Inicio del periodo
+     */
+    static getPeriodStart(date, periodo) {
+        switch (periodo) {
+            case 'dia':
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+            case 'semana':
+                // Semanas de lunes a domingo
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+            case 'año':
+                return new Date(date.getFullYear(), 0, 1);
+            default:
+                return new Date(date.getFullYear(), date.getMonth(), 1);
+        }
+    }
+
+    /**
+     * Inicio del periodo siguiente
+     * @param {Date} desde - Inicio de un periodo
+     * @param {string} periodo - 'dia', 'semana', 'mes' o 'año'
+     * @returns {Date} Inicio del periodo siguiente
+     */
+    static getNextPeriodStart(desde, periodo) {
+        switch (periodo) {
+            case 'dia':
+                return new Date(desde.getFullYear(), desde.getMonth(), desde.getDate() + 1);
+            case 'semana':
+                return new Date(desde.getFullYear(), desde.getMonth(), desde.getDate() + 7);
+            case 'año':
+                return new Date(desde.getFullYear() + 1, 0, 1);
+            default:
+                return new Date(desde.getFullYear(), desde.getMonth() + 1, 1);
+        }
+    }
+
+    /**
+     * Clave de un periodo ("2024-06-03" para días y semanas, "2024-06", "2024")
+     * @param {Date} desde - Inicio del periodo
+     * @param {string} periodo - 'dia', 'semana', 'mes' o 'año'
+     * @returns {string} Clave
+     */
+    static getPeriodKey(desde, periodo) {
+        const año = desde.getFullYear();
+        const mes = String(desde.getMonth() + 1).padStart(2, '0');
+        const dia = String(desde.getDate()).padStart(2, '0');
+        if (periodo === 'año') return `${año}`;
+        if (periodo === 'dia' || periodo === 'semana') return `${año}-${mes}-${dia}`;
+        return `${año}-${mes}`;
     }
 
     /**
@@ -544,45 +818,214 @@ class DataAnalyzer {
     }
 
     /**
-     * Obtiene los datos agrupados por socio
+     * Clave de agrupación del socio: su número si se conoce (el nombre puede
+     * escribirse de formas distintas) o, si no, el nombre sin mayúsculas. Es la
+     * identidad del socio en todo el análisis (también en ExportDiff y PlateMatcher)
+     * @param {Object} record - Registro
+     * @returns {string} Clave del socio
+     */
+    static getSocioKey(record) {
+        return record.socioNumero
+            ? `#${record.socioNumero}`
+            : record.socio.toLowerCase().trim();
+    }
+
+    /**
+     * Encuentra la hora del día con más altas
+     * @param {Array} altasPorHora - Altas por hora local (24 posiciones)
+     * @returns {Object|null} Hora punta ({ hora, altas, porcentaje }) o null si no hay horas
+     */
+    findPeakHour(altasPorHora) {
+        const total = altasPorHora.reduce((sum, count) => sum + count, 0);
+        if (total === 0) return null;
+
+        const altas = Math.max(...altasPorHora);
+        return {
+            hora: altasPorHora.indexOf(altas),
+            altas: altas,
+            porcentaje: Math.round((altas / total) * 1000) / 10
+        };
+    }
+
+    /**
+     * Obtiene los datos agrupados por socio, sin filtrar
      * @returns {Array} Array de socios con sus matrículas
      */
     getGroupedBySocio() {
-        return Array.from(this.groupedData.values())
-            .map(group => {
-                const analytics = this.calculateSocioAnalytics(group);
-                return {
-                    socio: group.socio,
-                    matriculas: group.matriculas,
-                    totalMatriculas: group.matriculas.length,
-                    temporales: group.temporales,
-                    permanentes: group.permanentes,
-                    fechaUltimoRegistro: group.fechaUltimoRegistro,
-                    ...analytics
-                };
-            })
-            .sort((a, b) => b.totalMatriculas - a.totalMatriculas);
+        return this.query([]);
     }
 
     /**
-     * Calcula métricas avanzadas para un socio
-     * @param {Object} group - Grupo de datos del socio
-     * @returns {Object} Métricas calculadas
+     * Cuenta las matrículas de cada tramo
+     * @param {Array} matriculas - Array de matrículas
+     * @returns {Object} Número de matrículas por nombre de tramo
      */
-    calculateSocioAnalytics(group) {
-        const matriculas = group.matriculas;
+    countByTier(matriculas) {
+        const tramos = {};
+        for (const m of matriculas) {
+            const tramo = m.tramo || PassTiers.getUnclassified().name;
+            tramos[tramo] = (tramos[tramo] || 0) + 1;
+        }
+        return tramos;
+    }
+
+    /**
+     * Construye la fila de un socio con sus métricas calculadas sobre las matrículas
+     * dadas; es el único cálculo de métricas por socio, filtrado o no
+     * @param {string} socio - Nombre del socio
+     * @param {Array} matriculas - Matrículas del socio (ya filtradas)
+     * @returns {Object} Fila del socio
+     */
+    buildSocioRow(socio, matriculas) {
         const peakData = this.findPeakSimultaneous(matriculas);
-        
+        const fechaUltimoRegistro = matriculas.reduce((ultima, m) =>
+            m.fechaInicio && (!ultima || m.fechaInicio > ultima) ? m.fechaInicio : ultima, null);
+
         return {
+            socio: socio,
+            socioKey: DataAnalyzer.getSocioKey(matriculas[0]),
+            matriculas: matriculas,
+            matriculasDetalle: matriculas,
+            totalMatriculas: matriculas.length,
+            tramos: this.countByTier(matriculas),
             diasPromedioPermiso: this.calculateAveragePermitDays(matriculas),
             frecuenciaEstacional: this.calculateSeasonalFrequency(matriculas),
             permisosCortos: this.countShortPermits(matriculas),
             solapamientos: this.countOverlappingPlates(matriculas),
-            picoSimultaneo: (peakData.details && peakData.details.matriculas) ? peakData.details.matriculas.length : 0,
-            picoDetalle: peakData.details
+            picoSimultaneo: peakData.count,
+            picoDetalle: peakData.details,
+            matriculasPorTemporada: this.findBusiestSeason(matriculas),
+            matriculasCompartidas: this.findSharedPlates(matriculas),
+            fechaUltimoRegistro: fechaUltimoRegistro
         };
     }
 
+    /**
+     * Encuentra la temporada (de un año concreto) con más matrículas distintas dadas
+     * de alta, según la temporada con su año de cada registro (ver SeasonCalendar.apply)
+     * @param {Array} matriculas - Array de matrículas
+     * @returns {Object|null} Temporada ({ temporada, matriculas }) o null si no hay fechas
+     */
+    findBusiestSeason(matriculas) {
+        const porTemporada = new Map();
+
+        for (const m of matriculas) {
+            if (!m.fechaInicio || !m.temporadaAño) continue;
+            const temporada = m.temporadaAño;
+
+            if (!porTemporada.has(temporada)) {
+                porTemporada.set(temporada, new Set());
+            }
+            porTemporada.get(temporada).add(m.matricula.toLowerCase());
+        }
+
+        let busiest = null;
+        for (const [temporada, plates] of porTemporada) {
+            if (!busiest || plates.size > busiest.matriculas) {
+                busiest = { temporada, matriculas: plates.size };
+            }
+        }
+        return busiest;
+    }
+
+    /**
+     * Construye la fila de una matrícula con su historial de permisos en orden
+     * cronológico. Entre dos permisos seguidos hay una renovación si el siguiente
+     * empieza antes de un día después del fin del anterior, o un hueco si no; un
+     * cambio de socio si los dan de alta socios distintos
+     * @param {Array} registros - Permisos de la matrícula
+     * @returns {Object} Fila de la matrícula
+     */
+    buildPlateRow(registros) {
+        const unDia = 1000 * 60 * 60 * 24;
+        const historial = [...registros].sort((a, b) =>
+            (a.fechaInicio || new Date(0)) - (b.fechaInicio || new Date(0))
+        );
+
+        // Socios que han pedido la matrícula, con cuántos permisos cada uno
+        const socios = new Map();
+        for (const record of historial) {
+            const key = DataAnalyzer.getSocioKey(record);
+            if (!socios.has(key)) {
+                socios.set(key, { key, socio: record.socio, permisos: 0 });
+            }
+            socios.get(key).permisos++;
+        }
+
+        // Transiciones entre permisos consecutivos
+        const transiciones = [];
+        for (let i = 1; i < historial.length; i++) {
+            const anterior = historial[i - 1];
+            const siguiente = historial[i];
+            const transicion = {
+                desde: anterior,
+                hasta: siguiente,
+                cambioSocio: DataAnalyzer.getSocioKey(anterior) !== DataAnalyzer.getSocioKey(siguiente),
+                tipo: null,
+                dias: null
+            };
+            if (anterior.fechaFin && siguiente.fechaInicio) {
+                const dias = Math.floor((siguiente.fechaInicio - anterior.fechaFin) / unDia);
+                transicion.tipo = dias <= 1 ? 'renovacion' : 'hueco';
+                transicion.dias = Math.max(0, dias);
+            }
+            transiciones.push(transicion);
+        }
+
+        // Días autorizados: unión de los periodos con inicio y fin, sin contar dos veces los solapados
+        const periodos = historial
+            .filter(r => r.fechaInicio && r.fechaFin)
+            .map(r => [r.fechaInicio.getTime(), r.fechaFin.getTime()]);
+        let diasAutorizados = 0;
+        let actual = null;
+        for (const [inicio, fin] of periodos) {
+            if (actual && inicio <= actual[1]) {
+                actual[1] = Math.max(actual[1], fin);
+            } else {
+                if (actual) diasAutorizados += Math.max(1, Math.ceil((actual[1] - actual[0]) / unDia));
+                actual = [inicio, fin];
+            }
+        }
+        if (actual) diasAutorizados += Math.max(1, Math.ceil((actual[1] - actual[0]) / unDia));
+
+        const sociosList = Array.from(socios.values()).sort((a, b) => b.permisos - a.permisos);
+        return {
+            matricula: historial[0].matricula,
+            socio: sociosList.map(s => s.socio).join(', '),
+            socios: sociosList,
+            matriculas: historial,
+            totalPermisos: historial.length,
+            diasAutorizados: diasAutorizados,
+            sinFechaFin: historial.some(r => !r.fechaFin),
+            transiciones: transiciones,
+            renovaciones: transiciones.filter(t => t.tipo === 'renovacion').length,
+            huecos: transiciones.filter(t => t.tipo === 'hueco').length,
+            cambiosSocio: transiciones.filter(t => t.cambioSocio).length,
+            primerPermiso: historial.find(r => r.fechaInicio)?.fechaInicio || null,
+            ultimoPermiso: historial.filter(r => r.fechaInicio).pop()?.fechaInicio || null
+        };
+    }
+
+    /**
+     * Obtiene las matrículas del socio que también ha dado de alta otro socio
+     * @param {Array} matriculas - Matrículas del socio
+     * @returns {Array} Matrículas compartidas (sin repetir)
+     */
+    findSharedPlates(matriculas) {
+        if (matriculas.length === 0) return [];
+
+        const socioKey = DataAnalyzer.getSocioKey(matriculas[0]);
+        const compartidas = new Map();
+        for (const m of matriculas) {
+            const plate = m.matricula.toLowerCase();
+            const socios = this.sociosPorMatricula.get(plate);
+            if (socios && socios.size > 1 && socios.has(socioKey) && !compartidas.has(plate)) {
+                compartidas.set(plate, m.matricula);
+            }
+        }
+        return Array.from(compartidas.values());
+    }
+
     /**
      * Calcula los días promedio de los permisos temporales
      * @param {Array} matriculas - Array de matrículas
@@ -604,46 +1047,33 @@ class DataAnalyzer {
     }
 
     /**
-     * Calcula la frecuencia mensual por estación
+     * Calcula la frecuencia mensual por temporada: para cada temporada, el promedio
+     * de altas en los meses en que hubo alguna
      * @param {Array} matriculas - Array de matrículas
-     * @returns {Object} Frecuencias de verano e invierno
+     * @returns {Object} Frecuencia por nombre de temporada
      */
     calculateSeasonalFrequency(matriculas) {
         const registrosPorMes = new Map();
         
-        // Agrupar registros por año-mes
+        // Agrupar registros por temporada y año-mes
         matriculas.forEach(m => {
-            if (m.fechaInicio) {
+            if (m.fechaInicio && m.temporada) {
                 const yearMonth = `${m.fechaInicio.getFullYear()}-${m.fechaInicio.getMonth()}`;
-                if (!registrosPorMes.has(yearMonth)) {
-                    registrosPorMes.set(yearMonth, { verano: 0, invierno: 0, mes: m.fechaInicio.getMonth() });
-                }
-                
-                const mes = m.fechaInicio.getMonth() + 1; // Convertir a 1-12 para usar TEMPORADAS
-                if (TEMPORADAS.isVerano(mes)) {
-                    registrosPorMes.get(yearMonth).verano++;
-                } else {
-                    registrosPorMes.get(yearMonth).invierno++;
+                if (!registrosPorMes.has(m.temporada)) {
+                    registrosPorMes.set(m.temporada, new Map());
                 }
+                const meses = registrosPorMes.get(m.temporada);
+                meses.set(yearMonth, (meses.get(yearMonth) || 0) + 1);
             }
         });
         
         // Calcular promedios
-        const mesesConVerano = Array.from(registrosPorMes.values()).filter(m => m.verano > 0);
-        const mesesConInvierno = Array.from(registrosPorMes.values()).filter(m => m.invierno > 0);
-        
-        const promedioVerano = mesesConVerano.length > 0 
-            ? mesesConVerano.reduce((sum, m) => sum + m.verano, 0) / mesesConVerano.length 
-            : 0;
-            
-        const promedioInvierno = mesesConInvierno.length > 0 
-            ? mesesConInvierno.reduce((sum, m) => sum + m.invierno, 0) / mesesConInvierno.length 
-            : 0;
-        
-        return {
-            verano: Math.round(promedioVerano * 10) / 10,
-            invierno: Math.round(promedioInvierno * 10) / 10
-        };
+        const frecuencia = {};
+        for (const [temporada, meses] of registrosPorMes) {
+            const total = Array.from(meses.values()).reduce((sum, count) => sum + count, 0);
+            frecuencia[temporada] = Math.round((total / meses.size) * 10) / 10;
+        }
+        return frecuencia;
     }
 
     /**
@@ -686,9 +1116,11 @@ class DataAnalyzer {
 
     /**
      * Encuentra el pico máximo de matrículas temporales simultáneas
-     * Solo considera matrículas temporales con fechas de inicio y fin definidas
+     * Solo considera matrículas temporales con fechas de inicio y fin definidas. Una
+     * misma matrícula con dos permisos a la vez cuenta dos veces.
      * @param {Array} matriculas - Array de matrículas
-     * @returns {Object} Objeto con count (número) y details (detalles del pico)
+     * @returns {Object} Objeto con count (número) y details (detalles del pico:
+     *          { cantidad, fecha, matriculas, registros })
      */
     findPeakSimultaneous(matriculas) {
         const eventos = [];
@@ -700,8 +1132,8 @@ class DataAnalyzer {
         
         // Crear eventos de inicio y fin solo para temporales
         matriculasTemporales.forEach(m => {
-            eventos.push({ fecha: m.fechaInicio, tipo: 'inicio', matricula: m.matricula });
-            eventos.push({ fecha: m.fechaFin, tipo: 'fin', matricula: m.matricula });
+            eventos.push({ fecha: m.fechaInicio, tipo: 'inicio', matricula: m.matricula, registro: m });
+            eventos.push({ fecha: m.fechaFin, tipo: 'fin', matricula: m.matricula, registro: m });
         });
         
         // Ordenar eventos por fecha
@@ -709,36 +1141,42 @@ class DataAnalyzer {
         
         let activas = 0;
         let maxSimultaneas = 0;
-        let matriculasActivas = new Set();
+        // Permisos activos por registro (no por matrícula, que puede repetirse)
+        let matriculasActivas = new Map();
         let peakDetails = {
             cantidad: 0,
             fecha: null,
-            matriculas: []
+            matriculas: [],
+            registros: []
         };
         
         eventos.forEach(evento => {
             if (evento.tipo === 'inicio') {
                 activas++;
-                matriculasActivas.add(evento.matricula);
+                matriculasActivas.set(evento.registro, evento.matricula);
                 
                 if (activas > maxSimultaneas) {
                     maxSimultaneas = activas;
                     peakDetails = {
                         cantidad: activas,
                         fecha: evento.fecha,
-                        matriculas: Array.from(matriculasActivas)
+                        matriculas: Array.from(matriculasActivas.values()),
+                        registros: Array.from(matriculasActivas.keys())
                     };
                 }
             } else {
                 activas--;
-                matriculasActivas.delete(evento.matricula);
+                matriculasActivas.delete(evento.registro);
             }
         });
         
         return {
+            count: maxSimultaneas,
             details: {
+                cantidad: peakDetails.cantidad,
                 fecha: peakDetails.fecha,
-                matriculas: peakDetails.matriculas
+                matriculas: peakDetails.matriculas,
+                registros: peakDetails.registros
             }
         };
     }
@@ -752,6 +1190,8 @@ class DataAnalyzer {
      * @returns {boolean} True si se solapan
      */
     datesOverlap(inicio1, fin1, inicio2, fin2) {
+        // Las fechas conservan la hora: un permiso que acaba a las 10:00 no se
+        // solapa con otro que empieza a las 18:00 del mismo día
         if (!inicio1 || !inicio2) return false;
         
         // Para permanentes sin fecha fin, usar fecha muy lejana
@@ -762,28 +1202,36 @@ class DataAnalyzer {
     }
 
     /**
-     * Exporta datos filtrados a CSV
+     * Exporta datos filtrados a CSV, con el estado de cada permiso en la fecha de referencia
      * @param {Array} filteredData - Datos filtrados
+     * @param {Date} fechaReferencia - Día en que se calcula si el permiso está activo
      * @returns {string} CSV string
      */
-    exportToCSV(filteredData) {
+    exportToCSV(filteredData, fechaReferencia = new Date()) {
         if (!filteredData || filteredData.length === 0) {
             return 'No hay datos para exportar';
         }
 
-        const headers = ['Socio', 'Matrícula', 'Tipo', 'Fecha Inicio', 'Fecha Fin', 'Usuario', 'Nota'];
+        const referencia = fechaReferencia.toLocaleDateString('es-ES');
+        const headers = ['Socio', 'Puntuación', 'Motivos', 'Matrícula', 'Matrícula original', 'Tramo', 'Fecha Inicio', 'Fecha Fin', 'Usuario', 'Nota', 'Estado', 'Fecha de referencia'];
         const csvLines = [headers.join(',')];
 
         for (const group of filteredData) {
             for (const matricula of group.matriculasDetalle || group.matriculas || [matricula]) {
                 const line = [
                     `"${group.socio || matricula.socio}"`,
+                    group.puntuacion || 0,
+                    `"${(group.desglose || []).filter(regla => regla.activada).map(regla => regla.explicacion).join('; ').replace(/"/g, '""')}"`,
                     `"${matricula.matricula}"`,
-                    `"${matricula.tipoMatricula || 'N/A'}"`,
+                    `"${matricula.matriculaOriginal || matricula.matricula}"`,
+                    `"${matricula.tramo || 'N/A'}"`,
                     `"${matricula.fechaInicio ? matricula.fechaInicio.toLocaleDateString('es-ES') : 'N/A'}"`,
                     `"${matricula.fechaFin ? matricula.fechaFin.toLocaleDateString('es-ES') : 'N/A'}"`,
                     `"${matricula.usuario || 'N/A'}"`,
-                    `"${(matricula.nota || '').replace(/"/g, '""')}"`
+                    `"${(matricula.nota || '').replace(/"/g, '""')}"`,
+                    DataAnalyzer.isActiveOn(matricula, fechaReferencia) ? 'Activa'
+                        : matricula.fechaInicio && matricula.fechaInicio > fechaReferencia ? 'Pendiente' : 'Expirada',
+                    referencia
                 ];
                 csvLines.push(line.join(','));
             }
@@ -793,62 +1241,82 @@ class DataAnalyzer {
     }
 
     /**
-     * Calcula el promedio de altas al día por temporadas
-     * @returns {Object} Objeto con promedios de verano e invierno
+     * Indica si un permiso está activo el día de una fecha: empieza como tarde ese día y
+     * termina como pronto ese día (los que no tienen fecha de fin no caducan)
+     * @param {Object} registro - Registro
+     * @param {Date} fecha - Cualquier momento del día de referencia
+     * @returns {boolean} True si está activo
      */
-    calculateDailyRegistrations() {
-        if (this.data.length === 0) {
-            return { promedio: 0, verano: 0, invierno: 0, detalle: 'Sin datos' };
+    static isActiveOn(registro, fecha) {
+        const inicioDia = new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate());
+        const finDia = new Date(fecha.getFullYear(), fecha.getMonth(), fecha.getDate() + 1);
+        if (registro.fechaInicio && registro.fechaInicio >= finDia) {
+            return false;
         }
+        return !registro.fechaFin || registro.fechaFin >= inicioDia;
+    }
 
-        // Agrupar registros por día
+    /**
+     * Agrupa los registros por el día (en hora local) de su fecha de inicio
+     * @param {Array} records - Registros
+     * @returns {Map} Días por clave "YYYY-MM-DD" ({ fecha, registros }), en orden de aparición
+     */
+    static groupRegistrationsByDay(records) {
         const registrosPorDia = new Map();
-        
-        for (const record of this.data) {
+
+        for (const record of records) {
             if (!record.fechaInicio) continue;
-            
-            const fecha = new Date(record.fechaInicio);
-            const fechaKey = `${fecha.getFullYear()}-${fecha.getMonth()}-${fecha.getDate()}`;
-            
+
+            const fecha = DataAnalyzer.getPeriodStart(record.fechaInicio, 'dia');
+            const fechaKey = DataAnalyzer.getPeriodKey(fecha, 'dia');
             if (!registrosPorDia.has(fechaKey)) {
-                registrosPorDia.set(fechaKey, {
-                    fecha: fecha,
-                    count: 0
-                });
+                registrosPorDia.set(fechaKey, { fecha: fecha, registros: [] });
             }
-            
-            registrosPorDia.get(fechaKey).count++;
+            registrosPorDia.get(fechaKey).registros.push(record);
         }
 
-        // Separar por temporadas usando la constante centralizada
-        let registrosVerano = [];
-        let registrosInvierno = [];
+        return registrosPorDia;
+    }
+
+    /**
+     * Calcula el promedio de altas al día por temporadas
+     * @returns {Object} Promedio general y por nombre de temporada ({ promedio, porTemporada })
+     */
+    calculateDailyRegistrations() {
+        if (this.data.length === 0) {
+            return { promedio: 0, porTemporada: {} };
+        }
+
+        // Agrupar registros por día
+        const registrosPorDia = DataAnalyzer.groupRegistrationsByDay(this.data);
+
+        // Separar por temporadas (todos los registros de un día son de la misma)
+        const diasPorTemporada = new Map();
         
         for (const [, dayData] of registrosPorDia) {
-            const mes = dayData.fecha.getMonth() + 1; // Convertir a 1-12 para usar TEMPORADAS
-            
-            if (TEMPORADAS.isVerano(mes)) {
-                registrosVerano.push(dayData.count);
-            } else {
-                registrosInvierno.push(dayData.count);
+            const temporada = dayData.registros[0].temporada;
+            if (!temporada) continue;
+            if (!diasPorTemporada.has(temporada)) {
+                diasPorTemporada.set(temporada, []);
             }
+            diasPorTemporada.get(temporada).push(dayData.registros.length);
         }
 
         // Calcular promedios
-        const promedioVerano = registrosVerano.length > 0 ? 
-            (registrosVerano.reduce((sum, count) => sum + count, 0) / registrosVerano.length) : 0;
-            
-        const promedioInvierno = registrosInvierno.length > 0 ? 
-            (registrosInvierno.reduce((sum, count) => sum + count, 0) / registrosInvierno.length) : 0;
+        const porTemporada = {};
+        for (const [temporada, dias] of diasPorTemporada) {
+            const promedio = dias.reduce((sum, count) => sum + count, 0) / dias.length;
+            porTemporada[temporada] = Math.round(promedio * 10) / 10;
+        }
             
+        // Solo cuentan los registros con fecha de inicio (los agrupados por día)
+        const registrosConFecha = Array.from(registrosPorDia.values()).reduce((sum, dia) => sum + dia.registros.length, 0);
         const promedioGeneral = registrosPorDia.size > 0 ? 
-            (this.data.length / registrosPorDia.size) : 0;
+            (registrosConFecha / registrosPorDia.size) : 0;
 
         return {
             promedio: Math.round(promedioGeneral * 10) / 10,
-            verano: Math.round(promedioVerano * 10) / 10,
-            invierno: Math.round(promedioInvierno * 10) / 10,
-            detalle: `☀️ ${Math.round(promedioVerano * 10) / 10} / ❄️ ${Math.round(promedioInvierno * 10) / 10}`
+            porTemporada: porTemporada
         };
     }
 }
@@ -0,0 +1,207 @@
+/**
+ * Clase para comparar dos exportaciones del registro de permisos (la anterior y la
+ * nueva), ya leídas con CSVParser. Los permisos se emparejan por matrícula (tal como
+ * venía, aunque se haya unificado con PlateMatcher), socio y fecha de inicio; los que
+ * no se emparejan y tienen la misma matrícula y fecha de inicio con otro socio se
+ * consideran un cambio de socio.
+ */
+class ExportDiff {
+    /**
+     * Tipos de cambio, en el orden en que se muestran
+     * @returns {Array} Tipos ({ key, label, icon })
+     */
+    static getCategories() {
+        return [
+            { key: 'añadido', label: 'Permisos añadidos', icon: '🆕' },
+            { key: 'eliminado', label: 'Permisos eliminados', icon: '🗑️' },
+            { key: 'ampliado', label: 'Fin ampliado', icon: '⏩' },
+            { key: 'acortado', label: 'Fin acortado', icon: '⏪' },
+            { key: 'cambioSocio', label: 'Cambio de socio', icon: '🔀' }
+        ];
+    }
+
+    /**
+     * Nombre de un tipo de cambio
+     * @param {string} key - Tipo de cambio
+     * @returns {string} Nombre para mostrar
+     */
+    static getCategoryLabel(key) {
+        const category = ExportDiff.getCategories().find(c => c.key === key);
+        return category ? category.label : key;
+    }
+
+    /**
+     * Matrícula de un registro tal como venía en el archivo
+     * @param {Object} record - Registro
+     * @returns {string} Matrícula
+     */
+    static getPlate(record) {
+        return (record.matriculaOriginal || record.matricula).toUpperCase();
+    }
+
+    /**
+     * Clave de un permiso para emparejarlo entre exportaciones: matrícula y fecha de
+     * inicio, y el socio si se indica
+     * @param {Object} record - Registro
+     * @param {boolean} conSocio - Incluir el socio en la clave
+     * @returns {string} Clave del permiso
+     */
+    static getKey(record, conSocio = true) {
+        return [
+            ExportDiff.getPlate(record),
+            conSocio ? DataAnalyzer.getSocioKey(record) : '',
+            record.fechaInicio ? record.fechaInicio.getTime() : ''
+        ].join('|');
+    }
+
+    /**
+     * Agrupa registros por clave, conservando el orden (puede haber repetidos)
+     * @param {Array} records - Registros
+     * @param {Function} clave - Función que da la clave de un registro
+     * @returns {Map} Registros por clave
+     */
+    static index(records, clave) {
+        const porClave = new Map();
+        for (const record of records) {
+            const key = clave(record);
+            if (!porClave.has(key)) porClave.set(key, []);
+            porClave.get(key).push(record);
+        }
+        return porClave;
+    }
+
+    /**
+     * Compara dos exportaciones
+     * @param {Array} anteriores - Registros de la exportación anterior
+     * @param {Array} actuales - Registros de la exportación nueva
+     * @returns {Object} Informe ({ cambios, resumen, sinCambios, totalAnterior, totalActual }).
+     *          Cada cambio tiene { tipo, matricula, socio, socioAnterior, fechaInicio,
+     *          fechaFinAnterior, fechaFin, dias, anterior, actual }; dias es lo que se ha
+     *          movido la fecha de fin (null si uno de los dos permisos no tiene)
+     */
+    static compare(anteriores, actuales) {
+        const cambios = [];
+        let sinCambios = 0;
+
+        // 1. Mismo permiso en las dos: comparar la fecha de fin
+        const pendientes = ExportDiff.index(actuales, record => ExportDiff.getKey(record));
+        const sinPareja = [];
+        for (const anterior of anteriores) {
+            const candidatos = pendientes.get(ExportDiff.getKey(anterior));
+            if (!candidatos || candidatos.length === 0) {
+                sinPareja.push(anterior);
+                continue;
+            }
+            const actual = candidatos.shift();
+            const tipo = ExportDiff.compareEnd(anterior.fechaFin, actual.fechaFin);
+            if (tipo) {
+                cambios.push(ExportDiff.createChange(tipo, anterior, actual));
+            } else {
+                sinCambios++;
+            }
+        }
+
+        // 2. Misma matrícula y fecha de inicio con otro socio: cambio de socio
+        const nuevos = Array.from(pendientes.values()).flat();
+        const porPermiso = ExportDiff.index(nuevos, record => ExportDiff.getKey(record, false));
+        const emparejados = new Set();
+        for (const anterior of sinPareja) {
+            const candidatos = porPermiso.get(ExportDiff.getKey(anterior, false));
+            if (candidatos && candidatos.length > 0) {
+                const actual = candidatos.shift();
+                emparejados.add(actual);
+                cambios.push(ExportDiff.createChange('cambioSocio', anterior, actual));
+            } else {
+                cambios.push(ExportDiff.createChange('eliminado', anterior, null));
+            }
+        }
+
+        // 3. El resto de la exportación nueva son permisos añadidos
+        for (const actual of nuevos) {
+            if (!emparejados.has(actual)) {
+                cambios.push(ExportDiff.createChange('añadido', null, actual));
+            }
+        }
+
+        const orden = ExportDiff.getCategories().map(c => c.key);
+        cambios.sort((a, b) => orden.indexOf(a.tipo) - orden.indexOf(b.tipo) ||
+            a.matricula.localeCompare(b.matricula) ||
+            (a.fechaInicio || 0) - (b.fechaInicio || 0));
+
+        return {
+            cambios: cambios,
+            resumen: Object.fromEntries(orden.map(tipo => [tipo, cambios.filter(c => c.tipo === tipo).length])),
+            sinCambios: sinCambios,
+            totalAnterior: anteriores.length,
+            totalActual: actuales.length
+        };
+    }
+
+    /**
+     * Compara la fecha de fin de un permiso en las dos exportaciones (sin fecha de fin
+     * es sin límite)
+     * @param {Date|null} anterior - Fecha de fin en la exportación anterior
+     * @param {Date|null} actual - Fecha de fin en la exportación nueva
+     * @returns {string|null} 'ampliado', 'acortado' o null si no ha cambiado
+     */
+    static compareEnd(anterior, actual) {
+        const fin = fecha => fecha ? fecha.getTime() : Infinity;
+        if (fin(actual) > fin(anterior)) return 'ampliado';
+        if (fin(actual) < fin(anterior)) return 'acortado';
+        return null;
+    }
+
+    /**
+     * Crea un cambio del informe
+     * @param {string} tipo - Tipo de cambio (ver getCategories)
+     * @param {Object|null} anterior - Registro en la exportación anterior
+     * @param {Object|null} actual - Registro en la exportación nueva
+     * @returns {Object} Cambio
+     */
+    static createChange(tipo, anterior, actual) {
+        const record = actual || anterior;
+        const fechaFinAnterior = anterior ? anterior.fechaFin : null;
+        const fechaFin = actual ? actual.fechaFin : null;
+        return {
+            tipo: tipo,
+            matricula: ExportDiff.getPlate(record),
+            socio: record.socio,
+            socioAnterior: tipo === 'cambioSocio' ? anterior.socio : null,
+            fechaInicio: record.fechaInicio,
+            fechaFinAnterior: fechaFinAnterior,
+            fechaFin: fechaFin,
+            dias: anterior && actual && fechaFinAnterior && fechaFin
+                ? Math.round((fechaFin - fechaFinAnterior) / (24 * 60 * 60 * 1000))
+                : null,
+            anterior: anterior,
+            actual: actual
+        };
+    }
+
+    /**
+     * Exporta el informe de cambios a CSV
+     * @param {Object} informe - Informe (ver compare)
+     * @returns {string} CSV
+     */
+    static toCSV(informe) {
+        const fecha = value => value ? value.toLocaleDateString('es-ES') : '';
+        const texto = value => `"${(value || '').replace(/"/g, '""')}"`;
+        const headers = ['Cambio', 'Matrícula', 'Socio', 'Socio anterior', 'Fecha inicio', 'Fecha fin anterior', 'Fecha fin nueva', 'Diferencia (días)'];
+        const csvLines = [headers.join(',')];
+
+        for (const cambio of informe.cambios) {
+            csvLines.push([
+                texto(ExportDiff.getCategoryLabel(cambio.tipo)),
+                texto(cambio.matricula),
+                texto(cambio.socio),
+                texto(cambio.socioAnterior),
+                fecha(cambio.fechaInicio),
+                cambio.anterior ? (fecha(cambio.fechaFinAnterior) || 'Sin límite') : '',
+                cambio.actual ? (fecha(cambio.fechaFin) || 'Sin límite') : '',
+                cambio.dias === null ? '' : cambio.dias
+            ].join(','));
+        }
+
+        return csvLines.join('\n');
+    }
+}
@@ -0,0 +1,234 @@
+/**
+ * Clase para cargar archivos de matrículas en un Web Worker, por trozos,
+ * sin bloquear la interfaz
+ */
+class FileLoader {
+    constructor() {
+        this.worker = null;
+        this.workerUrl = null;
+        this.rejectCurrent = null;
+        this.currentLoad = null;
+    }
+
+    /**
+     * Carga y procesa un archivo CSV en segundo plano
+     * @param {File} file - Archivo a procesar
+     * @param {Object} options - Opciones de carga
+     * @param {Function} options.onProgress - Callback (bytesLeidos, bytesTotales)
+     * @param {string} options.encoding - Codificación del archivo o 'auto'
+     * @param {string} options.delimiter - Separador de campos o 'auto'
+     * @param {Object} options.mapping - Mapeo de columnas del archivo (null para el formato por defecto)
+     * @param {Object} options.memberRules - Reglas de extracción del socio (null para las de por defecto)
+     * @param {string} options.missingDatePolicy - Política para los registros sin fecha de inicio
+     * @returns {Promise<Object>} Resultado del parsing (mismo formato que CSVParser.parseFile)
+     */
+    load(file, { onProgress = null, encoding = 'auto', delimiter = 'auto', mapping = null, memberRules = null, missingDatePolicy = 'marcar' } = {}) {
+        this.cancel();
+        this.currentLoad = { cancelled: false };
+
+        const worker = this.createWorker();
+        if (!worker) {
+            return this.loadInMainThread(file, { onProgress, encoding, delimiter, mapping, memberRules, missingDatePolicy }, this.currentLoad);
+        }
+
+        this.worker = worker;
+        const data = [];
+        const errors = [];
+
+        return new Promise((resolve, reject) => {
+            this.rejectCurrent = reject;
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+
+                if (message.type === 'progress') {
+                    data.push(...message.data);
+                    errors.push(...message.errors);
+                    if (onProgress) onProgress(message.loaded, message.total);
+                } else if (message.type === 'done') {
+                    this.releaseWorker();
+                    resolve({
+                        data: data,
+                        errors: errors,
+                        totalLines: message.totalLines,
+                        validRecords: message.validRecords,
+                        encoding: message.encoding,
+                        delimiter: message.delimiter
+                    });
+                } else if (message.type === 'error') {
+                    this.releaseWorker();
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.releaseWorker();
+                reject(new Error(e.message || 'Error en el procesador en segundo plano'));
+            };
+
+            worker.postMessage({
+                file: file,
+                encoding: encoding,
+                delimiter: delimiter,
+                mapping: mapping,
+                memberRules: memberRules,
+                missingDatePolicy: missingDatePolicy
+            });
+        });
+    }
+
+    /**
+     * Procesa el archivo en el hilo principal cuando no hay soporte de Web Workers.
+     * Se cede el control al navegador entre trozos para mantener la interfaz viva.
+     * @param {File} file - Archivo a procesar
+     * @param {Object} options - Opciones de carga ({ onProgress, encoding, delimiter, mapping, memberRules, missingDatePolicy })
+     * @param {Object} loadState - Estado de la carga ({ cancelled })
+     * @returns {Promise<Object>} Resultado del parsing
+     */
+    loadInMainThread(file, { onProgress, encoding, delimiter, mapping, memberRules, missingDatePolicy }, loadState) {
+        const parser = new CSVParser({ mapping, delimiter, memberRules, missingDatePolicy });
+
+        return parser.parseFile(file, {
+            encoding: encoding,
+            onProgress: async (loaded, total) => {
+                if (loadState.cancelled) {
+                    throw FileLoader.createCancelError();
+                }
+                if (onProgress) onProgress(loaded, total);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        });
+    }
+
+    /**
+     * Cancela la carga en curso, si la hay
+     */
+    cancel() {
+        if (this.currentLoad) {
+            this.currentLoad.cancelled = true;
+            this.currentLoad = null;
+        }
+
+        if (this.worker) {
+            const reject = this.rejectCurrent;
+            this.releaseWorker();
+            if (reject) reject(FileLoader.createCancelError());
+        }
+    }
+
+    /**
+     * Indica si hay una carga en curso en el worker
+     * @returns {boolean} True si está cargando
+     */
+    isLoading() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Termina el worker actual y libera su URL
+     */
+    releaseWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.workerUrl) {
+            URL.revokeObjectURL(this.workerUrl);
+            this.workerUrl = null;
+        }
+        this.rejectCurrent = null;
+    }
+
+    /**
+     * Crea el worker a partir del propio código del parser, para que funcione
+     * igual en desarrollo y en el archivo HTML único (sin archivos externos)
+     * @returns {Worker|null} Worker o null si el navegador no lo permite
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+            return null;
+        }
+
+        try {
+            const blob = new Blob([FileLoader.getWorkerSource()], { type: 'application/javascript' });
+            this.workerUrl = URL.createObjectURL(blob);
+            return new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('No se pudo crear el Web Worker, se procesará en el hilo principal:', error);
+            if (this.workerUrl) {
+                URL.revokeObjectURL(this.workerUrl);
+                this.workerUrl = null;
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Genera el código fuente del worker
+     * @returns {string} Código JavaScript del worker
+     */
+    static getWorkerSource() {
+        return `${PlateValidator.toString()}\n${MemberExtractor.toString()}\n${CSVParser.toString()}\n${parserWorkerMain.toString()}\nparserWorkerMain();`;
+    }
+
+    /**
+     * Crea el error usado para señalar una carga cancelada
+     * @returns {Error} Error de cancelación
+     */
+    static createCancelError() {
+        const error = new Error('Carga cancelada por el usuario');
+        error.cancelled = true;
+        return error;
+    }
+}
+
+/**
+ * Punto de entrada del worker de parsing. Se ejecuta dentro del worker, no en la
+ * página: solo puede usar las clases incluidas en FileLoader.getWorkerSource().
+ */
+function parserWorkerMain() {
+    self.onmessage = async (e) => {
+        const parser = new CSVParser({
+            mapping: e.data.mapping,
+            delimiter: e.data.delimiter,
+            memberRules: e.data.memberRules,
+            missingDatePolicy: e.data.missingDatePolicy
+        });
+
+        try {
+            const result = await parser.parseFile(e.data.file, {
+                encoding: e.data.encoding,
+                onProgress: (loaded, total) => {
+                    // Enviar los registros del trozo y vaciar el parser para no duplicar memoria
+                    self.postMessage({
+                        type: 'progress',
+                        loaded: loaded,
+                        total: total,
+                        data: parser.data,
+                        errors: parser.errors
+                    });
+                    parser.data = [];
+                    parser.errors = [];
+                }
+            });
+
+            self.postMessage({
+                type: 'progress',
+                loaded: e.data.file.size,
+                total: e.data.file.size,
+                data: result.data,
+                errors: result.errors
+            });
+            self.postMessage({
+                type: 'done',
+                totalLines: result.totalLines,
+                validRecords: result.validRecords,
+                encoding: result.encoding,
+                delimiter: result.delimiter
+            });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    };
+}
@@ -0,0 +1,171 @@
+/**
+ * Clase para extraer el socio (número y nombre) del campo info/nota según una
+ * lista ordenada de reglas configurables. Se incluye también en el worker de
+ * parsing (FileLoader.getWorkerSource).
+ *
+ * Cada regla tiene un nombre, una ruta JSON opcional (p. ej. "socio.nombre") que
+ * elige el texto cuando el campo es un JSON (sin ruta: la nota, o el campo entero
+ * si no es JSON), y una expresión regular opcional que extrae de ese texto el
+ * número (grupo "numero" o 1) y el nombre (grupo "nombre" o 2). Sin expresión
+ * regular, el texto completo es el nombre.
+ */
+class MemberExtractor {
+    /**
+     * @param {Object} config - Configuración ({ rules, fallbackToNote }); por defecto la original
+     */
+    constructor(config = null) {
+        const { rules, fallbackToNote } = config || MemberExtractor.getDefaultConfig();
+        this.fallbackToNote = !!fallbackToNote;
+        this.rules = rules
+            .map(rule => ({ ...rule, regex: MemberExtractor.compile(rule.pattern) }))
+            .filter(rule => rule.regex !== null);
+    }
+
+    /**
+     * Configuración por defecto: formato "123-APELLIDOS, NOMBRE" en la nota (el campo
+     * note del JSON de la barrera o el texto del campo). Sin regla que coincida no hay socio.
+     * @returns {Object} Configuración ({ rules, fallbackToNote })
+     */
+    static getDefaultConfig() {
+        return {
+            rules: [
+                {
+                    name: '123-APELLIDOS, NOMBRE',
+                    path: '',
+                    pattern: '(?<numero>\\d+)-(?<nombre>[^,\\[\\]]+(?:,[^,\\[\\]]+)*)'
+                }
+            ],
+            fallbackToNote: false
+        };
+    }
+
+    /**
+     * Compila la expresión regular de una regla
+     * @param {string} pattern - Expresión regular (vacía para usar el texto completo)
+     * @returns {RegExp|null|undefined} Expresión, undefined si no hay, o null si no es válida
+     */
+    static compile(pattern) {
+        if (!pattern) return undefined;
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Comprueba las reglas antes de guardarlas
+     * @param {Object} config - Configuración ({ rules, fallbackToNote })
+     * @returns {Array} Mensajes de error (vacío si es válida)
+     */
+    static validate(config) {
+        const problems = [];
+        config.rules.forEach((rule, index) => {
+            const label = `Regla ${index + 1}${rule.name ? ` (${rule.name})` : ''}`;
+            if (!rule.path && !rule.pattern) {
+                problems.push(`${label}: indica una ruta JSON, una expresión regular o ambas`);
+            } else if (MemberExtractor.compile(rule.pattern) === null) {
+                problems.push(`${label}: la expresión regular no es válida`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Extrae el socio, el usuario y la nota del campo info (JSON o texto)
+     * @param {string} infoField - Campo info/nota del registro
+     * @param {Object} options - Opciones
+     * @param {boolean} options.fallback - Usar el texto completo si ninguna regla coincide
+     * @returns {Object} Datos extraídos ({ socio, socioNumero, socioNombre, usuario, nota, rule })
+     */
+    extract(infoField, { fallback = this.fallbackToNote } = {}) {
+        const text = (infoField || '').trim();
+        const json = MemberExtractor.parseJson(text);
+        const nota = json && typeof json.note === 'string' ? json.note : text;
+        const usuario = json && json.user ? String(json.user) : '';
+
+        for (let index = 0; index < this.rules.length; index++) {
+            const member = this.applyRule(this.rules[index], nota, json);
+            if (member) {
+                return { ...member, usuario, nota, rule: index };
+            }
+        }
+
+        const nombre = fallback ? nota.trim() : '';
+        return {
+            socio: nombre,
+            socioNumero: '',
+            socioNombre: nombre,
+            usuario,
+            nota,
+            rule: -1
+        };
+    }
+
+    /**
+     * Aplica una regla al campo
+     * @param {Object} rule - Regla compilada
+     * @param {string} nota - Nota del campo (campo note del JSON o el texto completo)
+     * @param {Object|null} json - Campo interpretado como JSON, si lo es
+     * @returns {Object|null} Socio ({ socio, socioNumero, socioNombre }) o null si no coincide
+     */
+    applyRule(rule, nota, json) {
+        let value = nota;
+        if (rule.path) {
+            value = json ? MemberExtractor.getPath(json, rule.path) : undefined;
+            if (value === undefined || value === null || typeof value === 'object') return null;
+            value = String(value);
+        }
+
+        let numero = '';
+        let nombre = value;
+        if (rule.regex) {
+            const match = value.match(rule.regex);
+            if (!match) return null;
+
+            const groups = match.groups || {};
+            numero = groups.numero !== undefined ? groups.numero : (match[1] || '');
+            nombre = groups.nombre !== undefined ? groups.nombre : (match[2] || '');
+        }
+
+        numero = (numero || '').trim();
+        nombre = (nombre || '').trim();
+        if (!numero && !nombre) return null;
+
+        return {
+            socio: numero && nombre ? `${numero}-${nombre}` : (nombre || numero),
+            socioNumero: numero,
+            socioNombre: nombre
+        };
+    }
+
+    /**
+     * Interpreta el campo como JSON si tiene forma de objeto
+     * @param {string} text - Texto del campo (el parser ya ha quitado las comillas CSV)
+     * @returns {Object|null} Objeto o null si no es JSON
+     */
+    static parseJson(text) {
+        if (!text.startsWith('{') || !text.endsWith('}')) return null;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene un valor por ruta ("note", "socio.nombre", "$.items[0].id")
+     * @param {Object} object - Objeto JSON
+     * @param {string} path - Ruta separada por puntos, con índices opcionales
+     * @returns {*} Valor encontrado o undefined
+     */
+    static getPath(object, path) {
+        const keys = path.trim().replace(/^\$\.?/, '').split(/\.|\[(\d+)\]/).filter(key => key);
+        let value = object;
+        for (const key of keys) {
+            if (value === null || typeof value !== 'object') return undefined;
+            value = value[key];
+        }
+        return value;
+    }
+}
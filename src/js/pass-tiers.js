@@ -0,0 +1,145 @@
+/**
+ * Clase para clasificar los permisos en tramos según su duración (pase de visitante,
+ * de temporada, anual...). Cada tramo tiene un nombre, una duración mínima y máxima
+ * en días y un color; se usa el primero que encaja. Un tramo sin duración máxima
+ * incluye también los permisos sin fecha de fin.
+ */
+class PassTiers {
+    /**
+     * @param {Object} config - Configuración ({ tiers }); por defecto la de los estatutos
+     */
+    constructor(config = null) {
+        const { tiers } = config || PassTiers.getDefaultConfig();
+        this.tiers = tiers.map(tier => ({ ...tier }));
+    }
+
+    /**
+     * Tramos por defecto según los estatutos: pase de visitante (hasta 15 días), de
+     * temporada (hasta una temporada, la de invierno dura 8 meses) y anual o permanente
+     * @returns {Object} Configuración ({ tiers })
+     */
+    static getDefaultConfig() {
+        return {
+            tiers: [
+                { name: 'Visitante', minDays: 0, maxDays: 15, color: '#f59e0b' },
+                { name: 'Temporada', minDays: 16, maxDays: 243, color: '#3b82f6' },
+                { name: 'Anual', minDays: 244, maxDays: null, color: '#10b981' }
+            ]
+        };
+    }
+
+    /**
+     * Tramo de los permisos que no encajan en ninguno (o de duración desconocida)
+     * @returns {Object} Tramo ({ name, minDays, maxDays, color })
+     */
+    static getUnclassified() {
+        return { name: 'Sin tramo', minDays: null, maxDays: null, color: '#9ca3af' };
+    }
+
+    /**
+     * Comprueba los tramos antes de guardarlos
+     * @param {Object} config - Configuración ({ tiers })
+     * @returns {Array} Mensajes de error (vacío si es válida)
+     */
+    static validate(config) {
+        const problems = [];
+        const names = new Set();
+
+        if (config.tiers.length === 0) {
+            problems.push('Define al menos un tramo');
+        }
+
+        config.tiers.forEach((tier, index) => {
+            const label = `Tramo ${index + 1}${tier.name ? ` (${tier.name})` : ''}`;
+            if (!tier.name) {
+                problems.push(`${label}: indica un nombre`);
+            } else if (names.has(tier.name.toLowerCase()) || tier.name === PassTiers.getUnclassified().name) {
+                problems.push(`${label}: el nombre está repetido o reservado`);
+            }
+            names.add((tier.name || '').toLowerCase());
+
+            if (!Number.isInteger(tier.minDays) || tier.minDays < 0) {
+                problems.push(`${label}: la duración mínima debe ser un número de días (0 o más)`);
+            } else if (tier.maxDays !== null && (!Number.isInteger(tier.maxDays) || tier.maxDays < tier.minDays)) {
+                problems.push(`${label}: la duración máxima debe estar vacía o ser mayor o igual que la mínima`);
+            }
+            if (!/^#[0-9a-f]{6}$/i.test(tier.color || '')) {
+                problems.push(`${label}: el color no es válido`);
+            }
+        });
+
+        if (!config.tiers.some(tier => tier.maxDays === null)) {
+            problems.push('Ningún tramo incluye los permisos sin fecha de fin: deja vacía la duración máxima del último');
+        }
+        return problems;
+    }
+
+    /**
+     * Duración de un permiso en días (redondeada hacia arriba, por las horas)
+     * @param {Date} fechaInicio - Fecha de inicio
+     * @param {Date} fechaFin - Fecha de fin
+     * @returns {number|null} Días, Infinity sin fecha de fin o null si falta el inicio
+     */
+    static getDurationDays(fechaInicio, fechaFin) {
+        if (!fechaFin) return Infinity;
+        if (!fechaInicio) return null;
+        return Math.max(0, Math.ceil((fechaFin - fechaInicio) / (1000 * 60 * 60 * 24)));
+    }
+
+    /**
+     * Obtiene el tramo de un permiso según su duración
+     * @param {Date} fechaInicio - Fecha de inicio
+     * @param {Date} fechaFin - Fecha de fin
+     * @returns {Object} Tramo, o el de "Sin tramo" si no encaja en ninguno
+     */
+    classify(fechaInicio, fechaFin) {
+        const dias = PassTiers.getDurationDays(fechaInicio, fechaFin);
+        const tier = dias === null ? null : this.tiers.find(t =>
+            dias >= t.minDays && (t.maxDays === null || dias <= t.maxDays)
+        );
+        return tier || PassTiers.getUnclassified();
+    }
+
+    /**
+     * Asigna el tramo a cada registro. El tipo temporal o permanente (para el pico
+     * simultáneo y los días promedio) se deriva del tramo: son permanentes los del
+     * tramo sin duración máxima y los que no tienen fecha de fin
+     * @param {Array} records - Registros a clasificar (se modifican)
+     */
+    apply(records) {
+        for (const record of records) {
+            const tier = this.classify(record.fechaInicio, record.fechaFin);
+            const abierto = tier.maxDays === null && tier.minDays !== null;
+            record.tramo = tier.name;
+            record.tipoMatricula = record.fechaFin && !abierto ? 'temporal' : 'permanente';
+        }
+    }
+
+    /**
+     * Obtiene un tramo por su nombre
+     * @param {string} name - Nombre del tramo
+     * @returns {Object} Tramo, o el de "Sin tramo" si no existe
+     */
+    getTier(name) {
+        return this.tiers.find(tier => tier.name === name) || PassTiers.getUnclassified();
+    }
+
+    /**
+     * Tramos configurados seguidos del de "Sin tramo", en el orden en que se muestran
+     * @returns {Array} Tramos
+     */
+    getAll() {
+        return [...this.tiers, PassTiers.getUnclassified()];
+    }
+
+    /**
+     * Describe la duración de un tramo ("0-15 días", "244 días o más")
+     * @param {Object} tier - Tramo
+     * @returns {string} Descripción
+     */
+    static describe(tier) {
+        if (tier.minDays === null) return 'duración desconocida o fuera de los tramos';
+        if (tier.maxDays === null) return `${tier.minDays} días o más, o sin fecha de fin`;
+        return `${tier.minDays}-${tier.maxDays} días`;
+    }
+}
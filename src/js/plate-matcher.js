@@ -0,0 +1,253 @@
+/**
+ * Clase para detectar matrículas casi iguales, que suelen ser la misma escrita a mano
+ * con una errata: letras cambiadas de orden ("1234BCD" / "1234BDC"), O por 0 o I por 1
+ * ("I234BCD") o un carácter de más, de menos o distinto. Agrupa las variantes con una
+ * confianza y permite unificarlas para el análisis conservando la matrícula original.
+ */
+class PlateMatcher {
+    /**
+     * @param {Object} options - Opciones
+     * @param {number} options.minConfianza - Confianza mínima para agrupar dos matrículas (0-1).
+     *        Por defecto, un carácter distinto, de más o de menos solo agrupa si además una
+     *        de las dos no tiene un formato válido o las ha dado de alta el mismo socio
+     *        (dos matrículas válidas de socios distintos suelen ser coches distintos)
+     */
+    constructor({ minConfianza = 0.6 } = {}) {
+        this.minConfianza = minConfianza;
+    }
+
+    /**
+     * Forma canónica para comparar: O por 0 e I por 1 (las matrículas españolas
+     * actuales no usan vocales, así que una O o una I casi siempre es una errata)
+     * @param {string} plate - Matrícula normalizada
+     * @returns {string} Matrícula canónica
+     */
+    static canonical(plate) {
+        return plate.replace(/O/g, '0').replace(/I/g, '1');
+    }
+
+    /**
+     * Compara dos matrículas distintas
+     * @param {string} a - Matrícula normalizada
+     * @param {string} b - Matrícula normalizada
+     * @returns {Object|null} Parecido ({ tipo, confianza }) o null si no se parecen.
+     *          Tipos: 'confusion' (O/0, I/1), 'transposicion', 'sustitucion' o 'longitud'
+     */
+    static compare(a, b) {
+        if (a === b) return null;
+
+        const ca = PlateMatcher.canonical(a);
+        const cb = PlateMatcher.canonical(b);
+        if (ca === cb) return { tipo: 'confusion', confianza: 0.8 };
+        if (PlateMatcher.isTransposition(ca, cb)) return { tipo: 'transposicion', confianza: 0.7 };
+        if (ca.length === cb.length && PlateMatcher.countDifferences(ca, cb) === 1) {
+            return { tipo: 'sustitucion', confianza: 0.5 };
+        }
+        if (Math.abs(ca.length - cb.length) === 1 && PlateMatcher.isOneInsertion(ca, cb)) {
+            return { tipo: 'longitud', confianza: 0.5 };
+        }
+        return null;
+    }
+
+    /**
+     * Texto de un tipo de parecido
+     * @param {string} tipo - Tipo (ver compare)
+     * @returns {string} Descripción
+     */
+    static getTypeLabel(tipo) {
+        const labels = {
+            confusion: 'O/0 o I/1',
+            transposicion: 'caracteres cambiados de orden',
+            sustitucion: 'un carácter distinto',
+            longitud: 'un carácter de más o de menos'
+        };
+        return labels[tipo] || tipo;
+    }
+
+    /**
+     * Indica si dos cadenas solo difieren en dos caracteres contiguos intercambiados
+     * @param {string} a - Primera cadena
+     * @param {string} b - Segunda cadena
+     * @returns {boolean} True si es una transposición
+     */
+    static isTransposition(a, b) {
+        if (a.length !== b.length) return false;
+        const diffs = [];
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) diffs.push(i);
+            if (diffs.length > 2) return false;
+        }
+        return diffs.length === 2 && diffs[1] === diffs[0] + 1 &&
+            a[diffs[0]] === b[diffs[1]] && a[diffs[1]] === b[diffs[0]];
+    }
+
+    /**
+     * Cuenta las posiciones distintas de dos cadenas de la misma longitud
+     * @param {string} a - Primera cadena
+     * @param {string} b - Segunda cadena
+     * @returns {number} Posiciones distintas
+     */
+    static countDifferences(a, b) {
+        let diffs = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) diffs++;
+        }
+        return diffs;
+    }
+
+    /**
+     * Indica si la cadena más larga es la más corta con un carácter añadido
+     * @param {string} a - Primera cadena
+     * @param {string} b - Segunda cadena (un carácter más o menos que la primera)
+     * @returns {boolean} True si basta una inserción
+     */
+    static isOneInsertion(a, b) {
+        const [corta, larga] = a.length < b.length ? [a, b] : [b, a];
+        let i = 0;
+        while (i < corta.length && corta[i] === larga[i]) i++;
+        return corta.slice(i) === larga.slice(i + 1);
+    }
+
+    /**
+     * Agrupa las matrículas casi iguales de los registros. Solo se comparan las que
+     * comparten alguna clave (la matrícula canónica o esta sin uno de sus caracteres),
+     * que son todas las que están a una errata de distancia
+     * @param {Array} records - Registros (se usa matriculaOriginal si ya se unificaron)
+     * @returns {Array} Grupos ({ principal, confianza, variantes: [{ matricula, registros,
+     *          socios, tipo, confianza }] }), de mayor a menor confianza
+     */
+    findGroups(records) {
+        // Registros y socios de cada matrícula
+        const plates = new Map();
+        for (const record of records) {
+            const plate = record.matriculaOriginal || record.matricula;
+            if (!plates.has(plate)) {
+                plates.set(plate, { matricula: plate, registros: 0, socios: new Set(), valida: PlateValidator.classify(plate).valida });
+            }
+            const info = plates.get(plate);
+            info.registros++;
+            info.socios.add(DataAnalyzer.getSocioKey(record));
+        }
+
+        // Candidatas: matrículas que comparten alguna clave
+        const claves = new Map();
+        for (const plate of plates.keys()) {
+            const canonical = PlateMatcher.canonical(plate);
+            const keys = new Set([canonical]);
+            for (let i = 0; i < canonical.length; i++) {
+                keys.add(canonical.slice(0, i) + canonical.slice(i + 1));
+            }
+            for (const key of keys) {
+                if (!claves.has(key)) claves.set(key, []);
+                claves.get(key).push(plate);
+            }
+        }
+
+        // Parecidos entre candidatas
+        const parecidos = new Map();
+        for (const candidatas of claves.values()) {
+            for (let i = 0; i < candidatas.length; i++) {
+                for (let j = i + 1; j < candidatas.length; j++) {
+                    const [a, b] = [candidatas[i], candidatas[j]];
+                    const match = this.score(plates.get(a), plates.get(b));
+                    if (!match) continue;
+                    if (!parecidos.has(a)) parecidos.set(a, new Map());
+                    if (!parecidos.has(b)) parecidos.set(b, new Map());
+                    parecidos.get(a).set(b, match);
+                    parecidos.get(b).set(a, match);
+                }
+            }
+        }
+
+        // Cada grupo es una matrícula principal (antes las de formato válido y más
+        // registros) con las variantes que se le parecen directamente, sin encadenar
+        const orden = Array.from(plates.values())
+            .filter(info => parecidos.has(info.matricula))
+            .sort((a, b) => (b.valida - a.valida) || (b.registros - a.registros) || a.matricula.localeCompare(b.matricula));
+        const asignadas = new Set();
+        const grupos = [];
+
+        for (const principal of orden) {
+            if (asignadas.has(principal.matricula)) continue;
+
+            const variantes = Array.from(parecidos.get(principal.matricula))
+                .filter(([plate]) => !asignadas.has(plate))
+                .map(([plate, match]) => ({
+                    matricula: plate,
+                    registros: plates.get(plate).registros,
+                    socios: plates.get(plate).socios.size,
+                    tipo: match.tipo,
+                    confianza: match.confianza
+                }))
+                .sort((a, b) => b.confianza - a.confianza || a.matricula.localeCompare(b.matricula));
+            if (variantes.length === 0) continue;
+
+            asignadas.add(principal.matricula);
+            variantes.forEach(variante => asignadas.add(variante.matricula));
+            grupos.push({
+                principal: principal.matricula,
+                registros: principal.registros,
+                confianza: Math.min(...variantes.map(v => v.confianza)),
+                variantes: variantes
+            });
+        }
+
+        return grupos.sort((a, b) => b.confianza - a.confianza || a.principal.localeCompare(b.principal));
+    }
+
+    /**
+     * Confianza de que dos matrículas sean la misma: la del tipo de parecido, más 0,1
+     * si solo una tiene un formato válido (la otra parece una errata) y 0,1 si las ha
+     * dado de alta el mismo socio
+     * @param {Object} a - Matrícula ({ matricula, socios, valida })
+     * @param {Object} b - Matrícula ({ matricula, socios, valida })
+     * @returns {Object|null} Parecido ({ tipo, confianza }) o null si no llega al mínimo
+     */
+    score(a, b) {
+        const match = PlateMatcher.compare(a.matricula, b.matricula);
+        if (!match) return null;
+
+        let confianza = match.confianza;
+        if (a.valida !== b.valida) confianza += 0.1;
+        if ([...a.socios].some(socio => b.socios.has(socio))) confianza += 0.1;
+        confianza = Math.min(0.99, Math.round(confianza * 100) / 100);
+
+        return confianza >= this.minConfianza ? { tipo: match.tipo, confianza } : null;
+    }
+
+    /**
+     * Unifica las variantes de cada grupo con su matrícula principal. La matrícula
+     * tal como venía se guarda en matriculaOriginal
+     * @param {Array} records - Registros (se modifican)
+     * @param {Array} groups - Grupos (ver findGroups)
+     */
+    static merge(records, groups) {
+        const principales = new Map();
+        for (const group of groups) {
+            for (const variante of group.variantes) {
+                principales.set(variante.matricula, group.principal);
+            }
+        }
+
+        for (const record of records) {
+            const original = record.matriculaOriginal || record.matricula;
+            if (principales.has(original)) {
+                record.matriculaOriginal = original;
+                record.matricula = principales.get(original);
+            }
+        }
+    }
+
+    /**
+     * Deshace la unificación: vuelve a poner la matrícula original
+     * @param {Array} records - Registros (se modifican)
+     */
+    static restore(records) {
+        for (const record of records) {
+            if (record.matriculaOriginal) {
+                record.matricula = record.matriculaOriginal;
+                delete record.matriculaOriginal;
+            }
+        }
+    }
+}
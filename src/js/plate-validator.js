@@ -0,0 +1,88 @@
+/**
+ * Clase para normalizar y clasificar matrículas españolas y extranjeras.
+ * Se incluye también en el worker de parsing (FileLoader.getWorkerSource).
+ */
+class PlateValidator {
+    /**
+     * Normaliza una matrícula: mayúsculas, sin espacios, guiones ni puntos
+     * ("1234-BCD", "1234 BCD" y "1234.bcd" quedan como "1234BCD")
+     * @param {string} plate - Matrícula tal como viene en el archivo
+     * @returns {string} Matrícula normalizada
+     */
+    static normalize(plate) {
+        if (!plate || typeof plate !== 'string') return '';
+
+        return plate
+            .trim()
+            .toUpperCase()
+            .replace(/[\s.\-·_/]+/g, '');
+    }
+
+    /**
+     * Clasifica una matrícula ya normalizada
+     * @param {string} plate - Matrícula normalizada
+     * @returns {Object} Clasificación ({ categoria, pais, valida })
+     */
+    static classify(plate) {
+        for (const rule of PlateValidator.getRules()) {
+            if (rule.pattern.test(plate)) {
+                return { categoria: rule.categoria, pais: rule.pais, valida: true };
+            }
+        }
+        return { categoria: 'invalida', pais: '', valida: false };
+    }
+
+    /**
+     * Reglas de clasificación, en orden de prioridad: los formatos españoles van
+     * antes que los extranjeros porque algunos coinciden (p. ej. "GI1234"). La
+     * excepción es una letra y cuatro cifras ("L1234"), que se toma como andorrana:
+     * las provinciales antiguas de una sola letra con cuatro cifras ya casi no circulan
+     * @returns {Array} Reglas ({ categoria, pais, pattern })
+     */
+    static getRules() {
+        // Letras del formato actual: sin vocales, Ñ ni Q
+        const letters = '[BCDFGHJKLMNPRSTVWXYZ]';
+        const provinces = 'A|AB|AL|AV|B|BA|BI|BU|C|CA|CC|CE|CO|CR|CS|CU|GC|GE|GI|GR|GU|H|HU|IB|J|L|LE|LO|LU|M|MA|ML|MU|NA|O|OR|OU|P|PM|PO|S|SA|SE|SG|SO|SS|T|TE|TF|TO|V|VA|VI|Z|ZA';
+
+        return [
+            { categoria: 'nacional', pais: 'ES', pattern: new RegExp(`^\\d{4}${letters}{3}$`) },
+            { categoria: 'ciclomotor', pais: 'ES', pattern: new RegExp(`^C\\d{4}${letters}{3}$`) },
+            { categoria: 'remolque', pais: 'ES', pattern: new RegExp(`^R\\d{4}${letters}{3}$`) },
+            { categoria: 'diplomatica', pais: 'ES', pattern: /^(CD|CC|OI|TA)\d{5}$/ },
+            { categoria: 'extranjera', pais: 'AD', pattern: /^[A-Z]\d{4}$/ },
+            { categoria: 'provincial', pais: 'ES', pattern: new RegExp(`^(${provinces})(\\d{4}[A-Z]{1,2}|\\d{1,6})$`) },
+            { categoria: 'extranjera', pais: 'FR', pattern: /^[A-Z]{2}\d{3}[A-Z]{2}$/ },
+            // Otros formatos habituales de la UE: Portugal, Alemania, Países Bajos
+            { categoria: 'extranjera', pais: 'EU', pattern: /^(\d{2}[A-Z]{2}\d{2}|[A-Z]{2}\d{2}[A-Z]{2}|\d{4}[A-Z]{2})$/ },
+            { categoria: 'extranjera', pais: 'EU', pattern: /^[A-Z]{1,3}[A-Z]{1,2}\d{1,4}[EH]?$/ }
+        ];
+    }
+
+    /**
+     * Categorías de matrícula para filtros y etiquetas
+     * @returns {Array} Categorías ({ value, label })
+     */
+    static getCategories() {
+        return [
+            { value: 'nacional', label: 'Nacional (0000 BBB)' },
+            { value: 'provincial', label: 'Provincial antigua' },
+            { value: 'ciclomotor', label: 'Moto / ciclomotor' },
+            { value: 'remolque', label: 'Remolque' },
+            { value: 'diplomatica', label: 'Diplomática' },
+            { value: 'extranjera', label: 'Extranjera (FR/AD/UE)' },
+            { value: 'invalida', label: 'No válida' }
+        ];
+    }
+
+    /**
+     * Obtiene la etiqueta de una categoría
+     * @param {string} categoria - Categoría de la matrícula
+     * @param {string} pais - País de la matrícula (solo para extranjeras)
+     * @returns {string} Etiqueta legible
+     */
+    static getCategoryLabel(categoria, pais) {
+        const category = PlateValidator.getCategories().find(c => c.value === categoria);
+        if (!category) return 'Sin clasificar';
+        return categoria === 'extranjera' && pais ? `Extranjera (${pais})` : category.label;
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Clase para clasificar las fechas en temporadas según un calendario configurable
+ * (verano, Semana Santa, Navidad...). Cada temporada tiene un nombre, un icono, un
+ * color y unos periodos con precisión de día ("MM-DD" a "MM-DD"; si el fin es anterior
+ * al inicio, el periodo cruza el año). Los periodos se pueden sustituir para años
+ * concretos, p. ej. la Semana Santa, que cambia cada año. Se usa la primera temporada
+ * que incluye la fecha, así que las más concretas deben ir antes.
+ */
+class SeasonCalendar {
+    /**
+     * @param {Object} config - Configuración ({ seasons }); por defecto verano e invierno
+     */
+    constructor(config = null) {
+        const { seasons } = config || SeasonCalendar.getDefaultConfig();
+        this.seasons = seasons.map(season => ({
+            ...season,
+            ranges: season.ranges.map(range => ({ ...range })),
+            years: Object.fromEntries(Object.entries(season.years || {})
+                .map(([year, ranges]) => [year, ranges.map(range => ({ ...range }))]))
+        }));
+    }
+
+    /**
+     * Calendario por defecto: verano de junio a septiembre e invierno de octubre a mayo
+     * @returns {Object} Configuración ({ seasons })
+     */
+    static getDefaultConfig() {
+        return {
+            seasons: [
+                { name: 'Verano', icon: '☀️', color: '#ea580c', ranges: [{ from: '06-01', to: '09-30' }], years: {} },
+                { name: 'Invierno', icon: '❄️', color: '#0ea5e9', ranges: [{ from: '10-01', to: '05-31' }], years: {} }
+            ]
+        };
+    }
+
+    /**
+     * Temporada de las fechas que no están en ningún periodo
+     * @returns {Object} Temporada ({ name, icon, color, ranges, years })
+     */
+    static getUnclassified() {
+        return { name: 'Sin temporada', icon: '·', color: '#9ca3af', ranges: [], years: {} };
+    }
+
+    /**
+     * Indica si un día "MM-DD" existe (el 29 de febrero se acepta)
+     * @param {string} value - Día
+     * @returns {boolean} True si es válido
+     */
+    static isValidDay(value) {
+        const match = /^(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return false;
+        const mes = Number(match[1]);
+        const dia = Number(match[2]);
+        return mes >= 1 && mes <= 12 && dia >= 1 && dia <= new Date(2000, mes, 0).getDate();
+    }
+
+    /**
+     * Comprueba el calendario antes de guardarlo
+     * @param {Object} config - Configuración ({ seasons })
+     * @returns {Array} Mensajes de error (vacío si es válido)
+     */
+    static validate(config) {
+        const problems = [];
+        const names = new Set();
+
+        if (config.seasons.length === 0) {
+            problems.push('Define al menos una temporada');
+        }
+
+        config.seasons.forEach((season, index) => {
+            const label = `Temporada ${index + 1}${season.name ? ` (${season.name})` : ''}`;
+            if (!season.name) {
+                problems.push(`${label}: indica un nombre`);
+            } else if (names.has(season.name.toLowerCase()) || season.name === SeasonCalendar.getUnclassified().name) {
+                problems.push(`${label}: el nombre está repetido o reservado`);
+            }
+            names.add((season.name || '').toLowerCase());
+            if (!season.icon) {
+                problems.push(`${label}: indica un icono (un emoji o una letra)`);
+            }
+
+            const years = Object.entries(season.years || {});
+            if (season.ranges.length === 0 && years.length === 0) {
+                problems.push(`${label}: indica al menos un periodo`);
+            }
+            if ([season.ranges, ...years.map(([, ranges]) => ranges)].some(ranges =>
+                ranges.some(range => !SeasonCalendar.isValidDay(range.from) || !SeasonCalendar.isValidDay(range.to))
+            )) {
+                problems.push(`${label}: hay periodos con fechas no válidas (usa DD/MM-DD/MM)`);
+            }
+            if (years.some(([year]) => !/^\d{4}$/.test(year))) {
+                problems.push(`${label}: los años de las excepciones deben tener 4 cifras`);
+            }
+            if (!/^#[0-9a-f]{6}$/i.test(season.color || '')) {
+                problems.push(`${label}: el color no es válido`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Periodos de una temporada en un año (los del año si tiene excepción)
+     * @param {Object} season - Temporada
+     * @param {number} year - Año
+     * @returns {Array} Periodos ({ from, to })
+     */
+    static getRanges(season, year) {
+        return (season.years && season.years[year]) || season.ranges;
+    }
+
+    /**
+     * Busca la temporada de una fecha y el año en que empezó el periodo que la
+     * incluye (el del año anterior si es un periodo que cruza el año)
+     * @param {Date} fecha - Fecha
+     * @returns {Object} { season, year, range }
+     */
+    locate(fecha) {
+        const year = fecha.getFullYear();
+        const day = `${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
+
+        for (const season of this.seasons) {
+            for (const range of SeasonCalendar.getRanges(season, year)) {
+                const cruza = range.to < range.from;
+                if (cruza ? day >= range.from : day >= range.from && day <= range.to) {
+                    return { season, year, range };
+                }
+            }
+            for (const range of SeasonCalendar.getRanges(season, year - 1)) {
+                if (range.to < range.from && day <= range.to) {
+                    return { season, year: year - 1, range };
+                }
+            }
+        }
+        return { season: SeasonCalendar.getUnclassified(), year, range: null };
+    }
+
+    /**
+     * Obtiene la temporada de una fecha
+     * @param {Date} fecha - Fecha
+     * @returns {Object} Temporada, o la de "Sin temporada" si no está en ningún periodo
+     */
+    getSeason(fecha) {
+        return this.locate(fecha).season;
+    }
+
+    /**
+     * Nombre de la temporada de un año concreto ("Verano 2024", "Invierno 2024-25")
+     * @param {Date} fecha - Fecha
+     * @returns {string} Temporada con su año
+     */
+    getSeasonLabel(fecha) {
+        const { season, year, range } = this.locate(fecha);
+        if (range && range.to < range.from) {
+            return `${season.name} ${year}-${String(year + 1).slice(-2)}`;
+        }
+        return `${season.name} ${year}`;
+    }
+
+    /**
+     * Asigna a cada registro la temporada de su fecha de inicio (temporada) y la
+     * temporada con su año (temporadaAño)
+     * @param {Array} records - Registros a clasificar (se modifican)
+     */
+    apply(records) {
+        for (const record of records) {
+            if (record.fechaInicio) {
+                record.temporada = this.getSeason(record.fechaInicio).name;
+                record.temporadaAño = this.getSeasonLabel(record.fechaInicio);
+            } else {
+                record.temporada = null;
+                record.temporadaAño = null;
+            }
+        }
+    }
+
+    /**
+     * Obtiene una temporada por su nombre
+     * @param {string} name - Nombre de la temporada
+     * @returns {Object} Temporada, o la de "Sin temporada" si no existe
+     */
+    getSeasonByName(name) {
+        return this.seasons.find(season => season.name === name) || SeasonCalendar.getUnclassified();
+    }
+
+    /**
+     * Temporadas configuradas seguidas de la de "Sin temporada", en el orden en que se muestran
+     * @returns {Array} Temporadas
+     */
+    getAll() {
+        return [...this.seasons, SeasonCalendar.getUnclassified()];
+    }
+
+    /**
+     * Pasa un día "MM-DD" a "DD/MM"
+     * @param {string} value - Día
+     * @returns {string} Día para mostrar
+     */
+    static formatDay(value) {
+        const [mes, dia] = value.split('-');
+        return `${dia}/${mes}`;
+    }
+
+    /**
+     * Describe unos periodos ("01/06-30/09, 24/12-06/01")
+     * @param {Array} ranges - Periodos ({ from, to })
+     * @returns {string} Descripción
+     */
+    static formatRanges(ranges) {
+        return ranges.map(range => `${SeasonCalendar.formatDay(range.from)}-${SeasonCalendar.formatDay(range.to)}`).join(', ');
+    }
+
+    /**
+     * Lee unos periodos escritos como "01/06-30/09, 24/12-06/01"
+     * @param {string} text - Periodos
+     * @returns {Array} Periodos ({ from, to }); los que no se entienden quedan vacíos
+     *          para que validate los señale
+     */
+    static parseRanges(text) {
+        const toDay = (value) => {
+            const match = /^(\d{1,2})\/(\d{1,2})$/.exec(value.trim());
+            return match ? `${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : '';
+        };
+        return text.split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const [from, to = ''] = part.split('-');
+                return { from: toDay(from), to: toDay(to) };
+            });
+    }
+
+    /**
+     * Describe las fechas de una temporada, con sus excepciones por año
+     * ("Verano: 01/06-30/09", "Semana Santa: 2024: 24/03-01/04; 2025: 13/04-21/04")
+     * @param {Object} season - Temporada
+     * @returns {string} Descripción
+     */
+    static describe(season) {
+        if (season.name === SeasonCalendar.getUnclassified().name) {
+            return `${season.name}: fechas fuera de las temporadas`;
+        }
+        const parts = [];
+        if (season.ranges.length > 0) parts.push(SeasonCalendar.formatRanges(season.ranges));
+        Object.keys(season.years || {}).sort().forEach(year => {
+            parts.push(`${year}: ${SeasonCalendar.formatRanges(season.years[year])}`);
+        });
+        return `${season.name}: ${parts.join('; ')}`;
+    }
+}
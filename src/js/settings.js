@@ -0,0 +1,56 @@
+/**
+ * Clase para guardar preferencias de la aplicación en el navegador (localStorage).
+ * Si el navegador no permite almacenamiento (p. ej. modo privado), los valores
+ * se mantienen solo en memoria durante la sesión.
+ */
+class SettingsStore {
+    constructor(prefix = 'salions.') {
+        this.prefix = prefix;
+        this.memory = new Map();
+    }
+
+    /**
+     * Obtiene un valor guardado
+     * @param {string} key - Clave del valor
+     * @param {*} defaultValue - Valor si no hay nada guardado
+     * @returns {*} Valor guardado o el valor por defecto
+     */
+    get(key, defaultValue = null) {
+        try {
+            const raw = window.localStorage.getItem(this.prefix + key);
+            if (raw !== null) {
+                return JSON.parse(raw);
+            }
+        } catch (error) {
+            // Sin almacenamiento persistente o valor corrupto: usar la memoria
+        }
+        return this.memory.has(key) ? this.memory.get(key) : defaultValue;
+    }
+
+    /**
+     * Guarda un valor
+     * @param {string} key - Clave del valor
+     * @param {*} value - Valor serializable a JSON
+     */
+    set(key, value) {
+        this.memory.set(key, value);
+        try {
+            window.localStorage.setItem(this.prefix + key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`No se pudo guardar la preferencia "${key}":`, error);
+        }
+    }
+
+    /**
+     * Elimina un valor guardado
+     * @param {string} key - Clave del valor
+     */
+    remove(key) {
+        this.memory.delete(key);
+        try {
+            window.localStorage.removeItem(this.prefix + key);
+        } catch (error) {
+            // Sin almacenamiento persistente: basta con la memoria
+        }
+    }
+}
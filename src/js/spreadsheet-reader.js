@@ -0,0 +1,396 @@
+/**
+ * Clase para leer hojas de cálculo Excel (.xlsx) y OpenDocument (.ods) en el navegador.
+ * Ambos formatos son archivos ZIP con XML dentro: se descomprimen con la API nativa
+ * DecompressionStream, sin librerías externas ni envío de datos a ningún servidor.
+ */
+class SpreadsheetReader {
+    /**
+     * Extensiones de hoja de cálculo admitidas
+     * @returns {Array} Lista de extensiones
+     */
+    static getExtensions() {
+        return ['.xlsx', '.ods'];
+    }
+
+    /**
+     * Indica si un archivo es una hoja de cálculo admitida
+     * @param {File} file - Archivo seleccionado
+     * @returns {boolean} True si es .xlsx u .ods
+     */
+    static isSpreadsheet(file) {
+        const name = file.name.toLowerCase();
+        return SpreadsheetReader.getExtensions().some(ext => name.endsWith(ext));
+    }
+
+    /**
+     * Lee todas las hojas de un archivo
+     * @param {File|Blob} file - Archivo .xlsx u .ods
+     * @returns {Promise<Object>} Libro ({ format, sheets: [{ name, rows }] }) con las celdas como texto
+     */
+    async read(file) {
+        if (typeof DecompressionStream === 'undefined' || typeof DOMParser === 'undefined') {
+            throw new Error('Este navegador no permite leer hojas de cálculo. Exporta el archivo a CSV.');
+        }
+
+        const entries = this.readZipDirectory(new Uint8Array(await file.arrayBuffer()));
+
+        if (entries.has('xl/workbook.xml')) {
+            return { format: 'xlsx', sheets: await this.readXlsx(entries) };
+        }
+        if (entries.has('content.xml')) {
+            return { format: 'ods', sheets: await this.readOds(entries) };
+        }
+
+        throw new Error('El archivo no es una hoja de cálculo Excel (.xlsx) u OpenDocument (.ods) válida');
+    }
+
+    /**
+     * Lee el directorio central de un ZIP
+     * @param {Uint8Array} bytes - Contenido del archivo
+     * @returns {Map} Entradas por nombre ({ bytes, method, offset, compressedSize })
+     */
+    readZipDirectory(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // Buscar el registro de fin de directorio central desde el final (puede haber comentario)
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('El archivo no es una hoja de cálculo válida (no es un ZIP)');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (offset === 0xFFFFFFFF) {
+            throw new Error('Hoja de cálculo demasiado grande (ZIP64 no soportado). Exporta el archivo a CSV.');
+        }
+
+        const decoder = new TextDecoder('utf-8');
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('El índice del archivo ZIP está dañado');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            entries.set(name, { bytes, method, offset: localOffset, compressedSize });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Descomprime una entrada del ZIP como texto
+     * @param {Map} entries - Entradas del ZIP
+     * @param {string} name - Ruta de la entrada
+     * @returns {Promise<string|null>} Contenido o null si no existe
+     */
+    async readZipText(entries, name) {
+        const entry = entries.get(name);
+        if (!entry) return null;
+
+        const view = new DataView(entry.bytes.buffer, entry.bytes.byteOffset, entry.bytes.byteLength);
+        const nameLength = view.getUint16(entry.offset + 26, true);
+        const extraLength = view.getUint16(entry.offset + 28, true);
+        const start = entry.offset + 30 + nameLength + extraLength;
+        const data = entry.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return new TextDecoder('utf-8').decode(data);
+        }
+        if (entry.method !== 8) {
+            throw new Error(`Método de compresión no soportado en "${name}"`);
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    /**
+     * Parsea un XML de la hoja de cálculo
+     * @param {string} text - Contenido XML
+     * @returns {Document} Documento XML
+     */
+    parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('La hoja de cálculo contiene XML no válido');
+        }
+        return doc;
+    }
+
+    /**
+     * Lee las hojas de un libro Excel (.xlsx)
+     * @param {Map} entries - Entradas del ZIP
+     * @returns {Promise<Array>} Hojas ({ name, rows })
+     */
+    async readXlsx(entries) {
+        const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const workbook = this.parseXml(await this.readZipText(entries, 'xl/workbook.xml'));
+        const rels = this.parseXml(await this.readZipText(entries, 'xl/_rels/workbook.xml.rels'));
+
+        const targets = new Map();
+        for (const rel of rels.getElementsByTagNameNS('*', 'Relationship')) {
+            const target = rel.getAttribute('Target');
+            targets.set(rel.getAttribute('Id'), target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+        }
+
+        const workbookPr = workbook.getElementsByTagNameNS('*', 'workbookPr')[0];
+        const date1904 = ['1', 'true'].includes(workbookPr ? workbookPr.getAttribute('date1904') : null);
+
+        const sharedText = await this.readZipText(entries, 'xl/sharedStrings.xml');
+        const sharedStrings = sharedText ? this.readSharedStrings(this.parseXml(sharedText)) : [];
+        const stylesText = await this.readZipText(entries, 'xl/styles.xml');
+        const dateStyles = stylesText ? this.readDateStyles(this.parseXml(stylesText)) : new Set();
+
+        const sheets = [];
+        for (const sheet of workbook.getElementsByTagNameNS('*', 'sheet')) {
+            const path = targets.get(sheet.getAttributeNS(relNs, 'id'));
+            const text = path ? await this.readZipText(entries, path) : null;
+            if (text === null) continue;
+
+            sheets.push({
+                name: sheet.getAttribute('name'),
+                rows: this.readXlsxRows(this.parseXml(text), sharedStrings, dateStyles, date1904)
+            });
+        }
+
+        return sheets;
+    }
+
+    /**
+     * Lee la tabla de textos compartidos de un libro Excel
+     * @param {Document} doc - sharedStrings.xml
+     * @returns {Array} Textos por índice
+     */
+    readSharedStrings(doc) {
+        return Array.from(doc.getElementsByTagNameNS('*', 'si')).map(si =>
+            // Ignorar las guías fonéticas (rPh), que no forman parte del texto
+            Array.from(si.getElementsByTagNameNS('*', 't'))
+                .filter(t => t.parentNode.localName !== 'rPh')
+                .map(t => t.textContent)
+                .join('')
+        );
+    }
+
+    /**
+     * Obtiene los índices de estilo de celda que muestran fechas
+     * @param {Document} doc - styles.xml
+     * @returns {Set} Índices de estilos con formato de fecha
+     */
+    readDateStyles(doc) {
+        // Formatos de fecha y hora predefinidos de Excel
+        const dateFormats = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+            45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+        for (const numFmt of doc.getElementsByTagNameNS('*', 'numFmt')) {
+            const code = (numFmt.getAttribute('formatCode') || '')
+                .replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ''); // Quitar literales, escapes y colores
+            if (/[dy]|h+:m|m+:s/i.test(code)) {
+                dateFormats.add(parseInt(numFmt.getAttribute('numFmtId'), 10));
+            }
+        }
+
+        const dateStyles = new Set();
+        const cellXfs = doc.getElementsByTagNameNS('*', 'cellXfs')[0];
+        if (cellXfs) {
+            Array.from(cellXfs.getElementsByTagNameNS('*', 'xf')).forEach((xf, index) => {
+                if (dateFormats.has(parseInt(xf.getAttribute('numFmtId'), 10))) {
+                    dateStyles.add(index);
+                }
+            });
+        }
+
+        return dateStyles;
+    }
+
+    /**
+     * Convierte una hoja de Excel en filas de texto
+     * @param {Document} doc - XML de la hoja
+     * @param {Array} sharedStrings - Textos compartidos
+     * @param {Set} dateStyles - Estilos con formato de fecha
+     * @param {boolean} date1904 - True si el libro usa el sistema de fechas de 1904
+     * @returns {Array} Filas de celdas
+     */
+    readXlsxRows(doc, sharedStrings, dateStyles, date1904) {
+        const rows = [];
+
+        for (const row of doc.getElementsByTagNameNS('*', 'row')) {
+            const rowIndex = row.hasAttribute('r') ? parseInt(row.getAttribute('r'), 10) - 1 : rows.length;
+            const cells = [];
+
+            for (const c of row.getElementsByTagNameNS('*', 'c')) {
+                const ref = c.getAttribute('r');
+                const columnIndex = ref ? this.columnIndex(ref) : cells.length;
+                const type = c.getAttribute('t') || 'n';
+                const v = c.getElementsByTagNameNS('*', 'v')[0];
+                const raw = v ? v.textContent : '';
+                let value;
+
+                if (type === 's') {
+                    value = sharedStrings[parseInt(raw, 10)] || '';
+                } else if (type === 'inlineStr') {
+                    value = Array.from(c.getElementsByTagNameNS('*', 't')).map(t => t.textContent).join('');
+                } else if (type === 'd') {
+                    value = this.formatDate(raw);
+                } else if (type === 'e') {
+                    value = '';
+                } else if (type === 'n' && raw !== '' && dateStyles.has(parseInt(c.getAttribute('s'), 10))) {
+                    value = this.formatExcelSerial(parseFloat(raw), date1904);
+                } else {
+                    value = raw;
+                }
+
+                while (cells.length < columnIndex) cells.push('');
+                cells[columnIndex] = value.trim();
+            }
+
+            while (rows.length < rowIndex) rows.push([]);
+            rows[rowIndex] = cells;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Obtiene el índice de columna (0 = A) de una referencia de celda como "BC12"
+     * @param {string} ref - Referencia de celda
+     * @returns {number} Índice de columna
+     */
+    columnIndex(ref) {
+        let index = 0;
+        for (const char of ref.replace(/\d+$/, '').toUpperCase()) {
+            index = index * 26 + (char.charCodeAt(0) - 64);
+        }
+        return index - 1;
+    }
+
+    /**
+     * Convierte un número de serie de fecha de Excel en texto de fecha del CSV
+     * @param {number} serial - Días desde el origen de Excel (con fracción para la hora)
+     * @param {boolean} date1904 - True si el libro usa el sistema de fechas de 1904
+     * @returns {string} Fecha en formato DD/MM/YYYY HH:MM:SS (hora local), o DD/MM/YYYY
+     *          si la celda solo tiene fecha
+     */
+    formatExcelSerial(serial, date1904) {
+        // Días entre el origen de Excel (30/12/1899, o 01/01/1904) y el 01/01/1970
+        const epochOffset = date1904 ? 24107 : 25569;
+        const ms = Math.round((serial - epochOffset) * 86400) * 1000;
+        const iso = new Date(ms).toISOString();
+        // Sin fracción de día la celda no tiene hora
+        return this.formatDate(Number.isInteger(serial) ? iso.slice(0, 10) : iso);
+    }
+
+    /**
+     * Reescribe una fecha ISO (sin zona, hora local de la hoja) en el formato del CSV.
+     * Sin el sufijo GMT, para que CSVParser la interprete como hora local
+     * @param {string} iso - Fecha como "2024-06-01" o "2024-06-01T10:15:00"
+     * @returns {string} Fecha en formato DD/MM/YYYY HH:MM:SS, DD/MM/YYYY si no tiene hora
+     *          (así el registro no se marca como alta con hora), o el texto original si no es ISO
+     */
+    formatDate(iso) {
+        const match = (iso || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/);
+        if (!match) return iso || '';
+
+        const [, year, month, day, hours, minutes, seconds] = match;
+        return hours === undefined
+            ? `${day}/${month}/${year}`
+            : `${day}/${month}/${year} ${hours}:${minutes}:${seconds}`;
+    }
+
+    /**
+     * Lee las hojas de un documento OpenDocument (.ods)
+     * @param {Map} entries - Entradas del ZIP
+     * @returns {Promise<Array>} Hojas ({ name, rows })
+     */
+    async readOds(entries) {
+        const doc = this.parseXml(await this.readZipText(entries, 'content.xml'));
+
+        return Array.from(doc.getElementsByTagNameNS('*', 'table'))
+            .filter(table => table.parentNode.localName === 'spreadsheet')
+            .map(table => ({
+                name: table.getAttribute('table:name'),
+                rows: this.readOdsRows(table)
+            }));
+    }
+
+    /**
+     * Convierte una tabla de OpenDocument en filas de texto. Las filas y celdas vacías
+     * repetidas (habituales al final de la hoja) solo se añaden si les sigue contenido.
+     * @param {Element} table - Elemento table:table
+     * @returns {Array} Filas de celdas
+     */
+    readOdsRows(table) {
+        const rows = [];
+        let pendingRows = 0;
+
+        for (const row of table.getElementsByTagNameNS('*', 'table-row')) {
+            const cells = [];
+            let pendingCells = 0;
+
+            for (const cell of row.children) {
+                if (cell.localName !== 'table-cell' && cell.localName !== 'covered-table-cell') continue;
+
+                const repeat = parseInt(cell.getAttribute('table:number-columns-repeated') || '1', 10);
+                const value = this.readOdsCell(cell);
+
+                if (value === '') {
+                    pendingCells += repeat;
+                    continue;
+                }
+                for (let i = 0; i < pendingCells; i++) cells.push('');
+                pendingCells = 0;
+                for (let i = 0; i < repeat; i++) cells.push(value);
+            }
+
+            const repeat = parseInt(row.getAttribute('table:number-rows-repeated') || '1', 10);
+            if (cells.length === 0) {
+                pendingRows += repeat;
+                continue;
+            }
+            for (let i = 0; i < pendingRows; i++) rows.push([]);
+            pendingRows = 0;
+            for (let i = 0; i < repeat; i++) rows.push(cells.slice());
+        }
+
+        return rows;
+    }
+
+    /**
+     * Obtiene el valor de texto de una celda de OpenDocument
+     * @param {Element} cell - Elemento table:table-cell
+     * @returns {string} Valor de la celda
+     */
+    readOdsCell(cell) {
+        const type = cell.getAttribute('office:value-type');
+
+        if (type === 'date') {
+            return this.formatDate(cell.getAttribute('office:date-value'));
+        }
+        if (type === 'float' || type === 'percentage' || type === 'currency') {
+            return cell.getAttribute('office:value') || '';
+        }
+        if (type === 'boolean') {
+            return cell.getAttribute('office:boolean-value') || '';
+        }
+
+        return Array.from(cell.getElementsByTagNameNS('*', 'p'))
+            .map(p => p.textContent)
+            .join('\n')
+            .trim();
+    }
+}
@@ -7,25 +7,22 @@ class UIComponents {
         this.currentPage = 1;
         this.itemsPerPage = 20;
         this.filteredData = [];
+        this.plateRows = [];
+        this.platesVisible = 50;
+        this.clusters = [];
+        this.clustersVisible = 20;
+        this.clusterActions = {};
+        this.comparison = null;
+        this.comparisonVisible = 50;
+        this.showSourceFiles = false;
+        this.passTiers = new PassTiers();
+        this.seasonCalendar = new SeasonCalendar();
+        this.referenceDate = null;
         
         // Exponer la instancia globalmente para los event handlers
         window.uiComponents = this;
     }
 
-    /**
-     * Genera tooltips para iconos de temporadas
-     * @param {string} tipo - 'verano' o 'invierno'
-     * @returns {string} Tooltip text
-     */
-    static getSeasonTooltip(tipo) {
-        if (tipo === 'verano') {
-            return 'Verano: de Junio a Septiembre';
-        } else if (tipo === 'invierno') {
-            return 'Invierno: de Octubre a Mayo';
-        }
-        return '';
-    }
-
     /**
      * Actualiza las tarjetas de resumen
      * @param {Object} stats - Estadísticas generales
@@ -33,14 +30,18 @@ class UIComponents {
     updateSummaryCards(stats) {
         const elements = {
             totalRecords: document.getElementById('totalRecords'),
+            totalRecordsDetail: document.getElementById('totalRecordsDetail'),
             totalMembers: document.getElementById('totalMembers'),
             dailyRegistrations: document.getElementById('dailyRegistrations'),
             dailyRegistrationsDetail: document.getElementById('dailyRegistrationsDetail'),
-            avgPlatesPerMember: document.getElementById('avgPlatesPerMember')
+            avgPlatesPerMember: document.getElementById('avgPlatesPerMember'),
+            peakHour: document.getElementById('peakHour'),
+            peakHourDetail: document.getElementById('peakHourDetail')
         };
 
         // Mapear las propiedades del nuevo formato de stats
         if (elements.totalRecords) elements.totalRecords.textContent = stats.totalMatriculas.toLocaleString();
+        if (elements.totalRecordsDetail) elements.totalRecordsDetail.innerHTML = this.renderTierCounts(stats.matriculasPorTramo || {});
         if (elements.totalMembers) elements.totalMembers.textContent = stats.totalSocios.toLocaleString();
         
         // Mostrar altas al día
@@ -49,15 +50,19 @@ class UIComponents {
         }
         if (elements.dailyRegistrationsDetail && stats.altasAlDia) {
             // Crear HTML con tooltips para los iconos de temporadas
-            const veranoValue = stats.altasAlDia.verano.toString().replace('.', ',');
-            const inviernoValue = stats.altasAlDia.invierno.toString().replace('.', ',');
-            
-            elements.dailyRegistrationsDetail.innerHTML = `
-                <span title="${UIComponents.getSeasonTooltip('verano')}">☀️</span> ${veranoValue} / 
-                <span title="${UIComponents.getSeasonTooltip('invierno')}">❄️</span> ${inviernoValue}
-            `;
+            elements.dailyRegistrationsDetail.innerHTML = this.renderSeasonValues(stats.altasAlDia.porTemporada, ' / ');
         }
         
+        // Hora del día con más altas (solo registros con hora)
+        if (elements.peakHour && stats.horaPunta) {
+            const { hora, porcentaje } = stats.horaPunta;
+            elements.peakHour.textContent = `${hora}:00`;
+            elements.peakHourDetail.textContent = `${porcentaje.toString().replace('.', ',')}% de las altas, de ${hora}:00 a ${hora + 1}:00`;
+        } else if (elements.peakHour) {
+            elements.peakHour.textContent = '-';
+            elements.peakHourDetail.textContent = 'Sin hora en los datos';
+        }
+
         // Calcular promedio de matrículas por socio
         const avgPlates = stats.totalSocios > 0 ? (stats.totalMatriculas / stats.totalSocios).toFixed(1) : '0';
         if (elements.avgPlatesPerMember) elements.avgPlatesPerMember.textContent = avgPlates;
@@ -95,13 +100,19 @@ class UIComponents {
         tbody.innerHTML = pageData.map(row => `
             <tr>
                 <td class="socio-cell"><strong>${this.escapeHtml(row.socio || row.member)}</strong></td>
+                <td class="centered-cell">
+                    <span class="score-badge score-${row.nivel || 'ninguna'} ${row.puntuacion > 0 ? 'clickable-metric' : ''}"
+                          title="${row.puntuacion > 0 ? 'Puntuación de sospecha - Clic para ver el desglose' : 'Sin reglas de sospecha alcanzadas'}"
+                          ${row.puntuacion > 0 ? `onclick="window.uiComponents.showScoreModal('${this.escapeForAttribute(row.socio || row.member)}', '${this.generateRowId(row)}')"` : ''}>
+                        ${(row.puntuacion || 0).toString().replace('.', ',')}
+                    </span>
+                </td>
                 <td>
                     <div class="matriculas-count-compact">
                         <span class="total-badge-compact">${row.totalMatriculas || (row.matriculas ? row.matriculas.length : 0)}</span>
-                        ${row.temporales !== undefined ? `
+                        ${row.tramos ? `
                             <div class="tipo-breakdown-compact">
-                                <span class="tipo-badge temp">T:${row.temporales}</span>
-                                <span class="tipo-badge perm">P:${row.permanentes}</span>
+                                ${this.renderTierCounts(row.tramos)}
                             </div>
                         ` : ''}
                     </div>
@@ -112,22 +123,22 @@ class UIComponents {
                     </span>
                 </td>
                 <td>
-                    <div class="frequency-seasonal" title="Frecuencia mensual: Verano ☀️ (Jun-Sep) / Invierno ❄️ (Oct-May)">
+                    <div class="frequency-seasonal" title="Frecuencia mensual por temporada">
                         ${this.formatSeasonalFrequency(row.frecuenciaEstacional)}
                     </div>
                 </td>
                 <td class="centered-cell">
-                    <span class="metric-badge ${row.permisosCortos > 5 ? 'metric-warning' : ''}" title="Permisos de 7 días o menos">
+                    <span class="metric-badge ${AbuseScorer.isTriggered(row, 'permisosCortos') ? 'metric-warning' : ''}" title="Permisos de 7 días o menos">
                         ${row.permisosCortos || 0}
                     </span>
                 </td>
                 <td class="centered-cell">
-                    <span class="metric-badge ${row.solapamientos > 3 ? 'metric-warning' : ''}" title="Solapamientos de matrículas activas">
+                    <span class="metric-badge ${AbuseScorer.isTriggered(row, 'solapamientos') ? 'metric-warning' : ''}" title="Solapamientos de matrículas activas">
                         ${row.solapamientos || 0}
                     </span>
                 </td>
                 <td class="centered-cell">
-                    <span class="metric-badge clickable-metric ${row.picoSimultaneo > 4 ? 'metric-warning' : ''}" 
+                    <span class="metric-badge clickable-metric ${AbuseScorer.isTriggered(row, 'picoSimultaneo') ? 'metric-warning' : ''}" 
                           title="Máximo de matrículas temporales activas simultáneamente - Clic para ver detalles"
                           onclick="window.uiComponents.showPicoSimultaneoModal('${this.escapeForAttribute(row.socio || row.member)}', '${this.generateRowId(row)}')">
                         ${row.picoSimultaneo || 0}<span class="modal-eye"> 👁️</span>
@@ -160,6 +171,10 @@ class UIComponents {
             // Guardar datos del pico simultáneo
             if (!window.picoData) window.picoData = {};
             window.picoData[rowId] = row.picoDetalle || null;
+
+            // Guardar el desglose de la puntuación
+            if (!window.scoreData) window.scoreData = {};
+            window.scoreData[rowId] = { puntuacion: row.puntuacion || 0, nivel: row.nivel, desglose: row.desglose || [] };
         });
 
         // Añadir estilos para las matrículas si no existen
@@ -167,6 +182,1026 @@ class UIComponents {
         this.addMetricStyles();
     }
 
+    /**
+     * Marca la pestaña de resultados activa, muestra su tabla y cuántos socios
+     * sospechosos hay
+     * @param {string} view - 'socios', 'sospechosos', 'matriculas' o 'red'
+     * @param {number} suspectCount - Socios con puntuación mayor que 0
+     */
+    renderResultsViews(view, suspectCount) {
+        document.querySelectorAll('.results-view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        const count = document.getElementById('suspectCount');
+        if (count) count.textContent = `(${suspectCount})`;
+
+        const panels = {
+            sociosView: view === 'socios' || view === 'sospechosos',
+            platesView: view === 'matriculas',
+            networkView: view === 'red',
+            occupancyView: view === 'ocupacion',
+            comparisonView: view === 'comparacion'
+        };
+        Object.entries(panels).forEach(([id, visible]) => {
+            const panel = document.getElementById(id);
+            if (panel) panel.style.display = visible ? '' : 'none';
+        });
+    }
+
+    /**
+     * Renderiza la tabla de matrículas (vista por matrícula), de 50 en 50
+     * @param {Array} rows - Filas de DataAnalyzer.queryPlates
+     */
+    renderPlatesTable(rows) {
+        this.plateRows = rows;
+        this.platesVisible = 50;
+        this.renderPlatesPage();
+    }
+
+    /**
+     * Renderiza las filas visibles de la tabla de matrículas
+     */
+    renderPlatesPage() {
+        const tbody = document.getElementById('platesTableBody');
+        if (!tbody) return;
+
+        tbody.innerHTML = this.plateRows.slice(0, this.platesVisible).map((row, index) => {
+            const tier = this.passTiers.getTier(row.matriculas[row.matriculas.length - 1].tramo);
+            const socios = row.socios.map(s => `
+                <span class="plate-socio" title="${s.permisos} permiso(s)">${this.escapeHtml(s.socio)} <small>×${s.permisos}</small></span>
+            `).join('');
+            const periodo = row.primerPermiso
+                ? `${this.formatDateWithPadding(row.primerPermiso)} - ${this.formatDateWithPadding(row.ultimoPermiso)}`
+                : 'Sin fecha';
+
+            return `
+                <tr class="${row.socios.length > 1 ? 'plate-row-shared' : ''}">
+                    <td>
+                        <span class="plate-badge ${row.matriculas[0].categoriaMatricula === 'invalida' ? 'plate-format-invalid' : ''}">
+                            <span class="tipo-indicator" style="background-color: ${tier.color}"></span>
+                            ${this.escapeHtml(row.matricula)}
+                        </span>
+                    </td>
+                    <td><div class="plate-socios">${socios}</div></td>
+                    <td class="centered-cell"><span class="metric-badge">${row.totalPermisos}</span></td>
+                    <td class="centered-cell">
+                        <span class="metric-value" title="Días cubiertos por algún permiso, sin contar dos veces los solapados">
+                            ${row.diasAutorizados} días${row.sinFechaFin ? ' + sin fin' : ''}
+                        </span>
+                    </td>
+                    <td class="centered-cell"><span class="metric-badge" title="Permisos que empiezan como mucho un día después del fin del anterior">${row.renovaciones}</span></td>
+                    <td class="centered-cell"><span class="metric-badge" title="Periodos sin permiso entre dos permisos">${row.huecos}</span></td>
+                    <td class="centered-cell">
+                        <span class="metric-badge ${row.cambiosSocio > 0 ? 'metric-warning' : ''}" title="Veces que el siguiente permiso lo pide otro socio">${row.cambiosSocio}</span>
+                    </td>
+                    <td><small>${periodo}</small></td>
+                    <td>
+                        <button class="view-all-plates-btn" onclick="window.uiComponents.showPlateHistoryModal(${index})" title="Ver el historial de permisos">
+                            👁️ Historial
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        const more = document.getElementById('platesShowMore');
+        if (more) {
+            const remaining = this.plateRows.length - this.platesVisible;
+            more.style.display = remaining > 0 ? '' : 'none';
+            more.textContent = `Mostrar más (${Math.max(0, remaining)} restantes)`;
+        }
+
+        this.addPlateStyles();
+        this.addMetricStyles();
+    }
+
+    /**
+     * Muestra más filas de la tabla de matrículas
+     */
+    showMorePlates() {
+        this.platesVisible += 50;
+        this.renderPlatesPage();
+    }
+
+    /**
+     * Muestra el historial de permisos de una matrícula, con las renovaciones, los
+     * huecos y los cambios de socio entre permisos consecutivos
+     * @param {number} index - Posición de la matrícula en la tabla
+     */
+    showPlateHistoryModal(index) {
+        const row = this.plateRows[index];
+        if (!row) return;
+
+        const items = row.matriculas.map((registro, i) => {
+            const tier = this.passTiers.getTier(registro.tramo);
+            const fechas = registro.fechaFin
+                ? `${this.formatDateWithPadding(registro.fechaInicio)} - ${this.formatDateWithPadding(registro.fechaFin)}`
+                : `${this.formatDateWithPadding(registro.fechaInicio)} - sin fin`;
+            const source = this.showSourceFiles && registro.sourceFile
+                ? ` <small>📄 ${this.escapeHtml(registro.sourceFile)}</small>` : '';
+            const transicion = i > 0 ? this.renderPlateTransition(row.transiciones[i - 1]) : '';
+
+            return `
+                ${transicion}
+                <li class="plate-history-item" style="border-left-color: ${tier.color}">
+                    <strong>${fechas}</strong> ${this.renderDateStatusBadge(registro)}
+                    <span class="plate-history-socio">👤 ${this.escapeHtml(registro.socio)}</span>
+                    ${registro.matriculaOriginal ? `<small>✎ escrita como ${this.escapeHtml(registro.matriculaOriginal)}</small>` : ''}
+                    <small>${this.escapeHtml(tier.name)}${registro.usuario ? ` · ${this.escapeHtml(registro.usuario)}` : ''}</small>${source}
+                </li>
+            `;
+        }).join('');
+
+        const content = `
+            <div class="plate-history">
+                <p class="plate-history-summary">
+                    ${row.totalPermisos} permiso(s) de ${row.socios.length} socio(s) ·
+                    ${row.diasAutorizados} días autorizados${row.sinFechaFin ? ' y algún permiso sin fecha de fin' : ''} ·
+                    ${row.renovaciones} renovación(es) · ${row.huecos} hueco(s) · ${row.cambiosSocio} cambio(s) de socio
+                </p>
+                <ol class="plate-history-list">${items}</ol>
+            </div>
+        `;
+
+        this.showModal(`🚗 Historial de ${row.matricula}`, content, 'large-modal');
+    }
+
+    /**
+     * Muestra cuántos grupos de matrículas parecidas hay en el botón de la vista por matrícula
+     * @param {number} count - Grupos de matrículas parecidas
+     * @param {boolean} merged - Si están unificadas en el análisis
+     */
+    renderPlateVariantsCount(count, merged) {
+        const button = document.getElementById('plateVariantsButton');
+        if (!button) return;
+        button.textContent = `🔤 Matrículas parecidas (${count})${merged ? ' · unificadas' : ''}`;
+    }
+
+    /**
+     * Muestra los grupos de matrículas casi iguales (posibles erratas) con su confianza
+     * y la opción de unificarlas en el análisis
+     * @param {Object} options - Opciones
+     * @param {Array} options.groups - Grupos (ver PlateMatcher.findGroups)
+     * @param {boolean} options.merged - Si están unificadas en el análisis
+     * @param {Function} options.onToggleMerge - Callback (merged) al cambiar la unificación
+     */
+    showPlateVariantsDialog({ groups, merged, onToggleMerge }) {
+        const percent = value => `${Math.round(value * 100)}%`;
+        const rows = groups.map(group => `
+            <div class="plate-variant-group">
+                <div class="plate-variant-main">
+                    <span class="plate-badge">${this.escapeHtml(group.principal)}</span>
+                    <small>${group.registros} registro(s)</small>
+                    <span class="plate-variant-confidence" title="Confianza mínima del grupo">${percent(group.confianza)}</span>
+                </div>
+                <ul class="plate-variant-list">
+                    ${group.variantes.map(v => `
+                        <li>
+                            <span class="plate-badge plate-format-invalid">${this.escapeHtml(v.matricula)}</span>
+                            <small>${this.escapeHtml(PlateMatcher.getTypeLabel(v.tipo))} · ${v.registros} registro(s) · ${v.socios} socio(s)</small>
+                            <span class="plate-variant-confidence">${percent(v.confianza)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+
+        const content = `
+            <div class="plate-variants-dialog">
+                <p class="mapping-help">Matrículas a una errata de distancia: O/0 o I/1, dos caracteres cambiados de orden o un carácter distinto, de más o de menos.
+                    La confianza sube si solo una tiene un formato válido o si las ha dado de alta el mismo socio; sin eso, un carácter distinto, de más o de menos no se agrupa. Cada variante se compara con la matrícula principal del grupo.</p>
+                <label class="plate-variants-merge">
+                    <input type="checkbox" id="plateVariantsMerge" ${merged ? 'checked' : ''}>
+                    Unificar cada grupo con su matrícula principal en el análisis (se conserva la matrícula original, marcada con ✎)
+                </label>
+                ${groups.length > 0 ? rows : '<p class="no-data">No se han encontrado matrículas parecidas.</p>'}
+            </div>
+        `;
+
+        const modal = this.showModal('🔤 Matrículas parecidas', content, 'large-modal');
+        modal.element.querySelector('#plateVariantsMerge').addEventListener('change', (e) => {
+            onToggleMerge(e.target.checked);
+            modal.close();
+        });
+    }
+
+    /**
+     * Renderiza los grupos de socios que comparten matrículas, de 20 en 20
+     * @param {Array} clusters - Grupos (ver DataAnalyzer.findPlateClusters)
+     * @param {Object} actions - Callbacks ({ onSelect(cluster) })
+     */
+    renderClusters(clusters, actions = {}) {
+        this.clusters = clusters;
+        this.clustersVisible = 20;
+        this.clusterActions = actions;
+
+        const list = document.getElementById('clustersList');
+        if (list && !list.dataset.bound) {
+            list.dataset.bound = 'true';
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-cluster]');
+                if (!button || !this.clusterActions.onSelect) return;
+                const cluster = this.clusters.find(c => c.id === parseInt(button.dataset.cluster, 10));
+                if (cluster) this.clusterActions.onSelect(cluster);
+            });
+        }
+
+        const summary = document.getElementById('clustersSummary');
+        if (summary) {
+            const socios = clusters.reduce((sum, c) => sum + c.socios.length, 0);
+            summary.textContent = clusters.length > 0
+                ? `${clusters.length} grupo(s) con ${socios} socios que comparten matrículas`
+                : 'Ningún socio comparte matrículas con otro';
+        }
+
+        this.renderClustersPage();
+    }
+
+    /**
+     * Renderiza los grupos visibles
+     */
+    renderClustersPage() {
+        const list = document.getElementById('clustersList');
+        if (!list) return;
+
+        list.innerHTML = this.clusters.slice(0, this.clustersVisible).map(cluster => `
+            <div class="cluster-card">
+                <div class="cluster-header">
+                    <strong>Grupo ${cluster.id}</strong>
+                    <span>${cluster.socios.length} socios · ${cluster.matriculas.length} matrícula(s) compartida(s)</span>
+                    <button type="button" class="btn-secondary" data-cluster="${cluster.id}" title="Mostrar solo estos socios en la tabla">🔍 Ver en la tabla</button>
+                </div>
+                ${this.renderClusterGraph(cluster)}
+                <div class="cluster-members">
+                    ${cluster.socios.map(s => `
+                        <span class="plate-socio" title="${this.escapeForAttribute(s.matriculas.join(', '))}">${this.escapeHtml(s.socio)} <small>×${s.matriculas.length}</small></span>
+                    `).join('')}
+                </div>
+                <div class="cluster-plates">
+                    ${cluster.matriculas.map(m => `<span class="plate-badge">${this.escapeHtml(m)}</span>`).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        const more = document.getElementById('clustersShowMore');
+        if (more) {
+            const remaining = this.clusters.length - this.clustersVisible;
+            more.style.display = remaining > 0 ? '' : 'none';
+            more.textContent = `Mostrar más (${Math.max(0, remaining)} restantes)`;
+        }
+    }
+
+    /**
+     * Muestra más grupos
+     */
+    showMoreClusters() {
+        this.clustersVisible += 20;
+        this.renderClustersPage();
+    }
+
+    /**
+     * Dibuja la red de un grupo en SVG: los socios en círculo y una línea por cada
+     * pareja que comparte matrículas (más gruesa cuantas más comparten)
+     * @param {Object} cluster - Grupo (ver DataAnalyzer.findPlateClusters)
+     * @returns {string} HTML del SVG
+     */
+    renderClusterGraph(cluster) {
+        const n = cluster.socios.length;
+        const radio = Math.max(60, n * 14);
+        const size = radio * 2 + 120;
+        const centro = size / 2;
+        const posiciones = new Map(cluster.socios.map((s, i) => {
+            const angulo = (2 * Math.PI * i) / n - Math.PI / 2;
+            return [s.key, { x: centro + radio * Math.cos(angulo), y: centro + radio * Math.sin(angulo) }];
+        }));
+
+        const lineas = cluster.aristas.map(arista => {
+            const a = posiciones.get(arista.origen);
+            const b = posiciones.get(arista.destino);
+            return `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" stroke-width="${Math.min(1 + arista.matriculas.length, 6)}">
+                <title>${this.escapeHtml(arista.matriculas.join(', '))}</title>
+            </line>`;
+        }).join('');
+
+        const nodos = cluster.socios.map(s => {
+            const { x, y } = posiciones.get(s.key);
+            const nombre = s.socio.length > 18 ? `${s.socio.slice(0, 17)}…` : s.socio;
+            return `<g class="cluster-node">
+                <circle cx="${x}" cy="${y}" r="${6 + Math.min(s.matriculas.length, 6)}"><title>${this.escapeHtml(`${s.socio}: ${s.matriculas.join(', ')}`)}</title></circle>
+                <text x="${x}" y="${y + 24}" text-anchor="middle">${this.escapeHtml(nombre)}</text>
+            </g>`;
+        }).join('');
+
+        return `<svg class="cluster-graph" viewBox="0 0 ${size} ${size}" role="img" aria-label="Red del grupo ${cluster.id}">
+            <g class="cluster-edges">${lineas}</g>${nodos}
+        </svg>`;
+    }
+
+    /**
+     * Dibuja los gráficos de altas por periodo del resumen: altas (línea), temporales
+     * y permanentes (barras apiladas) y socios únicos (barras)
+     * @param {Array} periodos - Resultado de DataAnalyzer.getStatsByPeriod
+     * @param {string} periodo - 'dia', 'semana', 'mes' o 'año'
+     * @param {Object} actions - Acciones ({ onSelect(periodo): al pulsar un periodo })
+     */
+    renderPeriodCharts(periodos, periodo, actions = {}) {
+        this.chartPeriods = periodos;
+        this.chartActions = actions;
+
+        const container = document.getElementById('summaryCharts');
+        if (container && !container.dataset.bound) {
+            container.dataset.bound = 'true';
+            container.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-period-index]');
+                if (!target || !this.chartActions.onSelect) return;
+                this.chartActions.onSelect(this.chartPeriods[parseInt(target.dataset.periodIndex, 10)]);
+            });
+        }
+
+        const charts = {
+            registrationsChart: {
+                tipo: 'linea',
+                series: [{ nombre: 'Altas', color: '#2563eb', valor: p => p.total }]
+            },
+            permitTypesChart: {
+                tipo: 'barras',
+                series: [
+                    { nombre: 'Permanentes', color: '#10b981', valor: p => p.permanentes },
+                    { nombre: 'Temporales', color: '#3b82f6', valor: p => p.temporales }
+                ]
+            },
+            uniqueMembersChart: {
+                tipo: 'barras',
+                series: [{ nombre: 'Socios únicos', color: '#8b5cf6', valor: p => p.sociosUnicos }]
+            }
+        };
+
+        Object.entries(charts).forEach(([id, chart]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.innerHTML = periodos.length > 0
+                    ? this.renderTimeChart(periodos, periodo, chart)
+                    : '<p class="occupancy-empty">Sin altas con fecha</p>';
+            }
+        });
+    }
+
+    /**
+     * Genera un gráfico SVG por periodo: una línea o barras apiladas, con una zona
+     * pulsable por periodo (data-period-index) y su detalle como tooltip
+     * @param {Array} periodos - Periodos (ver DataAnalyzer.getStatsByPeriod)
+     * @param {string} periodo - 'dia', 'semana', 'mes' o 'año'
+     * @param {Object} chart - Gráfico ({ tipo: 'linea' | 'barras', series: [{ nombre, color, valor }] })
+     * @returns {string} HTML del SVG y su leyenda
+     */
+    renderTimeChart(periodos, periodo, { tipo, series }) {
+        const [ancho, alto] = [900, 180];
+        const margen = { izquierda: 40, derecha: 10, arriba: 10, abajo: 22 };
+        const altoUtil = alto - margen.arriba - margen.abajo;
+        const paso = (ancho - margen.izquierda - margen.derecha) / periodos.length;
+        const maximo = Math.max(1, ...periodos.map(p => series.reduce((sum, serie) => sum + serie.valor(p), 0)));
+        const y = v => margen.arriba + altoUtil * (1 - v / maximo);
+        const x = i => margen.izquierda + i * paso;
+        const barra = Math.max(paso * 0.8, 0.5);
+
+        let dibujo;
+        if (tipo === 'linea') {
+            const serie = series[0];
+            const puntos = periodos.map((p, i) => `${(x(i) + paso / 2).toFixed(1)},${y(serie.valor(p)).toFixed(1)}`);
+            dibujo = `<polyline points="${puntos.join(' ')}" fill="none" stroke="${serie.color}" stroke-width="2"/>` +
+                (periodos.length <= 120 ? periodos.map((p, i) =>
+                    `<circle cx="${(x(i) + paso / 2).toFixed(1)}" cy="${y(serie.valor(p)).toFixed(1)}" r="3" fill="${serie.color}"/>`
+                ).join('') : '');
+        } else {
+            dibujo = periodos.map((p, i) => {
+                let base = 0;
+                return series.map(serie => {
+                    const valor = serie.valor(p);
+                    if (valor === 0) return '';
+                    const rect = `<rect x="${(x(i) + (paso - barra) / 2).toFixed(1)}" y="${y(base + valor).toFixed(1)}" width="${barra.toFixed(1)}" height="${(y(base) - y(base + valor)).toFixed(1)}" fill="${serie.color}"/>`;
+                    base += valor;
+                    return rect;
+                }).join('');
+            }).join('');
+        }
+
+        // Zonas pulsables, con el detalle del periodo
+        const zonas = periodos.map((p, i) => {
+            const detalle = series.map(serie => `${serie.nombre}: ${serie.valor(p)}`).join(' · ');
+            return `<rect class="chart-hit" data-period-index="${i}" x="${x(i).toFixed(1)}" y="${margen.arriba}" width="${paso.toFixed(1)}" height="${altoUtil}">
+                <title>${this.escapeHtml(`${this.formatPeriodLabel(p, periodo, true)}\n${detalle}`)}</title>
+            </rect>`;
+        }).join('');
+
+        // Etiquetas del eje: como mucho unas 8
+        const cada = Math.ceil(periodos.length / 8);
+        const etiquetas = periodos
+            .map((p, i) => i % cada === 0
+                ? `<text x="${(x(i) + paso / 2).toFixed(1)}" y="${alto - 6}" text-anchor="middle" class="occupancy-axis">${this.escapeHtml(this.formatPeriodLabel(p, periodo))}</text>`
+                : '')
+            .join('');
+
+        const leyenda = series.length > 1
+            ? `<div class="occupancy-legend">${series.map(serie => `<span class="occupancy-legend-item"><span class="tipo-indicator" style="background-color: ${serie.color}"></span>${this.escapeHtml(serie.nombre)}</span>`).join('')}</div>`
+            : '';
+
+        return `
+            <svg class="period-chart" viewBox="0 0 ${ancho} ${alto}" role="img" aria-label="${this.escapeForAttribute(series.map(serie => serie.nombre).join(' y '))} por periodo">
+                ${dibujo}
+                <line x1="${margen.izquierda}" y1="${y(0)}" x2="${ancho - margen.derecha}" y2="${y(0)}" class="occupancy-axis-line"/>
+                <text x="${margen.izquierda - 4}" y="${margen.arriba + 10}" text-anchor="end" class="occupancy-axis">${maximo}</text>
+                <text x="${margen.izquierda - 4}" y="${y(0)}" text-anchor="end" class="occupancy-axis">0</text>
+                ${etiquetas}
+                ${zonas}
+            </svg>
+            ${leyenda}
+        `;
+    }
+
+    /**
+     * Nombre de un periodo para los ejes y tooltips de los gráficos
+     * @param {Object} p - Periodo ({ desde, hasta })
+     * @param {string} periodo - 'dia', 'semana', 'mes' o 'año'
+     * @param {boolean} largo - Nombre completo (para el tooltip)
+     * @returns {string} Nombre del periodo
+     */
+    formatPeriodLabel(p, periodo, largo = false) {
+        switch (periodo) {
+            case 'dia':
+                return p.desde.toLocaleDateString('es-ES', largo ? { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' } : { day: 'numeric', month: 'numeric', year: '2-digit' });
+            case 'semana':
+                return largo
+                    ? `Semana del ${p.desde.toLocaleDateString('es-ES')} al ${p.hasta.toLocaleDateString('es-ES')}`
+                    : p.desde.toLocaleDateString('es-ES', { day: 'numeric', month: 'numeric', year: '2-digit' });
+            case 'año':
+                return `${p.desde.getFullYear()}`;
+            default:
+                return p.desde.toLocaleDateString('es-ES', largo ? { month: 'long', year: 'numeric' } : { month: 'short', year: '2-digit' });
+        }
+    }
+
+    /**
+     * Dibuja un calendario de altas por día de un año, al estilo de GitHub: una
+     * columna por semana (de lunes a domingo) y el color según las altas del día.
+     * Al pasar el ratón por un día se ve quién dio de alta qué y al pulsarlo se
+     * llama a onSelect con la fecha
+     * @param {HTMLElement} container - Contenedor del calendario
+     * @param {Array} records - Registros
+     * @param {Object} options - Opciones ({ onSelect(fecha): al pulsar un día })
+     */
+    renderRegistrationHeatmap(container, records, { onSelect = null } = {}) {
+        const dias = DataAnalyzer.groupRegistrationsByDay(records);
+        const años = [...new Set(Array.from(dias.values()).map(dia => dia.fecha.getFullYear()))].sort();
+        if (años.length === 0) {
+            container.innerHTML = '<p class="occupancy-empty">Sin altas con fecha</p>';
+            return;
+        }
+
+        const colores = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+        const [celda, hueco, izquierda, arriba] = [12, 2, 24, 16];
+        const nivel = (count, maximo) => count === 0 ? 0 : Math.min(4, Math.ceil(count / maximo * 4));
+        let año = años[años.length - 1];
+
+        const dibujar = () => {
+            const primero = new Date(año, 0, 1);
+            const lunes = DataAnalyzer.getPeriodStart(primero, 'semana');
+            const delAño = Array.from(dias.values()).filter(dia => dia.fecha.getFullYear() === año);
+            const maximo = Math.max(1, ...delAño.map(dia => dia.registros.length));
+            const total = delAño.reduce((sum, dia) => sum + dia.registros.length, 0);
+
+            const celdas = [];
+            const meses = [];
+            for (let fecha = primero; fecha.getFullYear() === año; fecha = DataAnalyzer.getNextPeriodStart(fecha, 'dia')) {
+                const semana = Math.round((DataAnalyzer.getPeriodStart(fecha, 'semana') - lunes) / (7 * 24 * 60 * 60 * 1000));
+                const x = izquierda + semana * (celda + hueco);
+                const y = arriba + ((fecha.getDay() + 6) % 7) * (celda + hueco);
+                const key = DataAnalyzer.getPeriodKey(fecha, 'dia');
+                const count = dias.has(key) ? dias.get(key).registros.length : 0;
+                if (fecha.getDate() === 1) {
+                    meses.push(`<text x="${x}" y="${arriba - 5}" class="occupancy-axis">${fecha.toLocaleDateString('es-ES', { month: 'short' })}</text>`);
+                }
+                celdas.push(`<rect class="heatmap-day" data-day="${key}" x="${x}" y="${y}" width="${celda}" height="${celda}" rx="2" fill="${colores[nivel(count, maximo)]}">
+                    <title>${fecha.toLocaleDateString('es-ES')}: ${count} alta(s)</title>
+                </rect>`);
+            }
+            const ancho = izquierda + 54 * (celda + hueco);
+            const alto = arriba + 7 * (celda + hueco);
+            const diasSemana = ['L', '', 'X', '', 'V', '', 'D']
+                .map((letra, i) => letra ? `<text x="0" y="${arriba + i * (celda + hueco) + celda - 2}" class="occupancy-axis">${letra}</text>` : '')
+                .join('');
+
+            root.querySelector('.heatmap-year').textContent = `${año} · ${total} alta(s)`;
+            root.querySelector('[data-heatmap="prev"]').disabled = año === años[0];
+            root.querySelector('[data-heatmap="next"]').disabled = año === años[años.length - 1];
+            root.querySelector('.heatmap-chart').innerHTML = `
+                <svg class="heatmap-svg" viewBox="0 0 ${ancho} ${alto}" role="img" aria-label="Altas por día de ${año}">
+                    ${meses.join('')}${diasSemana}${celdas.join('')}
+                </svg>
+            `;
+        };
+
+        // Quién dio de alta qué, agrupado por socio
+        const detalle = (key) => {
+            const dia = dias.get(key);
+            const [y, m, d] = key.split('-').map(Number);
+            const fecha = new Date(y, m - 1, d).toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+            if (!dia) return `<strong>${fecha}</strong>: sin altas`;
+
+            const porSocio = new Map();
+            dia.registros.forEach(r => {
+                if (!porSocio.has(r.socio)) porSocio.set(r.socio, []);
+                porSocio.get(r.socio).push(r.matricula);
+            });
+            const socios = Array.from(porSocio).sort((a, b) => b[1].length - a[1].length);
+            return `<strong>${fecha}</strong>: ${dia.registros.length} alta(s)
+                <ul class="heatmap-detail-list">
+                    ${socios.slice(0, 15).map(([socio, placas]) => `<li>${this.escapeHtml(socio)}: <span class="heatmap-plates">${this.escapeHtml(placas.join(', '))}</span></li>`).join('')}
+                    ${socios.length > 15 ? `<li>… y ${socios.length - 15} socio(s) más</li>` : ''}
+                </ul>
+                ${onSelect ? '<small>Pulsa el día para filtrar la tabla por esa fecha</small>' : ''}`;
+        };
+
+        // Se dibuja en un elemento nuevo para no repetir los eventos al volver a pintar
+        container.innerHTML = '<div class="heatmap"></div>';
+        const root = container.firstElementChild;
+        root.innerHTML = `
+            <div class="heatmap-toolbar">
+                <button type="button" class="btn-secondary" data-heatmap="prev" title="Año anterior">◀</button>
+                <span class="heatmap-year"></span>
+                <button type="button" class="btn-secondary" data-heatmap="next" title="Año siguiente">▶</button>
+                <span class="heatmap-legend">Menos ${colores.map(color => `<span class="heatmap-legend-cell" style="background-color: ${color}"></span>`).join('')} Más</span>
+            </div>
+            <div class="heatmap-chart"></div>
+            <div class="heatmap-detail"></div>
+        `;
+
+        root.addEventListener('click', (e) => {
+            const boton = e.target.closest('[data-heatmap]');
+            if (boton) {
+                año += boton.dataset.heatmap === 'prev' ? -1 : 1;
+                dibujar();
+                return;
+            }
+            const celdaDia = e.target.closest('[data-day]');
+            if (celdaDia && onSelect) {
+                const [y, m, d] = celdaDia.dataset.day.split('-').map(Number);
+                onSelect(new Date(y, m - 1, d));
+            }
+        });
+        root.addEventListener('mouseover', (e) => {
+            const celdaDia = e.target.closest('[data-day]');
+            if (celdaDia) root.querySelector('.heatmap-detail').innerHTML = detalle(celdaDia.dataset.day);
+        });
+
+        dibujar();
+    }
+
+    /**
+     * Dibuja el calendario de altas de todo el conjunto de datos en el resumen
+     * @param {Array} records - Registros
+     * @param {Function} onSelect - Callback (fecha) al pulsar un día; también lo usa
+     *        el calendario de cada socio
+     */
+    renderSummaryHeatmap(records, onSelect) {
+        this.heatmapSelect = onSelect;
+        const container = document.getElementById('registrationsHeatmap');
+        if (container) {
+            this.renderRegistrationHeatmap(container, records, { onSelect });
+        }
+    }
+
+    /**
+     * Muestra la ocupación diaria: gráfico de permisos activos por tramo sobre las
+     * temporadas, resumen por temporada y días con más permisos temporales
+     * @param {Object} ocupacion - Resultado de DataAnalyzer.calculateDailyOccupancy
+     * @param {Object} options - Opciones ({ temporaryOnly: solo permisos temporales })
+     */
+    renderOccupancy(ocupacion, { temporaryOnly = false } = {}) {
+        this.occupancy = ocupacion;
+        this.occupancyTemporaryOnly = temporaryOnly;
+        this.occupancyPinned = ocupacion.pico;
+
+        const summary = document.getElementById('occupancySummary');
+        if (summary) {
+            summary.textContent = ocupacion.dias.length > 0
+                ? `Pico de ${ocupacion.pico.temporales} permisos temporales activos el ${ocupacion.pico.fecha.toLocaleDateString('es-ES')} · ` +
+                  `máximo de ${ocupacion.picoTotal.total} permisos en total el ${ocupacion.picoTotal.fecha.toLocaleDateString('es-ES')}`
+                : 'No hay permisos con fecha de inicio';
+        }
+
+        const chart = document.getElementById('occupancyChart');
+        if (chart) {
+            chart.innerHTML = ocupacion.dias.length > 0 ? this.renderOccupancyChart(ocupacion, temporaryOnly) : '';
+            this.bindOccupancyChart(chart);
+        }
+        this.renderOccupancyDay(ocupacion.pico);
+
+        const seasons = document.getElementById('occupancySeasons');
+        if (seasons) {
+            seasons.innerHTML = ocupacion.porTemporada.length === 0 ? '' : `
+                <table class="results-table occupancy-table">
+                    <thead><tr><th>Temporada</th><th>Días</th><th>Media temporales</th><th>Media total</th><th>Pico de temporales</th></tr></thead>
+                    <tbody>
+                        ${ocupacion.porTemporada.map(t => {
+                            const season = this.seasonCalendar.getSeasonByName(t.temporada);
+                            return `<tr>
+                                <td title="${this.escapeForAttribute(SeasonCalendar.describe(season))}">${this.escapeHtml(season.icon)} ${this.escapeHtml(t.temporada)}</td>
+                                <td>${t.dias}</td>
+                                <td>${t.promedioTemporales.toString().replace('.', ',')}</td>
+                                <td>${t.promedioTotal.toString().replace('.', ',')}</td>
+                                <td><button type="button" class="occupancy-day-link" data-occupancy-day="${ocupacion.dias.indexOf(t.pico)}">${t.pico.temporales} el ${t.pico.fecha.toLocaleDateString('es-ES')}</button></td>
+                            </tr>`;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        const peaks = document.getElementById('occupancyPeaks');
+        if (peaks) {
+            const top = ocupacion.dias
+                .map((dia, index) => ({ dia, index }))
+                .filter(({ dia }) => dia.temporales > 0)
+                .sort((a, b) => b.dia.temporales - a.dia.temporales || a.dia.fecha - b.dia.fecha)
+                .slice(0, 10);
+            peaks.innerHTML = top.length === 0 ? '<p class="occupancy-empty">No hay permisos temporales</p>' : `
+                <table class="results-table occupancy-table">
+                    <thead><tr><th>Día</th><th>Temporales</th><th>Total</th><th>Socios con más temporales</th></tr></thead>
+                    <tbody>
+                        ${top.map(({ dia, index }) => `<tr>
+                            <td><button type="button" class="occupancy-day-link" data-occupancy-day="${index}">${dia.fecha.toLocaleDateString('es-ES')}</button></td>
+                            <td>${dia.temporales}</td>
+                            <td>${dia.total}</td>
+                            <td>${this.escapeHtml(dia.socios.map(s => `${s.socio} (${s.temporales})`).join(', '))}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        const view = document.getElementById('occupancyView');
+        if (view && !view.dataset.bound) {
+            view.dataset.bound = 'true';
+            view.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-occupancy-day]');
+                if (!button || !this.occupancy) return;
+                this.occupancyPinned = this.occupancy.dias[parseInt(button.dataset.occupancyDay, 10)];
+                this.renderOccupancyDay(this.occupancyPinned);
+            });
+        }
+    }
+
+    /**
+     * Genera el gráfico SVG de la ocupación: áreas apiladas por tramo (o solo los
+     * temporales) sobre bandas con el color de la temporada de cada día
+     * @param {Object} ocupacion - Resultado de DataAnalyzer.calculateDailyOccupancy
+     * @param {boolean} temporaryOnly - Dibujar solo los permisos temporales
+     * @returns {string} HTML del SVG
+     */
+    renderOccupancyChart(ocupacion, temporaryOnly) {
+        const dias = ocupacion.dias;
+        const [ancho, alto] = [900, 240];
+        const margen = { izquierda: 40, derecha: 10, arriba: 10, abajo: 24 };
+        const anchoUtil = ancho - margen.izquierda - margen.derecha;
+        const altoUtil = alto - margen.arriba - margen.abajo;
+        const paso = anchoUtil / Math.max(dias.length - 1, 1);
+        const x = i => margen.izquierda + i * paso;
+        this.occupancyAxis = { ancho, x };
+
+        // Capas de abajo arriba: los tramos sin máximo (permanentes) primero
+        const capas = temporaryOnly
+            ? [{ name: 'Temporales', color: '#3b82f6', valor: dia => dia.temporales }]
+            : this.passTiers.getAll().slice().reverse()
+                .filter(tier => dias.some(dia => dia.porTramo[tier.name]))
+                .map(tier => ({ name: tier.name, color: tier.color, valor: dia => dia.porTramo[tier.name] || 0 }));
+        const maximo = Math.max(1, ...dias.map(dia => capas.reduce((sum, capa) => sum + capa.valor(dia), 0)));
+        const y = v => margen.arriba + altoUtil * (1 - v / maximo);
+
+        // Bandas de temporada
+        const bandas = [];
+        dias.forEach((dia, i) => {
+            const ultima = bandas[bandas.length - 1];
+            if (ultima && ultima.temporada === dia.temporada) {
+                ultima.hasta = i;
+            } else {
+                bandas.push({ temporada: dia.temporada, desde: i, hasta: i });
+            }
+        });
+        const rects = bandas.map(banda => {
+            const season = this.seasonCalendar.getSeasonByName(banda.temporada);
+            const x0 = Math.max(margen.izquierda, x(banda.desde) - paso / 2);
+            const x1 = Math.min(ancho - margen.derecha, x(banda.hasta) + paso / 2);
+            return `<rect x="${x0.toFixed(1)}" y="${margen.arriba}" width="${Math.max(x1 - x0, 0.5).toFixed(1)}" height="${altoUtil}" fill="${season.color}" fill-opacity="0.12">
+                <title>${this.escapeHtml(banda.temporada)}</title>
+            </rect>`;
+        }).join('');
+
+        // Áreas apiladas
+        const base = dias.map(() => 0);
+        const areas = capas.map(capa => {
+            const abajo = base.slice();
+            dias.forEach((dia, i) => { base[i] += capa.valor(dia); });
+            const arriba = dias.map((dia, i) => `${x(i).toFixed(1)},${y(base[i]).toFixed(1)}`);
+            const vuelta = dias.map((dia, i) => `${x(i).toFixed(1)},${y(abajo[i]).toFixed(1)}`).reverse();
+            return `<polygon points="${arriba.concat(vuelta).join(' ')}" fill="${capa.color}" fill-opacity="0.75">
+                <title>${this.escapeHtml(capa.name)}</title>
+            </polygon>`;
+        }).join('');
+
+        // Ejes: inicio de cada mes (o de cada año si la serie es larga)
+        const porAño = dias.length > 400;
+        const marcas = dias
+            .map((dia, i) => ({ dia, i }))
+            .filter(({ dia, i }) => i === 0 || (dia.fecha.getDate() === 1 && (!porAño || dia.fecha.getMonth() === 0)))
+            .map(({ dia, i }) => `<text x="${x(i).toFixed(1)}" y="${alto - 6}" class="occupancy-axis">${porAño
+                ? dia.fecha.getFullYear()
+                : dia.fecha.toLocaleDateString('es-ES', { month: 'short', year: '2-digit' })}</text>`)
+            .join('');
+
+        const leyenda = capas.map(capa => `<span class="occupancy-legend-item"><span class="tipo-indicator" style="background-color: ${capa.color}"></span>${this.escapeHtml(capa.name)}</span>`).join('');
+
+        return `
+            <svg class="occupancy-graph" viewBox="0 0 ${ancho} ${alto}" role="img" aria-label="Permisos activos por día">
+                ${rects}
+                ${areas}
+                <line x1="${margen.izquierda}" y1="${y(0)}" x2="${ancho - margen.derecha}" y2="${y(0)}" class="occupancy-axis-line"/>
+                <text x="${margen.izquierda - 4}" y="${margen.arriba + 10}" text-anchor="end" class="occupancy-axis">${maximo}</text>
+                <text x="${margen.izquierda - 4}" y="${y(0)}" text-anchor="end" class="occupancy-axis">0</text>
+                ${marcas}
+                <line id="occupancyCursor" x1="0" y1="${margen.arriba}" x2="0" y2="${y(0)}" class="occupancy-cursor" style="display: none;"/>
+            </svg>
+            <div class="occupancy-legend">${leyenda}</div>
+        `;
+    }
+
+    /**
+     * Enlaza el gráfico de ocupación: al pasar el ratón se muestra el día y al
+     * pulsar se fija
+     * @param {HTMLElement} chart - Contenedor del gráfico
+     */
+    bindOccupancyChart(chart) {
+        if (chart.dataset.bound) return;
+        chart.dataset.bound = 'true';
+
+        const diaEn = (e) => {
+            const svg = chart.querySelector('svg');
+            if (!svg || !this.occupancy || this.occupancy.dias.length === 0) return null;
+            const rect = svg.getBoundingClientRect();
+            const { ancho, x } = this.occupancyAxis;
+            const xSvg = (e.clientX - rect.left) * (ancho / rect.width);
+            const index = Math.round((xSvg - x(0)) / (x(1) - x(0)));
+            return this.occupancy.dias[Math.min(Math.max(index, 0), this.occupancy.dias.length - 1)];
+        };
+
+        chart.addEventListener('mousemove', (e) => {
+            const dia = diaEn(e);
+            if (dia) this.renderOccupancyDay(dia);
+        });
+        chart.addEventListener('mouseleave', () => {
+            if (this.occupancy) this.renderOccupancyDay(this.occupancyPinned);
+        });
+        chart.addEventListener('click', (e) => {
+            const dia = diaEn(e);
+            if (!dia) return;
+            this.occupancyPinned = dia;
+            this.renderOccupancyDay(dia);
+        });
+    }
+
+    /**
+     * Muestra el detalle de un día de la ocupación y mueve el cursor del gráfico
+     * @param {Object|null} dia - Día de la serie
+     */
+    renderOccupancyDay(dia) {
+        const container = document.getElementById('occupancyDay');
+        if (!container) return;
+        if (!dia) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const index = this.occupancy.dias.indexOf(dia);
+        const cursor = document.getElementById('occupancyCursor');
+        if (cursor && index >= 0) {
+            const posicion = this.occupancyAxis.x(index);
+            cursor.setAttribute('x1', posicion);
+            cursor.setAttribute('x2', posicion);
+            cursor.style.display = '';
+        }
+
+        const season = this.seasonCalendar.getSeasonByName(dia.temporada);
+        const tramos = this.passTiers.getAll()
+            .filter(tier => dia.porTramo[tier.name])
+            .map(tier => `<span class="tipo-badge" style="background-color: ${tier.color}">${this.escapeHtml(tier.name)} ${dia.porTramo[tier.name]}</span>`)
+            .join(' ');
+
+        container.innerHTML = `
+            <strong>${dia.fecha.toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}</strong>
+            · <span title="${this.escapeForAttribute(SeasonCalendar.describe(season))}">${this.escapeHtml(season.icon)} ${this.escapeHtml(dia.temporada)}</span>
+            · ${dia.total} permisos activos (${dia.temporales} temporales, ${dia.permanentes} permanentes) ${tramos}
+            ${dia.socios.length > 0 ? `<div class="occupancy-day-socios">Socios con más temporales: ${this.escapeHtml(dia.socios.map(s => `${s.socio} (${s.temporales})`).join(', '))}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Rellena los selectores de temporada de la comparación y elige las que se comparan
+     * @param {Array} temporadas - Temporadas de los datos (ver DataAnalyzer.getSeasonYears)
+     * @param {string} temporadaA - Temporada con su año del periodo A
+     * @param {string} temporadaB - Temporada con su año del periodo B
+     */
+    renderComparisonSeasons(temporadas, temporadaA, temporadaB) {
+        const options = temporadas.map(t => {
+            const season = this.seasonCalendar.getSeasonByName(t.temporada);
+            return `<option value="${this.escapeForAttribute(t.temporadaAño)}">${this.escapeHtml(season.icon)} ${this.escapeHtml(t.temporadaAño)}</option>`;
+        }).join('');
+        [['comparisonSeasonA', temporadaA], ['comparisonSeasonB', temporadaB]].forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = options;
+            select.value = value || '';
+        });
+    }
+
+    /**
+     * Renderiza la comparación de dos periodos: resumen, nuevos, desaparecidos, los que
+     * más crecen y la tabla de todos los socios con las diferencias, de 50 en 50
+     * @param {Object} comparacion - Comparación (ver DataAnalyzer.comparePeriods)
+     */
+    renderComparison(comparacion) {
+        this.comparison = comparacion;
+        this.comparisonVisible = 50;
+        const { antes, despues } = comparacion;
+
+        const summary = document.getElementById('comparisonSummary');
+        if (summary) {
+            summary.innerHTML = `
+                <strong>A: ${this.escapeHtml(antes.etiqueta)}</strong> · ${antes.socios} socios, ${antes.matriculas} matrículas
+                <span class="comparison-arrow">→</span>
+                <strong>B: ${this.escapeHtml(despues.etiqueta)}</strong> · ${despues.socios} socios, ${despues.matriculas} matrículas
+                (${this.renderComparisonDelta(despues.matriculas - antes.matriculas)} matrículas,
+                ${comparacion.nuevos.length} nuevos, ${comparacion.desaparecidos.length} desaparecidos)
+            `;
+        }
+
+        const lista = (id, socios, texto, vacio) => {
+            const container = document.getElementById(id);
+            if (!container) return;
+            container.innerHTML = socios.length === 0 ? `<p class="occupancy-empty">${vacio}</p>` : `
+                <ol class="comparison-list">
+                    ${socios.slice(0, 20).map(s => `<li>${this.escapeHtml(s.socio)} <small>${texto(s)}</small></li>`).join('')}
+                </ol>
+                ${socios.length > 20 ? `<p class="occupancy-empty">y ${socios.length - 20} más en la tabla</p>` : ''}
+            `;
+        };
+        lista('comparisonNew', [...comparacion.nuevos].sort((a, b) => b.despues.totalMatriculas - a.despues.totalMatriculas),
+            s => `${s.despues.totalMatriculas} matrículas en B`, 'Ningún socio nuevo');
+        lista('comparisonGone', comparacion.desaparecidos,
+            s => `${s.antes.totalMatriculas} matrículas en A`, 'No ha desaparecido ningún socio');
+        lista('comparisonGrowth', comparacion.crecen,
+            s => `${s.antes.totalMatriculas} → ${s.despues.totalMatriculas} (${this.renderComparisonDelta(s.deltas.totalMatriculas)})`,
+            'Ningún socio tiene más matrículas en B');
+
+        this.renderComparisonPage();
+    }
+
+    /**
+     * Vacía la comparación y muestra en su lugar por qué no se ha calculado
+     * @param {string} mensaje - Motivo (p. ej. que falta algún periodo)
+     */
+    renderComparisonEmpty(mensaje) {
+        this.comparison = null;
+
+        const summary = document.getElementById('comparisonSummary');
+        if (summary) summary.innerHTML = `<p class="occupancy-empty">${this.escapeHtml(mensaje)}</p>`;
+        ['comparisonNew', 'comparisonGone', 'comparisonGrowth'].forEach(id => {
+            const container = document.getElementById(id);
+            if (container) container.innerHTML = '';
+        });
+
+        const tbody = document.getElementById('comparisonTableBody');
+        if (tbody) tbody.innerHTML = `<tr><td colspan="6" class="occupancy-empty">${this.escapeHtml(mensaje)}</td></tr>`;
+        const more = document.getElementById('comparisonShowMore');
+        if (more) more.style.display = 'none';
+    }
+
+    /**
+     * Renderiza las filas visibles de la tabla de la comparación
+     */
+    renderComparisonPage() {
+        const tbody = document.getElementById('comparisonTableBody');
+        if (!tbody || !this.comparison) return;
+
+        const estados = {
+            nuevo: '<span class="comparison-status comparison-status-new">🆕 Nuevo</span>',
+            desaparecido: '<span class="comparison-status comparison-status-gone">👋 Desaparecido</span>',
+            sigue: '<span class="comparison-status">En los dos</span>'
+        };
+        const celda = (s, metrica) => {
+            const a = s.antes ? s.antes[metrica] : 0;
+            const b = s.despues ? s.despues[metrica] : 0;
+            return `<td>${a} → ${b} ${this.renderComparisonDelta(s.deltas[metrica])}</td>`;
+        };
+
+        tbody.innerHTML = this.comparison.socios.slice(0, this.comparisonVisible).map(s => `
+            <tr>
+                <td>${this.escapeHtml(s.socio)}</td>
+                <td>${estados[s.estado]}</td>
+                ${celda(s, 'totalMatriculas')}
+                ${celda(s, 'permisosCortos')}
+                ${celda(s, 'solapamientos')}
+                ${celda(s, 'picoSimultaneo')}
+            </tr>
+        `).join('') || '<tr><td colspan="6" class="occupancy-empty">Ningún socio en ninguno de los dos periodos</td></tr>';
+
+        const more = document.getElementById('comparisonShowMore');
+        if (more) {
+            const remaining = this.comparison.socios.length - this.comparisonVisible;
+            more.style.display = remaining > 0 ? '' : 'none';
+            more.textContent = `Mostrar más (${Math.max(0, remaining)} restantes)`;
+        }
+    }
+
+    /**
+     * Muestra más filas de la tabla de la comparación
+     */
+    showMoreComparison() {
+        this.comparisonVisible += 50;
+        this.renderComparisonPage();
+    }
+
+    /**
+     * Renderiza una diferencia con signo, en rojo si sube y en verde si baja
+     * @param {number} delta - Diferencia entre B y A
+     * @returns {string} HTML de la diferencia
+     */
+    renderComparisonDelta(delta) {
+        const clase = delta > 0 ? 'comparison-delta-up' : delta < 0 ? 'comparison-delta-down' : '';
+        return `<span class="comparison-delta ${clase}">${delta > 0 ? '+' : ''}${delta}</span>`;
+    }
+
+    /**
+     * Renderiza la transición entre dos permisos consecutivos de una matrícula
+     * @param {Object} transicion - Transición (ver DataAnalyzer.buildPlateRow)
+     * @returns {string} HTML de la transición
+     */
+    renderPlateTransition(transicion) {
+        const partes = [];
+        if (transicion.tipo === 'renovacion') {
+            partes.push('🔁 Renovación');
+        } else if (transicion.tipo === 'hueco') {
+            partes.push(`⏸️ Hueco de ${transicion.dias} días`);
+        }
+        if (transicion.cambioSocio) {
+            partes.push(`🔀 Pasa de ${this.escapeHtml(transicion.desde.socio)} a ${this.escapeHtml(transicion.hasta.socio)}`);
+        }
+        if (partes.length === 0) return '';
+
+        return `<li class="plate-transition ${transicion.cambioSocio ? 'plate-transition-socio' : ''}">${partes.join(' · ')}</li>`;
+    }
+
+    /**
+     * Muestra el desglose por reglas de la puntuación de un socio
+     * @param {string} socioName - Nombre del socio
+     * @param {string} rowId - ID de la fila
+     */
+    showScoreModal(socioName, rowId) {
+        const score = window.scoreData?.[rowId];
+        if (!score) return;
+
+        const rows = score.desglose.map(regla => `
+            <tr class="${regla.activada ? 'score-rule-triggered' : ''}">
+                <td>${regla.activada ? '🚩' : '✔'} ${this.escapeHtml(regla.nombre)}</td>
+                <td class="centered-cell">${regla.valor}</td>
+                <td class="centered-cell">${regla.umbral}</td>
+                <td class="centered-cell">× ${regla.peso.toString().replace('.', ',')}</td>
+                <td class="centered-cell"><strong>${regla.puntos.toString().replace('.', ',')}</strong></td>
+            </tr>
+        `).join('');
+
+        const motivos = score.desglose.filter(regla => regla.activada).map(regla => `
+            <li>${this.escapeHtml(regla.explicacion)} <small>(+${regla.puntos.toString().replace('.', ',')})</small></li>
+        `).join('');
+
+        const content = `
+            <div class="score-modal-content">
+                <p class="score-total">
+                    Puntuación: <span class="score-badge score-${score.nivel}">${score.puntuacion.toString().replace('.', ',')}</span>
+                    <small>Sospecha ${score.nivel}</small>
+                </p>
+                ${motivos ? `<h4>🚩 Motivos</h4><ul class="score-reasons">${motivos}</ul>` : ''}
+                <table class="score-breakdown">
+                    <thead>
+                        <tr><th>Regla</th><th>Valor</th><th>Umbral</th><th>Peso</th><th>Puntos</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p class="mapping-help">Cada regla que alcanza su umbral suma su peso multiplicado por las veces que lo supera (como máximo 3). Las métricas se calculan solo con las matrículas que pasan los filtros.</p>
+            </div>
+        `;
+
+        this.showModal(`⚖️ Puntuación - ${socioName}`, content);
+    }
+
     /**
      * Renderiza la lista de matrículas con sus tipos
      * @param {Object} row - Fila de datos
@@ -202,11 +1237,20 @@ class UIComponents {
                 👁️ Ver todas (${totalMatriculas})
             </button>
         ` : '';
-        
+
+        // Botón para ver la cronología de los permisos
+        const timelineButton = `
+            <button class="view-all-plates-btn" onclick="window.uiComponents.showPlatesModal('${rowId}', '${this.escapeForAttribute(row.socio || row.member)}', 'cronologia')"
+                    title="Ver los permisos en una línea de tiempo, con solapamientos y pico simultáneo">
+                📅 Cronología
+            </button>
+        `;
+        
         return `
             <div class="plates-preview">
                 ${visibleHtml}
                 ${viewAllButton}
+                ${timelineButton}
             </div>
         `;
     }
@@ -219,14 +1263,59 @@ class UIComponents {
     renderSinglePlate(matricula) {
         const plateData = typeof matricula === 'string' ? { matricula } : matricula;
         const tipoClass = plateData.tipoMatricula ? `plate-${plateData.tipoMatricula}` : '';
+        const tier = this.passTiers.getTier(plateData.tramo);
+        const formatClass = plateData.categoriaMatricula === 'invalida' ? 'plate-format-invalid' : '';
         const tooltip = this.getMatriculaTooltip(plateData);
+        const dateFlag = plateData.estadoFecha === 'desconocida' ? '<span class="date-status-flag">📅?</span>'
+            : plateData.estadoFecha === 'estimada' ? '<span class="date-status-flag">📅≈</span>' : '';
+        const variantFlag = plateData.matriculaOriginal ? '<span class="plate-variant-flag">✎</span>' : '';
         
-        return `<span class="plate-badge ${tipoClass}" title="${tooltip}">
-            <span class="tipo-indicator ${plateData.tipoMatricula || 'unknown'}"></span>
-            ${plateData.matricula}
+        return `<span class="plate-badge ${tipoClass} ${formatClass}" title="${tooltip}">
+            <span class="tipo-indicator" style="background-color: ${tier.color}"></span>
+            ${plateData.matricula}${variantFlag}${dateFlag}
         </span>`;
     }
 
+    /**
+     * Renderiza el número de matrículas de cada tramo con su color
+     * @param {Object} tramos - Número de matrículas por nombre de tramo
+     * @returns {string} HTML de los contadores
+     */
+    renderTierCounts(tramos) {
+        return this.passTiers.getAll()
+            .filter(tier => tramos[tier.name])
+            .map(tier => `
+                <span class="tipo-badge" style="background-color: ${tier.color}"
+                      title="${this.escapeForAttribute(`${tier.name} (${PassTiers.describe(tier)}): ${tramos[tier.name]}`)}">${this.escapeHtml(tier.name.charAt(0).toUpperCase())}:${tramos[tier.name]}</span>
+            `).join('');
+    }
+
+    /**
+     * Agrupa matrículas por tramo, en el orden de los tramos configurados
+     * @param {Array} matriculas - Matrículas
+     * @returns {Array} Grupos no vacíos ({ tier, matriculas })
+     */
+    groupByTier(matriculas) {
+        return this.passTiers.getAll()
+            .map(tier => ({ tier, matriculas: matriculas.filter(m => (m.tramo || PassTiers.getUnclassified().name) === tier.name) }))
+            .filter(grupo => grupo.matriculas.length > 0);
+    }
+
+    /**
+     * Renderiza la etiqueta de un registro sin fecha de inicio conocida
+     * @param {Object} matricula - Datos de la matrícula
+     * @returns {string} HTML de la etiqueta (vacío si la fecha es conocida)
+     */
+    renderDateStatusBadge(matricula) {
+        if (matricula.estadoFecha === 'desconocida') {
+            return '<span class="date-status-badge date-status-desconocida" title="El archivo no trae una fecha de inicio válida">📅 fecha desconocida</span>';
+        }
+        if (matricula.estadoFecha === 'estimada') {
+            return '<span class="date-status-badge date-status-estimada" title="Fecha de inicio estimada a partir de la fila anterior o de la fecha de fin">📅 fecha estimada</span>';
+        }
+        return '';
+    }
+
     /**
      * Genera un ID único para la fila
      * @param {Object} row - Datos de la fila
@@ -263,33 +1352,20 @@ class UIComponents {
     }
 
     /**
-     * Muestra modal con todas las matrículas del socio
+     * Muestra modal con todas las matrículas del socio, en lista o en cronología
      * @param {string} rowId - ID de la fila
      * @param {string} socioName - Nombre del socio
+     * @param {string} vista - Pestaña inicial: 'lista', 'cronologia' o 'calendario'
      */
-    showPlatesModal(rowId, socioName) {
+    showPlatesModal(rowId, socioName, vista = 'lista') {
         const matriculas = window.platesData?.[rowId] || [];
         if (matriculas.length === 0) return;
         
-        // Ordenar matrículas: primero permanentes, luego temporales, por fecha de inicio
-        const sortedMatriculas = [...matriculas].sort((a, b) => {
-            // Primero por tipo: permanentes primero
-            const tipoA = a.tipoMatricula || 'unknown';
-            const tipoB = b.tipoMatricula || 'unknown';
-            
-            if (tipoA === 'permanente' && tipoB !== 'permanente') return -1;
-            if (tipoA !== 'permanente' && tipoB === 'permanente') return 1;
-            
-            // Dentro del mismo tipo, ordenar por fecha de inicio
-            const fechaA = a.fechaInicio || new Date(0);
-            const fechaB = b.fechaInicio || new Date(0);
-            
-            return fechaB - fechaA; // Más recientes primero
-        });
-        
-        // Agrupar por tipo para mostrar
-        const permanentes = sortedMatriculas.filter(m => m.tipoMatricula === 'permanente');
-        const temporales = sortedMatriculas.filter(m => m.tipoMatricula === 'temporal' || !m.tipoMatricula);
+        // Agrupar por tramo, en el orden configurado; dentro de cada tramo, más recientes primero
+        const grupos = this.groupByTier(matriculas).map(({ tier, matriculas: delTramo }) => ({
+            tier,
+            matriculas: [...delTramo].sort((a, b) => (b.fechaInicio || new Date(0)) - (a.fechaInicio || new Date(0)))
+        }));
         
         const content = `
             <div class="plates-modal-content-large">
@@ -297,30 +1373,37 @@ class UIComponents {
                 <div class="plates-modal-header">
                     <div class="plates-summary-compact">
                         <span><strong>Total:</strong> ${matriculas.length} matrículas</span>
-                        <span><strong>Permanentes:</strong> ${permanentes.length}</span>
-                        <span><strong>Temporales:</strong> ${temporales.length}</span>
+                        <span><strong>Activas a ${(this.referenceDate || new Date()).toLocaleDateString('es-ES')}:</strong> ${matriculas.filter(m => this.isMatriculaActive(m)).length}</span>
+                        ${grupos.map(({ tier, matriculas: delTramo }) => `
+                            <span><strong>${this.escapeHtml(tier.name)}:</strong> ${delTramo.length}</span>
+                        `).join('')}
+                    </div>
+                    <div class="plates-modal-tabs">
+                        <button type="button" class="results-view-tab" data-plates-tab="lista">📋 Lista</button>
+                        <button type="button" class="results-view-tab" data-plates-tab="cronologia">📅 Cronología</button>
+                        <button type="button" class="results-view-tab" data-plates-tab="calendario">🗓️ Calendario</button>
                     </div>
                 </div>
                 
                 <!-- Contenido scrolleable -->
-                <div class="plates-modal-scrollable">
-                    ${permanentes.length > 0 ? `
-                        <div class="plates-section">
-                            <h4 class="section-title">🟢 Matrículas Permanentes (${permanentes.length})</h4>
-                            <div class="plates-compact-grid">
-                                ${permanentes.map(m => this.renderCompactPlate(m, 'permanente')).join('')}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
-                    ${temporales.length > 0 ? `
+                <div class="plates-modal-scrollable" data-plates-panel="cronologia">
+                    <div class="permit-timeline"></div>
+                </div>
+                <div class="plates-modal-scrollable" data-plates-panel="calendario">
+                    <div class="member-heatmap"></div>
+                </div>
+                <div class="plates-modal-scrollable" data-plates-panel="lista">
+                    ${grupos.map(({ tier, matriculas: delTramo }) => `
                         <div class="plates-section">
-                            <h4 class="section-title">🟡 Matrículas Temporales (${temporales.length})</h4>
+                            <h4 class="section-title">
+                                <span class="tipo-indicator" style="background-color: ${tier.color}"></span>
+                                ${this.escapeHtml(tier.name)} (${delTramo.length}) <small>${PassTiers.describe(tier)}</small>
+                            </h4>
                             <div class="plates-compact-grid">
-                                ${temporales.map(m => this.renderCompactPlate(m, 'temporal')).join('')}
+                                ${delTramo.map(m => this.renderCompactPlate(m, tier)).join('')}
                             </div>
                         </div>
-                    ` : ''}
+                    `).join('')}
                 </div>
                 
                 <!-- Footer fijo -->
@@ -426,16 +1509,6 @@ class UIComponents {
                     transform: translateY(-1px);
                 }
                 
-                .compact-plate-permanente {
-                    border-left: 3px solid #10b981;
-                    background: linear-gradient(135deg, #ffffff, #f0fdf4);
-                }
-                
-                .compact-plate-temporal {
-                    border-left: 3px solid #f59e0b;
-                    background: linear-gradient(135deg, #ffffff, #fffbeb);
-                }
-                
                 .plate-number-compact {
                     font-family: 'Courier New', monospace;
                     font-weight: 700;
@@ -454,6 +1527,10 @@ class UIComponents {
                     font-size: 0.8rem;
                 }
                 
+                .plate-active-compact {
+                    font-size: 0.75rem;
+                }
+                
                 .copy-plates-btn {
                     background: linear-gradient(135deg, #10b981, #059669);
                     color: white;
@@ -499,7 +1576,243 @@ class UIComponents {
             </style>
         `;
         
-        this.showModal(`Matrículas de ${socioName}`, content, 'large-modal');
+        const modal = this.showModal(`Matrículas de ${socioName}`, content, 'large-modal');
+        const root = modal.element;
+        const dibujadas = new Set();
+
+        const mostrar = (tab) => {
+            root.querySelectorAll('[data-plates-tab]').forEach(b => b.classList.toggle('active', b.dataset.platesTab === tab));
+            root.querySelectorAll('[data-plates-panel]').forEach(p => { p.style.display = p.dataset.platesPanel === tab ? '' : 'none'; });
+            // La cronología y el calendario se dibujan al abrirlos, cuando ya tienen tamaño
+            if (dibujadas.has(tab)) return;
+            dibujadas.add(tab);
+            if (tab === 'cronologia') {
+                this.renderPermitTimeline(root.querySelector('.permit-timeline'), matriculas, window.picoData?.[rowId] || null);
+            } else if (tab === 'calendario') {
+                this.renderRegistrationHeatmap(root.querySelector('.member-heatmap'), matriculas, {
+                    onSelect: this.heatmapSelect ? (fecha) => {
+                        modal.close();
+                        this.heatmapSelect(fecha);
+                    } : null
+                });
+            }
+        };
+        root.querySelectorAll('[data-plates-tab]').forEach(button => {
+            button.addEventListener('click', () => mostrar(button.dataset.platesTab));
+        });
+        mostrar(vista);
+    }
+
+    /**
+     * Dibuja la cronología de los permisos de un socio: una fila por matrícula con
+     * una barra por permiso, los periodos con matrículas distintas solapadas en rojo
+     * y la ventana del pico simultáneo en ámbar. Se amplía con la rueda del ratón o
+     * los botones y se desplaza arrastrando
+     * @param {HTMLElement} container - Contenedor de la cronología
+     * @param {Array} matriculas - Registros del socio
+     * @param {Object|null} picoDetalle - Pico simultáneo ({ cantidad, fecha, matriculas, registros })
+     */
+    renderPermitTimeline(container, matriculas, picoDetalle) {
+        const DIA = 24 * 60 * 60 * 1000;
+        const conFecha = matriculas.filter(m => m.fechaInicio);
+        const sinFecha = matriculas.length - conFecha.length;
+        if (conFecha.length === 0) {
+            container.innerHTML = '<p class="occupancy-empty">Ningún permiso tiene fecha de inicio</p>';
+            return;
+        }
+
+        // Extremos: los permisos sin fecha de fin llegan hasta la última fecha conocida o la de referencia
+        const fechas = conFecha.flatMap(m => m.fechaFin ? [m.fechaInicio, m.fechaFin] : [m.fechaInicio]);
+        let inicio = Math.min(...fechas.map(f => f.getTime()));
+        let fin = Math.max(...fechas.map(f => f.getTime()), (this.referenceDate || new Date()).getTime());
+        if (fin - inicio < 30 * DIA) {
+            inicio -= 15 * DIA;
+            fin += 15 * DIA;
+        }
+        const margenDominio = (fin - inicio) * 0.02;
+        const dominio = { desde: inicio - margenDominio, hasta: fin + margenDominio };
+        const finDe = m => (m.fechaFin || new Date(dominio.hasta)).getTime();
+
+        // Una fila por matrícula, por orden de primer permiso
+        const filas = new Map();
+        [...conFecha].sort((a, b) => a.fechaInicio - b.fechaInicio).forEach(m => {
+            if (!filas.has(m.matricula)) filas.set(m.matricula, []);
+            filas.get(m.matricula).push(m);
+        });
+
+        // Periodos con dos o más matrículas distintas activas a la vez
+        const eventos = conFecha.flatMap(m => [
+            { t: m.fechaInicio.getTime(), delta: 1, matricula: m.matricula },
+            { t: finDe(m), delta: -1, matricula: m.matricula }
+        ]).sort((a, b) => a.t - b.t || a.delta - b.delta);
+        const activas = new Map();
+        const solapes = [];
+        let desdeSolape = null;
+        for (const evento of eventos) {
+            activas.set(evento.matricula, (activas.get(evento.matricula) || 0) + evento.delta);
+            if (activas.get(evento.matricula) === 0) activas.delete(evento.matricula);
+            if (activas.size >= 2 && desdeSolape === null) {
+                desdeSolape = evento.t;
+            } else if (activas.size < 2 && desdeSolape !== null) {
+                if (evento.t > desdeSolape) solapes.push({ desde: desdeSolape, hasta: evento.t });
+                desdeSolape = null;
+            }
+        }
+
+        // Ventana del pico: del último inicio al primer fin de los permisos del pico
+        const registrosPico = (picoDetalle && picoDetalle.registros || []).filter(r => r.fechaInicio);
+        let pico = registrosPico.length > 1 ? {
+            desde: Math.max(...registrosPico.map(r => r.fechaInicio.getTime())),
+            hasta: Math.min(...registrosPico.map(finDe)),
+            cantidad: registrosPico.length
+        } : null;
+        if (pico && pico.hasta <= pico.desde) pico = null;
+
+        const vista = { ...dominio };
+        const [ancho, etiquetas, altoFila, cabecera] = [900, 110, 22, 22];
+        const alto = cabecera + filas.size * altoFila + 6;
+        const x = t => etiquetas + (t - vista.desde) / (vista.hasta - vista.desde) * (ancho - etiquetas - 10);
+        const formato = t => new Date(t).toLocaleDateString('es-ES');
+
+        const marcas = () => {
+            const dias = (vista.hasta - vista.desde) / DIA;
+            const unidad = dias > 3 * 365 ? 'año' : dias > 90 ? 'mes' : dias > 21 ? 'semana' : 'dia';
+            const lista = [];
+            let t = DataAnalyzer.getPeriodStart(new Date(vista.desde), unidad);
+            while (t.getTime() <= vista.hasta) {
+                if (t.getTime() >= vista.desde) lista.push(t);
+                t = DataAnalyzer.getNextPeriodStart(t, unidad);
+            }
+            const cada = Math.ceil(lista.length / 12);
+            const opciones = { año: { year: 'numeric' }, mes: { month: 'short', year: '2-digit' }, semana: { day: 'numeric', month: 'short' }, dia: { day: 'numeric', month: 'short' } }[unidad];
+            return lista.filter((fecha, i) => i % cada === 0)
+                .map(fecha => ({ x: x(fecha.getTime()), texto: fecha.toLocaleDateString('es-ES', opciones) }));
+        };
+
+        const dibujar = () => {
+            const bandas = (lista, clase, titulo) => lista
+                .filter(b => b.hasta > vista.desde && b.desde < vista.hasta)
+                .map(b => `<rect class="${clase}" x="${x(b.desde).toFixed(1)}" y="${cabecera}" width="${Math.max(x(b.hasta) - x(b.desde), 1.5).toFixed(1)}" height="${alto - cabecera}">
+                    <title>${this.escapeHtml(titulo(b))}</title>
+                </rect>`).join('');
+
+            const ejes = marcas().map(m => `
+                <line x1="${m.x.toFixed(1)}" y1="${cabecera - 4}" x2="${m.x.toFixed(1)}" y2="${alto}" class="timeline-grid"/>
+                <text x="${(m.x + 3).toFixed(1)}" y="${cabecera - 8}" class="occupancy-axis">${this.escapeHtml(m.texto)}</text>
+            `).join('');
+
+            const lineas = Array.from(filas).map(([matricula, permisos], i) => {
+                const y = cabecera + i * altoFila;
+                const barras = permisos.map(m => {
+                    const tier = this.passTiers.getTier(m.tramo);
+                    const desde = m.fechaInicio.getTime();
+                    const hasta = finDe(m);
+                    const dias = Math.max(1, Math.ceil((hasta - desde) / DIA));
+                    const titulo = `${m.matriculaOriginal ? `${matricula} (escrita como ${m.matriculaOriginal})` : matricula}: ` +
+                        `${formato(desde)} – ${m.fechaFin ? formato(hasta) : 'sin fecha de fin'} (${tier.name}${m.fechaFin ? `, ${dias} días` : ''})`;
+                    return `<rect class="timeline-bar${m.fechaFin ? '' : ' timeline-bar-open'}" x="${x(desde).toFixed(1)}" y="${y + 4}" width="${Math.max(x(hasta) - x(desde), 2).toFixed(1)}" height="${altoFila - 8}" fill="${tier.color}">
+                        <title>${this.escapeHtml(titulo)}</title>
+                    </rect>`;
+                }).join('');
+                return `<g>
+                    <rect class="timeline-lane${i % 2 ? ' timeline-lane-alt' : ''}" x="0" y="${y}" width="${ancho}" height="${altoFila}"/>
+                    <g clip-path="url(#timelineClip)">${barras}</g>
+                    <text x="4" y="${y + altoFila / 2 + 4}" class="timeline-label">${this.escapeHtml(matricula)}</text>
+                </g>`;
+            }).join('');
+
+            container.querySelector('.permit-timeline-chart').innerHTML = `
+                <svg class="permit-timeline-svg" viewBox="0 0 ${ancho} ${alto}" role="img" aria-label="Cronología de permisos">
+                    <defs><clipPath id="timelineClip"><rect x="${etiquetas}" y="0" width="${ancho - etiquetas}" height="${alto}"/></clipPath></defs>
+                    ${lineas}
+                    <g clip-path="url(#timelineClip)">
+                        ${ejes}
+                        ${bandas(solapes, 'timeline-overlap', b => `Matrículas solapadas: ${formato(b.desde)} – ${formato(b.hasta)}`)}
+                        ${pico ? bandas([pico], 'timeline-peak', b => `Pico simultáneo: ${b.cantidad} matrículas temporales del ${formato(b.desde)} al ${formato(b.hasta)}`) : ''}
+                    </g>
+                </svg>
+            `;
+            container.querySelector('.permit-timeline-range').textContent = `${formato(vista.desde)} – ${formato(vista.hasta)}`;
+        };
+
+        // Ampliar o reducir alrededor de un instante, sin pasar de 2 días ni del dominio
+        const zoom = (factor, centro = (vista.desde + vista.hasta) / 2) => {
+            const total = dominio.hasta - dominio.desde;
+            const span = Math.min(Math.max((vista.hasta - vista.desde) * factor, 2 * DIA), total);
+            const proporcion = (centro - vista.desde) / (vista.hasta - vista.desde);
+            mover(centro - span * proporcion, span);
+        };
+        const mover = (desde, span = vista.hasta - vista.desde) => {
+            vista.desde = Math.min(Math.max(desde, dominio.desde), dominio.hasta - span);
+            vista.hasta = vista.desde + span;
+            dibujar();
+        };
+
+        container.innerHTML = `
+            <div class="permit-timeline-toolbar">
+                <button type="button" class="btn-secondary" data-timeline="in" title="Ampliar">➕</button>
+                <button type="button" class="btn-secondary" data-timeline="out" title="Reducir">➖</button>
+                <button type="button" class="btn-secondary" data-timeline="left" title="Antes">◀</button>
+                <button type="button" class="btn-secondary" data-timeline="right" title="Después">▶</button>
+                <button type="button" class="btn-secondary" data-timeline="fit">⟲ Todo</button>
+                ${pico ? '<button type="button" class="btn-secondary" data-timeline="peak">🎯 Ir al pico</button>' : ''}
+                <span class="permit-timeline-range"></span>
+            </div>
+            <div class="permit-timeline-chart"></div>
+            <div class="occupancy-legend">
+                ${this.passTiers.getAll().filter(tier => conFecha.some(m => this.passTiers.getTier(m.tramo).name === tier.name)).map(tier =>
+                    `<span class="occupancy-legend-item"><span class="tipo-indicator" style="background-color: ${tier.color}"></span>${this.escapeHtml(tier.name)}</span>`
+                ).join('')}
+                <span class="occupancy-legend-item"><span class="tipo-indicator timeline-overlap"></span>Matrículas solapadas (${solapes.length})</span>
+                ${pico ? `<span class="occupancy-legend-item"><span class="tipo-indicator timeline-peak"></span>Pico simultáneo (${pico.cantidad})</span>` : ''}
+                ${sinFecha > 0 ? `<span class="occupancy-legend-item">⚠️ ${sinFecha} permiso(s) sin fecha de inicio no aparecen</span>` : ''}
+            </div>
+        `;
+
+        container.addEventListener('click', (e) => {
+            const accion = e.target.closest('[data-timeline]')?.dataset.timeline;
+            const span = vista.hasta - vista.desde;
+            if (accion === 'in') zoom(0.5);
+            if (accion === 'out') zoom(2);
+            if (accion === 'left') mover(vista.desde - span * 0.25);
+            if (accion === 'right') mover(vista.desde + span * 0.25);
+            if (accion === 'fit') mover(dominio.desde, dominio.hasta - dominio.desde);
+            if (accion === 'peak') {
+                const margen = Math.max(pico.hasta - pico.desde, 14 * DIA);
+                mover(pico.desde - margen, pico.hasta - pico.desde + 2 * margen);
+            }
+        });
+
+        // Instante bajo el ratón según la posición en el SVG
+        const instante = (e) => {
+            const rect = container.querySelector('svg').getBoundingClientRect();
+            const xSvg = (e.clientX - rect.left) * (ancho / rect.width);
+            return vista.desde + (xSvg - etiquetas) / (ancho - etiquetas - 10) * (vista.hasta - vista.desde);
+        };
+        const grafico = container.querySelector('.permit-timeline-chart');
+        grafico.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            zoom(e.deltaY < 0 ? 0.8 : 1.25, instante(e));
+        }, { passive: false });
+
+        let arrastre = null;
+        grafico.addEventListener('mousedown', (e) => {
+            arrastre = instante(e);
+            grafico.classList.add('dragging');
+        });
+        grafico.addEventListener('mousemove', (e) => {
+            if (!arrastre) return;
+            // Mantener bajo el ratón el instante donde empezó el arrastre
+            mover(vista.desde + arrastre - instante(e));
+        });
+        const soltar = () => {
+            arrastre = null;
+            grafico.classList.remove('dragging');
+        };
+        grafico.addEventListener('mouseup', soltar);
+        grafico.addEventListener('mouseleave', soltar);
+
+        dibujar();
     }
 
     /**
@@ -517,31 +1830,46 @@ class UIComponents {
         return `${day}/${month}/${year}`;
     }
 
+    /**
+     * Formatea una fecha con la hora local si el registro la incluye
+     * @param {Date} date - Fecha a formatear
+     * @param {boolean} conHora - True si la fecha del archivo incluía la hora
+     * @returns {string} Fecha formateada (DD/MM/YYYY HH:MM)
+     */
+    formatDateTimeWithPadding(date, conHora) {
+        if (!date || !conHora) return this.formatDateWithPadding(date);
+
+        const hours = date.getHours().toString().padStart(2, '0');
+        const minutes = date.getMinutes().toString().padStart(2, '0');
+        return `${this.formatDateWithPadding(date)} ${hours}:${minutes}`;
+    }
+
     /**
      * Renderiza una matrícula en formato compacto
      * @param {Object} matricula - Datos de la matrícula
-     * @param {string} tipo - 'permanente' o 'temporal'
+     * @param {Object} tier - Tramo de la matrícula (ver PassTiers)
      * @returns {string} HTML de la matrícula compacta
      */
-    renderCompactPlate(matricula, tipo) {
+    renderCompactPlate(matricula, tier) {
         const fechaInicio = matricula.fechaInicio ? this.formatDateWithPadding(matricula.fechaInicio) : '-';
         const usuario = matricula.usuario || 'Sin especificar';
+        const source = this.showSourceFiles && matricula.sourceFile
+            ? `<span class="plate-source-compact">📄 ${this.escapeHtml(matricula.sourceFile)}</span>`
+            : '';
         
-        let fechasText = '';
-        if (tipo === 'permanente') {
-            // Formato: MATRICULA fecha (usuario)
-            fechasText = fechaInicio;
-        } else {
-            // Formato: MATRICULA fecha_inicio - fecha_fin (usuario)
-            const fechaFin = matricula.fechaFin ? this.formatDateWithPadding(matricula.fechaFin) : 'Sin límite';
-            fechasText = `${fechaInicio} - ${fechaFin}`;
-        }
+        // Formato: MATRICULA fecha_inicio [- fecha_fin] (usuario)
+        const fechasText = matricula.fechaFin
+            ? `${fechaInicio} - ${this.formatDateWithPadding(matricula.fechaFin)}`
+            : fechaInicio;
         
         return `
-            <div class="compact-plate-item compact-plate-${tipo}">
-                <span class="plate-number-compact">${matricula.matricula}</span>
+            <div class="compact-plate-item" style="border-left: 3px solid ${tier.color}">
+                <span class="plate-number-compact">${matricula.matricula}${matricula.matriculaOriginal ? ` <small title="Escrita como ${this.escapeForAttribute(matricula.matriculaOriginal)}">✎ ${this.escapeHtml(matricula.matriculaOriginal)}</small>` : ''}</span>
                 <span class="plate-dates-compact">${fechasText}</span>
                 <span class="plate-user-compact">(${usuario})</span>
+                ${this.isMatriculaActive(matricula) ? '<span class="plate-active-compact" title="Activa en la fecha de referencia">✅</span>' : ''}
+                ${this.renderDateStatusBadge(matricula)}
+                ${source}
             </div>
         `;
     }
@@ -552,23 +1880,24 @@ class UIComponents {
      * @returns {string} HTML de la matrícula detallada
      */
     renderDetailedPlate(matricula) {
-        const tipoClass = matricula.tipoMatricula === 'permanente' ? 'plate-type-permanente' : 'plate-type-temporal';
-        const tipoText = matricula.tipoMatricula === 'permanente' ? 'Permanente' : 'Temporal';
+        const tier = this.passTiers.getTier(matricula.tramo);
         
-        const fechaInicio = matricula.fechaInicio ? this.formatDateWithPadding(matricula.fechaInicio) : 'No especificada';
-        const fechaFin = matricula.fechaFin ? this.formatDateWithPadding(matricula.fechaFin) : 'Sin límite';
+        const fechaInicio = matricula.fechaInicio ? this.formatDateTimeWithPadding(matricula.fechaInicio, matricula.conHora) : 'No especificada';
+        const fechaFin = matricula.fechaFin ? this.formatDateTimeWithPadding(matricula.fechaFin, matricula.conHora) : 'Sin límite';
         const usuario = matricula.usuario || 'No especificado';
         
         return `
             <div class="detailed-plate">
                 <div class="plate-header">
                     <span class="plate-number">${matricula.matricula}</span>
-                    <span class="plate-type-badge ${tipoClass}">${tipoText}</span>
+                    <span class="plate-type-badge" style="background-color: ${tier.color}; color: white">${this.escapeHtml(tier.name)}</span>
+                    ${this.renderDateStatusBadge(matricula)}
                 </div>
                 <div class="plate-details">
                     <div><strong>Inicio:</strong> ${fechaInicio}</div>
                     <div><strong>Fin:</strong> ${fechaFin}</div>
                     <div><strong>Usuario:</strong> ${usuario}</div>
+                    ${matricula.sourceFile ? `<div><strong>Archivo:</strong> ${this.escapeHtml(matricula.sourceFile)}</div>` : ''}
                 </div>
             </div>
         `;
@@ -582,33 +1911,22 @@ class UIComponents {
         const matriculas = window.platesData?.[rowId] || [];
         if (matriculas.length === 0) return;
         
-        // Crear texto para copiar
-        const permanentes = matriculas.filter(m => m.tipoMatricula === 'permanente');
-        const temporales = matriculas.filter(m => m.tipoMatricula === 'temporal' || !m.tipoMatricula);
+        // Crear texto para copiar, agrupado por tramo
+        const grupos = this.groupByTier(matriculas);
         
         let texto = `Lista de Matrículas (Total: ${matriculas.length})\n`;
-        texto += `Permanentes: ${permanentes.length} | Temporales: ${temporales.length}\n\n`;
+        texto += grupos.map(({ tier, matriculas: delTramo }) => `${tier.name}: ${delTramo.length}`).join(' | ') + '\n\n';
         
-        if (permanentes.length > 0) {
-            texto += `MATRÍCULAS PERMANENTES (${permanentes.length}):\n`;
+        grupos.forEach(({ tier, matriculas: delTramo }) => {
+            texto += `${tier.name.toUpperCase()} (${delTramo.length}):\n`;
             texto += `${'='.repeat(40)}\n`;
-            permanentes.forEach(m => {
+            delTramo.forEach(m => {
                 const inicio = m.fechaInicio ? m.fechaInicio.toLocaleDateString('es-ES') : 'No especificada';
                 const fin = m.fechaFin ? m.fechaFin.toLocaleDateString('es-ES') : 'Sin límite';
                 texto += `${m.matricula} | Inicio: ${inicio} | Fin: ${fin}\n`;
             });
             texto += '\n';
-        }
-        
-        if (temporales.length > 0) {
-            texto += `MATRÍCULAS TEMPORALES (${temporales.length}):\n`;
-            texto += `${'='.repeat(40)}\n`;
-            temporales.forEach(m => {
-                const inicio = m.fechaInicio ? m.fechaInicio.toLocaleDateString('es-ES') : 'No especificada';
-                const fin = m.fechaFin ? m.fechaFin.toLocaleDateString('es-ES') : 'Sin límite';
-                texto += `${m.matricula} | Inicio: ${inicio} | Fin: ${fin}\n`;
-            });
-        }
+        });
         
         try {
             await navigator.clipboard.writeText(texto);
@@ -649,8 +1967,14 @@ class UIComponents {
         });
 
         const matriculas = picoDetalle.matriculas || [];
+        const registros = picoDetalle.registros || [];
         const matriculasHtml = matriculas.length > 0 ? 
-            matriculas.map(m => `<span class="matricula-item">${m}</span>`).join('') :
+            matriculas.map((m, i) => {
+                const sourceFile = this.showSourceFiles && registros[i] ? registros[i].sourceFile : '';
+                return sourceFile
+                    ? `<span class="matricula-item" title="Archivo: ${this.escapeForAttribute(sourceFile)}">${m} <small>📄 ${this.escapeHtml(sourceFile)}</small></span>`
+                    : `<span class="matricula-item">${m}</span>`;
+            }).join('') :
             '<span class="no-data">No hay información de matrículas</span>';
 
         const content = `
@@ -659,7 +1983,7 @@ class UIComponents {
                     <h4>📊 Resumen del Pico Simultáneo (Solo Temporales)</h4>
                     <div class="pico-info">
                         <div class="info-item">
-                            <strong>Máximo simultáneo:</strong> ${matriculas.length} matrículas temporales
+                            <strong>Máximo simultáneo:</strong> ${picoDetalle.cantidad} matrículas temporales
                         </div>
                         <div class="info-item">
                             <strong>Fecha del pico:</strong> ${fecha}
@@ -766,40 +2090,66 @@ class UIComponents {
      */
     getMatriculaTooltip(matricula) {
         const parts = [];
-        if (matricula.tipoMatricula) {
-            parts.push(`Tipo: ${matricula.tipoMatricula}`);
+        if (matricula.tramo) {
+            parts.push(`Tramo: ${matricula.tramo}`);
         }
-        if (matricula.fechaInicio) {
-            parts.push(`Inicio: ${matricula.fechaInicio.toLocaleDateString('es-ES')}`);
+        if (matricula.estadoFecha === 'desconocida') {
+            parts.push('Inicio: desconocido');
+        } else if (matricula.fechaInicio) {
+            const estimada = matricula.estadoFecha === 'estimada' ? ' (estimada)' : '';
+            parts.push(`Inicio: ${this.formatDateTimeWithPadding(matricula.fechaInicio, matricula.conHora)}${estimada}`);
         }
         if (matricula.fechaFin) {
-            parts.push(`Fin: ${matricula.fechaFin.toLocaleDateString('es-ES')}`);
+            parts.push(`Fin: ${this.formatDateTimeWithPadding(matricula.fechaFin, matricula.conHora)}`);
         }
         if (matricula.usuario) {
             parts.push(`Usuario: ${matricula.usuario}`);
         }
-        return parts.join(' | ');
+        if (matricula.categoriaMatricula) {
+            parts.push(`Formato: ${PlateValidator.getCategoryLabel(matricula.categoriaMatricula, matricula.paisMatricula)}`);
+        }
+        if (matricula.matriculaOriginal) {
+            parts.push(`Escrita como: ${matricula.matriculaOriginal}`);
+        }
+        if (this.showSourceFiles && matricula.sourceFile) {
+            parts.push(`Archivo: ${matricula.sourceFile}`);
+        }
+        return this.escapeForAttribute(parts.join(' | '));
     }
 
     /**
      * Formatea la frecuencia estacional
-     * @param {Object} frecuencia - Objeto con frecuencias de verano e invierno
+     * @param {Object} frecuencia - Frecuencia por nombre de temporada
      * @returns {string} Frecuencia formateada
      */
     formatSeasonalFrequency(frecuencia) {
-        if (!frecuencia) return '-';
-        
-        const verano = frecuencia.verano || 0;
-        const invierno = frecuencia.invierno || 0;
+        if (!frecuencia || Object.keys(frecuencia).length === 0) return '-';
         
         return `
             <div class="seasonal-freq">
-                <div class="freq-winter" title="${UIComponents.getSeasonTooltip('invierno')}">${invierno} <span title="${UIComponents.getSeasonTooltip('invierno')}">❄️</span></div>
-                <div class="freq-summer" title="${UIComponents.getSeasonTooltip('verano')}">${verano} <span title="${UIComponents.getSeasonTooltip('verano')}">☀️</span></div>
+                ${this.seasonCalendar.getAll()
+                    .filter(season => frecuencia[season.name] !== undefined)
+                    .map(season => `
+                        <div class="freq-season" style="color: ${season.color}" title="${this.escapeForAttribute(SeasonCalendar.describe(season))}">${frecuencia[season.name]} <span>${this.escapeHtml(season.icon)}</span></div>
+                    `).join('')}
             </div>
         `;
     }
 
+    /**
+     * Valores por temporada con el icono de cada una y sus fechas como tooltip,
+     * en el orden del calendario
+     * @param {Object} valores - Valor por nombre de temporada
+     * @param {string} separator - Separador entre temporadas
+     * @returns {string} HTML
+     */
+    renderSeasonValues(valores, separator) {
+        return this.seasonCalendar.getAll()
+            .filter(season => valores[season.name] !== undefined)
+            .map(season => `<span title="${this.escapeForAttribute(SeasonCalendar.describe(season))}">${this.escapeHtml(season.icon)}</span> ${valores[season.name].toString().replace('.', ',')}`)
+            .join(separator);
+    }
+
     /**
      * Formatea el rango de fechas
      * @param {Object} row - Fila de datos
@@ -841,16 +2191,12 @@ class UIComponents {
     }
 
     /**
-     * Verifica si una matrícula está activa
+     * Verifica si una matrícula está activa en la fecha de referencia (hoy si no hay)
      * @param {Object} matricula - Datos de la matrícula
      * @returns {boolean} True si está activa
      */
     isMatriculaActive(matricula) {
-        const now = new Date();
-        if (!matricula.fechaFin) {
-            return true; // Permanente sin fecha de fin
-        }
-        return matricula.fechaFin >= now;
+        return DataAnalyzer.isActiveOn(matricula, this.referenceDate || new Date());
     }
 
     /**
@@ -955,12 +2301,7 @@ class UIComponents {
                     font-size: 0.875rem;
                     line-height: 1.2;
                 }
-                .freq-summer {
-                    color: #ea580c;
-                    font-weight: 600;
-                }
-                .freq-winter {
-                    color: #0ea5e9;
+                .freq-season {
                     font-weight: 600;
                 }
                 .frequency-seasonal {
@@ -1000,12 +2341,6 @@ class UIComponents {
                     font-weight: 500;
                     color: white;
                 }
-                .tipo-badge.temp {
-                    background-color: #f59e0b;
-                }
-                .tipo-badge.perm {
-                    background-color: #10b981;
-                }
                 .matricula-temporal {
                     background-color: var(--warning-bg, #fef3c7);
                     color: #92400e;
@@ -1091,9 +2426,9 @@ class UIComponents {
                     valueB = b.diasPromedioPermiso || 0;
                     break;
                 case 'frecuenciaEstacional':
-                    // Ordenar por la suma de verano + invierno
-                    valueA = (a.frecuenciaEstacional?.verano || 0) + (a.frecuenciaEstacional?.invierno || 0);
-                    valueB = (b.frecuenciaEstacional?.verano || 0) + (b.frecuenciaEstacional?.invierno || 0);
+                    // Ordenar por la suma de todas las temporadas
+                    valueA = Object.values(a.frecuenciaEstacional || {}).reduce((sum, value) => sum + value, 0);
+                    valueB = Object.values(b.frecuenciaEstacional || {}).reduce((sum, value) => sum + value, 0);
                     break;
                 case 'permisosCortos':
                     valueA = a.permisosCortos || 0;
@@ -1139,155 +2474,1241 @@ class UIComponents {
                     valueB = b[column] || 0;
             }
 
-            let comparison = 0;
-            if (valueA > valueB) comparison = 1;
-            if (valueA < valueB) comparison = -1;
+            let comparison = 0;
+            if (valueA > valueB) comparison = 1;
+            if (valueA < valueB) comparison = -1;
+
+            return this.currentSort.direction === 'desc' ? -comparison : comparison;
+        });
+
+        // Actualizar indicadores visuales
+        this.updateSortIndicators();
+        
+        // Re-renderizar
+        this.currentPage = 1;
+        this.renderCurrentPage();
+        this.updatePagination();
+    }
+
+    /**
+     * Aplica la ordenación actual a los datos sin cambiar la configuración
+     */
+    sortTableData() {
+        if (!this.currentSort.column) return;
+        
+        this.filteredData.sort((a, b) => {
+            let valueA, valueB;
+
+            switch (this.currentSort.column) {
+                case 'socio':
+                    valueA = (a.socio || a.member || '').toLowerCase();
+                    valueB = (b.socio || b.member || '').toLowerCase();
+                    break;
+                case 'totalMatriculas':
+                    valueA = a.totalMatriculas || (a.matriculas ? a.matriculas.length : 0);
+                    valueB = b.totalMatriculas || (b.matriculas ? b.matriculas.length : 0);
+                    break;
+                case 'diasPromedioPermiso':
+                    valueA = a.diasPromedioPermiso || 0;
+                    valueB = b.diasPromedioPermiso || 0;
+                    break;
+                case 'frecuenciaEstacional':
+                    // Ordenar por la suma de todas las temporadas
+                    valueA = Object.values(a.frecuenciaEstacional || {}).reduce((sum, value) => sum + value, 0);
+                    valueB = Object.values(b.frecuenciaEstacional || {}).reduce((sum, value) => sum + value, 0);
+                    break;
+                case 'permisosCortos':
+                    valueA = a.permisosCortos || 0;
+                    valueB = b.permisosCortos || 0;
+                    break;
+                case 'solapamientos':
+                    valueA = a.solapamientos || 0;
+                    valueB = b.solapamientos || 0;
+                    break;
+                case 'picoSimultaneo':
+                    valueA = a.picoSimultaneo || 0;
+                    valueB = b.picoSimultaneo || 0;
+                    break;
+                case 'matriculas':
+                    valueA = a.matriculas ? a.matriculas.length : 0;
+                    valueB = b.matriculas ? b.matriculas.length : 0;
+                    break;
+                default:
+                    valueA = a[this.currentSort.column] || 0;
+                    valueB = b[this.currentSort.column] || 0;
+            }
+
+            let comparison = 0;
+            if (valueA > valueB) comparison = 1;
+            if (valueA < valueB) comparison = -1;
+
+            return this.currentSort.direction === 'desc' ? -comparison : comparison;
+        });
+    }
+
+    /**
+     * Actualiza los indicadores visuales de ordenación
+     */
+    updateSortIndicators() {
+        // Establecer iconos por defecto para todas las columnas
+        document.querySelectorAll('.sort-indicator').forEach(indicator => {
+            indicator.classList.remove('active');
+            indicator.textContent = '⇅'; // Icono de ordenación por defecto
+        });
+
+        // Añadir indicador a la columna activa
+        if (this.currentSort.column) {
+            const activeHeader = document.querySelector(`th[data-sort="${this.currentSort.column}"] .sort-indicator`);
+            if (activeHeader) {
+                activeHeader.classList.add('active');
+                activeHeader.textContent = this.currentSort.direction === 'asc' ? '↑' : '↓';
+            }
+        }
+    }
+
+    /**
+     * Configura el sistema de paginación
+     */
+    setupPagination() {
+        const prevButton = document.getElementById('prevPage');
+        const nextButton = document.getElementById('nextPage');
+
+        if (prevButton) {
+            prevButton.addEventListener('click', () => {
+                if (this.currentPage > 1) {
+                    this.currentPage--;
+                    this.renderCurrentPage();
+                    this.updatePagination();
+                }
+            });
+        }
+
+        if (nextButton) {
+            nextButton.addEventListener('click', () => {
+                const totalPages = Math.ceil(this.filteredData.length / this.itemsPerPage);
+                if (this.currentPage < totalPages) {
+                    this.currentPage++;
+                    this.renderCurrentPage();
+                    this.updatePagination();
+                }
+            });
+        }
+    }
+
+    /**
+     * Actualiza la información de paginación
+     */
+    updatePagination() {
+        const totalPages = Math.ceil(this.filteredData.length / this.itemsPerPage);
+        const startRecord = ((this.currentPage - 1) * this.itemsPerPage) + 1;
+        const endRecord = Math.min(this.currentPage * this.itemsPerPage, this.filteredData.length);
+
+        const pageInfo = document.getElementById('pageInfo');
+        const prevButton = document.getElementById('prevPage');
+        const nextButton = document.getElementById('nextPage');
+        const pagination = document.getElementById('pagination');
+
+        if (pageInfo) {
+            pageInfo.textContent = `${startRecord}-${endRecord} de ${this.filteredData.length} registros (Página ${this.currentPage} de ${totalPages})`;
+        }
+
+        if (prevButton) {
+            prevButton.disabled = this.currentPage === 1;
+        }
+
+        if (nextButton) {
+            nextButton.disabled = this.currentPage === totalPages;
+        }
+
+        // Mostrar/ocultar paginación según sea necesario
+        if (pagination) {
+            pagination.style.display = totalPages > 1 ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Muestra la barra de progreso de carga del archivo
+     * @param {number} loaded - Bytes procesados
+     * @param {number} total - Bytes totales
+     */
+    showUploadProgress(loaded, total) {
+        const container = document.getElementById('uploadProgress');
+        const fill = document.getElementById('uploadProgressFill');
+        const text = document.getElementById('uploadProgressText');
+
+        const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 100;
+
+        if (container) container.style.display = 'flex';
+        if (fill) fill.style.width = `${percent}%`;
+        if (text) text.textContent = `${percent}%`;
+    }
+
+    /**
+     * Oculta la barra de progreso de carga del archivo
+     */
+    hideUploadProgress() {
+        const container = document.getElementById('uploadProgress');
+        if (container) container.style.display = 'none';
+    }
+
+    /**
+     * Muestra la vista previa de las primeras filas de un archivo antes de analizarlo
+     * @param {Object} preview - Resultado de CSVParser.previewFile
+     */
+    renderFilePreview(preview) {
+        const container = document.getElementById('filePreview');
+        const table = document.getElementById('previewTable');
+        const detected = document.getElementById('encodingDetected');
+        const warning = document.getElementById('previewWarning');
+
+        if (detected && preview.detectedEncoding) {
+            detected.textContent = `Detectada: ${preview.detectedEncoding}${preview.bom ? ' (BOM)' : ''}`;
+        }
+
+        const delimiterDetected = document.getElementById('delimiterDetected');
+        if (delimiterDetected && preview.detectedDelimiter) {
+            const option = CSVParser.getDelimiters().find(d => d.value === preview.detectedDelimiter);
+            delimiterDetected.textContent = `Detectado: ${option ? option.label : preview.detectedDelimiter}`;
+        }
+
+        if (warning) {
+            warning.textContent = preview.hasEncodingIssues
+                ? `⚠️ Algunos caracteres no se leen bien con ${preview.encoding}. Prueba otra codificación antes de analizar.`
+                : '';
+            warning.style.display = preview.hasEncodingIssues ? 'block' : 'none';
+        }
+
+        if (table) {
+            const recordsByLine = new Map(preview.records.map(r => [r.lineNumber, r]));
+            const errorsByLine = new Map(preview.errors.map(e => [e.line, e]));
+
+            const rows = preview.lines.map(({ line, text }) => {
+                const record = recordsByLine.get(line);
+                if (record) {
+                    return `
+                        <tr title="${this.escapeForAttribute(text)}">
+                            <td>${line}</td>
+                            <td><strong>${this.escapeHtml(record.matricula)}</strong></td>
+                            <td>${this.escapeHtml(record.socio)}</td>
+                            <td>${this.formatDateTimeWithPadding(record.fechaInicio, record.conHora)} ${this.renderDateStatusBadge(record)}</td>
+                            <td>${this.formatDateTimeWithPadding(record.fechaFin, record.conHora)}</td>
+                            <td>${this.escapeHtml(record.usuario || '-')}</td>
+                        </tr>
+                    `;
+                }
+
+                const error = errorsByLine.get(line);
+                return `
+                    <tr class="preview-row-error" title="${this.escapeForAttribute(text)}">
+                        <td>${line}</td>
+                        <td colspan="5">❌ ${this.escapeHtml(error ? error.error : 'Línea no válida')}: <small>${this.escapeHtml(text)}</small></td>
+                    </tr>
+                `;
+            }).join('');
+
+            table.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Línea</th>
+                        <th>Matrícula</th>
+                        <th>Socio</th>
+                        <th>Inicio</th>
+                        <th>Fin</th>
+                        <th>Usuario</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            `;
+        }
+
+        const mappingInfo = document.getElementById('previewMappingInfo');
+        if (mappingInfo) {
+            mappingInfo.textContent = preview.mapping.hasHeader
+                ? `Con cabeceras: ${preview.header.fields.length} columnas`
+                : 'Formato sin cabeceras (matrícula, info, inicio, fin)';
+        }
+
+        if (container) container.style.display = 'block';
+    }
+
+    /**
+     * Muestra el selector de hojas para una hoja de cálculo, o los selectores de
+     * codificación y separador para un CSV
+     * @param {Object|null} workbook - Libro leído por SpreadsheetReader, o null si es un CSV
+     */
+    renderSheetSelector(workbook) {
+        const sheetSelector = document.getElementById('sheetSelector');
+        const sheetSelect = document.getElementById('sheetSelect');
+
+        if (sheetSelect && workbook) {
+            // Elegir por defecto la primera hoja con datos
+            const firstWithData = Math.max(0, workbook.sheets.findIndex(sheet =>
+                sheet.rows.some(row => row.some(cell => cell !== ''))
+            ));
+            sheetSelect.innerHTML = workbook.sheets.map((sheet, index) => `
+                <option value="${index}" ${index === firstWithData ? 'selected' : ''}>${this.escapeHtml(sheet.name)}</option>
+            `).join('');
+        }
+
+        if (sheetSelector) sheetSelector.style.display = workbook ? 'flex' : 'none';
+        ['encodingSelector', 'delimiterSelector'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.style.display = workbook ? 'none' : 'flex';
+        });
+    }
+
+    /**
+     * Actualiza el botón para analizar de una vez los archivos en cola
+     * @param {number} queued - Archivos que esperan tras el de la vista previa
+     */
+    updateQueueInfo(queued) {
+        const button = document.getElementById('confirmAllPreview');
+        if (!button) return;
+
+        button.textContent = `⏩ Analizar todos (${queued + 1})`;
+        button.title = `Analizar este archivo y los ${queued} siguientes con la misma configuración, sin vista previa`;
+        button.style.display = queued > 0 ? '' : 'none';
+    }
+
+    /**
+     * Muestra la lista de archivos cargados en la sesión
+     * @param {Array} files - Archivos de la sesión (AnalysisSession.getFiles)
+     * @param {Object} actions - Callbacks ({ onRemove, onReviewErrors, onCompare }) que reciben el nombre del archivo
+     */
+    renderSessionFiles(files, { onRemove, onReviewErrors, onCompare }) {
+        const list = document.getElementById('sessionFileList');
+        if (!list) return;
+
+        list.innerHTML = files.map((file, index) => `
+            <li class="session-file">
+                <span class="session-file-name">📄 ${this.escapeHtml(file.name)}</span>
+                <span class="session-file-stats">${file.added.toLocaleString()} registros</span>
+                ${file.duplicates > 0 ? `<span class="session-file-duplicates" title="Registros con la misma matrícula, socio y fechas que otro archivo de la sesión">${file.duplicates.toLocaleString()} duplicados omitidos</span>` : ''}
+                ${file.errors > 0 ? `<button class="session-file-errors" data-index="${index}" title="Revisar y corregir las líneas con error">⚠️ ${file.errors.toLocaleString()} errores</button>` : ''}
+                <button class="session-file-compare" data-index="${index}" title="Comparar con una exportación anterior: permisos añadidos, eliminados, ampliados, acortados o que han cambiado de socio">🆚 Comparar con anterior</button>
+                <button class="session-file-remove" data-index="${index}" title="Quitar este archivo del análisis">✖</button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.session-file-remove').forEach(button => {
+            button.addEventListener('click', () => onRemove(files[parseInt(button.dataset.index, 10)].name));
+        });
+
+        list.querySelectorAll('.session-file-errors').forEach(button => {
+            button.addEventListener('click', () => onReviewErrors(files[parseInt(button.dataset.index, 10)].name));
+        });
+
+        list.querySelectorAll('.session-file-compare').forEach(button => {
+            button.addEventListener('click', () => onCompare(files[parseInt(button.dataset.index, 10)].name));
+        });
+
+        this.showSourceFiles = files.length > 1;
+    }
+
+    /**
+     * Rellena el filtro de archivo de origen (solo visible con varios archivos)
+     * @param {Array} files - Archivos de la sesión
+     */
+    renderSourceFileFilter(files) {
+        const group = document.getElementById('sourceFileFilterGroup');
+        const select = document.getElementById('sourceFileFilter');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = `<option value="all">Todos</option>` + files.map(file => `
+            <option value="${this.escapeForAttribute(file.name)}">${this.escapeHtml(file.name)}</option>
+        `).join('');
+        select.value = files.some(file => file.name === current) ? current : 'all';
+
+        if (group) group.style.display = files.length > 1 ? '' : 'none';
+    }
+
+    /**
+     * Rellena el filtro de tramo con los tramos configurados
+     * @param {PassTiers} passTiers - Tramos de permisos
+     */
+    renderTierFilter(passTiers) {
+        const select = document.getElementById('tierFilter');
+        if (!select) return;
+
+        const current = select.value;
+        const tiers = passTiers.getAll();
+        select.innerHTML = `<option value="all">Todos</option>` + tiers.map(tier => `
+            <option value="${this.escapeForAttribute(tier.name)}">${this.escapeHtml(tier.name)} (${PassTiers.describe(tier)})</option>
+        `).join('');
+        select.value = tiers.some(tier => tier.name === current) ? current : 'all';
+    }
+
+    /**
+     * Rellena el filtro de temporada con las temporadas del calendario
+     * @param {SeasonCalendar} seasonCalendar - Calendario de temporadas
+     */
+    renderSeasonFilter(seasonCalendar) {
+        const select = document.getElementById('seasonFilter');
+        if (!select) return;
+
+        const current = select.value;
+        const seasons = seasonCalendar.getAll();
+        select.innerHTML = `<option value="all">Todas</option>` + seasons.map(season => `
+            <option value="${this.escapeForAttribute(season.name)}" title="${this.escapeForAttribute(SeasonCalendar.describe(season))}">${this.escapeHtml(season.icon)} ${this.escapeHtml(season.name)}</option>
+        `).join('');
+        select.value = seasons.some(season => season.name === current) ? current : 'all';
+    }
+
+    /**
+     * Rellena el filtro de usuario registrador con los usuarios de los datos
+     * @param {Array} usuarios - Altas por usuario ({ usuario, count }), de stats.usuariosRegistradores
+     */
+    renderUserFilter(usuarios) {
+        const select = document.getElementById('userFilter');
+        if (!select) return;
+
+        const current = select.value;
+        const ordenados = [...usuarios]
+            .sort((a, b) => a.usuario.localeCompare(b.usuario, 'es', { sensitivity: 'base' }));
+        select.innerHTML = `<option value="all">Todos</option>` + ordenados.map(({ usuario, count }) => `
+            <option value="${this.escapeForAttribute(usuario)}">${this.escapeHtml(usuario)} (${count})</option>
+        `).join('');
+        select.value = ordenados.some(u => u.usuario === current) ? current : 'all';
+    }
+
+    /**
+     * Muestra el asistente para asignar las columnas del archivo a los campos de la aplicación
+     * @param {Object} options - Opciones del asistente
+     * @param {Object} options.header - Detección de cabeceras (CSVParser.detectHeader)
+     * @param {Object} options.mapping - Mapeo actual
+     * @param {Array} options.sampleRow - Primera fila de datos, para mostrar ejemplos
+     * @param {Array} options.savedMappings - Mapeos guardados ({ name, signature, mapping })
+     * @param {Function} options.validate - Devuelve la lista de problemas de un mapeo
+     * @param {Function} options.onApply - Callback (mapeo, nombreParaGuardar)
+     * @param {Function} options.onDelete - Callback (nombre) para borrar un mapeo guardado
+     */
+    showColumnMappingDialog({ header, mapping, sampleRow = [], savedMappings = [], validate, onApply, onDelete }) {
+        const columnCount = Math.max(header.fields.length, sampleRow.length);
+        const columnOptions = Array.from({ length: columnCount }, (_, i) => {
+            const name = mapping.hasHeader && header.fields[i] ? header.fields[i] : `Columna ${i + 1}`;
+            const sample = sampleRow[i] ? ` (ej.: ${sampleRow[i].slice(0, 30)})` : '';
+            return `<option value="${i}">${this.escapeHtml(name + sample)}</option>`;
+        }).join('');
+
+        const fieldRows = CSVParser.getMappingFields().map(field => `
+            <div class="mapping-row">
+                <label for="mapping-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                <select id="mapping-${field.key}" data-field="${field.key}">
+                    <option value="">— Sin asignar —</option>
+                    ${columnOptions}
+                </select>
+            </div>
+        `).join('');
+
+        const savedOptions = savedMappings.map(saved =>
+            `<option value="${this.escapeForAttribute(saved.name)}">${this.escapeHtml(saved.name)}</option>`
+        ).join('');
+
+        const content = `
+            <div class="mapping-dialog">
+                <p class="mapping-help">Indica qué columna del archivo corresponde a cada dato. Si no hay columna de socio, se extrae de la nota con las reglas de <strong>👤 Socios</strong> (por defecto, formato <code>123-APELLIDOS, NOMBRE</code> o JSON con <code>note</code> y <code>user</code>).</p>
+                ${savedMappings.length > 0 ? `
+                    <div class="mapping-saved">
+                        <label for="mappingSaved">Mapeo guardado:</label>
+                        <select id="mappingSaved">
+                            <option value="">— Elegir —</option>
+                            ${savedOptions}
+                        </select>
+                        <button type="button" class="btn-secondary" id="mappingDelete" title="Borrar el mapeo guardado seleccionado">🗑️</button>
+                    </div>
+                ` : ''}
+                <label class="mapping-checkbox">
+                    <input type="checkbox" id="mappingHasHeader" ${mapping.hasHeader ? 'checked' : ''}>
+                    La primera fila contiene los nombres de las columnas
+                </label>
+                <div class="mapping-grid">${fieldRows}</div>
+                <div class="mapping-save">
+                    <label for="mappingName">Guardar como (opcional):</label>
+                    <input type="text" id="mappingName" placeholder="Ej.: Exportación club náutico">
+                </div>
+                <div class="mapping-errors" id="mappingErrors"></div>
+                <div class="preview-actions">
+                    <button type="button" class="btn-primary" id="mappingApply">Aplicar</button>
+                </div>
+            </div>
+        `;
+
+        const modal = this.showModal('🧭 Asignar columnas', content);
+        const root = modal.element;
+
+        const setMapping = (value) => {
+            root.querySelector('#mappingHasHeader').checked = !!value.hasHeader;
+            root.querySelectorAll('select[data-field]').forEach(select => {
+                const index = value.columns[select.dataset.field];
+                select.value = Number.isInteger(index) ? String(index) : '';
+            });
+        };
+
+        const readMapping = () => {
+            const columns = {};
+            root.querySelectorAll('select[data-field]').forEach(select => {
+                if (select.value !== '') {
+                    columns[select.dataset.field] = parseInt(select.value);
+                }
+            });
+            return { hasHeader: root.querySelector('#mappingHasHeader').checked, columns: columns };
+        };
+
+        setMapping(mapping);
+
+        root.querySelector('#mappingSaved')?.addEventListener('change', (e) => {
+            const saved = savedMappings.find(m => m.name === e.target.value);
+            if (saved) setMapping(saved.mapping);
+        });
+
+        root.querySelector('#mappingDelete')?.addEventListener('click', () => {
+            const select = root.querySelector('#mappingSaved');
+            if (!select || !select.value) return;
+            onDelete(select.value);
+            select.querySelector(`option[value="${CSS.escape(select.value)}"]`)?.remove();
+            select.value = '';
+        });
+
+        root.querySelector('#mappingApply').addEventListener('click', () => {
+            const value = readMapping();
+            const problems = validate(value);
+            if (problems.length > 0) {
+                root.querySelector('#mappingErrors').innerHTML = problems
+                    .map(p => `<div>❌ ${this.escapeHtml(p)}</div>`).join('');
+                return;
+            }
+
+            onApply(value, root.querySelector('#mappingName').value.trim());
+            modal.close();
+        });
+    }
+
+    /**
+     * Muestra el editor de reglas para extraer el socio de la nota, con una caja de
+     * prueba que aplica las reglas a las muestras a medida que se editan
+     * @param {Object} options - Opciones del editor
+     * @param {Object} options.config - Configuración actual ({ rules, fallbackToNote })
+     * @param {Object} options.defaultConfig - Configuración por defecto, para restaurarla
+     * @param {Array} options.samples - Textos de ejemplo (notas de la vista previa)
+     * @param {Function} options.onApply - Callback (configuración) al guardar
+     */
+    showMemberRulesDialog({ config, defaultConfig, samples = [], onApply }) {
+        let rules = config.rules.map(rule => ({ ...rule }));
+
+        const content = `
+            <div class="mapping-dialog member-rules-dialog">
+                <p class="mapping-help">Las reglas se prueban en orden y se usa la primera que reconoce el socio.
+                    La <strong>ruta JSON</strong> (p. ej. <code>socio.nombre</code>) elige el texto cuando la nota es un JSON; sin ruta se usa la nota.
+                    La <strong>expresión regular</strong> extrae el número (grupo <code>numero</code> o el 1) y el nombre (grupo <code>nombre</code> o el 2); sin expresión, el texto completo es el nombre.</p>
+                <div class="member-rules" id="memberRulesList"></div>
+                <div class="mapping-save">
+                    <button type="button" class="btn-secondary" id="memberRuleAdd">➕ Añadir regla</button>
+                    <button type="button" class="btn-secondary" id="memberRulesReset">↺ Reglas por defecto</button>
+                </div>
+                <label class="mapping-checkbox">
+                    <input type="checkbox" id="memberRulesFallback" ${config.fallbackToNote ? 'checked' : ''}>
+                    Si ninguna regla coincide, usar la nota completa como socio (si no, el registro aparece en el informe de errores)
+                </label>
+                <div class="mapping-row">
+                    <label for="memberRulesSamples">Prueba (una nota por línea):</label>
+                    <textarea id="memberRulesSamples" rows="4" placeholder='123-PUJOL, JOSÉ o {"note":"123-PUJOL, JOSÉ","user":"conserje"}'>${this.escapeHtml(samples.join('\n'))}</textarea>
+                </div>
+                <div class="table-container">
+                    <table class="results-table preview-table" id="memberRulesTest"></table>
+                </div>
+                <div class="mapping-errors" id="memberRulesErrors"></div>
+                <div class="preview-actions">
+                    <button type="button" class="btn-primary" id="memberRulesApply">Guardar reglas</button>
+                </div>
+            </div>
+        `;
+
+        const modal = this.showModal('👤 Reglas de socio', content, 'large-modal');
+        const root = modal.element;
+        const list = root.querySelector('#memberRulesList');
+
+        const readConfig = () => ({
+            rules: rules.map(({ name, path, pattern }) => ({ name: name.trim(), path: path.trim(), pattern })),
+            fallbackToNote: root.querySelector('#memberRulesFallback').checked
+        });
+
+        const renderTest = () => {
+            const current = readConfig();
+            const problems = MemberExtractor.validate(current);
+            root.querySelector('#memberRulesErrors').innerHTML = problems
+                .map(p => `<div>❌ ${this.escapeHtml(p)}</div>`).join('');
+
+            const extractor = new MemberExtractor(current);
+            const lines = root.querySelector('#memberRulesSamples').value
+                .split('\n').map(line => line.trim()).filter(line => line);
+            const rows = lines.map(line => {
+                const result = extractor.extract(line);
+                const ruleName = result.rule >= 0
+                    ? (extractor.rules[result.rule].name || `Regla ${result.rule + 1}`)
+                    : (result.socio ? 'Nota completa' : '');
+                return `
+                    <tr class="${result.socio ? '' : 'preview-row-error'}">
+                        <td><small>${this.escapeHtml(line)}</small></td>
+                        <td>${result.socio ? this.escapeHtml(ruleName) : '❌ Ninguna'}</td>
+                        <td><strong>${this.escapeHtml(result.socioNumero || '-')}</strong></td>
+                        <td>${this.escapeHtml(result.socioNombre || '-')}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            root.querySelector('#memberRulesTest').innerHTML = lines.length > 0 ? `
+                <thead><tr><th>Nota</th><th>Regla</th><th>Número</th><th>Nombre</th></tr></thead>
+                <tbody>${rows}</tbody>
+            ` : '';
+        };
+
+        const renderRules = () => {
+            list.innerHTML = rules.map((rule, index) => `
+                <div class="member-rule" data-index="${index}">
+                    <span class="member-rule-order">${index + 1}</span>
+                    <input type="text" data-key="name" value="${this.escapeForAttribute(rule.name)}" placeholder="Nombre de la regla">
+                    <input type="text" data-key="path" value="${this.escapeForAttribute(rule.path)}" placeholder="Ruta JSON (opcional)">
+                    <input type="text" data-key="pattern" class="member-rule-pattern" value="${this.escapeForAttribute(rule.pattern)}" placeholder="Expresión regular (opcional)">
+                    <button type="button" class="btn-secondary" data-action="up" title="Subir" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn-secondary" data-action="down" title="Bajar" ${index === rules.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="btn-secondary" data-action="remove" title="Quitar la regla">✖</button>
+                </div>
+            `).join('') || '<p class="mapping-help">Sin reglas: solo se usará la nota completa, si está marcada la opción.</p>';
+            renderTest();
+        };
+
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.member-rule');
+            if (!row || !e.target.dataset.key) return;
+            rules[parseInt(row.dataset.index, 10)][e.target.dataset.key] = e.target.value;
+            renderTest();
+        });
+
+        list.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            const row = e.target.closest('.member-rule');
+            if (!action || !row) return;
+
+            const index = parseInt(row.dataset.index, 10);
+            if (action === 'remove') {
+                rules.splice(index, 1);
+            } else {
+                const target = action === 'up' ? index - 1 : index + 1;
+                [rules[index], rules[target]] = [rules[target], rules[index]];
+            }
+            renderRules();
+        });
+
+        root.querySelector('#memberRuleAdd').addEventListener('click', () => {
+            rules.push({ name: '', path: '', pattern: '' });
+            renderRules();
+        });
 
-            return this.currentSort.direction === 'desc' ? -comparison : comparison;
+        root.querySelector('#memberRulesReset').addEventListener('click', () => {
+            rules = defaultConfig.rules.map(rule => ({ ...rule }));
+            root.querySelector('#memberRulesFallback').checked = defaultConfig.fallbackToNote;
+            renderRules();
         });
 
-        // Actualizar indicadores visuales
-        this.updateSortIndicators();
-        
-        // Re-renderizar
-        this.currentPage = 1;
-        this.renderCurrentPage();
-        this.updatePagination();
+        root.querySelector('#memberRulesFallback').addEventListener('change', renderTest);
+        root.querySelector('#memberRulesSamples').addEventListener('input', renderTest);
+
+        root.querySelector('#memberRulesApply').addEventListener('click', () => {
+            const value = readConfig();
+            if (MemberExtractor.validate(value).length > 0) {
+                renderTest();
+                return;
+            }
+
+            onApply(value);
+            modal.close();
+        });
+
+        renderRules();
     }
 
     /**
-     * Aplica la ordenación actual a los datos sin cambiar la configuración
+     * Muestra el editor de tramos de permisos, con la duración de cada tramo
+     * @param {Object} options - Opciones del editor
+     * @param {Object} options.config - Tramos actuales ({ tiers })
+     * @param {Object} options.defaultConfig - Tramos por defecto, para restaurarlos
+     * @param {Function} options.onApply - Callback (config) al guardar
      */
-    sortTableData() {
-        if (!this.currentSort.column) return;
-        
-        this.filteredData.sort((a, b) => {
-            let valueA, valueB;
+    showPassTiersDialog({ config, defaultConfig, onApply }) {
+        let tiers = config.tiers.map(tier => ({ ...tier }));
 
-            switch (this.currentSort.column) {
-                case 'socio':
-                    valueA = (a.socio || a.member || '').toLowerCase();
-                    valueB = (b.socio || b.member || '').toLowerCase();
-                    break;
-                case 'totalMatriculas':
-                    valueA = a.totalMatriculas || (a.matriculas ? a.matriculas.length : 0);
-                    valueB = b.totalMatriculas || (b.matriculas ? b.matriculas.length : 0);
-                    break;
-                case 'diasPromedioPermiso':
-                    valueA = a.diasPromedioPermiso || 0;
-                    valueB = b.diasPromedioPermiso || 0;
-                    break;
-                case 'frecuenciaEstacional':
-                    valueA = (a.frecuenciaEstacional?.verano || 0) + (a.frecuenciaEstacional?.invierno || 0);
-                    valueB = (b.frecuenciaEstacional?.verano || 0) + (b.frecuenciaEstacional?.invierno || 0);
-                    break;
-                case 'permisosCortos':
-                    valueA = a.permisosCortos || 0;
-                    valueB = b.permisosCortos || 0;
-                    break;
-                case 'solapamientos':
-                    valueA = a.solapamientos || 0;
-                    valueB = b.solapamientos || 0;
-                    break;
-                case 'picoSimultaneo':
-                    valueA = a.picoSimultaneo || 0;
-                    valueB = b.picoSimultaneo || 0;
-                    break;
-                case 'matriculas':
-                    valueA = a.matriculas ? a.matriculas.length : 0;
-                    valueB = b.matriculas ? b.matriculas.length : 0;
-                    break;
-                default:
-                    valueA = a[this.currentSort.column] || 0;
-                    valueB = b[this.currentSort.column] || 0;
+        const content = `
+            <div class="mapping-dialog member-rules-dialog">
+                <p class="mapping-help">Cada permiso se asigna al primer tramo cuya duración (en días, de la fecha de inicio a la de fin) está entre el mínimo y el máximo.
+                    Deja vacío el máximo del último tramo para incluir los permisos sin fecha de fin.
+                    Los permisos del tramo sin máximo cuentan como permanentes en el pico simultáneo y los días promedio.</p>
+                <div class="member-rules" id="passTiersList"></div>
+                <div class="mapping-save">
+                    <button type="button" class="btn-secondary" id="passTierAdd">➕ Añadir tramo</button>
+                    <button type="button" class="btn-secondary" id="passTiersReset">↺ Tramos por defecto</button>
+                </div>
+                <div class="mapping-errors" id="passTiersErrors"></div>
+                <div class="preview-actions">
+                    <button type="button" class="btn-primary" id="passTiersApply">Guardar tramos</button>
+                </div>
+            </div>
+        `;
+
+        const modal = this.showModal('🏷️ Tramos de permisos', content, 'large-modal');
+        const root = modal.element;
+        const list = root.querySelector('#passTiersList');
+
+        const readConfig = () => ({
+            tiers: tiers.map(({ name, minDays, maxDays, color }) => ({ name: name.trim(), minDays, maxDays, color }))
+        });
+
+        const renderErrors = () => {
+            root.querySelector('#passTiersErrors').innerHTML = PassTiers.validate(readConfig())
+                .map(p => `<div>❌ ${this.escapeHtml(p)}</div>`).join('');
+        };
+
+        const renderTiers = () => {
+            list.innerHTML = tiers.map((tier, index) => `
+                <div class="member-rule pass-tier" data-index="${index}">
+                    <span class="member-rule-order">${index + 1}</span>
+                    <input type="color" data-key="color" value="${this.escapeForAttribute(tier.color)}" title="Color del tramo">
+                    <input type="text" data-key="name" value="${this.escapeForAttribute(tier.name)}" placeholder="Nombre del tramo">
+                    <label>de <input type="number" data-key="minDays" min="0" value="${tier.minDays ?? ''}"></label>
+                    <label>a <input type="number" data-key="maxDays" min="0" value="${tier.maxDays ?? ''}" placeholder="sin límite"> días</label>
+                    <button type="button" class="btn-secondary" data-action="up" title="Subir" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn-secondary" data-action="down" title="Bajar" ${index === tiers.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="btn-secondary" data-action="remove" title="Quitar el tramo">✖</button>
+                </div>
+            `).join('');
+            renderErrors();
+        };
+
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.pass-tier');
+            const key = e.target.dataset.key;
+            if (!row || !key) return;
+
+            const tier = tiers[parseInt(row.dataset.index, 10)];
+            if (key === 'minDays' || key === 'maxDays') {
+                const value = e.target.value.trim();
+                tier[key] = value === '' ? (key === 'maxDays' ? null : NaN) : Number(value);
+            } else {
+                tier[key] = e.target.value;
             }
+            renderErrors();
+        });
 
-            let comparison = 0;
-            if (valueA > valueB) comparison = 1;
-            if (valueA < valueB) comparison = -1;
+        list.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            const row = e.target.closest('.pass-tier');
+            if (!action || !row) return;
 
-            return this.currentSort.direction === 'desc' ? -comparison : comparison;
+            const index = parseInt(row.dataset.index, 10);
+            if (action === 'remove') {
+                tiers.splice(index, 1);
+            } else {
+                const target = action === 'up' ? index - 1 : index + 1;
+                [tiers[index], tiers[target]] = [tiers[target], tiers[index]];
+            }
+            renderTiers();
+        });
+
+        root.querySelector('#passTierAdd').addEventListener('click', () => {
+            tiers.push({ name: '', minDays: 0, maxDays: null, color: '#6366f1' });
+            renderTiers();
+        });
+
+        root.querySelector('#passTiersReset').addEventListener('click', () => {
+            tiers = defaultConfig.tiers.map(tier => ({ ...tier }));
+            renderTiers();
+        });
+
+        root.querySelector('#passTiersApply').addEventListener('click', () => {
+            const value = readConfig();
+            if (PassTiers.validate(value).length > 0) {
+                renderErrors();
+                return;
+            }
+
+            onApply(value);
+            modal.close();
         });
+
+        renderTiers();
     }
 
     /**
-     * Actualiza los indicadores visuales de ordenación
+     * Muestra el editor del calendario de temporadas, con sus periodos y las
+     * excepciones por año, y una fecha de prueba para ver en qué temporada cae
+     * @param {Object} options - Opciones del editor
+     * @param {Object} options.config - Calendario actual ({ seasons })
+     * @param {Object} options.defaultConfig - Calendario por defecto, para restaurarlo
+     * @param {Function} options.onApply - Callback (config) al guardar
      */
-    updateSortIndicators() {
-        // Establecer iconos por defecto para todas las columnas
-        document.querySelectorAll('.sort-indicator').forEach(indicator => {
-            indicator.classList.remove('active');
-            indicator.textContent = '⇅'; // Icono de ordenación por defecto
+    showSeasonCalendarDialog({ config, defaultConfig, onApply }) {
+        const toRows = (seasons) => seasons.map(season => ({
+            name: season.name,
+            icon: season.icon,
+            color: season.color,
+            rangesText: SeasonCalendar.formatRanges(season.ranges),
+            yearsText: Object.keys(season.years || {}).sort()
+                .map(year => `${year}: ${SeasonCalendar.formatRanges(season.years[year])}`)
+                .join('; ')
+        }));
+        let seasons = toRows(config.seasons);
+
+        const content = `
+            <div class="mapping-dialog member-rules-dialog">
+                <p class="mapping-help">Cada fecha se asigna a la primera temporada que la incluye, así que pon antes las más concretas (Semana Santa, Navidad...) que las generales (verano, invierno).
+                    Escribe los periodos como <code>DD/MM-DD/MM</code> separados por comas; si el fin es anterior al inicio, el periodo cruza el año (<code>24/12-06/01</code>).
+                    En <em>Por año</em> puedes sustituir los periodos de años concretos, p. ej. <code>2024: 24/03-01/04; 2025: 13/04-21/04</code>.</p>
+                <div class="member-rules" id="seasonCalendarList"></div>
+                <div class="mapping-save">
+                    <button type="button" class="btn-secondary" id="seasonAdd">➕ Añadir temporada</button>
+                    <button type="button" class="btn-secondary" id="seasonCalendarReset">↺ Calendario por defecto</button>
+                    <label>Probar una fecha: <input type="date" id="seasonCalendarTest"></label>
+                    <span id="seasonCalendarTestResult" class="season-test-result"></span>
+                </div>
+                <div class="mapping-errors" id="seasonCalendarErrors"></div>
+                <div class="preview-actions">
+                    <button type="button" class="btn-primary" id="seasonCalendarApply">Guardar temporadas</button>
+                </div>
+            </div>
+        `;
+
+        const modal = this.showModal('📅 Calendario de temporadas', content, 'large-modal');
+        const root = modal.element;
+        const list = root.querySelector('#seasonCalendarList');
+
+        const readConfig = () => ({
+            seasons: seasons.map(season => ({
+                name: season.name.trim(),
+                icon: season.icon.trim(),
+                color: season.color,
+                ranges: SeasonCalendar.parseRanges(season.rangesText),
+                years: Object.fromEntries(season.yearsText.split(';')
+                    .map(part => part.trim())
+                    .filter(Boolean)
+                    .map(part => {
+                        const [year, ranges = ''] = part.split(':');
+                        return [year.trim(), SeasonCalendar.parseRanges(ranges)];
+                    }))
+            }))
         });
 
-        // Añadir indicador a la columna activa
-        if (this.currentSort.column) {
-            const activeHeader = document.querySelector(`th[data-sort="${this.currentSort.column}"] .sort-indicator`);
-            if (activeHeader) {
-                activeHeader.classList.add('active');
-                activeHeader.textContent = this.currentSort.direction === 'asc' ? '↑' : '↓';
+        const renderTest = () => {
+            const value = root.querySelector('#seasonCalendarTest').value;
+            const result = root.querySelector('#seasonCalendarTestResult');
+            const valid = SeasonCalendar.validate(readConfig()).length === 0;
+            if (!value || !valid) {
+                result.textContent = '';
+                return;
             }
-        }
+            const [year, month, day] = value.split('-').map(Number);
+            const calendar = new SeasonCalendar(readConfig());
+            const fecha = new Date(year, month - 1, day);
+            result.textContent = `${calendar.getSeason(fecha).icon} ${calendar.getSeasonLabel(fecha)}`;
+        };
+
+        const renderErrors = () => {
+            root.querySelector('#seasonCalendarErrors').innerHTML = SeasonCalendar.validate(readConfig())
+                .map(p => `<div>❌ ${this.escapeHtml(p)}</div>`).join('');
+            renderTest();
+        };
+
+        const renderSeasons = () => {
+            list.innerHTML = seasons.map((season, index) => `
+                <div class="member-rule season-row" data-index="${index}">
+                    <span class="member-rule-order">${index + 1}</span>
+                    <input type="color" data-key="color" value="${this.escapeForAttribute(season.color)}" title="Color de la temporada">
+                    <input type="text" data-key="icon" class="season-icon-input" value="${this.escapeForAttribute(season.icon)}" title="Icono de la temporada" maxlength="4">
+                    <input type="text" data-key="name" value="${this.escapeForAttribute(season.name)}" placeholder="Nombre">
+                    <input type="text" data-key="rangesText" class="season-ranges-input" value="${this.escapeForAttribute(season.rangesText)}" placeholder="01/06-30/09" title="Periodos de todos los años">
+                    <input type="text" data-key="yearsText" class="season-years-input" value="${this.escapeForAttribute(season.yearsText)}" placeholder="Por año: 2025: 13/04-21/04" title="Periodos de años concretos (sustituyen a los generales)">
+                    <button type="button" class="btn-secondary" data-action="up" title="Subir" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn-secondary" data-action="down" title="Bajar" ${index === seasons.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="btn-secondary" data-action="remove" title="Quitar la temporada">✖</button>
+                </div>
+            `).join('');
+            renderErrors();
+        };
+
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.season-row');
+            const key = e.target.dataset.key;
+            if (!row || !key) return;
+
+            seasons[parseInt(row.dataset.index, 10)][key] = e.target.value;
+            renderErrors();
+        });
+
+        list.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            const row = e.target.closest('.season-row');
+            if (!action || !row) return;
+
+            const index = parseInt(row.dataset.index, 10);
+            if (action === 'remove') {
+                seasons.splice(index, 1);
+            } else {
+                const target = action === 'up' ? index - 1 : index + 1;
+                [seasons[index], seasons[target]] = [seasons[target], seasons[index]];
+            }
+            renderSeasons();
+        });
+
+        root.querySelector('#seasonAdd').addEventListener('click', () => {
+            seasons.unshift({ name: '', icon: '📅', color: '#8b5cf6', rangesText: '', yearsText: '' });
+            renderSeasons();
+        });
+
+        root.querySelector('#seasonCalendarReset').addEventListener('click', () => {
+            seasons = toRows(defaultConfig.seasons);
+            renderSeasons();
+        });
+
+        root.querySelector('#seasonCalendarTest').addEventListener('input', renderTest);
+
+        root.querySelector('#seasonCalendarApply').addEventListener('click', () => {
+            const value = readConfig();
+            if (SeasonCalendar.validate(value).length > 0) {
+                renderErrors();
+                return;
+            }
+
+            onApply(value);
+            modal.close();
+        });
+
+        renderSeasons();
     }
 
     /**
-     * Configura el sistema de paginación
+     * Muestra el editor de reglas de puntuación de sospecha (activa, umbral y peso)
+     * @param {Object} options - Opciones del editor
+     * @param {Object} options.config - Reglas actuales ({ rules })
+     * @param {Object} options.defaultConfig - Reglas por defecto, para restaurarlas
+     * @param {Function} options.onApply - Callback (config) al guardar
      */
-    setupPagination() {
-        const prevButton = document.getElementById('prevPage');
-        const nextButton = document.getElementById('nextPage');
+    showAbuseRulesDialog({ config, defaultConfig, onApply }) {
+        const definitions = AbuseScorer.getRuleDefinitions();
+        let rules = config.rules.map(rule => ({ ...rule }));
 
-        if (prevButton) {
-            prevButton.addEventListener('click', () => {
-                if (this.currentPage > 1) {
-                    this.currentPage--;
-                    this.renderCurrentPage();
-                    this.updatePagination();
-                }
-            });
-        }
+        const content = `
+            <div class="mapping-dialog member-rules-dialog">
+                <p class="mapping-help">Cada regla compara una métrica del socio con su umbral. Si lo alcanza, suma su peso multiplicado por las veces que lo supera (como máximo 3).
+                    Los socios con puntuación aparecen en la pestaña 🚩 Sospechosos.</p>
+                <div class="member-rules" id="abuseRulesList"></div>
+                <div class="mapping-save">
+                    <button type="button" class="btn-secondary" id="abuseRulesReset">↺ Reglas por defecto</button>
+                </div>
+                <div class="mapping-errors" id="abuseRulesErrors"></div>
+                <div class="preview-actions">
+                    <button type="button" class="btn-primary" id="abuseRulesApply">Guardar reglas</button>
+                </div>
+            </div>
+        `;
 
-        if (nextButton) {
-            nextButton.addEventListener('click', () => {
-                const totalPages = Math.ceil(this.filteredData.length / this.itemsPerPage);
-                if (this.currentPage < totalPages) {
-                    this.currentPage++;
-                    this.renderCurrentPage();
-                    this.updatePagination();
-                }
-            });
-        }
+        const modal = this.showModal('⚖️ Reglas de puntuación', content, 'large-modal');
+        const root = modal.element;
+        const list = root.querySelector('#abuseRulesList');
+
+        const renderErrors = () => {
+            root.querySelector('#abuseRulesErrors').innerHTML = AbuseScorer.validate({ rules })
+                .map(p => `<div>❌ ${this.escapeHtml(p)}</div>`).join('');
+        };
+
+        const renderRules = () => {
+            list.innerHTML = rules.map((rule, index) => {
+                const definition = definitions.find(d => d.id === rule.id);
+                return `
+                    <div class="member-rule abuse-rule" data-index="${index}">
+                        <input type="checkbox" data-key="activa" ${rule.activa ? 'checked' : ''} title="Activar la regla">
+                        <span class="abuse-rule-name" title="${this.escapeForAttribute(definition.descripcion)}">${this.escapeHtml(definition.nombre)}
+                            <small>${this.escapeHtml(definition.descripcion)}</small></span>
+                        <label>umbral <input type="number" data-key="umbral" min="1" value="${rule.umbral}"></label>
+                        <label>peso <input type="number" data-key="peso" min="0" step="0.5" value="${rule.peso}"></label>
+                    </div>
+                `;
+            }).join('');
+            renderErrors();
+        };
+
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.abuse-rule');
+            const key = e.target.dataset.key;
+            if (!row || !key) return;
+
+            const rule = rules[parseInt(row.dataset.index, 10)];
+            if (key === 'activa') {
+                rule.activa = e.target.checked;
+            } else {
+                const value = e.target.value.trim();
+                rule[key] = value === '' ? NaN : Number(value);
+            }
+            renderErrors();
+        });
+
+        root.querySelector('#abuseRulesReset').addEventListener('click', () => {
+            rules = defaultConfig.rules.map(rule => ({ ...rule }));
+            renderRules();
+        });
+
+        root.querySelector('#abuseRulesApply').addEventListener('click', () => {
+            if (AbuseScorer.validate({ rules }).length > 0) {
+                renderErrors();
+                return;
+            }
+
+            onApply({ rules: rules.map(({ id, activa, umbral, peso }) => ({ id, activa, umbral, peso })) });
+            modal.close();
+        });
+
+        renderRules();
     }
 
     /**
-     * Actualiza la información de paginación
+     * Muestra la revisión de errores de un archivo: filtro por tipo, edición de cada
+     * línea y revalidación. Las líneas que pasan a ser válidas se marcan como reparadas
+     * @param {Object} options - Opciones de la revisión
+     * @param {Object} options.file - Archivo de la sesión (con errorList)
+     * @param {Array} options.columnLabels - Nombre de cada columna
+     * @param {Function} options.onRepair - Callback (error, campos) que devuelve { record, errors }
+     * @param {Function} options.onDownload - Callback para descargar el archivo corregido
+     * @param {Function} options.onClose - Callback al cerrar la revisión
      */
-    updatePagination() {
-        const totalPages = Math.ceil(this.filteredData.length / this.itemsPerPage);
-        const startRecord = ((this.currentPage - 1) * this.itemsPerPage) + 1;
-        const endRecord = Math.min(this.currentPage * this.itemsPerPage, this.filteredData.length);
+    showErrorWorkbench({ file, columnLabels, onRepair, onDownload, onClose }) {
+        const pageSize = 50;
+        let visible = pageSize;
+        let repaired = 0;
 
-        const pageInfo = document.getElementById('pageInfo');
-        const prevButton = document.getElementById('prevPage');
-        const nextButton = document.getElementById('nextPage');
-        const pagination = document.getElementById('pagination');
+        const typeOptions = CSVParser.getErrorTypes().map(type => {
+            const count = file.errorList.filter(error => (error.type || 'otro') === type.value).length;
+            return count > 0 ? `<option value="${type.value}">${type.label} (${count})</option>` : '';
+        }).join('');
 
-        if (pageInfo) {
-            pageInfo.textContent = `${startRecord}-${endRecord} de ${this.filteredData.length} registros (Página ${this.currentPage} de ${totalPages})`;
-        }
+        const content = `
+            <div class="error-workbench">
+                <div class="error-workbench-toolbar">
+                    <label for="errorTypeFilter">Tipo:</label>
+                    <select id="errorTypeFilter">
+                        <option value="all">Todos (${file.errorList.length})</option>
+                        ${typeOptions}
+                    </select>
+                    <span class="error-workbench-status" id="errorWorkbenchStatus"></span>
+                    <button type="button" class="btn-secondary" id="errorWorkbenchDownload" title="Descargar el archivo original con las líneas corregidas">💾 Descargar archivo corregido</button>
+                </div>
+                <p class="mapping-help">Corrige los campos de cada línea y pulsa <strong>✔ Revalidar</strong>: si la línea es válida se añade al análisis al cerrar esta ventana.</p>
+                <div class="error-workbench-list" id="errorWorkbenchList"></div>
+            </div>
+        `;
 
-        if (prevButton) {
-            prevButton.disabled = this.currentPage === 1;
-        }
+        const modal = this.showModal(`🛠️ Errores de ${file.name}`, content, 'large-modal', onClose);
+        const root = modal.element;
+        const list = root.querySelector('#errorWorkbenchList');
+        const typeFilter = root.querySelector('#errorTypeFilter');
+
+        const getFiltered = () => file.errorList.filter(error =>
+            typeFilter.value === 'all' || (error.type || 'otro') === typeFilter.value
+        );
+
+        const renderError = (error) => {
+            const index = file.errorList.indexOf(error);
+            const type = CSVParser.getErrorTypes().find(t => t.value === (error.type || 'otro'));
+            const fields = error.fields
+                ? columnLabels.map((label, i) => `
+                    <label class="error-field">
+                        <span>${this.escapeHtml(label)}</span>
+                        <input type="text" data-column="${i}" value="${this.escapeForAttribute(this.escapeHtml(error.fields[i] || ''))}">
+                    </label>
+                `).join('')
+                : `<small class="error-raw">${this.escapeHtml(error.data || '')}</small>`;
+
+            return `
+                <div class="error-item" data-index="${index}">
+                    <div class="error-item-header">
+                        <strong>Línea ${error.line}</strong>
+                        <span class="error-type-badge">${type ? type.label : 'Otros'}</span>
+                        <span class="error-message">${this.escapeHtml(error.error)}</span>
+                    </div>
+                    ${error.fields ? `
+                        <div class="error-fields">${fields}</div>
+                        <div class="error-item-actions">
+                            <button type="button" class="btn-primary" data-action="repair">✔ Revalidar</button>
+                        </div>
+                    ` : fields}
+                </div>
+            `;
+        };
 
-        if (nextButton) {
-            nextButton.disabled = this.currentPage === totalPages;
-        }
+        const render = () => {
+            const filtered = getFiltered();
+            const more = filtered.length - visible;
+            list.innerHTML = filtered.slice(0, visible).map(renderError).join('') +
+                (more > 0 ? `<button type="button" class="btn-secondary" data-action="more">Mostrar ${Math.min(more, pageSize)} más (quedan ${more})</button>` : '') +
+                (filtered.length === 0 ? '<p class="no-data">No quedan errores de este tipo ✅</p>' : '');
+            root.querySelector('#errorWorkbenchStatus').textContent =
+                `${file.errorList.length} pendientes${repaired > 0 ? ` · ${repaired} reparadas` : ''}`;
+        };
 
-        // Mostrar/ocultar paginación según sea necesario
-        if (pagination) {
-            pagination.style.display = totalPages > 1 ? 'flex' : 'none';
-        }
+        list.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action === 'more') {
+                visible += pageSize;
+                render();
+                return;
+            }
+            if (action !== 'repair') return;
+
+            const item = e.target.closest('.error-item');
+            const error = file.errorList[parseInt(item.dataset.index, 10)];
+            const fields = Array.from(item.querySelectorAll('input[data-column]')).map(input => input.value.trim());
+            // No añadir columnas vacías que la línea original no tenía
+            while (fields.length > error.fields.length && fields[fields.length - 1] === '') fields.pop();
+
+            const result = onRepair(error, fields);
+            if (result.record) {
+                repaired++;
+                const warning = result.errors.length > 0 ? ` (con aviso: ${result.errors[0].error})` : '';
+                this.showNotification(`Línea ${error.line} reparada${warning}`, 'success', 2000);
+                render();
+            } else {
+                item.querySelector('.error-message').textContent = result.errors.map(err => err.error).join(' · ');
+                item.classList.add('error-item-failed');
+            }
+        });
+
+        typeFilter.addEventListener('change', () => {
+            visible = pageSize;
+            render();
+        });
+
+        root.querySelector('#errorWorkbenchDownload').addEventListener('click', onDownload);
+
+        render();
+    }
+
+    /**
+     * Muestra el informe de cambios entre dos exportaciones, filtrable por tipo de cambio
+     * @param {Object} options - Opciones del informe
+     * @param {Object} options.informe - Informe (ver ExportDiff.compare)
+     * @param {string} options.anterior - Nombre de la exportación anterior
+     * @param {string} options.actual - Nombre de la exportación nueva
+     * @param {Function} options.onExport - Callback para descargar el informe en CSV
+     */
+    showExportDiffDialog({ informe, anterior, actual, onExport }) {
+        const pageSize = 50;
+        let visible = pageSize;
+        const fecha = value => value ? value.toLocaleDateString('es-ES') : 'Sin límite';
+
+        const typeOptions = ExportDiff.getCategories().map(category => informe.resumen[category.key] > 0
+            ? `<option value="${category.key}">${category.icon} ${category.label} (${informe.resumen[category.key]})</option>`
+            : ''
+        ).join('');
+        const resumen = ExportDiff.getCategories()
+            .map(category => `<span class="export-diff-count">${category.icon} ${category.label}: <strong>${informe.resumen[category.key]}</strong></span>`)
+            .join('');
+
+        const content = `
+            <div class="error-workbench export-diff">
+                <p class="mapping-help">
+                    <strong>${this.escapeHtml(anterior)}</strong> (${informe.totalAnterior} permisos) →
+                    <strong>${this.escapeHtml(actual)}</strong> (${informe.totalActual} permisos) ·
+                    ${informe.sinCambios} sin cambios. Los permisos se emparejan por matrícula, socio y fecha de inicio.
+                </p>
+                <div class="export-diff-summary">${resumen}</div>
+                <div class="error-workbench-toolbar">
+                    <label for="exportDiffFilter">Cambio:</label>
+                    <select id="exportDiffFilter">
+                        <option value="all">Todos (${informe.cambios.length})</option>
+                        ${typeOptions}
+                    </select>
+                    <button type="button" class="btn-secondary" id="exportDiffDownload" ${informe.cambios.length === 0 ? 'disabled' : ''}>💾 Exportar informe</button>
+                </div>
+                <div class="export-diff-list" id="exportDiffList"></div>
+            </div>
+        `;
+
+        const modal = this.showModal('🆚 Cambios respecto a la exportación anterior', content, 'large-modal');
+        const root = modal.element;
+        const list = root.querySelector('#exportDiffList');
+        const typeFilter = root.querySelector('#exportDiffFilter');
+
+        const renderChange = (cambio) => {
+            const category = ExportDiff.getCategories().find(c => c.key === cambio.tipo);
+            const socio = cambio.tipo === 'cambioSocio'
+                ? `${this.escapeHtml(cambio.socioAnterior)} → ${this.escapeHtml(cambio.socio)}`
+                : this.escapeHtml(cambio.socio);
+            const fin = cambio.anterior && cambio.actual
+                ? `${fecha(cambio.fechaFinAnterior)} → ${fecha(cambio.fechaFin)}`
+                : fecha(cambio.fechaFin || cambio.fechaFinAnterior);
+            const dias = cambio.dias !== null && cambio.dias !== 0 ? ` (${cambio.dias > 0 ? '+' : ''}${cambio.dias} días)` : '';
+            return `
+                <tr class="export-diff-${cambio.tipo}">
+                    <td>${category.icon} ${category.label}</td>
+                    <td><span class="plate-badge">${this.escapeHtml(cambio.matricula)}</span></td>
+                    <td>${socio}</td>
+                    <td>${cambio.fechaInicio ? cambio.fechaInicio.toLocaleDateString('es-ES') : '-'}</td>
+                    <td>${fin}${dias}</td>
+                </tr>
+            `;
+        };
+
+        const render = () => {
+            const filtered = informe.cambios.filter(cambio => typeFilter.value === 'all' || cambio.tipo === typeFilter.value);
+            const more = filtered.length - visible;
+            list.innerHTML = filtered.length === 0 ? '<p class="no-data">No hay cambios entre las dos exportaciones ✅</p>' : `
+                <table class="results-table">
+                    <thead><tr><th>Cambio</th><th>Matrícula</th><th>Socio</th><th>Inicio</th><th>Fin</th></tr></thead>
+                    <tbody>${filtered.slice(0, visible).map(renderChange).join('')}</tbody>
+                </table>
+                ${more > 0 ? `<button type="button" class="btn-secondary" data-action="more">Mostrar ${Math.min(more, pageSize)} más (quedan ${more})</button>` : ''}
+            `;
+        };
+
+        list.addEventListener('click', (e) => {
+            if (e.target.dataset.action !== 'more') return;
+            visible += pageSize;
+            render();
+        });
+
+        typeFilter.addEventListener('change', () => {
+            visible = pageSize;
+            render();
+        });
+
+        root.querySelector('#exportDiffDownload').addEventListener('click', onExport);
+
+        render();
+    }
+
+    /**
+     * Descarga un texto como archivo CSV (UTF-8 con BOM, para que Excel lo abra bien)
+     * @param {string} content - Contenido del archivo
+     * @param {string} filename - Nombre del archivo
+     */
+    downloadFile(content, filename) {
+        const blob = new Blob(['\ufeff' + content], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Oculta la vista previa del archivo
+     */
+    hideFilePreview() {
+        const container = document.getElementById('filePreview');
+        if (container) container.style.display = 'none';
     }
 
     /**
@@ -1440,8 +3861,11 @@ class UIComponents {
      * Crea un modal para mostrar información detallada
      * @param {string} title - Título del modal
      * @param {string} content - Contenido del modal
+     * @param {string} modalClass - Clase CSS adicional para el contenido
+     * @param {Function} onClose - Callback opcional al cerrar el modal
+     * @returns {Object} Elemento del modal y función para cerrarlo ({ element, close })
      */
-    showModal(title, content, modalClass = '') {
+    showModal(title, content, modalClass = '', onClose = null) {
         const modal = document.createElement('div');
         modal.className = 'modal-overlay';
         modal.innerHTML = `
@@ -1463,7 +3887,11 @@ class UIComponents {
         const closeButton = modal.querySelector('.modal-close');
         const overlay = modal;
 
+        let closed = false;
         const closeModal = () => {
+            if (closed) return;
+            closed = true;
+            if (onClose) onClose();
             modal.classList.add('modal-hide');
             setTimeout(() => {
                 if (modal.parentNode) {
@@ -1483,6 +3911,8 @@ class UIComponents {
         setTimeout(() => {
             modal.classList.add('modal-show');
         }, 10);
+
+        return { element: modal, close: closeModal };
     }
 
     /**
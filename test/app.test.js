@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+/**
+ * Abre index.html en jsdom y carga los scripts en el mismo orden que el navegador
+ * (sin Web Workers: FileLoader procesa el archivo en el hilo principal)
+ * @returns {Promise<Object>} Ventana de jsdom con la aplicación iniciada en window.salionsApp
+ */
+function openApp() {
+    const html = fs.readFileSync(path.join(SRC_DIR, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+    const context = dom.getInternalVMContext();
+    for (const script of window.document.querySelectorAll('script[src]')) {
+        const file = script.getAttribute('src');
+        new vm.Script(fs.readFileSync(path.join(SRC_DIR, file), 'utf8'), { filename: file }).runInContext(context);
+    }
+    // app.js crea la aplicación al terminar de cargar el documento
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => resolve(window));
+    });
+}
+
+/**
+ * Guarda los avisos que muestra la aplicación, sin dejar de mostrarlos
+ * @param {Object} app - Aplicación
+ * @returns {Array} Avisos ({ message, type }), se van añadiendo
+ */
+function captureNotifications(app) {
+    const notifications = [];
+    const showNotification = app.ui.showNotification.bind(app.ui);
+    app.ui.showNotification = (message, type, duration) => {
+        notifications.push({ message, type });
+        showNotification(message, type, duration);
+    };
+    return notifications;
+}
+
+/**
+ * Crea un File de la ventana de jsdom con un archivo de test/fixtures
+ * @param {Object} window - Ventana de jsdom
+ * @param {string} name - Nombre del fixture
+ * @returns {File} Archivo
+ */
+function fixtureFile(window, name) {
+    return new window.File([fs.readFileSync(path.join(__dirname, 'fixtures', name))], name);
+}
+
+test('un archivo de la barrera con varios usuarios se carga y analiza entero', async (t) => {
+    const window = await openApp();
+    t.after(() => window.close());
+    const app = window.salionsApp;
+    const notifications = captureNotifications(app);
+
+    await app.processFile(fixtureFile(window, 'barrera-json.csv'));
+
+    assert.deepEqual(notifications.filter(n => n.type === 'error').map(n => n.message), []);
+    assert.ok(notifications.some(n => n.message === 'Análisis completado'));
+    assert.equal(app.currentData.length, 3);
+
+    const options = Array.from(window.document.querySelectorAll('#userFilter option'))
+        .map(option => [option.value, option.textContent.trim()]);
+    assert.deepEqual(options, [
+        ['all', 'Todos'],
+        ['admin', 'admin (1)'],
+        ['conserje', 'conserje (2)']
+    ]);
+});
+
+test('la exportación anterior se lee con FileLoader y solo avisa de las líneas descartadas', async (t) => {
+    const window = await openApp();
+    t.after(() => window.close());
+    const app = window.salionsApp;
+    await app.processFile(fixtureFile(window, 'barrera-json.csv'));
+
+    const notifications = captureNotifications(app);
+    let informe = null;
+    app.ui.showExportDiffDialog = (options) => {
+        informe = options.informe;
+    };
+    const progress = [];
+    const showUploadProgress = app.ui.showUploadProgress.bind(app.ui);
+    app.ui.showUploadProgress = (loaded, total) => {
+        progress.push([loaded, total]);
+        showUploadProgress(loaded, total);
+    };
+
+    await app.compareWithPreviousExport('barrera-json.csv', fixtureFile(window, 'barrera-json-anterior.csv'));
+
+    assert.deepEqual(notifications.filter(n => n.type === 'error').map(n => n.message), []);
+    assert.deepEqual(notifications.filter(n => n.type === 'warning').map(n => n.message), [
+        '"barrera-json-anterior.csv": 1 línea(s) con error no entran en la comparación'
+    ]);
+    assert.ok(progress.length > 1, 'muestra el progreso de la lectura');
+    assert.equal(window.document.getElementById('uploadProgress').style.display, 'none');
+    assert.equal(app.isProcessing, false);
+
+    // La matrícula con formato no válido se señala como error pero entra en la comparación
+    assert.deepEqual({ ...informe.resumen }, {
+        'añadido': 1,
+        'eliminado': 1,
+        'ampliado': 1,
+        'acortado': 0,
+        'cambioSocio': 0
+    });
+    assert.deepEqual(Array.from(informe.cambios, c => `${c.tipo} ${c.matricula}`), [
+        'añadido 5678CDF',
+        'eliminado 1234BCDE',
+        'ampliado 1234BCD'
+    ]);
+    assert.equal(informe.sinCambios, 1);
+});
+
+test('la lectura de la exportación anterior se puede cancelar', async (t) => {
+    const window = await openApp();
+    t.after(() => window.close());
+    const app = window.salionsApp;
+    await app.processFile(fixtureFile(window, 'barrera-json.csv'));
+
+    const notifications = captureNotifications(app);
+    let dialogOpened = false;
+    app.ui.showExportDiffDialog = () => {
+        dialogOpened = true;
+    };
+    // Pulsar "Cancelar" con la lectura ya en marcha
+    const comparison = app.compareWithPreviousExport('barrera-json.csv', fixtureFile(window, 'barrera-json-anterior.csv'));
+    assert.equal(window.document.getElementById('uploadProgress').style.display, 'flex');
+    window.document.getElementById('cancelUpload').click();
+    await comparison;
+
+    assert.equal(dialogOpened, false);
+    assert.ok(notifications.some(n => n.message === 'Comparación cancelada'));
+    assert.equal(window.document.getElementById('uploadProgress').style.display, 'none');
+    assert.equal(app.isProcessing, false);
+});
+
+test('una línea con comillas sin cerrar se corrige en la revisión de errores y en el archivo corregido', async (t) => {
+    const window = await openApp();
+    t.after(() => window.close());
+    const app = window.salionsApp;
+
+    await app.processFile(fixtureFile(window, 'comillas-sin-cerrar.csv'));
+    assert.equal(app.currentData.length, 1);
+    const name = app.session.getFiles()[0].name;
+    assert.deepEqual(Array.from(app.session.getFile(name).errorList, error => [error.type, error.line]), [['comillas', 2]]);
+
+    app.openErrorWorkbench(name);
+    const item = window.document.querySelector('#errorWorkbenchList .error-item');
+    const inputs = item.querySelectorAll('input[data-column]');
+    assert.equal(inputs[0].value, '5678CDF');
+    ['5678CDF', '124-GARCÍA, ANA', '02/06/2024 09:00:00GMT'].forEach((value, i) => {
+        inputs[i].value = value;
+    });
+    item.querySelector('[data-action="repair"]').click();
+    assert.equal(app.session.getFile(name).errorList.length, 0);
+
+    let download = null;
+    app.ui.downloadFile = (content, filename) => {
+        download = { content, filename };
+    };
+    await app.downloadCorrectedFile(name);
+    assert.equal(download.filename, 'comillas-sin-cerrar-corregido.csv');
+    assert.deepEqual(download.content.split('\r\n'), [
+        '1234BCD;"{""note"":""123-PUJOL, JOSÉ"",""user"":""conserje""}";01/06/2024 10:15:00GMT;15/06/2024 10:15:00GMT',
+        '5678CDF;124-GARCÍA, ANA;02/06/2024 09:00:00GMT',
+        ''
+    ]);
+});
+
+test('la comparación sin uno de los periodos muestra un aviso en su panel y solo notifica al cambiarla', async (t) => {
+    const window = await openApp();
+    t.after(() => window.close());
+    const app = window.salionsApp;
+    const { document } = window;
+
+    await app.processFile(fixtureFile(window, 'barrera-json.csv'));
+    document.querySelector('.results-view-tab[data-view="comparacion"]').click();
+    const notifications = captureNotifications(app);
+
+    document.getElementById('comparisonSeasonA').value = '';
+    const userFilter = document.getElementById('userFilter');
+    userFilter.value = 'conserje';
+    userFilter.dispatchEvent(new window.Event('change'));
+    app.applyCurrentFilters();
+
+    assert.deepEqual(notifications.filter(n => n.type === 'warning'), []);
+    assert.equal(document.getElementById('comparisonSummary').textContent.trim(), 'Elige los dos periodos que quieres comparar');
+    assert.equal(document.querySelectorAll('#comparisonTableBody tr').length, 1);
+    assert.equal(document.getElementById('comparisonShowMore').style.display, 'none');
+
+    document.getElementById('comparisonSeasonA').dispatchEvent(new window.Event('change'));
+    assert.deepEqual(Array.from(notifications, n => [n.message, n.type]), [
+        ['Elige los dos periodos que quieres comparar', 'warning']
+    ]);
+});
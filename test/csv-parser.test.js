@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSources, readFixture } = require('./load-sources');
+
+const get = loadSources(['plate-validator.js', 'member-extractor.js', 'csv-parser.js']);
+const CSVParser = get('CSVParser');
+
+// Tamaños de trozo: uno que parte cada carácter, uno que parte CRLF y JSON a mitad, y el normal
+const CHUNK_SIZES = [1, 5, 1024 * 1024];
+
+/**
+ * Lee un fixture con parseFile en trozos del tamaño indicado
+ * @param {string} name - Nombre del fixture
+ * @param {number} chunkSize - Tamaño de cada trozo en bytes
+ * @returns {Promise<Object>} Parser y resultado
+ */
+async function parseFixture(name, chunkSize) {
+    const parser = new CSVParser();
+    const result = await parser.parseFile(readFixture(name), { chunkSize: chunkSize });
+    return { parser, result };
+}
+
+/**
+ * Copia un valor del contexto de las clases como objeto de este contexto, para
+ * poder compararlo con assert.deepEqual
+ * @param {*} value - Valor serializable
+ * @returns {*} Copia
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Campos relevantes de cada registro para comparar
+ * @param {Array} data - Registros
+ * @returns {Array} [matricula, socio, usuario, fin en ISO o null]
+ */
+function summarize(data) {
+    return plain(data.map(r => [r.matricula, r.socio, r.usuario, r.fechaFin ? r.fechaFin.toISOString() : null]));
+}
+
+const PLAIN = [
+    ['1234BCD', '123-PUJOL, JOSÉ', '', '2024-06-15T10:15:00.000Z'],
+    ['5678CDF', '124-GARCÍA, ANA', '', null],
+    ['9012FGH', '125-VIDAL, PERE', '', '2024-07-10T18:30:00.000Z']
+];
+
+const CASES = [
+    {
+        fixture: 'barrera-json.csv',
+        description: 'JSON de la barrera con comillas interiores sin escapar',
+        expected: [
+            ['1234BCD', '123-PUJOL, JOSÉ', 'conserje', '2024-06-15T10:15:00.000Z'],
+            ['5678CDF', '124-GARCÍA; ANA', 'admin', null],
+            ['9012FGH', '125-VIDAL, {PERE}', 'conserje', '2024-07-10T18:30:00.000Z']
+        ]
+    },
+    {
+        fixture: 'json-escapado.csv',
+        description: 'JSON escapado según RFC 4180 ("")',
+        expected: [
+            ['1234BCD', '123-PUJOL, JOSÉ', 'conserje', '2024-06-15T10:15:00.000Z'],
+            ['5678CDF', '124-GARCÍA; ANA', 'admin', null]
+        ]
+    },
+    {
+        fixture: 'comillas.csv',
+        description: 'separadores, saltos de línea y comillas escapadas dentro de comillas',
+        expected: [
+            ['1234BCD', '123-PUJOL; JOSÉ', '', '2024-06-15T10:15:00.000Z'],
+            ['5678CDF', '124-GARCÍA, ANA\nplaza 12', '', null],
+            ['9012FGH', '125-VIDAL, PERE "EL PETIT"', '', '2024-07-10T18:30:00.000Z']
+        ]
+    },
+    { fixture: 'crlf.csv', description: 'finales de línea CRLF', expected: PLAIN },
+    { fixture: 'bom.csv', description: 'UTF-8 con BOM', expected: PLAIN },
+    {
+        fixture: 'comas.csv',
+        delimiter: ',',
+        description: 'separador coma con comas dentro de comillas',
+        expected: [
+            ['1234BCD', '123-PUJOL, JOSÉ', '', '2024-06-15T10:15:00.000Z'],
+            ['5678CDF', '124-GARCÍA, ANA', 'admin', null],
+            ['9012FGH', '125-VIDAL, PERE', '', '2024-07-10T18:30:00.000Z']
+        ]
+    }
+];
+
+for (const { fixture, description, expected, delimiter = ';' } of CASES) {
+    for (const chunkSize of CHUNK_SIZES) {
+        test(`${fixture}: ${description} (trozos de ${chunkSize} bytes)`, async () => {
+            const { parser, result } = await parseFixture(fixture, chunkSize);
+            assert.equal(parser.delimiter, delimiter);
+            assert.equal(parser.encoding, 'utf-8');
+            assert.deepEqual(plain(result.errors), []);
+            assert.deepEqual(summarize(result.data), expected);
+        });
+    }
+}
+
+test('parseLine conserva el JSON de la barrera en un solo campo', () => {
+    const fields = new CSVParser().parseLine('1234BCD;"{"note":"123-PUJOL, JOSÉ","user":"conserje"}";01/06/2024 10:15:00GMT;');
+    assert.deepEqual(plain(fields), ['1234BCD', '{"note":"123-PUJOL, JOSÉ","user":"conserje"}', '01/06/2024 10:15:00GMT', '']);
+});
+
+test('detectDelimiter no cuenta los separadores del JSON de la barrera', () => {
+    const text = '1234BCD,"{"note":"123-PUJOL; JOSÉ","user":"conserje"}",01/06/2024 10:15:00GMT,\n';
+    assert.equal(new CSVParser().detectDelimiter(text), ',');
+});
+
+test('una comilla sin cerrar se informa como error de comillas', () => {
+    const result = new CSVParser().parseCSVText(
+        '1234BCD;123-PUJOL, JOSÉ;01/06/2024 10:15:00GMT;\n' +
+        '5678CDF;"124-GARCÍA, ANA;02/06/2024 09:00:00GMT;\n'
+    );
+    assert.deepEqual(plain(result.errors.map(e => [e.type, e.line, e.fields])), [
+        ['comillas', 2, ['5678CDF', '124-GARCÍA, ANA;02/06/2024 09:00:00GMT;\n']]
+    ]);
+    assert.equal(result.data.length, 1);
+});
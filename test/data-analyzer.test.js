@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSources } = require('./load-sources');
+
+const get = loadSources([
+    'plate-validator.js', 'member-extractor.js', 'csv-parser.js',
+    'pass-tiers.js', 'data-analyzer.js'
+]);
+const CSVParser = get('CSVParser');
+const DataAnalyzer = get('DataAnalyzer');
+
+test('el pico simultáneo cuenta dos veces una matrícula con dos permisos a la vez', () => {
+    const { data } = new CSVParser().parseCSVText([
+        '1234BCD;123-PUJOL, JOSÉ;01/06/2024 10:00:00GMT;20/06/2024 10:00:00GMT',
+        '1234BCD;123-PUJOL, JOSÉ;05/06/2024 10:00:00GMT;25/06/2024 10:00:00GMT',
+        '5678CDF;123-PUJOL, JOSÉ;10/06/2024 10:00:00GMT;15/06/2024 10:00:00GMT',
+        '9012FGH;123-PUJOL, JOSÉ;01/07/2024 10:00:00GMT;05/07/2024 10:00:00GMT'
+    ].join('\n'));
+    const analyzer = new DataAnalyzer(data);
+    const row = analyzer.buildSocioRow('123-PUJOL, JOSÉ', data);
+
+    assert.equal(row.picoSimultaneo, 3);
+    assert.equal(row.picoDetalle.cantidad, 3);
+    assert.equal(row.picoDetalle.registros.length, 3);
+    assert.deepEqual(Array.from(row.picoDetalle.matriculas).sort(), ['1234BCD', '1234BCD', '5678CDF']);
+});
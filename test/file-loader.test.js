@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { loadSources } = require('./load-sources');
+
+const SOURCES = ['plate-validator.js', 'member-extractor.js', 'csv-parser.js', 'file-loader.js'];
+
+// Unos 2,8 MB: tres trozos de 1 MB para CSVParser.parseFile
+const LINE = '1234BCD;123-PUJOL, JOSÉ;01/06/2024 10:15:00GMT;15/06/2024 10:15:00GMT\n';
+const LINES = 40000;
+const file = new Blob([LINE.repeat(LINES)]);
+
+/**
+ * Worker falso que ejecuta el código real del worker (FileLoader.getWorkerSource)
+ * en su propio contexto y entrega los mensajes de forma asíncrona, como el navegador
+ */
+class FakeWorker {
+    constructor() {
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+        const scope = {
+            postMessage: (message) => setImmediate(() => {
+                if (!this.terminated && this.onmessage) this.onmessage({ data: message });
+            })
+        };
+        this.context = vm.createContext({ console, TextDecoder, setTimeout, self: scope });
+        vm.runInContext(FakeWorker.source, this.context);
+        this.scope = scope;
+        FakeWorker.instances.push(this);
+    }
+
+    postMessage(data) {
+        this.scope.onmessage({ data: data });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+FakeWorker.instances = [];
+
+/**
+ * Carga FileLoader con o sin soporte de Web Workers
+ * @param {boolean} withWorker - True para usar FakeWorker
+ * @returns {Object} Clase FileLoader y URLs liberadas ({ FileLoader, revoked })
+ */
+function loadFileLoader(withWorker) {
+    const revoked = [];
+    const globals = withWorker
+        ? {
+            Worker: FakeWorker,
+            URL: { createObjectURL: () => 'blob:worker', revokeObjectURL: url => revoked.push(url) }
+        }
+        : {};
+    const FileLoader = loadSources(SOURCES, globals)('FileLoader');
+    FakeWorker.source = FileLoader.getWorkerSource();
+    return { FileLoader, revoked };
+}
+
+test('sin Web Workers procesa el archivo en el hilo principal con progreso por trozos', async () => {
+    const { FileLoader } = loadFileLoader(false);
+    const progress = [];
+
+    const result = await new FileLoader().load(file, {
+        onProgress: (loaded, total) => progress.push([loaded, total])
+    });
+
+    assert.equal(result.validRecords, LINES);
+    assert.equal(result.data.length, LINES);
+    assert.equal(progress.length, 3);
+    assert.deepEqual(progress[progress.length - 1], [file.size, file.size]);
+    assert.ok(progress.every(([loaded], i) => i === 0 || loaded > progress[i - 1][0]));
+});
+
+test('sin Web Workers se puede cancelar a mitad de archivo', async () => {
+    const { FileLoader } = loadFileLoader(false);
+    const loader = new FileLoader();
+    const progress = [];
+
+    const loading = loader.load(file, {
+        onProgress: (loaded, total) => {
+            progress.push(loaded);
+            loader.cancel();
+        }
+    });
+
+    await assert.rejects(loading, error => error.cancelled === true);
+    assert.equal(progress.length, 1);
+    assert.ok(progress[0] < file.size);
+});
+
+test('con Web Worker junta los registros de cada trozo y libera el worker al acabar', async () => {
+    const { FileLoader, revoked } = loadFileLoader(true);
+    const loader = new FileLoader();
+    const progress = [];
+
+    const result = await loader.load(file, {
+        onProgress: (loaded, total) => progress.push([loaded, total])
+    });
+
+    assert.equal(result.validRecords, LINES);
+    assert.equal(result.data.length, LINES);
+    assert.deepEqual(progress[progress.length - 1], [file.size, file.size]);
+    assert.equal(loader.isLoading(), false);
+    assert.equal(FakeWorker.instances[FakeWorker.instances.length - 1].terminated, true);
+    assert.deepEqual(revoked, ['blob:worker']);
+});
+
+test('con Web Worker cancelar termina el worker y rechaza la carga', async () => {
+    const { FileLoader } = loadFileLoader(true);
+    const loader = new FileLoader();
+
+    const loading = loader.load(file, {
+        onProgress: () => loader.cancel()
+    });
+
+    await assert.rejects(loading, error => error.cancelled === true);
+    assert.equal(loader.isLoading(), false);
+    assert.equal(FakeWorker.instances[FakeWorker.instances.length - 1].terminated, true);
+});
@@ -0,0 +1,35 @@
+/**
+ * Carga clases de src/js en un contexto aislado de Node, como lo haría el
+ * navegador con las etiquetas <script> de index.html
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC_DIR = path.join(__dirname, '..', 'src', 'js');
+
+/**
+ * Ejecuta los archivos indicados en un contexto nuevo y devuelve sus clases
+ * @param {Array} files - Nombres de archivo en src/js, en orden de carga
+ * @param {Object} globals - Globales adicionales del contexto
+ * @returns {Function} Función que devuelve una clase del contexto por su nombre
+ */
+function loadSources(files, globals = {}) {
+    const context = vm.createContext({ console, TextDecoder, Blob, setTimeout, ...globals });
+    for (const file of files) {
+        const code = fs.readFileSync(path.join(SRC_DIR, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    }
+    return name => vm.runInContext(name, context);
+}
+
+/**
+ * Lee un archivo de test/fixtures como Blob, como si se hubiera elegido en el navegador
+ * @param {string} name - Nombre del archivo
+ * @returns {Blob} Contenido del archivo
+ */
+function readFixture(name) {
+    return new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', name))]);
+}
+
+module.exports = { loadSources, readFixture };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSources } = require('./load-sources');
+
+const get = loadSources(['plate-validator.js', 'plate-matcher.js', 'data-analyzer.js']);
+const PlateMatcher = get('PlateMatcher');
+
+/**
+ * Registros mínimos para findGroups
+ * @param {Array} pares - [matrícula, socio, número de socio]
+ * @returns {Array} Registros
+ */
+function records(pares) {
+    return pares.map(([matricula, socio, socioNumero = null]) => ({ matricula, socio, socioNumero }));
+}
+
+test('agrupa las erratas de un carácter distinto, de más o de menos', () => {
+    const groups = new PlateMatcher().findGroups(records([
+        ['1234BCD', 'socio a'],
+        ['1234BCD', 'socio a'],
+        ['1234BCF', 'socio a'],
+        ['5678CDF', 'socio c'],
+        ['5678CDFG', 'socio d']
+    ]));
+
+    const resumen = groups.map(g => [g.principal, g.variantes.map(v => [v.matricula, v.tipo, v.confianza])]);
+    assert.deepEqual(JSON.parse(JSON.stringify(resumen)), [
+        ['1234BCD', [['1234BCF', 'sustitucion', 0.6]]],
+        ['5678CDF', [['5678CDFG', 'longitud', 0.6]]]
+    ]);
+});
+
+test('no agrupa dos matrículas válidas distintas de socios distintos', () => {
+    const groups = new PlateMatcher().findGroups(records([
+        ['1234BCD', 'socio a'],
+        ['1234BCF', 'socio b'],
+        ['B1234', 'socio c'],
+        ['B12345', 'socio d']
+    ]));
+
+    assert.equal(groups.length, 0);
+});
+
+test('el socio se reconoce por su número aunque el nombre esté escrito distinto', () => {
+    const groups = new PlateMatcher().findGroups(records([
+        ['1234BCD', 'PUJOL, JOSÉ', '123'],
+        ['1234BCF', 'PUJOL, JOSE', '123']
+    ]));
+
+    assert.deepEqual(Array.from(groups, g => g.principal), ['1234BCD']);
+    assert.equal(groups[0].confianza, 0.6);
+});
+
+test('los grupos se ordenan de mayor a menor confianza', () => {
+    const groups = new PlateMatcher().findGroups(records([
+        ['1234BCD', 'socio a'],
+        ['1234BCF', 'socio a'],
+        ['5678CDF', 'socio c'],
+        ['5678CFD', 'socio d']
+    ]));
+
+    assert.deepEqual(Array.from(groups, g => g.principal), ['5678CDF', '1234BCD']);
+    assert.ok(groups[0].confianza > groups[1].confianza);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSources } = require('./load-sources');
+
+const get = loadSources(['plate-validator.js']);
+const PlateValidator = get('PlateValidator');
+
+/**
+ * Categoría y país de una matrícula normalizada
+ * @param {string} plate - Matrícula
+ * @returns {Array} [categoría, país]
+ */
+function classify(plate) {
+    const { categoria, pais } = PlateValidator.classify(plate);
+    return [categoria, pais];
+}
+
+test('una letra y cuatro cifras es andorrana, no provincial antigua', () => {
+    assert.deepEqual(classify('A1234'), ['extranjera', 'AD']);
+    assert.deepEqual(classify('L1234'), ['extranjera', 'AD']);
+});
+
+test('las provinciales antiguas siguen reconociéndose', () => {
+    assert.deepEqual(classify('GI1234'), ['provincial', 'ES']);
+    assert.deepEqual(classify('B123456'), ['provincial', 'ES']);
+    assert.deepEqual(classify('M12'), ['provincial', 'ES']);
+    assert.deepEqual(classify('GI1234AB'), ['provincial', 'ES']);
+    assert.deepEqual(classify('B1234Z'), ['provincial', 'ES']);
+});
+
+test('reconoce los formatos francés y de otros países de la UE', () => {
+    assert.deepEqual(classify('AB123CD'), ['extranjera', 'FR']);
+    assert.deepEqual(classify('12AB34'), ['extranjera', 'EU']);
+    assert.deepEqual(classify('1234AB'), ['extranjera', 'EU']);
+    assert.deepEqual(classify('BMW1234'), ['extranjera', 'EU']);
+});
+
+test('los formatos españoles actuales van antes que los extranjeros', () => {
+    assert.deepEqual(classify('1234BCD'), ['nacional', 'ES']);
+    assert.deepEqual(classify('C1234BCD'), ['ciclomotor', 'ES']);
+    assert.deepEqual(classify('R1234BCD'), ['remolque', 'ES']);
+    assert.deepEqual(classify('CD12345'), ['diplomatica', 'ES']);
+    assert.deepEqual(classify('1234ABC'), ['invalida', '']);
+});
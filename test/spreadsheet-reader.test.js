@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { JSDOM } = require('jsdom');
+const { loadSources } = require('./load-sources');
+
+const get = loadSources(['plate-validator.js', 'member-extractor.js', 'csv-parser.js', 'spreadsheet-reader.js'], {
+    DOMParser: new JSDOM('').window.DOMParser,
+    DecompressionStream,
+    Response
+});
+const CSVParser = get('CSVParser');
+const SpreadsheetReader = get('SpreadsheetReader');
+
+test('las celdas de fecha sin hora se escriben sin hora', () => {
+    const reader = new SpreadsheetReader();
+    assert.equal(reader.formatDate('2024-06-01'), '01/06/2024');
+    assert.equal(reader.formatDate('2024-06-01T10:15:00'), '01/06/2024 10:15:00');
+    assert.equal(reader.formatExcelSerial(45444, false), '01/06/2024');
+    assert.equal(reader.formatExcelSerial(45444.5, false), '01/06/2024 12:00:00');
+});
+
+test('solo los registros con hora en la celda cuentan como altas con hora', () => {
+    const reader = new SpreadsheetReader();
+    const rows = [
+        ['1234BCD', '123-PUJOL, JOSÉ', reader.formatExcelSerial(45444, false), reader.formatExcelSerial(45458, false)],
+        ['5678CDF', '124-GARCÍA, ANA', reader.formatExcelSerial(45444.5, false), '']
+    ];
+    const { data, errors } = new CSVParser().parseRows(rows);
+
+    assert.equal(errors.length, 0);
+    assert.deepEqual(Array.from(data, r => r.conHora), [false, true]);
+    assert.equal(data[0].fechaInicio.getHours(), 0);
+    assert.equal(data[1].fechaInicio.getHours(), 12);
+});
+
+/**
+ * CRC-32 de los datos, como lo guarda el formato ZIP
+ * @param {Buffer} data - Datos
+ * @returns {number} CRC-32 sin signo
+ */
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Crea un ZIP con las entradas indicadas, comprimidas con deflate salvo las que se
+ * piden sin comprimir (como el "mimetype" de OpenDocument)
+ * @param {Array} files - Entradas ([nombre, contenido])
+ * @param {Array} stored - Nombres de las entradas sin comprimir
+ * @returns {Blob} Archivo ZIP
+ */
+function buildZip(files, stored = []) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const [name, content] of files) {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const raw = Buffer.from(content, 'utf8');
+        const method = stored.includes(name) ? 0 : 8;
+        const data = method === 0 ? raw : zlib.deflateRawSync(raw);
+        const crc = crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(method, 10);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(data.length, 20);
+        entry.writeUInt32LE(raw.length, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, nameBytes);
+
+        offset += local.length + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return new Blob([...locals, directory, end]);
+}
+
+const XLSX_FILES = [
+    ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+    xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+    <sheets><sheet name="Permisos" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`],
+    ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`],
+    ['xl/sharedStrings.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+    <si><t>123-PUJOL, JOSÉ</t></si>
+    <si><r><t>124-GARCÍA, </t></r><r><t>ANA</t></r></si>
+</sst>`],
+    // Estilo 1: solo fecha (formato 14); estilo 2: fecha y hora (formato 22)
+    ['xl/styles.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+    <cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="22"/></cellXfs>
+</styleSheet>`],
+    ['xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+    <sheetData>
+        <row r="1">
+            <c r="A1" t="inlineStr"><is><t>1234BCD</t></is></c>
+            <c r="B1" t="s"><v>0</v></c>
+            <c r="C1" s="1"><v>45444</v></c>
+            <c r="D1" s="1"><v>45458</v></c>
+        </row>
+        <row r="2">
+            <c r="A2" t="inlineStr"><is><t>5678CDF</t></is></c>
+            <c r="B2" t="s"><v>1</v></c>
+            <c r="C2" s="2"><v>45444.427083333336</v></c>
+        </row>
+    </sheetData>
+</worksheet>`]
+];
+
+const ODS_FILES = [
+    ['mimetype', 'application/vnd.oasis.opendocument.spreadsheet'],
+    ['content.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+    xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"
+    xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+    <office:body><office:spreadsheet>
+        <table:table table:name="Permisos">
+            <table:table-row>
+                <table:table-cell office:value-type="string"><text:p>1234BCD</text:p></table:table-cell>
+                <table:table-cell office:value-type="string"><text:p>123-PUJOL, JOSÉ</text:p></table:table-cell>
+                <table:table-cell office:value-type="date" office:date-value="2024-06-01"/>
+                <table:table-cell office:value-type="date" office:date-value="2024-06-15"/>
+            </table:table-row>
+            <table:table-row>
+                <table:table-cell office:value-type="string"><text:p>5678CDF</text:p></table:table-cell>
+                <table:table-cell office:value-type="string"><text:p>124-GARCÍA, ANA</text:p></table:table-cell>
+                <table:table-cell office:value-type="date" office:date-value="2024-06-01T10:15:00"/>
+                <table:table-cell table:number-columns-repeated="3"/>
+            </table:table-row>
+            <table:table-row table:number-rows-repeated="1000"><table:table-cell table:number-columns-repeated="4"/></table:table-row>
+        </table:table>
+    </office:spreadsheet></office:body>
+</office:document-content>`]
+];
+
+/**
+ * Comprueba las filas leídas de las hojas de ejemplo y su paso por CSVParser
+ * @param {Object} workbook - Libro leído con SpreadsheetReader.read
+ * @param {string} format - Formato esperado
+ */
+function assertSampleWorkbook(workbook, format) {
+    assert.equal(workbook.format, format);
+    assert.deepEqual(Array.from(workbook.sheets, sheet => sheet.name), ['Permisos']);
+    assert.deepEqual(JSON.parse(JSON.stringify(workbook.sheets[0].rows)), [
+        ['1234BCD', '123-PUJOL, JOSÉ', '01/06/2024', '15/06/2024'],
+        ['5678CDF', '124-GARCÍA, ANA', '01/06/2024 10:15:00']
+    ]);
+
+    const { data, errors } = new CSVParser().parseRows(workbook.sheets[0].rows);
+    assert.equal(errors.length, 0);
+    assert.deepEqual(Array.from(data, r => [r.matricula, r.socio, r.conHora]), [
+        ['1234BCD', '123-PUJOL, JOSÉ', false],
+        ['5678CDF', '124-GARCÍA, ANA', true]
+    ]);
+    assert.equal(data[1].fechaInicio.getHours(), 10);
+    assert.equal(data[1].fechaInicio.getMinutes(), 15);
+}
+
+test('lee un .xlsx real (ZIP con deflate) con fechas con y sin hora', async () => {
+    const workbook = await new SpreadsheetReader().read(buildZip(XLSX_FILES));
+    assertSampleWorkbook(workbook, 'xlsx');
+});
+
+test('lee un .ods real (ZIP con entradas sin comprimir y con deflate) con fechas con y sin hora', async () => {
+    const workbook = await new SpreadsheetReader().read(buildZip(ODS_FILES, ['mimetype']));
+    assertSampleWorkbook(workbook, 'ods');
+});
+
+test('un archivo que no es un ZIP se rechaza con un error claro', async () => {
+    await assert.rejects(
+        new SpreadsheetReader().read(new Blob(['matricula;info\n'])),
+        /no es un ZIP/
+    );
+});